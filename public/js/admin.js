@@ -2,13 +2,20 @@
  * admin.js — 관리자 대시보드
  *
  * 주요 기능:
- *   - 로그인/로그아웃 (세션 기반)
- *   - DataTables 기반 목록 표시 (커스텀 필터, 정렬, 페이징)
- *   - 상세보기 모달 (파일 미리보기, 인라인 파일 추가/삭제)
+ *   - 로그인/로그아웃 (세션 기반, 2단계 인증 등록·로그인, 비밀번호 변경·만료 시 강제 변경)
+ *   - 역할 권한에 따른 버튼·입력 표시 제어 (data-perm)
+ *   - DataTables 기반 목록 표시 (커스텀 필터, 정렬, 페이징, 담당자·내 담당 필터, 태그·우선순위 표시·필터, 처리 기한 경과·초과 표시, 중복 접수 의심 표시·재검사)
+ *   - 상세보기 모달 (중복 의심 병합·판정, 신청인 알림 발송 기록·재발송·수신 거부, 담당자 지정·배정 이력, 태그·우선순위 지정, 완료 건 재처리 요청·승인, 내부 메모·@언급, 파일 미리보기, 인라인 파일 추가/삭제, 필드 변경 이력·복원, 감사 로그·열람 기록 탭)
  *   - 수정 모드 (필드 수정 + 파일 관리)
  *   - 신규 등록 모달
- *   - 상태 변경 (드롭다운 즉시 변경)
- *   - 일괄 삭제, 엑셀 내보내기, Word 다운로드, 인쇄
+ *   - 상태 변경 (서버 워크플로 정의 기반 드롭다운 즉시 변경, 반려 사유 등 필수 입력)
+ *   - 승인함 탭 (고액 건 완료 승인 · 보완 요청, 완료 건 재처리 승인·거절)
+ *   - 선택 항목 일괄 처리 (상태 변경·담당자 지정·태그·우선순위·삭제·엑셀 내보내기, 전부 반영 또는 전체 취소 · 건별 결과 표시), Word 다운로드, 인쇄
+ *   - 사용자 관리 탭 (계정 생성, 역할 변경, 비활성화, 비밀번호·2단계 인증 초기화)
+ *   - 태그 관리 탭 (태그 추가·수정·숨김·삭제)
+ *   - 휴일 관리 탭 (연도별 공휴일 조회·추가·삭제, ICS·CSV 가져오기)
+ *   - 보안 탭 (보안 이벤트 추이·최근 이벤트, 잠긴 계정 · 차단된 IP 조회 및 해제, 전체 활성 세션 종료)
+ *   - 접속 기기 (본인 세션 목록 · 원격 종료)
  */
 
 // ── 전역 상태 ──
@@ -19,7 +26,126 @@ let currentDetailId = null;          // 현재 열린 상세보기의 요청 ID
 let isEditMode = false;              // 수정 모드 여부
 let modalMode = 'view';              // 모달 모드: 'view' | 'edit' | 'create'
 let isSaving = false;                // 저장 중 중복 방지 플래그
-const statuses = ['대기', '접수', '처리중', '완료', '반려'];
+let currentUser = null;              // 로그인 사용자 (role, permissions 포함)
+let userRoles = [];                  // 역할 선택지 [{ value, label }] (사용자 관리 탭)
+let workflowConfig = null;           // 상태 워크플로 { statuses, transitions } (서버 workflow.js 정의)
+let assignees = [];                  // 담당자 선택지 (활성 계정 중 상태 처리 권한 보유)
+let tagList = [];                    // 태그 정의 (숨김 포함, 표시 순서)
+let priorityLevels = [];             // 우선순위 단계 [{ level, label, color }] (서버 정의)
+const DETAIL_COL = 14;               // 목록 '상세' 열 인덱스 (data-id 보관, 열 추가 시 함께 수정)
+
+// ── 권한 헬퍼 (서버가 내려준 permissions 기준, 실제 검증은 서버에서 수행) ──
+function can(permission) {
+    return !!currentUser?.permissions?.includes(permission);
+}
+
+// data-perm 속성이 붙은 요소 중 권한 없는 항목 숨김
+function applyPermissions(root = document) {
+    $(root).find('[data-perm]').each((_, el) => {
+        if (!can(el.dataset.perm)) $(el).addClass('hidden').hide();
+    });
+}
+
+// ── 상태 워크플로 (드롭다운 · 색상 · 필터를 서버 정의로 구성) ──
+async function loadWorkflow() {
+    const { data: res } = await safeFetch('/api/admin/workflow');
+    if (!res.success) throw new Error(res.error || '상태 정의를 불러올 수 없습니다.');
+    workflowConfig = res;
+
+    // 상태별 글자색 (.status-<코드>)
+    const css = res.statuses.map(st => `.status-${CSS.escape(st.code)} { color: ${st.color}; }`).join('\n');
+    $('#workflowStatusStyles').remove();
+    $('<style id="workflowStatusStyles">').text(css).appendTo('head');
+
+    const $filter = $('#filter_status').empty().append('<option value="">상태: 전체</option>');
+    res.statuses.forEach(st => $filter.append(`<option value="${esc(st.code)}">${esc(st.code)}</option>`));
+}
+
+function isFinalStatus(code) {
+    return !!workflowConfig?.statuses.find(st => st.code === code)?.final;
+}
+
+// 규칙 조건 (고액 건 여부 · 승인 요청 본인 제외) — 서버 workflow.js와 같은 기준
+function ruleApplies(rule, item) {
+    const threshold = workflowConfig?.approvalThreshold || 0;
+    const highValue = threshold > 0 && Number(item?.deposit_amount) >= threshold;
+    if (rule.amount === 'high' && !highValue) return false;
+    if (rule.amount === 'normal' && highValue) return false;
+    if (rule.secondApprover && item?.approval_requested_by != null && item.approval_requested_by === currentUser?.id) return false;
+    return true;
+}
+
+function findTransition(from, to, item) {
+    return workflowConfig?.transitions.find(t => t.from.includes(from) && t.to.includes(to) && ruleApplies(t, item)) || null;
+}
+
+// 현재 사용자가 선택할 수 있는 상태 목록 (전환 규칙 + 권한 + 금액 조건, 현재 상태는 항상 포함)
+function selectableStatuses(current, item) {
+    return (workflowConfig?.statuses || []).map(st => st.code).filter(code => {
+        if (code === current) return true;
+        const rule = findTransition(current, code, item);
+        return !!rule && can(rule.permission);
+    });
+}
+
+// 전환에 필요한 입력(반려 사유 등)을 차례로 받음. 취소 시 null
+async function promptTransitionInputs(from, to, item) {
+    const inputs = {};
+    for (const def of findTransition(from, to, item)?.inputs || []) {
+        if (def.templates === 'rejection') {
+            const value = await promptReasonWithTemplates(to, def);
+            if (value === null) return null;
+            if (value) inputs[def.name] = value;
+            continue;
+        }
+        const { value, isConfirmed } = await Swal.fire({
+            title: `${to} 처리`,
+            input: 'textarea',
+            inputLabel: def.label,
+            inputAttributes: { maxlength: def.maxLength || 500 },
+            showCancelButton: true, confirmButtonText: '확인', cancelButtonText: '취소',
+            inputValidator: (v) => (def.required && !v.trim() ? `${def.label} 항목을 입력해주세요.` : undefined)
+        });
+        if (!isConfirmed) return null;
+        if (value.trim()) inputs[def.name] = value.trim();
+    }
+    return inputs;
+}
+
+// 템플릿 선택 또는 직접 입력으로 사유 작성 (선택한 템플릿 문구는 수정 가능). 취소 시 null
+async function promptReasonWithTemplates(to, def) {
+    let templates = [];
+    try {
+        const { data: res } = await safeFetch('/api/admin/rejection-templates');
+        if (res.success) templates = res.data;
+    } catch (e) { /* 템플릿 없이 직접 입력 */ }
+    const max = def.maxLength || 500;
+    const { value, isConfirmed } = await Swal.fire({
+        title: `${to} 처리`,
+        html: `<div class="space-y-2 text-left">
+            <label class="text-xs font-bold text-[#404040] block">${esc(def.label)}</label>
+            <select id="reason_template" class="w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none">
+                <option value="">직접 입력</option>
+                ${templates.map(t => `<option value="${t.id}">${esc(t.title)}</option>`).join('')}
+            </select>
+            <textarea id="reason_text" rows="4" maxlength="${max}" class="w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none" placeholder="신청인에게 안내될 사유를 입력하세요."></textarea>
+            <p class="text-[11px] text-[#A3A3A3]">입력한 사유는 신청인 상태 조회 화면에 표시됩니다. 계좌·연락처 등 숫자는 일부 가려집니다.</p>
+        </div>`,
+        showCancelButton: true, confirmButtonText: '확인', cancelButtonText: '취소',
+        didOpen: () => {
+            $('#reason_template').on('change', (e) => {
+                const t = templates.find(x => String(x.id) === e.target.value);
+                if (t) $('#reason_text').val(t.body);
+            });
+        },
+        preConfirm: () => {
+            const text = $('#reason_text').val().trim();
+            if (def.required && !text) { Swal.showValidationMessage(`${def.label} 항목을 입력해주세요.`); return false; }
+            return text;
+        }
+    });
+    return isConfirmed ? value : null;
+}
 
 // ── safeFetch 헬퍼 (401 세션 만료 자동 처리) ──
 async function safeFetch(url, options = {}, timeoutMs = 30000) {
@@ -67,7 +193,8 @@ $(document).ready(async () => {
         const resp = await fetch('/api/admin/me', { credentials: 'include' });
         if (resp.ok) {
             const me = await resp.json();
-            if (me.success) showAdmin(me.user);
+            if (me.success && me.user.mustChangePassword) openPasswordChange(true);
+            else if (me.success) showAdmin(me.user);
         }
     } catch (e) { /* 미인증 상태 — 로그인 화면 유지 */ }
 });
@@ -87,7 +214,9 @@ function fmtPhone(p) {
 // ── 관리자 화면 초기화 (DataTables 설정 + 이벤트 바인딩) ──
 function showAdmin(user) {
     $('#loginOverlay').hide(); $('#adminContent').removeClass('hidden');
-    $('#adminInfo').text(`${user.name} 님`);
+    currentUser = user;
+    $('#adminInfo').text(`${user.name} 님 (${user.roleLabel})`);
+    applyPermissions();
 
     table = $('#requestTable').DataTable({
         dom: '<"dt-top">rt<"dt-bottom"ip>',
@@ -95,7 +224,7 @@ function showAdmin(user) {
         pageLength: 25,
         columnDefs: [
             { orderable: false, className: 'select-checkbox', targets: 0 },
-            { orderable: false, targets: [4, 5, 6, 7, 10, 11, 12] },
+            { orderable: false, targets: [4, 5, 6, 7, 10, 11, 12, 13, DETAIL_COL] },
             { className: 'dt-center', targets: '_all' }
         ],
         select: { style: 'multi', selector: 'td:first-child' },
@@ -121,13 +250,7 @@ function showAdmin(user) {
         const allRows = table.rows({ search: 'applied' }).count();
         const selectedRows = table.rows({ selected: true }).count();
         $('#selectAll').prop('checked', allRows > 0 && allRows === selectedRows);
-        // 일괄 삭제 버튼 표시/숨김
-        if (selectedRows > 0) {
-            $('#btnBulkDelete').removeClass('hidden').addClass('flex');
-            $('#bulkDeleteLabel').text(`선택 삭제 (${selectedRows}건)`);
-        } else {
-            $('#btnBulkDelete').addClass('hidden').removeClass('flex');
-        }
+        updateBulkBar();
     });
 
     // 커스텀 검색 (디바운스 + allData 기반)
@@ -146,7 +269,7 @@ function showAdmin(user) {
         if ($(e.target).closest('td').hasClass('select-checkbox') || $(e.target).hasClass('list-status-select')) return;
         const data = table.row(this).data();
         if (!data) return;
-        const id = $(data[12]).data('id');
+        const id = $(data[DETAIL_COL]).data('id');
         if (id) openDetail(id);
     });
 
@@ -157,6 +280,10 @@ function showAdmin(user) {
 async function loadData() {
     let res;
     try {
+        if (!workflowConfig) await loadWorkflow();
+        await Promise.all([loadAssignees(), loadTags()]);
+        loadMentionCount();
+        loadApprovalCount();
         const result = await safeFetch('/api/admin/requests');
         res = result.data;
     } catch (err) {
@@ -169,6 +296,11 @@ async function loadData() {
         const prevMerchant = $('#filter_merchant').val() || '';
         const prevStatus = $('#filter_status').val() || '';
         const prevType = $('#filter_type').val() || '';
+        const prevAssignee = $('#filter_assignee').val() || '';
+        const prevSla = $('#filter_sla').val() || '';
+        const prevDuplicate = $('#filter_duplicate').val() || '';
+        const prevTag = $('#filter_tag').val() || '';
+        const prevPriority = $('#filter_priority').val() || '';
         const prevSearch = $('#customSearch').val() || '';
 
         allData = res.data; table.clear();
@@ -181,10 +313,10 @@ async function loadData() {
             if (i.contractor_code) contractors.add(i.contractor_code);
 
             let statusDd = '';
-            if (i.status === '완료') {
-                statusDd = `<span class="list-status-text status-완료">완료</span>`;
+            if (isFinalStatus(i.status) || selectableStatuses(i.status, i).length <= 1) {
+                statusDd = `<span class="list-status-text status-${esc(i.status)}">${esc(i.status)}</span>`;
             } else {
-                let statusOptions = statuses.map(s => `<option value="${s}" ${i.status === s ? 'selected' : ''}>${s}</option>`).join('');
+                let statusOptions = selectableStatuses(i.status, i).map(s => `<option value="${s}" ${i.status === s ? 'selected' : ''}>${s}</option>`).join('');
                 statusDd = `<select data-status-change="${i.id}" class="list-status-select status-${i.status}">${statusOptions}</select>`;
             }
 
@@ -193,7 +325,9 @@ async function loadData() {
             table.row.add([
                 '',
                 fmtDate(i.request_date),
-                `<span class="font-mono font-bold text-[#1A1A1A]">${esc(i.request_code)}</span>`,
+                `<span class="font-mono font-bold text-[#1A1A1A]">${esc(i.request_code)}</span>` +
+                    (i.priority !== 1 || i.tag_ids?.length ? `<br><span class="inline-flex flex-wrap gap-0.5 mt-0.5">${renderPriorityBadge(i.priority, false)} ${renderTagChips(i.tag_ids)}</span>` : '') +
+                    (i.duplicate_count ? `<br><span class="inline-block mt-0.5 px-1.5 rounded text-[11px] font-bold bg-amber-100 text-amber-700" title="판정 전 중복 의심 ${i.duplicate_count}건">중복 의심</span>` : ''),
                 i.request_type === '오입금'
                     ? '<span class="inline-block px-2 py-0.5 rounded text-xs font-black bg-orange-100 text-orange-700">오입금</span>'
                     : '<span class="inline-block px-2 py-0.5 rounded text-xs font-black bg-blue-100 text-blue-700">반환청구</span>',
@@ -204,6 +338,10 @@ async function loadData() {
                 fmtDate(i.deposit_date) + (i.deposit_time ? ' ' + i.deposit_time : ''),
                 `<span class="font-bold text-[#1A1A1A]">${Number(i.deposit_amount).toLocaleString()}</span>`,
                 `<span class="text-[14px] text-[#737373]">${accountInfo}</span>`,
+                i.assigned_to
+                    ? `<span class="text-[14px] font-semibold ${i.assigned_to === currentUser?.id ? 'text-blue-600' : 'text-[#404040]'}">${esc(i.assigned_name)}</span>`
+                    : '<span class="text-[13px] text-[#D4D4D4]">미배정</span>',
+                renderSlaCell(i),
                 statusDd,
                 `<span class="text-[13px] text-[#A3A3A3] underline underline-offset-2 cursor-pointer hover:text-[#1A1A1A]" data-id="${i.id}">보기</span>`
             ]);
@@ -214,12 +352,27 @@ async function loadData() {
         Array.from(contractors).sort().forEach(c => cFilter.append(`<option value="${esc(c)}">${esc(c)}</option>`));
         const mFilter = $('#filter_merchant').empty().append('<option value="">가맹점 코드: 전체</option>');
         Array.from(merchants).sort().forEach(m => mFilter.append(`<option value="${esc(m)}">${esc(m)}</option>`));
+        // 담당자: 선택지 + 목록에만 있는 담당자(역할 변경 등)
+        const aFilter = $('#filter_assignee').empty()
+            .append('<option value="">담당자: 전체</option><option value="me">내 담당</option><option value="none">미배정</option>');
+        const assigneeNames = new Map(assignees.map(u => [u.id, u.name]));
+        allData.forEach(i => { if (i.assigned_to && !assigneeNames.has(i.assigned_to)) assigneeNames.set(i.assigned_to, i.assigned_name); });
+        assigneeNames.forEach((name, uid) => aFilter.append(`<option value="${uid}">${esc(name)}</option>`));
+        const gFilter = $('#filter_tag').empty().append('<option value="">태그: 전체</option><option value="none">태그 없음</option>');
+        tagList.forEach(t => gFilter.append(`<option value="${t.id}">${esc(t.name)}${t.is_active ? '' : ' (숨김)'}</option>`));
+        const pFilter = $('#filter_priority').empty().append('<option value="">우선순위: 전체</option>');
+        priorityLevels.forEach(p => pFilter.append(`<option value="${p.level}">${esc(p.label)}</option>`));
 
         // 필터 상태 복원
         if (prevContractor) { $('#filter_contractor').val(prevContractor).toggleClass('filter-active', true); }
         if (prevMerchant) { $('#filter_merchant').val(prevMerchant).toggleClass('filter-active', true); }
         if (prevStatus) { $('#filter_status').val(prevStatus).toggleClass('filter-active', true); }
         if (prevType) { $('#filter_type').val(prevType).toggleClass('filter-active', true); }
+        if (prevAssignee) { $('#filter_assignee').val(prevAssignee).toggleClass('filter-active', true); }
+        if (prevSla) { $('#filter_sla').val(prevSla).toggleClass('filter-active', true); }
+        if (prevDuplicate) { $('#filter_duplicate').val(prevDuplicate).toggleClass('filter-active', true); }
+        if (prevTag && $(`#filter_tag option[value="${prevTag}"]`).length) { $('#filter_tag').val(prevTag).toggleClass('filter-active', true); }
+        if (prevPriority) { $('#filter_priority').val(prevPriority).toggleClass('filter-active', true); }
         if (prevSearch) { $('#customSearch').val(prevSearch); }
 
         syncFilterCache();
@@ -228,19 +381,38 @@ async function loadData() {
     }
 }
 
+// ── 처리 기한 (서버 sla.js 계산값: due_date · aging_days · sla_state · overdue_days) ──
+const SLA_STYLES = { overdue: 'text-red-600 font-bold', due_today: 'text-amber-600 font-bold', ok: 'text-[#737373]' };
+
+function slaLabel(i) {
+    if (i.sla_state === 'overdue') return `${i.overdue_days}영업일 초과`;
+    if (i.sla_state === 'due_today') return '오늘 마감';
+    return `기한 ${i.due_date.slice(5).replace('-', '/')}`;
+}
+
+function renderSlaCell(i) {
+    if (!i.sla_state) return '<span class="text-[13px] text-[#D4D4D4]">-</span>';
+    return `<span class="text-[13px] ${SLA_STYLES[i.sla_state]}" title="처리 기한 ${esc(i.due_date)}">${i.aging_days}일<br><span class="text-[11px]">${slaLabel(i)}</span></span>`;
+}
+
 // ── 목록에서 상태 드롭다운 즉시 변경 ──
 async function updateStatusDirect(id, sel) {
     const newStatus = sel.value;
-    const prevStatus = dataById.get(id)?.status || sel.dataset.prev || '대기';
+    const prevStatus = dataById.get(id)?.status || sel.dataset.prev;
+    const inputs = await promptTransitionInputs(prevStatus, newStatus, dataById.get(id));
+    if (!inputs) {
+        sel.value = prevStatus;
+        return;
+    }
     try {
         const { ok, data: json } = await safeFetch('/api/admin/status', {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ id, status: newStatus })
+            body: JSON.stringify({ id, status: newStatus, inputs })
         });
         if (ok && json.success) {
             Swal.fire({ icon: 'success', title: newStatus, timer: 600, showConfirmButton: false, position: 'top-end', toast: true });
-            await loadData(); // '완료' 시 드롭다운 -> 텍스트 전환 등을 위해 전체 다시 불러오기
+            await loadData(); // 최종 상태 시 드롭다운 -> 텍스트 전환 등을 위해 전체 다시 불러오기
         } else {
             // 실패 시 이전 상태로 롤백
             sel.value = prevStatus;
@@ -257,14 +429,14 @@ async function updateStatusDirect(id, sel) {
 // ── DataTables 커스텀 필터 ──
 // allData 원본을 기반으로 필터링 (HTML 마크업 무시)
 // 캐시: draw() 전에 필터 값을 한 번만 읽어 행마다 DOM 접근 방지
-let cachedFC = '', cachedFM = '', cachedFS = '', cachedFT = '', cachedQ = '';
+let cachedFC = '', cachedFM = '', cachedFS = '', cachedFT = '', cachedFA = '', cachedFD = '', cachedFU = '', cachedFG = '', cachedFP = '', cachedQ = '';
 
 $.fn.dataTable.ext.search.push(function(settings, data, dataIndex) {
     const rowData = table.row(dataIndex).data();
     if (!rowData) return true;
 
     // 행의 data-id로 allData에서 원본 찾기
-    const id = $(rowData[12]).data('id');
+    const id = $(rowData[DETAIL_COL]).data('id');
     const item = dataById.get(id);
     if (!item) return true;
 
@@ -280,6 +452,22 @@ $.fn.dataTable.ext.search.push(function(settings, data, dataIndex) {
     // 필터: 유형
     if (cachedFT && item.request_type !== cachedFT) return false;
 
+    // 필터: 처리 기한 (overdue = 초과, due_today = 오늘 마감)
+    if (cachedFD && item.sla_state !== cachedFD) return false;
+
+    // 필터: 중복 의심 (판정 전 연결이 있는 나중 접수 건)
+    if (cachedFU === 'suspected' && !item.duplicate_count) return false;
+
+    // 필터: 태그 (none = 태그 없음, 그 외 태그 ID) · 우선순위 (단계 값)
+    if (cachedFG === 'none' && item.tag_ids?.length) return false;
+    if (cachedFG && cachedFG !== 'none' && !item.tag_ids?.includes(parseInt(cachedFG, 10))) return false;
+    if (cachedFP && String(item.priority) !== cachedFP) return false;
+
+    // 필터: 담당자 (me = 내 담당, none = 미배정, 그 외 사용자 ID)
+    if (cachedFA === 'me' && item.assigned_to !== currentUser?.id) return false;
+    if (cachedFA === 'none' && item.assigned_to) return false;
+    if (cachedFA && cachedFA !== 'me' && cachedFA !== 'none' && String(item.assigned_to) !== cachedFA) return false;
+
     // 텍스트 검색 (원본 데이터 필드만 대상)
     if (cachedQ) {
         const searchFields = [
@@ -294,6 +482,8 @@ $.fn.dataTable.ext.search.push(function(settings, data, dataIndex) {
             item.status,
             item.details,
             item.request_type,
+            item.assigned_name,
+            ...(item.tag_ids || []).map(id => tagById(id)?.name),
             String(item.deposit_amount)
         ].map(v => (v || '').toLowerCase());
         if (!searchFields.some(f => f.includes(cachedQ))) return false;
@@ -308,11 +498,16 @@ function syncFilterCache() {
     cachedFM = $('#filter_merchant').val() || '';
     cachedFS = $('#filter_status').val() || '';
     cachedFT = $('#filter_type').val() || '';
+    cachedFA = $('#filter_assignee').val() || '';
+    cachedFD = $('#filter_sla').val() || '';
+    cachedFU = $('#filter_duplicate').val() || '';
+    cachedFG = $('#filter_tag').val() || '';
+    cachedFP = $('#filter_priority').val() || '';
     cachedQ  = ($('#customSearch').val() || '').trim().toLowerCase();
 }
 
 // 필터 변경 시 draw (커스텀 필터가 처리) + 활성 스타일
-$('#filter_contractor, #filter_merchant, #filter_status, #filter_type').on('change', (e) => {
+$('#filter_contractor, #filter_merchant, #filter_status, #filter_type, #filter_assignee, #filter_sla, #filter_duplicate, #filter_tag, #filter_priority').on('change', (e) => {
     $(e.target).toggleClass('filter-active', !!e.target.value);
     syncFilterCache();
     table.draw();
@@ -331,7 +526,7 @@ function updateFilterCount() {
 }
 
 function resetFilters() {
-    $('#filter_contractor, #filter_merchant, #filter_status, #filter_type').val('').removeClass('filter-active');
+    $('#filter_contractor, #filter_merchant, #filter_status, #filter_type, #filter_assignee, #filter_sla, #filter_duplicate, #filter_tag, #filter_priority').val('').removeClass('filter-active');
     $('#customSearch').val('');
     syncFilterCache();
     table.draw();
@@ -347,7 +542,10 @@ async function openDetail(id) {
     modalMode = 'view';
     $('#btnEdit, #btnDelete, #btnPrint, #btnDownloadWord').show();
     $('#btnSaveEdit, #btnSaveCreate, #btnCancelEdit').hide();
+    applyPermissions('#detailModal');
     $('#detailModal').data('code', d.request_code);
+    $('#detailTabs').removeClass('hidden');
+    switchDetailTab('info');
 
     // Fetch full detail including files
     let files = [];
@@ -356,6 +554,9 @@ async function openDetail(id) {
         const { ok, data: detailRes } = await safeFetch(`/api/admin/request/${id}`);
         if (ok && detailRes.success && detailRes.data?.files) {
             files = detailRes.data.files;
+            d._commentCount = detailRes.data.comment_count;
+            d.approval_requested_name = detailRes.data.approval_requested_name;
+            d.approved_name = detailRes.data.approved_name;
         }
     } catch (e) { filesFetchError = true; }
 
@@ -369,11 +570,13 @@ async function openDetail(id) {
 
     function renderFilesSection(fileList, category) {
         let html = '';
-        if (fileList.length > 0) {
+        if (fileList.length > 0 && !can('file:view')) {
+            html = `<p class="text-[#A3A3A3] text-xs">첨부파일 ${fileList.length}개 (열람 권한 없음)</p>`;
+        } else if (fileList.length > 0) {
             html = fileList.map(f => {
                 const src = `/uploads/${encodeURIComponent(f.filename)}`;
                 const isPdf = f.file_type === 'pdf';
-                const deleteBtn = `<button data-delete-file="${id}" data-file-id="${f.id}" class="no-print text-xs font-bold text-red-400 hover:text-red-600 border border-red-200 rounded px-2 py-0.5 transition-colors flex-shrink-0" title="삭제">&#10005;</button>`;
+                const deleteBtn = !can('file:manage') ? '' : `<button data-delete-file="${id}" data-file-id="${f.id}" class="no-print text-xs font-bold text-red-400 hover:text-red-600 border border-red-200 rounded px-2 py-0.5 transition-colors flex-shrink-0" title="삭제">&#10005;</button>`;
                 if (isPdf) {
                     return `<div class="border border-[#E5E5E5] rounded-md overflow-hidden mb-2">
                         <iframe src="${src}" class="w-full" style="height:300px;" frameborder="0"></iframe>
@@ -398,7 +601,8 @@ async function openDetail(id) {
         } else {
             html = '<p class="text-[#D4D4D4] text-xs">없음</p>';
         }
-        // 파일 추가 입력 (5개 미만일 때만 표시)
+        // 파일 추가 입력 (5개 미만 + 파일 관리 권한이 있을 때만 표시)
+        if (!can('file:manage')) return html;
         const fieldName = (category === '입출금내역서' || category === '입출금거래내역서') ? 'deposit_files' : 'id_card_files';
         const remaining = 5 - fileList.length;
         if (remaining > 0) {
@@ -434,10 +638,25 @@ async function openDetail(id) {
             <div>
                 <p class="text-xs text-[#A3A3A3] mb-0.5">식별코드</p>
                 <p class="font-mono font-bold text-sm sm:text-base text-[#1A1A1A]">${esc(d.request_code)}${typeBadge}</p>
+                <p class="text-xs text-[#A3A3A3] mt-2 mb-0.5">담당자</p>
+                <p class="text-sm font-semibold text-[#1A1A1A] flex items-center gap-2">
+                    ${d.assigned_to ? esc(d.assigned_name) : '<span class="text-[#A3A3A3]">미배정</span>'}
+                    ${can('request:assign') && !isFinalStatus(d.status) ? `<button data-assign-request="${id}" class="no-print text-xs font-bold text-blue-500 hover:text-blue-700 border border-blue-200 rounded px-2 py-0.5">${d.assigned_to ? '변경' : '지정'}</button>` : ''}
+                </p>
+                <p class="text-xs text-[#A3A3A3] mt-2 mb-0.5">우선순위 · 태그</p>
+                <p class="text-sm flex flex-wrap items-center gap-1">
+                    ${renderPriorityBadge(d.priority)} ${renderTagChips(d.tag_ids)}
+                    ${can('request:edit') ? `<button data-classify-request="${id}" class="no-print text-xs font-bold text-blue-500 hover:text-blue-700 border border-blue-200 rounded px-2 py-0.5">변경</button>` : ''}
+                </p>
             </div>
             <div class="text-right">
                 <p class="text-xs text-[#A3A3A3] mb-0.5">진행 상태</p>
                 <p class="font-bold text-xl status-${esc(d.status)}">${esc(d.status)}</p>
+                ${d.status_reason ? `<p class="text-xs text-[#737373] mt-1 max-w-[240px] whitespace-pre-wrap break-words">사유: ${esc(d.status_reason)}</p>` : ''}
+                ${d.approval_requested_at && (d.status === workflowConfig?.statuses.find(st => st.approval)?.code || d.approved_at) ? `<p class="text-xs text-[#737373] mt-1">승인 요청: ${esc(d.approval_requested_name)} · ${fmtDateTime(d.approval_requested_at)}${d.approved_at ? `<br>승인: ${esc(d.approved_name)} · ${fmtDateTime(d.approved_at)}` : ''}</p>` : ''}
+                ${d.withdrawn_at ? `<p class="text-xs text-[#737373] mt-1">신청인 취소: ${fmtDateTime(d.withdrawn_at)}</p>` : ''}
+                ${d.sla_state ? `<p class="text-xs mt-1 ${SLA_STYLES[d.sla_state]}">처리 기한 ${esc(d.due_date)} · ${slaLabel(d)}</p>` : ''}
+                ${workflowConfig?.reopen?.from.includes(d.status) && can(workflowConfig.reopen.request) ? `<button data-reopen-request="${id}" class="no-print mt-1 text-xs font-bold text-blue-500 hover:text-blue-700 border border-blue-200 rounded px-2 py-0.5">재처리 요청</button>` : ''}
             </div>
         </div>
 
@@ -514,259 +733,1969 @@ async function openDetail(id) {
                 <span class="text-[#737373]">동의 IP: <strong class="text-[#1A1A1A] font-mono">${esc(d.terms_ip) || '-'}</strong></span>
             </div>
         </div>
-    `);
-    $('#detailModal').removeClass('hidden');
-}
 
-function closeModal() { $('#detailModal').addClass('hidden'); isEditMode = false; modalMode = 'view'; }
+        <!-- 중복 접수 의심 (병합 · 중복 아님 판정) -->
+        <div id="duplicateLinks" class="no-print mt-4 sm:mt-5"></div>
 
-// ── 신규 등록 모달 ──
-function openCreateModal() {
-    currentDetailId = null;
-    isEditMode = false;
-    modalMode = 'create';
-    // Hide view/edit buttons, show create button
-    $('#btnEdit, #btnDelete, #btnPrint, #btnDownloadWord').hide();
-    $('#btnSaveCreate, #btnCancelEdit').removeClass('hidden').show();
+        <!-- 신청인 알림 (발송 기록 · 실패 건 재발송 · 수신 거부) -->
+        <div id="applicantNotifications" class="no-print mt-4 sm:mt-5"></div>
 
-    const today = new Date().toISOString().slice(0, 10);
-    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-1.5 text-sm font-medium text-[#1A1A1A] outline-none focus:border-[#A3A3A3]';
+        <!-- 재처리 이력 (승인 대기 건은 승인·거절·취소 버튼) -->
+        <div id="reopenHistory" class="no-print mt-4 sm:mt-5"></div>
 
-    $('#modalBody').html(`
-        <h2 class="text-center text-base sm:text-lg font-black text-[#1A1A1A] tracking-tight pb-3 mb-4 sm:mb-5 border-b-2 border-[#1A1A1A]">신규 사유서 등록</h2>
-        <div class="mb-4">
-            <label class="text-xs font-bold text-[#404040] mb-0.5 block">신청 유형</label>
-            <select id="create_request_type" class="${inputClass}">
-                <option value="반환청구">반환청구</option>
-                <option value="오입금">오입금</option>
-            </select>
-        </div>
-        <div class="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">신청인 <span class="text-red-500">*</span></label><input id="create_applicant_name" class="${inputClass}" maxlength="20" placeholder="홍길동"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">연락처 <span class="text-red-500">*</span></label><input id="create_applicant_phone" class="${inputClass}" maxlength="11" placeholder="01012345678"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">계약자 코드 <span class="text-red-500">*</span></label><input id="create_contractor_type" class="${inputClass}" placeholder="계약자 코드"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">가맹점 코드 <span class="text-red-500">*</span></label><input id="create_merchant_type" class="${inputClass}" placeholder="가맹점 코드"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">신청일 <span class="text-red-500">*</span></label><input id="create_request_date" type="date" class="${inputClass}" value="${today}"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">입금일 <span class="text-red-500">*</span></label><input id="create_deposit_date" type="date" class="${inputClass}"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">입금시간 <span class="text-red-500">*</span></label><input id="create_deposit_time" type="time" step="1" class="${inputClass}"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">입금액 <span class="text-red-500">*</span></label><input id="create_deposit_amount" type="number" class="${inputClass}" placeholder="0"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">은행명 <span class="text-red-500">*</span></label><input id="create_bank_name" class="${inputClass}" maxlength="20" placeholder="은행명"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">사용계좌 <span class="text-red-500">*</span></label><input id="create_refund_account" class="${inputClass}" maxlength="16" placeholder="계좌번호 (숫자만)"></div>
-            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">예금주 <span class="text-red-500">*</span></label><input id="create_refund_account_name" class="${inputClass}" maxlength="20" placeholder="예금주명"></div>
-        </div>
-        <div class="mb-3">
-            <label class="text-xs font-bold text-[#404040] mb-0.5 block">상세 사유</label>
-            <textarea id="create_details" class="${inputClass}" rows="2" maxlength="200" placeholder="상세 사유를 입력하세요"></textarea>
-        </div>
-        <div class="mb-3">
-            <label class="text-xs font-bold text-[#404040] mb-0.5 block">입출금내역서 (최대 5개, PNG/JPG/PDF)</label>
-            <input type="file" id="create_deposit_files" accept=".jpg,.jpeg,.png,.pdf" multiple class="text-xs text-[#737373]">
-        </div>
-        <div class="mb-3" id="create_id_card_section">
-            <label class="text-xs font-bold text-[#404040] mb-0.5 block">신분증 (최대 5개, PNG/JPG/PDF)</label>
-            <input type="file" id="create_id_card_files" accept=".jpg,.jpeg,.png,.pdf" multiple class="text-xs text-[#737373]">
-        </div>
-        <div class="flex items-center gap-2">
-            <input type="checkbox" id="create_terms_agreed" class="cursor-pointer" style="width:14px;height:14px;">
-            <label for="create_terms_agreed" class="text-xs font-medium text-[#737373] cursor-pointer">개인정보 수집 및 이용 동의</label>
-        </div>
+        <!-- 담당자 배정 이력 -->
+        <div id="assignmentHistory" class="no-print mt-4 sm:mt-5"></div>
+
+        <!-- 필드 변경 이력 -->
+        <div id="fieldHistory" class="no-print mt-4 sm:mt-5"></div>
     `);
-    // 오입금 선택 시 신분증 섹션 숨기기
-    $('#create_request_type').on('change', (e) => {
-        $('#create_id_card_section').toggle(e.target.value !== '오입금');
-    });
+    $('#commentCount').text(d._commentCount ? `(${d._commentCount})` : '');
     $('#detailModal').removeClass('hidden');
+    loadDuplicateLinks(id);
+    loadApplicantNotifications(id);
+    loadReopenHistory(id);
+    loadAssignmentHistory(id);
+    loadFieldHistory(id);
 }
 
-// ── 신규 등록 저장 ──
-async function saveCreate() {
-    if (isSaving) return;
-
-    // 클라이언트 필수 필드 검증
-    const createFields = {
-        '#create_applicant_name': '신청인 이름',
-        '#create_applicant_phone': '연락처',
-        '#create_contractor_type': '계약자 코드',
-        '#create_merchant_type': '가맹점 코드',
-        '#create_request_date': '신청일자',
-        '#create_deposit_date': '입금일자',
-        '#create_deposit_time': '입금시간',
-        '#create_deposit_amount': '입금액',
-        '#create_bank_name': '은행명',
-        '#create_refund_account': '환불계좌',
-        '#create_refund_account_name': '예금주'
-    };
-    const missing = [];
-    for (const [sel, label] of Object.entries(createFields)) {
-        if (!$(sel).val() || !$(sel).val().trim()) missing.push(label);
-    }
-    if (missing.length > 0) {
-        Swal.fire({ icon: 'warning', title: '필수 항목 누락', html: missing.map(m => `<span class="text-sm">${m}</span>`).join(', ') });
-        return;
-    }
-
-    isSaving = true;
-    const saveBtn = $('#btnSaveCreate');
-    saveBtn.prop('disabled', true).text('저장 중\u2026');
-
-    const fd = new FormData();
-    fd.append('applicant_name', $('#create_applicant_name').val());
-    fd.append('applicant_phone', $('#create_applicant_phone').val());
-    fd.append('contractor_type', $('#create_contractor_type').val());
-    fd.append('merchant_type', $('#create_merchant_type').val());
-    fd.append('request_date', $('#create_request_date').val());
-    fd.append('deposit_date', $('#create_deposit_date').val());
-    fd.append('deposit_time', $('#create_deposit_time').val());
-    fd.append('deposit_amount', $('#create_deposit_amount').val());
-    fd.append('bank_name', $('#create_bank_name').val());
-    fd.append('refund_account', $('#create_refund_account').val());
-    fd.append('refund_account_name', $('#create_refund_account_name').val());
-    fd.append('details', $('#create_details').val());
-    fd.append('request_type', $('#create_request_type').val());
-    fd.append('terms_agreed', $('#create_terms_agreed').is(':checked') ? '1' : '0');
-
-    const createDepositInput = document.getElementById('create_deposit_files');
-    if (createDepositInput?.files.length > 0) {
-        for (const f of createDepositInput.files) fd.append('deposit_files', f);
-    }
-    const createIdInput = document.getElementById('create_id_card_files');
-    if (createIdInput?.files.length > 0) {
-        for (const f of createIdInput.files) fd.append('id_card_files', f);
-    }
-
+// ── 태그 · 우선순위 (관리자 정의 태그, 서버 PRIORITY_LEVELS) ──
+async function loadTags() {
     try {
-        const { ok, data: json } = await safeFetch('/api/admin/request', { method: 'POST', body: fd }, 60000);
-        if (ok && json.success) {
-            closeModal();
-            await loadData();
-            Swal.fire({ icon: 'success', title: '등록 완료', html: `<p class="text-sm text-gray-500">식별코드: <strong>${esc(json.requestCode)}</strong></p>`, timer: 2000, showConfirmButton: false });
-        } else {
-            Swal.fire('등록 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        const { ok, data: res } = await safeFetch('/api/admin/tags');
+        if (ok && res.success) {
+            tagList = res.data;
+            priorityLevels = res.priorities;
         }
-    } catch (err) {
-        Swal.fire('오류', err.message, 'error');
-    } finally {
-        isSaving = false;
-        saveBtn.prop('disabled', false).text('저장');
-    }
+    } catch (e) { /* 태그 없이 목록은 계속 표시 */ }
 }
 
-// ── 선택 항목 일괄 삭제 ──
-async function bulkDelete() {
-    if (isSaving) return;
-    const selectedRows = table.rows({ selected: true }).data().toArray();
-    if (selectedRows.length === 0) return;
-
-    // 선택된 행에서 ID + request_code 추출
-    const items = selectedRows.map(r => ({
-        id: $(r[12]).data('id'),
-        code: $(r[2]).text()
-    })).filter(i => i.id);
-    if (items.length === 0) return;
-
-    const result = await Swal.fire({
-        title: `${items.length}건을 삭제하시겠습니까?`,
-        html: `<p class="text-sm text-red-500">이 작업은 되돌릴 수 없습니다.</p>`,
-        icon: 'warning',
-        showCancelButton: true,
-        confirmButtonColor: '#DC2626',
-        confirmButtonText: `${items.length}건 삭제`,
-        cancelButtonText: '취소'
-    });
-    if (!result.isConfirmed) return;
+// tagList는 숨김 태그 포함 (이미 붙은 요청의 표시용) — 새로 붙이는 선택지는 사용 중인 태그만
+function tagById(id) {
+    return tagList.find(t => t.id === id) || null;
+}
 
-    isSaving = true;
-    const bulkBtn = $('#btnBulkDelete button, #btnBulkDelete');
-    bulkBtn.prop('disabled', true);
-    Swal.fire({ title: '삭제 중\u2026', didOpen: () => Swal.showLoading(), allowOutsideClick: false });
+function tagChip(tag) {
+    return `<span class="inline-block px-1.5 rounded text-[11px] font-bold text-white" style="background-color: ${esc(tag.color)}">${esc(tag.name)}</span>`;
+}
 
-    let successCount = 0;
-    const failedCodes = [];
-    for (const item of items) {
-        try {
-            const { ok, data: json } = await safeFetch(`/api/admin/request/${item.id}`, { method: 'DELETE' });
-            if (ok && json.success) successCount++;
-            else failedCodes.push(item.code);
-        } catch (err) { failedCodes.push(item.code); }
-    }
+function renderTagChips(ids) {
+    return (ids || []).map(tagById).filter(Boolean).map(tagChip).join(' ');
+}
 
-    await loadData();
-    table.rows().deselect();
+function priorityInfo(level) {
+    return priorityLevels.find(p => p.level === level) || null;
+}
 
-    if (failedCodes.length === 0) {
-        Swal.fire({ icon: 'success', title: `${successCount}건 삭제 완료`, timer: 1500, showConfirmButton: false });
-    } else {
-        Swal.fire({
-            icon: 'warning',
-            title: '일부 실패',
-            html: `<p class="text-sm">성공: ${successCount}건 / 실패: ${failedCodes.length}건</p><p class="text-xs text-red-500 mt-2">실패 항목: ${failedCodes.map(c => `<code>${esc(c)}</code>`).join(', ')}</p>`
-        });
-    }
-    isSaving = false;
-    bulkBtn.prop('disabled', false);
+// showNormal: false면 기본 단계(보통)는 표시하지 않음 (목록)
+function renderPriorityBadge(level, showNormal = true) {
+    const p = priorityInfo(level);
+    if (!p || (!showNormal && p.level === 1)) return '';
+    return `<span class="inline-block px-1.5 rounded text-[11px] font-black border" style="color: ${esc(p.color)}; border-color: ${esc(p.color)}">${esc(p.label)}</span>`;
 }
 
-// ── 한국 시간 실시간 시계 ──
-const adminClockEl = document.getElementById('adminClock');
-function updateAdminClock() {
-    if (!adminClockEl) return;
-    const now = new Date();
-    const dateStr = now.toLocaleDateString('ko-KR', { timeZone:'Asia/Seoul', year:'numeric', month:'2-digit', day:'2-digit', weekday:'short' });
-    const timeStr = now.toLocaleTimeString('ko-KR', { timeZone:'Asia/Seoul', hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:false });
-    adminClockEl.textContent = `${dateStr} ${timeStr}`;
+// 사용 중인 태그 + 이미 붙어 있는 숨김 태그 (체크 해제로 뗄 수 있도록). includeHidden: 숨김 태그 전부 (일괄 제거)
+function tagCheckboxes(name, checkedIds = [], { includeHidden = false } = {}) {
+    const options = tagList.filter(t => t.is_active || includeHidden || checkedIds.includes(t.id));
+    if (options.length === 0) return '<p class="text-xs text-[#A3A3A3]">등록된 태그가 없습니다.</p>';
+    return options.map(t => `<label class="inline-flex items-center gap-1 mr-3 mb-1 cursor-pointer">
+        <input type="checkbox" name="${name}" value="${t.id}" ${checkedIds.includes(t.id) ? 'checked' : ''}> ${tagChip(t)}
+    </label>`).join('');
 }
-updateAdminClock();
-setInterval(updateAdminClock, 1000);
 
-function logout() { fetch('/api/admin/logout', { method:'POST', credentials:'include' }).then(() => location.reload()); }
-function printPage() { window.print(); }
+function priorityOptions(selected, { keep = false } = {}) {
+    return (keep ? '<option value="">변경 안 함</option>' : '') +
+        priorityLevels.map(p => `<option value="${p.level}" ${p.level === selected ? 'selected' : ''}>${esc(p.label)}</option>`).join('');
+}
 
-// 상세보기 인라인 파일 삭제
-async function deleteFileInline(requestId, fileId) {
-    const result = await Swal.fire({
-        title: '파일을 삭제하시겠습니까?',
-        icon: 'warning',
-        showCancelButton: true,
-        confirmButtonColor: '#DC2626',
-        confirmButtonText: '삭제',
-        cancelButtonText: '취소'
+// 상세보기: 태그 · 우선순위 지정
+async function openClassifyDialog(requestId) {
+    const d = dataById.get(requestId);
+    if (!d) return;
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { value: form } = await Swal.fire({
+        title: '태그 · 우선순위',
+        html: `<div class="space-y-3 text-left">
+            <p class="text-xs text-[#737373]">${esc(d.request_code)}</p>
+            <div><label class="text-xs font-bold text-[#404040] block mb-1">우선순위</label>
+                <select id="classify_priority" class="${inputClass}">${priorityOptions(d.priority)}</select></div>
+            <div><label class="text-xs font-bold text-[#404040] block mb-1">태그</label>
+                <div class="text-sm">${tagCheckboxes('classify_tag', d.tag_ids)}</div></div>
+        </div>`,
+        showCancelButton: true, confirmButtonText: '저장', cancelButtonText: '취소',
+        preConfirm: () => ({
+            priority: parseInt($('#classify_priority').val(), 10),
+            tagIds: $('input[name="classify_tag"]:checked').map((_, el) => parseInt(el.value, 10)).get()
+        })
     });
-    if (!result.isConfirmed) return;
-
+    if (!form) return;
     try {
-        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/file/${fileId}`, { method: 'DELETE' });
+        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/tags`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        });
         if (ok && json.success) {
-            Swal.fire({ icon: 'success', title: '삭제 완료', timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            Swal.fire({ icon: 'success', title: '분류 저장 완료', timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
             await loadData();
-            openDetail(requestId);
+            if (currentDetailId === requestId) openDetail(requestId);
         } else {
-            Swal.fire('삭제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+            Swal.fire('분류 저장 실패', json.error || '서버 오류가 발생했습니다.', 'error');
         }
-    } catch (err) {
-        Swal.fire('오류', err.message, 'error');
-    }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
 }
 
-// 상세보기 인라인 파일 추가
-async function addFilesInline(requestId, fieldName, inputEl, remaining) {
-    if (!inputEl.files || inputEl.files.length === 0) return;
-    if (inputEl.files.length > remaining) {
-        inputEl.value = '';
-        Swal.fire('오류', `${remaining}개까지만 추가할 수 있습니다. (현재 ${5 - remaining}/5)`, 'warning');
-        return;
-    }
-    const fd = new FormData();
-    for (const f of inputEl.files) {
-        fd.append(fieldName, f);
-    }
-    inputEl.value = '';
+// ── 담당자 배정: 선택지 · 지정/변경/해제 · 배정 이력 ──
+const ASSIGN_METHOD_LABELS = { auto: '자동 배정', manual: '지정', release: '해제' };
 
-    Swal.fire({ title: '업로드 중\u2026', didOpen: () => Swal.showLoading(), allowOutsideClick: false });
+async function loadAssignees() {
+    try {
+        const { ok, data: res } = await safeFetch('/api/admin/assignees');
+        if (ok && res.success) assignees = res.data;
+    } catch (e) { /* 선택지 없이 목록은 계속 표시 */ }
+}
 
+async function openAssignDialog(requestId) {
+    const d = dataById.get(requestId);
+    if (!d) return;
+    const options = assignees.map(u =>
+        `<option value="${u.id}" ${u.id === d.assigned_to ? 'selected' : ''}>${esc(u.name)} (${esc(u.roleLabel)} · 미처리 ${u.open_count}건)</option>`).join('');
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { value: form } = await Swal.fire({
+        title: '담당자 지정',
+        html: `<div class="space-y-2 text-left">
+            <p class="text-xs text-[#737373]">${esc(d.request_code)} · 현재: ${d.assigned_to ? esc(d.assigned_name) : '미배정'}</p>
+            <select id="assign_user" class="${inputClass}">
+                <option value="">미배정 (담당 해제)</option>${options}
+            </select>
+            <input id="assign_note" class="${inputClass}" maxlength="200" placeholder="메모 (선택, 예: 휴가로 인계)">
+        </div>`,
+        showCancelButton: true, confirmButtonText: '저장', cancelButtonText: '취소',
+        preConfirm: () => {
+            const userId = $('#assign_user').val() ? parseInt($('#assign_user').val(), 10) : null;
+            if (userId === (d.assigned_to || null)) { Swal.showValidationMessage('현재 담당자와 같습니다.'); return false; }
+            return { userId, note: $('#assign_note').val().trim() };
+        }
+    });
+    if (!form) return;
     try {
-        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/files`, { method: 'POST', body: fd }, 60000);
+        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/assignee`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        });
         if (ok && json.success) {
-            Swal.fire({ icon: 'success', title: `${json.added}개 추가 완료`, timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            Swal.fire({ icon: 'success', title: '담당자 변경 완료', timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            await loadData();
+            if (currentDetailId === requestId) openDetail(requestId);
+        } else {
+            Swal.fire('담당자 변경 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function loadAssignmentHistory(requestId) {
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/request/${requestId}/assignments`);
+        res = result.data;
+    } catch (err) { return; }
+    if (requestId !== currentDetailId || !res.success) return;
+    const $box = $('#assignmentHistory');
+    if (res.data.length === 0) { $box.empty(); return; }
+
+    $box.html(`
+        <p class="text-xs sm:text-sm font-bold text-[#404040] mb-1.5">담당자 배정 이력 (${res.data.length}건)</p>
+        <ol class="border-l-2 border-[#E5E5E5] ml-1.5 space-y-2">${res.data.map(a => `
+            <li class="relative pl-4">
+                <span class="absolute -left-[5px] top-1.5 w-2 h-2 rounded-full ${a.method === 'auto' ? 'bg-[#A3A3A3]' : 'bg-blue-500'}"></span>
+                <div class="flex flex-wrap items-center gap-x-2 text-xs text-[#737373]">
+                    <span>${fmtDateTime(a.created_at)}</span>
+                    <span class="px-1.5 rounded bg-[#F5F5F5] font-bold">${ASSIGN_METHOD_LABELS[a.method] || esc(a.method)}</span>
+                    ${a.assigned_by ? `<span class="font-mono">${esc(a.assigned_by)}</span>` : ''}
+                </div>
+                <p class="text-sm">${a.from_user_id ? esc(a.from_name) : '<span class="text-[#A3A3A3]">미배정</span>'} → ${a.to_user_id ? `<span class="font-bold">${esc(a.to_name)}</span>` : '<span class="text-[#A3A3A3]">미배정</span>'}
+                    ${a.note ? `<span class="text-xs text-[#737373] ml-1">· ${esc(a.note)}</span>` : ''}</p>
+            </li>`).join('')}
+        </ol>`);
+}
+
+// ── 완료 건 재처리: 요청 · 다른 승인자 승인/거절 · 요청자 취소 · 이력 ──
+const REOPEN_STATE_LABELS = { pending: '승인 대기', approved: '승인', rejected: '거절', cancelled: '취소' };
+const REOPEN_STATE_STYLES = { pending: 'bg-amber-100 text-amber-700', approved: 'bg-green-100 text-green-700', rejected: 'bg-red-100 text-red-600', cancelled: 'bg-[#F5F5F5] text-[#737373]' };
+
+async function openReopenDialog(requestId) {
+    const d = dataById.get(requestId);
+    const rule = workflowConfig?.reopen;
+    if (!d || !rule) return;
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { value: form } = await Swal.fire({
+        title: '재처리 요청',
+        html: `<div class="space-y-2 text-left">
+            <p class="text-xs text-[#737373]">${esc(d.request_code)} · 현재: ${esc(d.status)}</p>
+            <select id="reopen_status" class="${inputClass}">
+                ${rule.to.map(code => `<option value="${esc(code)}">${esc(code)} 상태로 되돌리기</option>`).join('')}
+            </select>
+            <textarea id="reopen_reason" rows="4" maxlength="${rule.reason.maxLength}" class="${inputClass}" placeholder="${esc(rule.reason.label)} (예: 환불 계좌 오기재로 재송금 필요)"></textarea>
+            <p class="text-[11px] text-[#A3A3A3]">다른 승인자가 승인해야 상태가 바뀝니다.</p>
+        </div>`,
+        showCancelButton: true, confirmButtonText: '요청', cancelButtonText: '취소',
+        preConfirm: () => {
+            const reason = $('#reopen_reason').val().trim();
+            if (!reason) { Swal.showValidationMessage(`${rule.reason.label} 항목을 입력해주세요.`); return false; }
+            return { status: $('#reopen_status').val(), reason };
+        }
+    });
+    if (!form) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/reopen`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: '재처리 요청 완료', text: '승인자 확인 후 반영됩니다.', timer: 1500, showConfirmButton: false });
+            if (currentDetailId === requestId) loadReopenHistory(requestId);
+            loadApprovalCount();
+        } else {
+            Swal.fire('재처리 요청 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// decision: 'approve' | 'reject' | 'cancel'
+async function decideReopen(reopenId, decision, requestId) {
+    const titles = { approve: '재처리 승인', reject: '재처리 거절', cancel: '재처리 요청 취소' };
+    const { value: note, isConfirmed } = await Swal.fire({
+        title: titles[decision],
+        input: decision === 'cancel' ? undefined : 'text',
+        inputPlaceholder: decision === 'reject' ? '거절 사유 (필수)' : '메모 (선택)',
+        inputAttributes: { maxlength: 200 },
+        text: decision === 'approve' ? '승인하면 요청한 상태로 즉시 되돌아갑니다.' : decision === 'cancel' ? '대기 중인 재처리 요청을 취소합니다.' : undefined,
+        showCancelButton: true, confirmButtonText: '확인', cancelButtonText: '닫기',
+        confirmButtonColor: decision === 'approve' ? undefined : '#DC2626',
+        inputValidator: (v) => (decision === 'reject' && !v.trim() ? '거절 사유를 입력해주세요.' : undefined)
+    });
+    if (!isConfirmed) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/reopens/${reopenId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ decision, note: (note || '').trim() })
+        });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: `${titles[decision]} 완료`, timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            loadApprovalCount();
+            if (decision === 'approve') await loadData();
+            if (!$('[data-panel="approvals"]').hasClass('hidden')) loadApprovals();
+            if (requestId && currentDetailId === requestId) {
+                if (decision === 'approve') openDetail(requestId);
+                else loadReopenHistory(requestId);
+            }
+        } else {
+            Swal.fire(`${titles[decision]} 실패`, json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+function reopenActionButtons(o, requestId) {
+    if (o.state !== 'pending') return '';
+    const btnClass = 'text-xs font-bold border rounded px-2 py-0.5';
+    if (o.requested_by === currentUser?.id) {
+        return `<button data-reopen-decision="cancel" data-reopen-id="${o.id}" data-request-id="${requestId}" class="${btnClass} border-[#E5E5E5] hover:bg-[#F5F5F5]">요청 취소</button>`;
+    }
+    if (!can(workflowConfig?.reopen?.approve)) return '<span class="text-xs text-[#A3A3A3]">승인자 확인 대기</span>';
+    return `<button data-reopen-decision="approve" data-reopen-id="${o.id}" data-request-id="${requestId}" class="${btnClass} border-green-300 text-green-700 hover:bg-green-50">승인</button>
+        <button data-reopen-decision="reject" data-reopen-id="${o.id}" data-request-id="${requestId}" class="${btnClass} border-red-300 text-red-600 hover:bg-red-50">거절</button>`;
+}
+
+async function loadReopenHistory(requestId) {
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/request/${requestId}/reopens`);
+        res = result.data;
+    } catch (err) { return; }
+    if (requestId !== currentDetailId || !res.success) return;
+    const $box = $('#reopenHistory');
+    if (res.data.length === 0) { $box.empty(); return; }
+
+    $box.html(`
+        <p class="text-xs sm:text-sm font-bold text-[#404040] mb-1.5">재처리 이력 (${res.data.length}건)</p>
+        <ol class="border-l-2 border-[#E5E5E5] ml-1.5 space-y-2">${res.data.map(o => `
+            <li class="relative pl-4">
+                <span class="absolute -left-[5px] top-1.5 w-2 h-2 rounded-full ${o.state === 'pending' ? 'bg-amber-500' : 'bg-[#A3A3A3]'}"></span>
+                <div class="flex flex-wrap items-center gap-x-2 text-xs text-[#737373]">
+                    <span>${fmtDateTime(o.created_at)}</span>
+                    <span class="px-1.5 rounded font-bold ${REOPEN_STATE_STYLES[o.state] || ''}">${REOPEN_STATE_LABELS[o.state] || esc(o.state)}</span>
+                    <span class="font-mono">${esc(o.requested_by_name)}</span>
+                    ${o.decided_by_name ? `<span>→ <span class="font-mono">${esc(o.decided_by_name)}</span> ${fmtDateTime(o.decided_at)}</span>` : ''}
+                </div>
+                <p class="text-sm">${esc(o.from_status)} → <span class="font-bold">${esc(o.to_status)}</span> <span class="text-xs text-[#737373] ml-1">· ${esc(o.reason)}</span></p>
+                ${o.decision_note ? `<p class="text-xs text-[#737373]">메모: ${esc(o.decision_note)}</p>` : ''}
+                <div class="mt-1 space-x-1">${reopenActionButtons(o, requestId)}</div>
+            </li>`).join('')}
+        </ol>`);
+}
+
+// ── 중복 · 재접수 의심 (연락처 또는 계좌 + 입금액 + 입금 일시 근접, 서버 duplicates.js) ──
+const DUPLICATE_STATE_LABELS = { suspected: '의심', merged: '병합', dismissed: '중복 아님' };
+const DUPLICATE_STATE_STYLES = { suspected: 'bg-amber-100 text-amber-700', merged: 'bg-[#F5F5F5] text-[#737373]', dismissed: 'bg-[#F5F5F5] text-[#A3A3A3]' };
+const DUPLICATE_MATCH_LABELS = { phone: '연락처', account: '계좌' };
+
+function fmtDuplicateMatch(matchOn) {
+    return String(matchOn || '').split(',').map(m => DUPLICATE_MATCH_LABELS[m] || esc(m)).join('·') + '·입금액·입금일시';
+}
+
+async function loadDuplicateLinks(requestId) {
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/request/${requestId}/duplicates`);
+        res = result.data;
+    } catch (err) { return; }
+    if (requestId !== currentDetailId || !res.success) return;
+    const $box = $('#duplicateLinks');
+    if (res.data.length === 0) { $box.empty(); return; }
+
+    const btnClass = 'text-xs font-bold border rounded px-2 py-0.5';
+    $box.html(`
+        <p class="text-xs sm:text-sm font-bold text-[#404040] mb-1.5">중복 접수 의심 (${res.data.length}건)</p>
+        <ul class="space-y-1.5">${res.data.map(l => {
+            const isLater = l.request_id === requestId;
+            const otherId = isLater ? l.original_id : l.request_id;
+            const otherCode = isLater ? l.original_code : l.request_code;
+            const otherStatus = isLater ? l.original_status : l.request_status;
+            return `<li class="border ${l.state === 'suspected' ? 'border-amber-200 bg-amber-50' : 'border-[#E5E5E5]'} rounded px-3 py-2">
+                <div class="flex flex-wrap items-center gap-x-2 text-xs text-[#737373]">
+                    <span class="px-1.5 rounded font-bold ${DUPLICATE_STATE_STYLES[l.state] || ''}">${DUPLICATE_STATE_LABELS[l.state] || esc(l.state)}</span>
+                    <span>${isLater ? '먼저 접수된 건' : '나중에 접수된 건'}</span>
+                    <button data-open-request="${otherId}" class="font-mono font-bold text-[#1A1A1A] underline underline-offset-2">${esc(otherCode)}</button>
+                    <span class="status-${esc(otherStatus)}">${esc(otherStatus)}</span>
+                    <span>· 일치: ${fmtDuplicateMatch(l.match_on)}</span>
+                </div>
+                ${l.decided_by_name ? `<p class="text-xs text-[#737373] mt-0.5"><span class="font-mono">${esc(l.decided_by_name)}</span> ${fmtDateTime(l.decided_at)}${l.decision_note ? ` · ${esc(l.decision_note)}` : ''}</p>` : ''}
+                ${l.state === 'suspected' && can('request:status') ? `<div class="mt-1 space-x-1">
+                    <button data-duplicate-decision="merge" data-duplicate-id="${l.id}" data-request-id="${requestId}" class="${btnClass} border-blue-300 text-blue-600 hover:bg-blue-50">${esc(l.request_code)} → ${esc(l.original_code)} 병합</button>
+                    <button data-duplicate-decision="dismiss" data-duplicate-id="${l.id}" data-request-id="${requestId}" class="${btnClass} border-[#E5E5E5] text-[#737373] hover:bg-[#F5F5F5]">중복 아님</button>
+                </div>` : ''}
+            </li>`;
+        }).join('')}
+        </ul>`);
+}
+
+async function decideDuplicate(linkId, decision, requestId) {
+    const titles = { merge: '중복 병합', dismiss: '중복 아님 판정' };
+    const { value: note, isConfirmed } = await Swal.fire({
+        title: titles[decision],
+        text: decision === 'merge'
+            ? `나중에 접수된 건을 '${workflowConfig?.duplicateMergeStatus}' 상태로 닫고, 신청인 상태 조회에 원 요청 식별코드를 안내합니다.`
+            : '같은 두 건은 다시 중복 의심으로 표시되지 않습니다.',
+        input: 'text',
+        inputPlaceholder: '메모 (선택)',
+        inputAttributes: { maxlength: 200 },
+        showCancelButton: true, confirmButtonText: '확인', cancelButtonText: '닫기'
+    });
+    if (!isConfirmed) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/duplicates/${linkId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ decision, note: (note || '').trim() })
+        });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: `${titles[decision]} 완료`, timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            await loadData();
+            if (currentDetailId === requestId) openDetail(requestId);
+        } else {
+            Swal.fire(`${titles[decision]} 실패`, json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 신청인 알림 (서버 src/notifier.js) ──
+const NOTIFICATION_EVENT_LABELS = { submitted: '접수 완료', status: '상태 변경' };
+const NOTIFICATION_STATE_LABELS = { pending: '발송 중', sent: '발송', failed: '실패', skipped: '미발송', resent: '실패 · 재발송함' };
+const NOTIFICATION_STATE_STYLES = {
+    pending: 'bg-[#F5F5F5] text-[#737373]', sent: 'bg-green-100 text-green-700',
+    failed: 'bg-red-100 text-red-700', skipped: 'bg-[#F5F5F5] text-[#A3A3A3]', resent: 'bg-[#F5F5F5] text-[#737373]'
+};
+const NOTIFICATION_SKIP_LABELS = { opt_out: '수신 거부', not_mobile: '휴대전화 아님', disabled: '발송 안 함 설정' };
+
+async function loadApplicantNotifications(requestId) {
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/request/${requestId}/notifications`);
+        res = result.data;
+    } catch (err) { return; }
+    if (requestId !== currentDetailId || !res.success) return;
+
+    const btnClass = 'text-xs font-bold border rounded px-2 py-0.5';
+    const toggle = can('request:edit')
+        ? `<button data-notification-optout="${res.optOut ? 'off' : 'on'}" data-request-id="${requestId}" class="${btnClass} border-[#E5E5E5] text-[#737373] hover:bg-[#F5F5F5]">${res.optOut ? '수신 거부 해제' : '수신 거부로 변경'}</button>`
+        : '';
+    $('#applicantNotifications').html(`
+        <div class="flex flex-wrap items-center gap-2 mb-1.5">
+            <p class="text-xs sm:text-sm font-bold text-[#404040]">신청인 알림 (${res.data.length}건)</p>
+            <span class="text-xs text-[#737373]">발송 수단: <span class="font-mono">${esc(res.provider)}</span></span>
+            ${res.optOut ? `<span class="text-xs font-bold px-1.5 rounded bg-amber-100 text-amber-700">수신 거부${res.optOutAt ? ` · ${fmtDateTime(res.optOutAt)}` : ''}</span>` : ''}
+            ${toggle}
+        </div>
+        ${res.data.length === 0 ? '<p class="text-xs text-[#A3A3A3]">발송 기록이 없습니다.</p>' : `<ul class="space-y-1">${res.data.map(n => `
+            <li class="border ${n.state === 'failed' ? 'border-red-200 bg-red-50' : 'border-[#E5E5E5]'} rounded px-3 py-1.5">
+                <div class="flex flex-wrap items-center gap-x-2 text-xs text-[#737373]">
+                    <span class="px-1.5 rounded font-bold ${NOTIFICATION_STATE_STYLES[n.state] || ''}">${NOTIFICATION_STATE_LABELS[n.state] || esc(n.state)}</span>
+                    <span class="font-bold text-[#404040]">${NOTIFICATION_EVENT_LABELS[n.event] || esc(n.event)}</span>
+                    ${n.status_code ? `<span>→ ${esc(n.status_code)}</span>` : ''}
+                    <span class="font-mono">${esc(n.recipient)}</span>
+                    <span>${fmtDateTime(n.sent_at || n.attempted_at || n.created_at)}</span>
+                    ${n.state === 'failed' && can('request:edit') ? `<button data-notification-resend="${n.id}" data-request-id="${requestId}" class="${btnClass} border-red-300 text-red-600 hover:bg-red-100">재발송</button>` : ''}
+                </div>
+                ${n.error ? `<p class="text-xs text-[#737373] mt-0.5">${n.state === 'skipped' ? esc(NOTIFICATION_SKIP_LABELS[n.error] || n.error) : esc(n.error)}</p>` : ''}
+            </li>`).join('')}
+        </ul>`}`);
+}
+
+async function setApplicantNotifyOptOut(requestId, optOut) {
+    const { isConfirmed } = await Swal.fire({
+        title: optOut ? '알림 수신 거부' : '알림 수신 거부 해제',
+        text: optOut ? '이후 접수·상태 변경 알림을 신청인에게 보내지 않습니다.' : '이후 상태 변경 시 신청인에게 다시 알림을 보냅니다.',
+        icon: 'question', showCancelButton: true, confirmButtonText: '변경', cancelButtonText: '닫기'
+    });
+    if (!isConfirmed) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/notifications`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ optOut })
+        });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: '알림 설정 변경 완료', timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            loadApplicantNotifications(requestId);
+        } else {
+            Swal.fire('변경 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function resendApplicantNotification(notificationId, requestId) {
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/notifications/${notificationId}/resend`, { method: 'POST' });
+        if (ok && json.success) {
+            const sent = json.state === 'sent';
+            Swal.fire({ icon: sent ? 'success' : 'warning', title: sent ? '재발송 완료' : `재발송 결과: ${NOTIFICATION_STATE_LABELS[json.state] || json.state}`, timer: 1200, showConfirmButton: false, position: 'top-end', toast: true });
+        } else {
+            Swal.fire('재발송 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+    if (currentDetailId === requestId) loadApplicantNotifications(requestId);
+}
+
+// 전체 재검사 (기능 도입 이전 접수분 포함)
+async function scanDuplicates() {
+    try {
+        const { ok, data: json } = await safeFetch('/api/admin/duplicates/scan', { method: 'POST' });
+        if (!ok || !json.success) return Swal.fire('중복 검사 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        Swal.fire({ icon: json.found > 0 ? 'warning' : 'success', title: json.found > 0 ? `새 중복 의심 ${json.found}건` : '새로 찾은 중복 의심이 없습니다', timer: 1500, showConfirmButton: false });
+        if (json.found > 0) {
+            await loadData();
+            $('#filter_duplicate').val('suspected').addClass('filter-active').trigger('change');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 승인함: 고액 건 완료 승인 · 완료 건 재처리 승인 (본인이 올린 건은 다른 승인자만 처리) ──
+async function loadApprovalCount() {
+    if (!can('request:approve') && !can(workflowConfig?.reopen?.approve)) return;
+    try {
+        const [approvals, reopens] = await Promise.all([
+            can('request:approve') ? safeFetch('/api/admin/approvals') : null,
+            can(workflowConfig?.reopen?.approve) ? safeFetch('/api/admin/reopens') : null
+        ]);
+        const count = (approvals?.data?.pending || 0) + (reopens?.data?.pending || 0);
+        $('#approvalBadge').text(count).toggleClass('hidden', !count);
+    } catch (e) { /* 배지 갱신 실패는 무시 */ }
+}
+
+function openApprovals() {
+    switchTab('approvals');
+}
+
+async function loadApprovals() {
+    const btnClass = 'text-xs font-bold border rounded px-2 py-1';
+    const openBtn = (requestId) => `<button data-open-request="${requestId}" class="${btnClass} border-[#E5E5E5] hover:bg-[#F5F5F5]">상세</button>`;
+    loadApprovalCount();
+
+    if (can('request:approve')) {
+        let res;
+        try {
+            const result = await safeFetch('/api/admin/approvals');
+            res = result.data;
+        } catch (err) { res = { success: false, error: err.message }; }
+        if (!res.success) {
+            $('#approvalTableBody').html(`<tr><td colspan="6" class="text-red-600">${esc(res.error || '승인 대기 목록을 불러올 수 없습니다.')}</td></tr>`);
+        } else {
+            $('#approvalThreshold').text(res.threshold ? `${Number(res.threshold).toLocaleString()}원 이상 건은 승인을 요청한 사람과 다른 승인자가 완료 처리합니다.` : '고액 건 승인 기준이 설정되어 있지 않습니다.');
+            const rows = res.data.map(r => `<tr class="${r.mine ? 'opacity-60' : ''}">
+                <td class="font-mono font-bold text-[#1A1A1A] whitespace-nowrap">${esc(r.request_code)}</td>
+                <td>${esc(r.applicant_name)}</td>
+                <td class="font-bold text-[#1A1A1A] whitespace-nowrap">${Number(r.deposit_amount).toLocaleString()}원</td>
+                <td class="text-[#737373]">${esc(r.bank_name)} ${esc(r.user_account)} ${esc(r.user_account_name)}</td>
+                <td class="text-[#737373] whitespace-nowrap">${esc(r.approval_requested_name) || '-'}${r.mine ? ' <span class="text-[11px] text-blue-600">(본인)</span>' : ''}<br>${fmtDateTime(r.approval_requested_at)}</td>
+                <td class="space-x-1 whitespace-nowrap">
+                    ${openBtn(r.id)}
+                    ${r.mine ? '<span class="text-xs text-[#A3A3A3]">다른 승인자 확인 대기</span>' : `
+                    <button data-approval-action="approve" data-request-id="${r.id}" class="${btnClass} border-green-300 text-green-700 hover:bg-green-50">승인 (완료)</button>
+                    <button data-approval-action="return" data-request-id="${r.id}" class="${btnClass} border-red-300 text-red-600 hover:bg-red-50">보완 요청</button>`}
+                </td>
+            </tr>`);
+            $('#approvalTableBody').html(rows.join('') || '<tr><td colspan="6" class="text-[#A3A3A3]">승인 대기 중인 건이 없습니다.</td></tr>');
+        }
+    }
+
+    if (can(workflowConfig?.reopen?.approve)) {
+        let res;
+        try {
+            const result = await safeFetch('/api/admin/reopens');
+            res = result.data;
+        } catch (err) { res = { success: false, error: err.message }; }
+        if (!res.success) {
+            $('#reopenApprovalTableBody').html(`<tr><td colspan="5" class="text-red-600">${esc(res.error || '재처리 요청 목록을 불러올 수 없습니다.')}</td></tr>`);
+            return;
+        }
+        const rows = res.data.map(o => `<tr class="${o.mine ? 'opacity-60' : ''}">
+            <td class="font-mono font-bold text-[#1A1A1A] whitespace-nowrap">${esc(o.request_code)}</td>
+            <td class="whitespace-nowrap">${esc(o.from_status)} → <span class="font-bold">${esc(o.to_status)}</span></td>
+            <td class="text-left text-[#525252] whitespace-pre-wrap">${esc(o.reason)}</td>
+            <td class="text-[#737373] whitespace-nowrap">${esc(o.requested_by_name)}${o.mine ? ' <span class="text-[11px] text-blue-600">(본인)</span>' : ''}<br>${fmtDateTime(o.created_at)}</td>
+            <td class="space-x-1 whitespace-nowrap">${openBtn(o.request_id)} ${reopenActionButtons({ ...o, state: 'pending' }, o.request_id)}</td>
+        </tr>`);
+        $('#reopenApprovalTableBody').html(rows.join('') || '<tr><td colspan="5" class="text-[#A3A3A3]">승인 대기 중인 재처리 요청이 없습니다.</td></tr>');
+    }
+}
+
+// action: 'approve' (승인대기 → 완료) | 'return' (보완 요청: 승인대기 → 처리중)
+// 승인 단계에서 나가는 전환 규칙의 대상 상태 (approve: 최종 상태, return: 보완 요청으로 돌려보낼 미처리 상태)
+function approvalTarget(action, item) {
+    const approvalCode = workflowConfig?.statuses.find(st => st.approval)?.code;
+    const rule = (workflowConfig?.transitions || []).find(t => t.from.includes(approvalCode) && t.to.some(code => isFinalStatus(code) === (action === 'approve')) && ruleApplies(t, item));
+    return rule?.to.find(code => isFinalStatus(code) === (action === 'approve')) ?? null;
+}
+
+async function handleApprovalAction(action, requestId) {
+    if (!dataById.has(requestId)) await loadData();
+    const item = dataById.get(requestId);
+    if (!item) return loadApprovals();
+    const to = approvalTarget(action, item);
+    if (!to) return Swal.fire('처리 불가', '이 건에 적용할 수 있는 승인 단계 전환 규칙이 없습니다.', 'warning');
+    let inputs = {};
+    if (action === 'approve') {
+        const confirm = await Swal.fire({
+            icon: 'question', title: '완료 승인',
+            html: `${esc(item.request_code)} · <strong>${Number(item.deposit_amount).toLocaleString()}원</strong><br><span class="text-sm text-[#737373]">승인하면 완료 처리되며 되돌리려면 재처리 승인이 필요합니다.</span>`,
+            showCancelButton: true, confirmButtonText: '승인', cancelButtonText: '취소'
+        });
+        if (!confirm.isConfirmed) return;
+    } else {
+        inputs = await promptTransitionInputs(item.status, to, item);
+        if (!inputs) return;
+    }
+    try {
+        const { ok, data: json } = await safeFetch('/api/admin/status', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: requestId, status: to, inputs })
+        });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: action === 'approve' ? '승인 완료' : '보완 요청 완료', timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            await loadData();
+            loadApprovals();
+        } else {
+            Swal.fire('처리 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function openInboxRequest(requestId) {
+    if (!dataById.has(requestId)) await loadData();
+    if (!dataById.has(requestId)) return Swal.fire('알림', '요청을 찾을 수 없습니다. (삭제되었을 수 있습니다)', 'info');
+    await openDetail(requestId);
+}
+
+// ── 필드 변경 이력 타임라인 (이전 값 복원) ──
+function fmtHistoryValue(field, v) {
+    if (v === null || v === '') return '<span class="text-[#D4D4D4]">(없음)</span>';
+    if (field === 'deposit_amount') return `${Number(v).toLocaleString()}원`;
+    if (field === 'applicant_phone') return fmtPhone(v);
+    return esc(v);
+}
+
+async function loadFieldHistory(requestId) {
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/request/${requestId}/history`);
+        res = result.data;
+    } catch (err) { return; }
+    if (requestId !== currentDetailId || !res.success) return;
+    const $box = $('#fieldHistory');
+    if (res.data.length === 0) { $box.empty(); return; }
+
+    const canRestore = can('request:edit');
+    $box.html(`
+        <p class="text-xs sm:text-sm font-bold text-[#404040] mb-1.5">변경 이력 (${res.data.length}건)</p>
+        <ol class="border-l-2 border-[#E5E5E5] ml-1.5 space-y-2.5">${res.data.map(h => `
+            <li class="relative pl-4">
+                <span class="absolute -left-[5px] top-1.5 w-2 h-2 rounded-full ${h.change_type === 'restore' ? 'bg-blue-500' : 'bg-[#A3A3A3]'}"></span>
+                <div class="flex flex-wrap items-center gap-x-2 text-xs text-[#737373]">
+                    <span>${fmtDateTime(h.changed_at)}</span>
+                    <span class="font-mono">${esc(h.changed_by_name) || '-'}</span>
+                    ${h.change_type === 'restore' ? '<span class="px-1.5 rounded bg-blue-100 text-blue-700 font-bold">복원</span>' : ''}
+                </div>
+                <div class="flex flex-wrap items-center justify-between gap-2 text-sm">
+                    <span class="break-all"><span class="font-bold text-[#404040]">${esc(FIELD_LABELS[h.field_name] || h.field_name)}</span>
+                        ${fmtHistoryValue(h.field_name, h.old_value)} → ${fmtHistoryValue(h.field_name, h.new_value)}</span>
+                    ${canRestore ? `<button data-restore-history="${h.id}" class="text-xs font-bold text-blue-500 hover:text-blue-700 border border-blue-200 rounded px-2 py-0.5 flex-shrink-0">이전 값으로 복원</button>` : ''}
+                </div>
+            </li>`).join('')}
+        </ol>`);
+}
+
+async function restoreFieldHistory(historyId) {
+    const requestId = currentDetailId;
+    const confirm = await Swal.fire({
+        icon: 'question', title: '이전 값으로 복원',
+        text: '이 변경 전의 값으로 되돌립니다. 복원 내역도 이력에 기록됩니다.',
+        showCancelButton: true, confirmButtonText: '복원', cancelButtonText: '취소'
+    });
+    if (!confirm.isConfirmed) return;
+    try {
+        const { ok, data: res } = await safeFetch(`/api/admin/request/${requestId}/history/${historyId}/restore`, { method: 'POST' });
+        if (ok && res.success) {
+            Swal.fire({ icon: 'success', title: '복원 완료', timer: 1000, showConfirmButton: false });
+            await loadData();
+            if (currentDetailId === requestId) openDetail(requestId);
+        } else {
+            Swal.fire('복원 실패', res.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) {
+        Swal.fire('오류', err.message, 'error');
+    }
+}
+
+// ── 상세 모달 탭 전환 (상세 / 변경 이력) ──
+function switchDetailTab(tab) {
+    $('[data-detail-tab]').removeClass('tab-active');
+    $(`[data-detail-tab="${tab}"]`).addClass('tab-active');
+    $('[data-detail-panel]').addClass('hidden');
+    $(`[data-detail-panel="${tab}"]`).removeClass('hidden');
+    if (tab === 'comments' && currentDetailId) loadComments(currentDetailId);
+    if (tab === 'audit' && currentDetailId) loadRequestAudit(currentDetailId);
+    if (tab === 'access' && currentDetailId) loadFileAccess(currentDetailId);
+}
+
+// ── 내부 메모 (관리자 전용 스레드, @아이디 언급) ──
+let mentionCandidates = null;        // @언급 가능한 관리자 (최초 메모 탭 진입 시 로드)
+
+// 본문 이스케이프 후 @아이디 강조
+function renderCommentBody(body) {
+    return esc(body).replace(/@([a-z0-9._-]{3,30})/gi, '<span class="font-bold text-blue-600">@$1</span>');
+}
+
+async function loadComments(requestId) {
+    const $panel = $('#modalComments');
+    $panel.html('<p class="text-sm text-[#A3A3A3]">불러오는 중…</p>');
+    let res;
+    try {
+        if (!mentionCandidates) {
+            const { ok, data } = await safeFetch('/api/admin/mention-candidates');
+            mentionCandidates = ok && data.success ? data.data : [];
+        }
+        const result = await safeFetch(`/api/admin/request/${requestId}/comments`);
+        res = result.data;
+    } catch (err) { $panel.html(`<p class="text-sm text-red-600">${esc(err.message)}</p>`); return; }
+    if (requestId !== currentDetailId) return;
+    if (!res.success) { $panel.html(`<p class="text-sm text-red-600">${esc(res.error || '메모를 불러올 수 없습니다.')}</p>`); return; }
+    const d = dataById.get(requestId);
+    if (d) d._commentCount = res.data.length;
+    $('#commentCount').text(res.data.length ? `(${res.data.length})` : '');
+    loadMentionCount();
+
+    const btnClass = 'text-xs font-bold text-[#A3A3A3] hover:text-[#1A1A1A]';
+    const thread = res.data.length === 0
+        ? '<p class="text-sm text-[#A3A3A3]">등록된 내부 메모가 없습니다.</p>'
+        : `<ol class="space-y-3">${res.data.map(c => {
+            const mine = c.author_id === currentUser?.id;
+            return `<li class="border border-[#E5E5E5] rounded-md px-3 py-2.5 ${mine ? 'bg-[#FAFAFA]' : ''}">
+                <div class="flex flex-wrap items-center justify-between gap-2 text-xs text-[#737373] mb-1">
+                    <span><span class="font-bold text-[#1A1A1A]">${esc(c.author_name)}</span> <span class="font-mono">@${esc(c.author_username)}</span>
+                        · ${fmtDateTime(c.created_at)}${c.updated_at ? ` <span title="${esc(fmtDateTime(c.updated_at))}">(수정됨)</span>` : ''}</span>
+                    <span class="space-x-2">
+                        ${mine && can('request:edit') ? `<button data-comment-action="edit" data-comment-id="${c.id}" class="${btnClass}">수정</button>` : ''}
+                        ${(mine && can('request:edit')) || can('request:delete') ? `<button data-comment-action="delete" data-comment-id="${c.id}" class="text-xs font-bold text-red-400 hover:text-red-600">삭제</button>` : ''}
+                    </span>
+                </div>
+                <p class="text-sm text-[#1A1A1A] whitespace-pre-wrap break-words">${renderCommentBody(c.body)}</p>
+            </li>`;
+        }).join('')}</ol>`;
+    const composer = !can('request:edit') ? '' : `
+        <div class="mt-4 pt-4 border-t border-[#E5E5E5]">
+            <textarea id="commentInput" rows="3" maxlength="2000" class="w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]" placeholder="내부 메모 (신청인에게 공개되지 않음) · @아이디로 관리자 언급"></textarea>
+            <div class="flex flex-wrap items-center justify-between gap-2 mt-2">
+                <select id="mentionPicker" class="border border-[#E5E5E5] rounded px-2 py-1.5 text-xs text-[#404040] outline-none">
+                    <option value="">@ 언급 추가</option>
+                    ${mentionCandidates.map(u => `<option value="${esc(u.username)}">${esc(u.name)} (@${esc(u.username)})</option>`).join('')}
+                </select>
+                <button data-action="submitComment" class="bg-[#1A1A1A] text-white px-4 py-1.5 rounded-md font-bold text-sm hover:bg-[#333]">등록</button>
+            </div>
+        </div>`;
+    $panel.html(thread + composer);
+    $panel.data('comments', res.data);
+}
+
+// 선택한 관리자 @아이디를 커서 위치에 삽입
+function insertMention(picker) {
+    const input = document.getElementById('commentInput');
+    if (!picker.value || !input) return;
+    const pos = input.selectionStart ?? input.value.length;
+    const before = input.value.slice(0, pos);
+    const token = `${before && !/\s$/.test(before) ? ' ' : ''}@${picker.value} `;
+    input.value = before + token + input.value.slice(pos);
+    input.focus();
+    input.selectionStart = input.selectionEnd = pos + token.length;
+    picker.value = '';
+}
+
+// 저장 후 결과 안내 (언급된 관리자 표시) + 스레드 갱신
+function afterCommentSaved(requestId, json, title) {
+    const mentioned = json.mentioned?.length ? ` · ${json.mentioned.join(', ')} 님에게 알림` : '';
+    Swal.fire({ icon: 'success', title: title + mentioned, timer: 1200, showConfirmButton: false, position: 'top-end', toast: true });
+    if (currentDetailId === requestId) loadComments(requestId);
+}
+
+async function submitComment() {
+    const requestId = currentDetailId;
+    const body = ($('#commentInput').val() || '').trim();
+    if (!requestId || !body) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/comments`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ body })
+        });
+        if (ok && json.success) afterCommentSaved(requestId, json, '메모 등록');
+        else Swal.fire('등록 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function handleCommentAction(action, commentId) {
+    const requestId = currentDetailId;
+    const c = ($('#modalComments').data('comments') || []).find(x => x.id === commentId);
+    if (!requestId || !c) return;
+    const url = `/api/admin/request/${requestId}/comments/${commentId}`;
+    if (action === 'edit') {
+        const { value: body } = await Swal.fire({
+            title: '메모 수정', input: 'textarea', inputValue: c.body,
+            inputAttributes: { maxlength: 2000 }, showCancelButton: true, confirmButtonText: '저장', cancelButtonText: '취소',
+            inputValidator: v => (!v || !v.trim()) ? '메모 내용을 입력해주세요.' : undefined
+        });
+        if (!body) return;
+        try {
+            const { ok, data: json } = await safeFetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body: body.trim() })
+            });
+            if (ok && json.success) afterCommentSaved(requestId, json, '메모 수정');
+            else Swal.fire('수정 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        } catch (err) { Swal.fire('오류', err.message, 'error'); }
+    } else if (action === 'delete') {
+        const confirm = await Swal.fire({
+            icon: 'warning', title: '메모 삭제', text: '삭제한 메모는 되돌릴 수 없습니다. (감사 로그에는 기록됩니다)',
+            showCancelButton: true, confirmButtonText: '삭제', cancelButtonText: '취소', confirmButtonColor: '#DC2626'
+        });
+        if (!confirm.isConfirmed) return;
+        try {
+            const { ok, data: json } = await safeFetch(url, { method: 'DELETE' });
+            if (ok && json.success) loadComments(requestId);
+            else Swal.fire('삭제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        } catch (err) { Swal.fire('오류', err.message, 'error'); }
+    }
+}
+
+// ── @언급 알림: 읽지 않은 건수 배지 + 목록 (클릭 시 해당 요청 메모 탭으로 이동) ──
+async function loadMentionCount() {
+    try {
+        const { ok, data: res } = await safeFetch('/api/admin/mentions?unread=1');
+        if (!ok || !res.success) return;
+        $('#mentionBadge').text(res.unread).toggleClass('hidden', !res.unread);
+    } catch (e) { /* 배지 갱신 실패는 무시 */ }
+}
+
+async function openMentions() {
+    let res;
+    try {
+        const result = await safeFetch('/api/admin/mentions');
+        res = result.data;
+    } catch (err) { Swal.fire('오류', err.message, 'error'); return; }
+    if (!res.success) { Swal.fire('오류', res.error || '언급 목록을 불러올 수 없습니다.', 'error'); return; }
+    const rows = res.data.map(m => `
+        <li data-open-mention="${m.request_id}" class="text-left border border-[#E5E5E5] rounded-md px-3 py-2 cursor-pointer hover:bg-[#F5F5F5] ${m.read_at ? 'opacity-60' : ''}">
+            <div class="flex justify-between gap-2 text-xs text-[#737373]">
+                <span><span class="font-mono font-bold text-[#1A1A1A]">${esc(m.request_code)}</span> · ${esc(m.author_name)}</span>
+                <span>${m.read_at ? '' : '<span class="text-red-500 font-bold">새 언급</span> · '}${fmtDateTime(m.created_at)}</span>
+            </div>
+            <p class="text-sm text-[#404040] mt-1 truncate">${renderCommentBody(m.excerpt)}</p>
+        </li>`).join('');
+    Swal.fire({
+        title: '나를 언급한 메모',
+        html: rows ? `<ol class="space-y-2 max-h-[60vh] overflow-y-auto">${rows}</ol>` : '<p class="text-sm text-[#A3A3A3]">언급된 메모가 없습니다.</p>',
+        width: 640, confirmButtonText: '닫기'
+    });
+}
+
+async function openMentionedRequest(requestId) {
+    Swal.close();
+    if (!dataById.has(requestId)) await loadData();
+    if (!dataById.has(requestId)) return Swal.fire('알림', '요청을 찾을 수 없습니다. (삭제되었을 수 있습니다)', 'info');
+    await openDetail(requestId);
+    switchDetailTab('comments');
+}
+
+// 감사 로그 표시용 한글 라벨
+const FIELD_LABELS = {
+    request_date: '신청일', deposit_date: '입금일', deposit_time: '입금시간', deposit_amount: '입금액',
+    bank_name: '은행명', user_account: '사용계좌', user_account_name: '예금주', contractor_code: '계약자 코드',
+    merchant_code: '가맹점 코드', applicant_name: '신청인', applicant_phone: '연락처', details: '상세 사유', status: '상태', reason: '사유',
+    assignee: '담당자', note: '메모', body: '내용', mentions: '언급', requester: '요청자',
+    original: '원 요청', match_on: '일치 항목', found: '탐지', tags: '태그', priority: '우선순위',
+    notify_opt_out: '알림 수신 거부', event: '알림', state: '발송 결과'
+};
+const AUDIT_ACTION_LABELS = {
+    'request.create': '등록', 'request.update': '정보 수정', 'request.status': '상태 변경', 'request.withdraw': '신청인 취소', 'request.delete': '삭제',
+    'request.notify_opt_out': '알림 수신 설정', 'request.notify_resend': '알림 재발송',
+    'request.restore': '이력 복원', 'request.assign': '담당자 배정', 'request.export': '엑셀 내보내기',
+    'request.duplicate_merge': '중복 병합', 'request.duplicate_dismiss': '중복 아님 판정', 'duplicate.scan': '중복 검사',
+    'request.tags': '태그 변경', 'request.priority': '우선순위 변경', 'tag.create': '태그 추가', 'tag.update': '태그 수정', 'tag.delete': '태그 삭제',
+    'request.reopen_request': '재처리 요청', 'request.reopen_approve': '재처리 승인', 'request.reopen_reject': '재처리 거절', 'request.reopen_cancel': '재처리 요청 취소',
+    'comment.create': '메모 작성', 'comment.update': '메모 수정', 'comment.delete': '메모 삭제', 'file.add': '파일 추가', 'file.supplement': '신청인 보완 제출', 'file.delete': '파일 삭제',
+    'template.create': '템플릿 추가', 'template.update': '템플릿 수정', 'template.delete': '템플릿 삭제',
+    'holiday.create': '휴일 등록', 'holiday.delete': '휴일 삭제', 'holiday.import': '휴일 가져오기'
+};
+
+function fmtAuditValue(v) {
+    if (v === null || v === undefined || v === '') return '<span class="text-[#D4D4D4]">(없음)</span>';
+    return esc(typeof v === 'object' ? JSON.stringify(v) : String(v));
+}
+
+function renderAuditChanges(entry) {
+    const b = entry.before || {}, a = entry.after || {};
+    if (entry.action.startsWith('file.')) {
+        const files = a.files || (b.name ? [b] : []);
+        return files.map(f => `<li>${esc(f.category)} · ${esc(f.name)}</li>`).join('');
+    }
+    if (entry.action === 'request.delete' || entry.action === 'request.create') return '';
+    return Object.keys({ ...b, ...a }).map(field =>
+        `<li><span class="font-bold text-[#404040]">${esc(FIELD_LABELS[field] || field)}</span>: ${fmtAuditValue(b[field])} → ${fmtAuditValue(a[field])}</li>`
+    ).join('');
+}
+
+async function loadRequestAudit(requestId) {
+    const $panel = $('#modalAudit');
+    $panel.html('<p class="text-sm text-[#A3A3A3]">불러오는 중…</p>');
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/audit?requestId=${requestId}&limit=200`);
+        res = result.data;
+    } catch (err) { $panel.html(`<p class="text-sm text-red-600">${esc(err.message)}</p>`); return; }
+    if (requestId !== currentDetailId) return; // 다른 상세로 이동한 경우 무시
+    if (!res.success) { $panel.html(`<p class="text-sm text-red-600">${esc(res.error || '변경 이력을 불러올 수 없습니다.')}</p>`); return; }
+    if (res.data.length === 0) { $panel.html('<p class="text-sm text-[#A3A3A3]">기록된 변경 이력이 없습니다.</p>'); return; }
+
+    $panel.html(`<ol class="space-y-3">${res.data.map(e => `
+        <li class="border border-[#E5E5E5] rounded-md px-3 py-2">
+            <div class="flex flex-wrap items-center justify-between gap-2 text-xs">
+                <span class="font-bold text-[#1A1A1A]">${esc(AUDIT_ACTION_LABELS[e.action] || e.action)}</span>
+                <span class="text-[#737373]">${fmtDateTime(e.created_at)} · <span class="font-mono">${esc(e.actor_username) || '-'}</span> · <span class="font-mono">${esc(e.ip) || '-'}</span></span>
+            </div>
+            <ul class="mt-1 text-xs text-[#525252] space-y-0.5 break-all">${renderAuditChanges(e)}</ul>
+        </li>`).join('')}</ol>
+        ${res.total > res.data.length ? `<p class="text-xs text-[#A3A3A3] mt-2">최근 ${res.data.length}건 표시 (전체 ${res.total}건)</p>` : ''}`);
+}
+
+// ── 첨부파일 열람 기록 (열람자별 요약 + 상세) ──
+async function loadFileAccess(requestId) {
+    const $panel = $('#modalAccess');
+    $panel.html('<p class="text-sm text-[#A3A3A3]">불러오는 중…</p>');
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/file-access?requestId=${requestId}&limit=200`);
+        res = result.data;
+    } catch (err) { $panel.html(`<p class="text-sm text-red-600">${esc(err.message)}</p>`); return; }
+    if (requestId !== currentDetailId) return;
+    if (!res.success) { $panel.html(`<p class="text-sm text-red-600">${esc(res.error || '열람 기록을 불러올 수 없습니다.')}</p>`); return; }
+    if (res.data.length === 0) { $panel.html('<p class="text-sm text-[#A3A3A3]">첨부파일 열람 기록이 없습니다.</p>'); return; }
+
+    $panel.html(`
+        <p class="text-xs font-bold text-[#404040] mb-1.5">열람자별 요약</p>
+        <table class="w-full text-xs mb-4 border border-[#E5E5E5]">
+            <thead class="bg-[#F5F5F5] text-[#404040]"><tr>
+                <th class="px-2 py-1.5 text-left">계정</th><th class="px-2 py-1.5 text-right">미리보기</th><th class="px-2 py-1.5 text-right">다운로드</th>
+                <th class="px-2 py-1.5 text-left">최초 열람</th><th class="px-2 py-1.5 text-left">최근 열람</th>
+            </tr></thead>
+            <tbody>${res.summary.map(u => `<tr class="border-t border-[#E5E5E5]">
+                <td class="px-2 py-1.5 font-mono">${esc(u.username) || '-'}</td><td class="px-2 py-1.5 text-right">${u.views}</td><td class="px-2 py-1.5 text-right">${u.downloads}</td>
+                <td class="px-2 py-1.5">${fmtDateTime(u.first_at)}</td><td class="px-2 py-1.5">${fmtDateTime(u.last_at)}</td>
+            </tr>`).join('')}</tbody>
+        </table>
+        <p class="text-xs font-bold text-[#404040] mb-1.5">상세 기록</p>
+        <ul class="text-xs text-[#525252] divide-y divide-[#E5E5E5] border border-[#E5E5E5]">${res.data.map(a => `
+            <li class="px-2 py-1.5 flex flex-wrap justify-between gap-2">
+                <span>${fmtDateTime(a.accessed_at)} · <span class="font-mono">${esc(a.username) || '-'}</span> · ${esc(a.category) || '파일'} ${a.access_type === 'download' ? '다운로드' : '미리보기'}</span>
+                <span class="font-mono text-[#A3A3A3]">${esc(a.ip) || '-'}</span>
+            </li>`).join('')}</ul>
+        ${res.total > res.data.length ? `<p class="text-xs text-[#A3A3A3] mt-2">최근 ${res.data.length}건 표시 (전체 ${res.total}건)</p>` : ''}`);
+}
+
+function closeModal() { $('#detailModal').addClass('hidden'); isEditMode = false; modalMode = 'view'; }
+
+// ── 신규 등록 모달 ──
+function openCreateModal() {
+    currentDetailId = null;
+    isEditMode = false;
+    modalMode = 'create';
+    switchDetailTab('info');
+    $('#detailTabs').addClass('hidden');
+    // Hide view/edit buttons, show create button
+    $('#btnEdit, #btnDelete, #btnPrint, #btnDownloadWord').hide();
+    $('#btnSaveCreate, #btnCancelEdit').removeClass('hidden').show();
+
+    const today = new Date().toISOString().slice(0, 10);
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-1.5 text-sm font-medium text-[#1A1A1A] outline-none focus:border-[#A3A3A3]';
+
+    $('#modalBody').html(`
+        <h2 class="text-center text-base sm:text-lg font-black text-[#1A1A1A] tracking-tight pb-3 mb-4 sm:mb-5 border-b-2 border-[#1A1A1A]">신규 사유서 등록</h2>
+        <div class="mb-4">
+            <label class="text-xs font-bold text-[#404040] mb-0.5 block">신청 유형</label>
+            <select id="create_request_type" class="${inputClass}">
+                <option value="반환청구">반환청구</option>
+                <option value="오입금">오입금</option>
+            </select>
+        </div>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">신청인 <span class="text-red-500">*</span></label><input id="create_applicant_name" class="${inputClass}" maxlength="20" placeholder="홍길동"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">연락처 <span class="text-red-500">*</span></label><input id="create_applicant_phone" class="${inputClass}" maxlength="11" placeholder="01012345678"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">계약자 코드 <span class="text-red-500">*</span></label><input id="create_contractor_type" class="${inputClass}" placeholder="계약자 코드"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">가맹점 코드 <span class="text-red-500">*</span></label><input id="create_merchant_type" class="${inputClass}" placeholder="가맹점 코드"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">신청일 <span class="text-red-500">*</span></label><input id="create_request_date" type="date" class="${inputClass}" value="${today}"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">입금일 <span class="text-red-500">*</span></label><input id="create_deposit_date" type="date" class="${inputClass}"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">입금시간 <span class="text-red-500">*</span></label><input id="create_deposit_time" type="time" step="1" class="${inputClass}"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">입금액 <span class="text-red-500">*</span></label><input id="create_deposit_amount" type="number" class="${inputClass}" placeholder="0"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">은행명 <span class="text-red-500">*</span></label><input id="create_bank_name" class="${inputClass}" maxlength="20" placeholder="은행명"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">사용계좌 <span class="text-red-500">*</span></label><input id="create_refund_account" class="${inputClass}" maxlength="16" placeholder="계좌번호 (숫자만)"></div>
+            <div><label class="text-xs font-bold text-[#404040] mb-0.5 block">예금주 <span class="text-red-500">*</span></label><input id="create_refund_account_name" class="${inputClass}" maxlength="20" placeholder="예금주명"></div>
+        </div>
+        <div class="mb-3">
+            <label class="text-xs font-bold text-[#404040] mb-0.5 block">상세 사유</label>
+            <textarea id="create_details" class="${inputClass}" rows="2" maxlength="200" placeholder="상세 사유를 입력하세요"></textarea>
+        </div>
+        <div class="mb-3">
+            <label class="text-xs font-bold text-[#404040] mb-0.5 block">입출금내역서 (최대 5개, PNG/JPG/PDF)</label>
+            <input type="file" id="create_deposit_files" accept=".jpg,.jpeg,.png,.pdf" multiple class="text-xs text-[#737373]">
+        </div>
+        <div class="mb-3" id="create_id_card_section">
+            <label class="text-xs font-bold text-[#404040] mb-0.5 block">신분증 (최대 5개, PNG/JPG/PDF)</label>
+            <input type="file" id="create_id_card_files" accept=".jpg,.jpeg,.png,.pdf" multiple class="text-xs text-[#737373]">
+        </div>
+        <div class="flex items-center gap-2">
+            <input type="checkbox" id="create_terms_agreed" class="cursor-pointer" style="width:14px;height:14px;">
+            <label for="create_terms_agreed" class="text-xs font-medium text-[#737373] cursor-pointer">개인정보 수집 및 이용 동의</label>
+        </div>
+    `);
+    // 오입금 선택 시 신분증 섹션 숨기기
+    $('#create_request_type').on('change', (e) => {
+        $('#create_id_card_section').toggle(e.target.value !== '오입금');
+    });
+    $('#detailModal').removeClass('hidden');
+}
+
+// ── 신규 등록 저장 ──
+async function saveCreate() {
+    if (isSaving) return;
+
+    // 클라이언트 필수 필드 검증
+    const createFields = {
+        '#create_applicant_name': '신청인 이름',
+        '#create_applicant_phone': '연락처',
+        '#create_contractor_type': '계약자 코드',
+        '#create_merchant_type': '가맹점 코드',
+        '#create_request_date': '신청일자',
+        '#create_deposit_date': '입금일자',
+        '#create_deposit_time': '입금시간',
+        '#create_deposit_amount': '입금액',
+        '#create_bank_name': '은행명',
+        '#create_refund_account': '환불계좌',
+        '#create_refund_account_name': '예금주'
+    };
+    const missing = [];
+    for (const [sel, label] of Object.entries(createFields)) {
+        if (!$(sel).val() || !$(sel).val().trim()) missing.push(label);
+    }
+    if (missing.length > 0) {
+        Swal.fire({ icon: 'warning', title: '필수 항목 누락', html: missing.map(m => `<span class="text-sm">${m}</span>`).join(', ') });
+        return;
+    }
+
+    isSaving = true;
+    const saveBtn = $('#btnSaveCreate');
+    saveBtn.prop('disabled', true).text('저장 중\u2026');
+
+    const fd = new FormData();
+    fd.append('applicant_name', $('#create_applicant_name').val());
+    fd.append('applicant_phone', $('#create_applicant_phone').val());
+    fd.append('contractor_type', $('#create_contractor_type').val());
+    fd.append('merchant_type', $('#create_merchant_type').val());
+    fd.append('request_date', $('#create_request_date').val());
+    fd.append('deposit_date', $('#create_deposit_date').val());
+    fd.append('deposit_time', $('#create_deposit_time').val());
+    fd.append('deposit_amount', $('#create_deposit_amount').val());
+    fd.append('bank_name', $('#create_bank_name').val());
+    fd.append('refund_account', $('#create_refund_account').val());
+    fd.append('refund_account_name', $('#create_refund_account_name').val());
+    fd.append('details', $('#create_details').val());
+    fd.append('request_type', $('#create_request_type').val());
+    fd.append('terms_agreed', $('#create_terms_agreed').is(':checked') ? '1' : '0');
+
+    const createDepositInput = document.getElementById('create_deposit_files');
+    if (createDepositInput?.files.length > 0) {
+        for (const f of createDepositInput.files) fd.append('deposit_files', f);
+    }
+    const createIdInput = document.getElementById('create_id_card_files');
+    if (createIdInput?.files.length > 0) {
+        for (const f of createIdInput.files) fd.append('id_card_files', f);
+    }
+
+    try {
+        const { ok, data: json } = await safeFetch('/api/admin/request', { method: 'POST', body: fd }, 60000);
+        if (ok && json.success) {
+            closeModal();
+            await loadData();
+            Swal.fire({ icon: 'success', title: '등록 완료', html: `<p class="text-sm text-gray-500">식별코드: <strong>${esc(json.requestCode)}</strong></p>`, timer: 2000, showConfirmButton: false });
+        } else {
+            Swal.fire('등록 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) {
+        Swal.fire('오류', err.message, 'error');
+    } finally {
+        isSaving = false;
+        saveBtn.prop('disabled', false).text('저장');
+    }
+}
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  선택 항목 일괄 처리 (POST /api/admin/requests/bulk)      ║
+// ╚═══════════════════════════════════════════════════════════╝
+const BULK_ACTION_LABELS = { status: '상태 변경', assign: '담당자 지정', tag: '태그 변경', priority: '우선순위 변경', delete: '삭제', export: '엑셀 내보내기' };
+
+// 선택된 행 → 데이터 (dataById 기준)
+function selectedItems() {
+    return table.rows({ selected: true }).data().toArray()
+        .map(r => dataById.get($(r[DETAIL_COL]).data('id')))
+        .filter(Boolean);
+}
+
+// 선택 막대: 건수 표시 + 권한 있는 작업이 하나라도 있을 때만 노출
+function updateBulkBar() {
+    const count = table.rows({ selected: true }).count();
+    const allowed = ['request:status', 'request:assign', 'request:edit', 'request:delete'].some(perm => can(perm));
+    $('#bulkCount').text(`${count}건 선택`);
+    $('#bulkBar').toggleClass('hidden', !(count > 0 && allowed)).toggleClass('flex', count > 0 && allowed);
+}
+
+// 일괄 요청 전송. 처리 결과 안내 후 목록 새로고침 (export는 응답 데이터를 그대로 반환)
+// 서버는 전부 반영 또는 전부 취소 — 처리할 수 없는 건이 있으면 아무것도 반영되지 않고 건별 사유만 안내
+async function runBulk(action, items, params = {}) {
+    if (isSaving) return null;
+    isSaving = true;
+    $('#bulkBar button').prop('disabled', true);
+    Swal.fire({ title: `${BULK_ACTION_LABELS[action]} 중…`, didOpen: () => Swal.showLoading(), allowOutsideClick: false });
+    try {
+        const { data: json } = await safeFetch('/api/admin/requests/bulk', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ids: items.map(d => d.id), action, params })
+        });
+        if (!json.success) {
+            if (json.committed === false && Array.isArray(json.results)) showBulkResults(action, json);
+            else Swal.fire(`${BULK_ACTION_LABELS[action]} 실패`, json.error || '서버 오류가 발생했습니다.', 'error');
+            return null;
+        }
+        if (action !== 'export') {
+            await loadData();
+            table.rows().deselect();
+        }
+        showBulkResults(action, json);
+        return json;
+    } catch (err) {
+        Swal.fire('오류', err.message, 'error');
+        return null;
+    } finally {
+        isSaving = false;
+        $('#bulkBar button').prop('disabled', false);
+    }
+}
+
+// 건별 결과 안내 (전체 취소 시 처리할 수 없는 건의 식별코드와 사유)
+function showBulkResults(action, json) {
+    const failed = json.results.filter(r => !r.ok);
+    const label = BULK_ACTION_LABELS[action];
+    if (failed.length === 0) {
+        if (action === 'export') { Swal.close(); return; }
+        Swal.fire({ icon: 'success', title: `${json.succeeded}건 ${label} 완료`, text: json.skipped ? `변경 없음 ${json.skipped}건` : undefined, timer: 1500, showConfirmButton: false });
+        return;
+    }
+    Swal.fire({
+        icon: 'warning',
+        title: `${label} 전체 취소`,
+        html: `<p class="text-sm">선택한 ${json.total}건 중 ${failed.length}건을 처리할 수 없어 아무것도 반영하지 않았습니다. 해당 건을 선택 해제한 뒤 다시 시도해 주세요.</p>
+            <ul class="text-xs text-left mt-2 max-h-60 overflow-y-auto space-y-1">${failed.map(r =>
+                `<li><code>${esc(r.request_code || `#${r.id}`)}</code> <span class="text-red-500">${esc(r.error)}</span></li>`).join('')}</ul>`
+    });
+}
+
+// ── 일괄 상태 변경: 선택 항목 모두가 전환 가능한(또는 이미 그 상태인) 상태만 선택지로, 필요한 입력은 규칙별로 한 번씩 ──
+async function bulkStatus() {
+    const items = selectedItems();
+    if (items.length === 0) return;
+    const candidates = (workflowConfig?.statuses || []).map(st => st.code)
+        .filter(code => items.some(d => d.status !== code) && items.every(d => d.status === code || selectableStatuses(d.status, d).includes(code)));
+    if (candidates.length === 0) return Swal.fire('상태 변경 불가', '선택한 항목에 적용할 수 있는 상태 전환이 없습니다.', 'info');
+
+    const { value: status } = await Swal.fire({
+        title: `${items.length}건 상태 변경`,
+        input: 'select',
+        inputOptions: Object.fromEntries(candidates.map(code => [code, code])),
+        inputLabel: '하나라도 전환할 수 없으면 전체 취소되고 결과에 표시됩니다.',
+        showCancelButton: true, confirmButtonText: '다음', cancelButtonText: '취소'
+    });
+    if (!status) return;
+
+    const inputs = {};
+    const prompted = new Set();
+    for (const d of items) {
+        const rule = findTransition(d.status, status, d);
+        if (!rule || prompted.has(rule)) continue;
+        prompted.add(rule);
+        const ruleInputs = await promptTransitionInputs(d.status, status, d);
+        if (ruleInputs === null) return;
+        Object.assign(inputs, ruleInputs);
+    }
+    await runBulk('status', items, { status, inputs });
+}
+
+// ── 일괄 담당자 지정 · 해제 ──
+async function bulkAssign() {
+    const items = selectedItems();
+    if (items.length === 0) return;
+    const options = assignees.map(u => `<option value="${u.id}">${esc(u.name)} (${esc(u.roleLabel)} · 미처리 ${u.open_count}건)</option>`).join('');
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { value: form } = await Swal.fire({
+        title: `${items.length}건 담당자 지정`,
+        html: `<div class="space-y-2 text-left">
+            <select id="bulk_assign_user" class="${inputClass}">
+                <option value="">미배정 (담당 해제)</option>${options}
+            </select>
+            <input id="bulk_assign_note" class="${inputClass}" maxlength="200" placeholder="메모 (선택, 예: 휴가로 인계)">
+            <p class="text-[11px] text-[#A3A3A3]">처리 완료·반려 건은 건너뜁니다.</p>
+        </div>`,
+        showCancelButton: true, confirmButtonText: '저장', cancelButtonText: '취소',
+        preConfirm: () => ({
+            userId: $('#bulk_assign_user').val() ? parseInt($('#bulk_assign_user').val(), 10) : null,
+            note: $('#bulk_assign_note').val().trim()
+        })
+    });
+    if (!form) return;
+    await runBulk('assign', items, form);
+}
+
+// ── 일괄 태그 추가 · 제거 ──
+async function bulkTag() {
+    const items = selectedItems();
+    if (items.length === 0) return;
+    if (!tagList.some(t => t.is_active)) return Swal.fire('태그 없음', '등록된 태그가 없습니다. 태그 관리 탭에서 먼저 추가해주세요.', 'info');
+    const { value: form } = await Swal.fire({
+        title: `${items.length}건 태그`,
+        html: `<div class="space-y-3 text-left text-sm">
+            <div><label class="text-xs font-bold text-[#404040] block mb-1">추가</label>${tagCheckboxes('bulk_tag_add')}</div>
+            <div><label class="text-xs font-bold text-[#404040] block mb-1">제거</label>${tagCheckboxes('bulk_tag_remove', [], { includeHidden: true })}</div>
+        </div>`,
+        showCancelButton: true, confirmButtonText: '적용', cancelButtonText: '취소',
+        preConfirm: () => {
+            const pick = (name) => $(`input[name="${name}"]:checked`).map((_, el) => parseInt(el.value, 10)).get();
+            const add = pick('bulk_tag_add'), remove = pick('bulk_tag_remove');
+            if (add.length + remove.length === 0) { Swal.showValidationMessage('추가하거나 제거할 태그를 선택해주세요.'); return false; }
+            if (add.some(id => remove.includes(id))) { Swal.showValidationMessage('같은 태그를 추가와 제거에 함께 선택할 수 없습니다.'); return false; }
+            return { add, remove };
+        }
+    });
+    if (!form) return;
+    await runBulk('tag', items, form);
+}
+
+// ── 일괄 우선순위 지정 ──
+async function bulkPriority() {
+    const items = selectedItems();
+    if (items.length === 0) return;
+    const { value: priority } = await Swal.fire({
+        title: `${items.length}건 우선순위`,
+        input: 'select',
+        inputOptions: Object.fromEntries(priorityLevels.map(p => [p.level, p.label])),
+        inputValue: '1',
+        showCancelButton: true, confirmButtonText: '적용', cancelButtonText: '취소'
+    });
+    if (priority === undefined) return;
+    await runBulk('priority', items, { priority: parseInt(priority, 10) });
+}
+
+// ── 선택 항목 일괄 삭제 ──
+async function bulkDelete() {
+    const items = selectedItems();
+    if (items.length === 0) return;
+
+    const result = await Swal.fire({
+        title: `${items.length}건을 삭제하시겠습니까?`,
+        html: `<p class="text-sm text-red-500">이 작업은 되돌릴 수 없습니다.</p>`,
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#DC2626',
+        confirmButtonText: `${items.length}건 삭제`,
+        cancelButtonText: '취소'
+    });
+    if (!result.isConfirmed) return;
+    await runBulk('delete', items);
+}
+
+// ── 상단 탭 전환 ──
+function switchTab(tab) {
+    $('[data-tab]').removeClass('tab-active');
+    $(`[data-tab="${tab}"]`).addClass('tab-active');
+    $('[data-panel]').addClass('hidden');
+    $(`[data-panel="${tab}"]`).removeClass('hidden');
+    if (tab === 'users') loadUsers();
+    if (tab === 'templates') loadTemplates();
+    if (tab === 'tags') loadTagAdmin();
+    if (tab === 'holidays') loadHolidays();
+    if (tab === 'approvals') loadApprovals();
+    if (tab === 'security') { loadSecurityStats(); loadLockouts(); if (can('session:manage')) loadAllSessions(); }
+}
+
+// ── 사용자 관리: 목록 ──
+async function loadUsers() {
+    let res;
+    try {
+        const result = await safeFetch('/api/admin/users');
+        res = result.data;
+    } catch (err) {
+        Swal.fire('오류', err.message || '사용자 목록을 불러올 수 없습니다.', 'error');
+        return;
+    }
+    if (!res.success) { Swal.fire('오류', res.error || '사용자 목록을 불러올 수 없습니다.', 'error'); return; }
+    userRoles = res.roles || [];
+
+    const rows = res.data.map(u => {
+        const isSelf = u.id === currentUser?.id;
+        const roleOpts = userRoles.map(r => `<option value="${esc(r.value)}" ${u.role === r.value ? 'selected' : ''}>${esc(r.label)}</option>`).join('');
+        return `<tr class="${u.is_active ? '' : 'opacity-50'}">
+            <td class="font-mono font-bold text-[#1A1A1A]">${esc(u.username)}${isSelf ? ' <span class="text-[11px] text-blue-600">(본인)</span>' : ''}</td>
+            <td>${esc(u.name)}</td>
+            <td><select data-user-role="${u.id}" class="list-status-select">${roleOpts}</select></td>
+            <td>${u.is_active ? '<span class="text-green-600 font-bold">활성</span>' : '<span class="text-[#A3A3A3] font-bold">비활성</span>'}</td>
+            <td>${u.totp_enabled ? '<span class="text-green-600 font-bold">사용</span>' : '<span class="text-[#A3A3A3]">미사용</span>'}</td>
+            <td class="text-[#737373]">${u.last_login ? new Date(u.last_login).toLocaleString('ko-KR') : '-'}</td>
+            <td class="text-[#737373]">${fmtDate(u.created_at)}</td>
+            <td class="space-x-1">
+                <button data-user-action="reset" data-user-id="${u.id}" data-username="${esc(u.username)}" class="text-xs font-bold border border-[#E5E5E5] rounded px-2 py-1 hover:bg-[#F5F5F5]">비밀번호 초기화</button>
+                ${u.totp_enabled ? `<button data-user-action="totpReset" data-user-id="${u.id}" data-username="${esc(u.username)}" class="text-xs font-bold border border-[#E5E5E5] rounded px-2 py-1 hover:bg-[#F5F5F5]">2단계 인증 초기화</button>` : ''}
+                ${isSelf ? '' : `<button data-user-action="toggle" data-user-id="${u.id}" data-active="${u.is_active ? 1 : 0}" class="text-xs font-bold border rounded px-2 py-1 ${u.is_active ? 'border-red-300 text-red-600 hover:bg-red-50' : 'border-[#E5E5E5] hover:bg-[#F5F5F5]'}">${u.is_active ? '비활성화' : '활성화'}</button>`}
+            </td>
+        </tr>`;
+    });
+    $('#userTableBody').html(rows.join('') || '<tr><td colspan="8" class="text-[#A3A3A3]">등록된 사용자가 없습니다.</td></tr>');
+}
+
+// ── 반려 사유 템플릿: 목록 · 추가 · 수정 · 사용 여부 · 삭제 ──
+let rejectionTemplates = [];
+
+async function loadTemplates() {
+    let res;
+    try {
+        const result = await safeFetch('/api/admin/rejection-templates?all=1');
+        res = result.data;
+    } catch (err) {
+        Swal.fire('오류', err.message || '템플릿 목록을 불러올 수 없습니다.', 'error');
+        return;
+    }
+    if (!res.success) { Swal.fire('오류', res.error || '템플릿 목록을 불러올 수 없습니다.', 'error'); return; }
+    rejectionTemplates = res.data;
+
+    const btnClass = 'text-xs font-bold border border-[#E5E5E5] rounded px-2 py-1 hover:bg-[#F5F5F5]';
+    const rows = res.data.map(t => `<tr class="${t.is_active ? '' : 'opacity-50'}">
+        <td>${t.sort_order}</td>
+        <td class="font-bold text-[#1A1A1A] whitespace-nowrap">${esc(t.title)}</td>
+        <td class="text-left text-[#525252] whitespace-pre-wrap">${esc(t.body)}</td>
+        <td>${t.is_active ? '<span class="text-green-600 font-bold">사용</span>' : '<span class="text-[#A3A3A3] font-bold">숨김</span>'}</td>
+        <td class="text-[#737373] whitespace-nowrap">${esc(t.updated_by) || '-'}<br>${fmtDateTime(t.updated_at)}</td>
+        <td class="space-x-1 whitespace-nowrap">
+            <button data-template-action="edit" data-template-id="${t.id}" class="${btnClass}">수정</button>
+            <button data-template-action="toggle" data-template-id="${t.id}" class="${btnClass}">${t.is_active ? '숨기기' : '사용'}</button>
+            <button data-template-action="delete" data-template-id="${t.id}" class="text-xs font-bold border border-red-300 text-red-600 rounded px-2 py-1 hover:bg-red-50">삭제</button>
+        </td>
+    </tr>`);
+    $('#templateTableBody').html(rows.join('') || '<tr><td colspan="6" class="text-[#A3A3A3]">등록된 템플릿이 없습니다.</td></tr>');
+}
+
+async function openTemplateForm(template = null) {
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { value: form } = await Swal.fire({
+        title: template ? '템플릿 수정' : '템플릿 추가',
+        html: `<div class="space-y-2 text-left">
+            <input id="tpl_title" class="${inputClass}" placeholder="제목 (예: 서류 미비)" maxlength="50" value="${esc(template?.title)}">
+            <textarea id="tpl_body" rows="5" class="${inputClass}" placeholder="신청인에게 안내될 반려 사유" maxlength="500">${esc(template?.body)}</textarea>
+            ${template ? `<input id="tpl_order" type="number" min="0" class="${inputClass}" placeholder="표시 순서" value="${template.sort_order}">` : ''}
+        </div>`,
+        showCancelButton: true,
+        confirmButtonText: template ? '저장' : '추가',
+        cancelButtonText: '취소',
+        preConfirm: () => {
+            const v = { title: $('#tpl_title').val().trim(), body: $('#tpl_body').val().trim() };
+            if (!v.title || !v.body) { Swal.showValidationMessage('제목과 내용을 입력해 주세요.'); return false; }
+            if (template) v.sortOrder = parseInt($('#tpl_order').val(), 10) || 0;
+            return v;
+        }
+    });
+    if (!form) return;
+    await saveTemplate(template, form);
+}
+
+async function saveTemplate(template, form) {
+    try {
+        const { ok, data: json } = await safeFetch(template ? `/api/admin/rejection-templates/${template.id}` : '/api/admin/rejection-templates', {
+            method: template ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        });
+        if (ok && json.success) loadTemplates();
+        else Swal.fire('저장 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function handleTemplateAction(action, id) {
+    const t = rejectionTemplates.find(x => x.id === id);
+    if (!t) return;
+    if (action === 'edit') return openTemplateForm(t);
+    if (action === 'toggle') return saveTemplate(t, { title: t.title, body: t.body, isActive: !t.is_active });
+    if (action === 'delete') {
+        const confirm = await Swal.fire({
+            icon: 'warning', title: '템플릿 삭제', text: `'${t.title}' 템플릿을 삭제합니다. 이미 반려된 건의 사유에는 영향이 없습니다.`,
+            showCancelButton: true, confirmButtonText: '삭제', cancelButtonText: '취소', confirmButtonColor: '#DC2626'
+        });
+        if (!confirm.isConfirmed) return;
+        try {
+            const { ok, data: json } = await safeFetch(`/api/admin/rejection-templates/${id}`, { method: 'DELETE' });
+            if (ok && json.success) loadTemplates();
+            else Swal.fire('삭제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        } catch (err) { Swal.fire('오류', err.message, 'error'); }
+    }
+}
+
+// ── 태그 관리: 목록 · 추가 · 수정 · 사용 여부 · 삭제 ──
+let adminTags = [];                  // 관리 탭 목록 (사용 건수 포함)
+
+async function loadTagAdmin() {
+    let res;
+    try {
+        const result = await safeFetch('/api/admin/tags?all=1');
+        res = result.data;
+    } catch (err) {
+        Swal.fire('오류', err.message || '태그 목록을 불러올 수 없습니다.', 'error');
+        return;
+    }
+    if (!res.success) { Swal.fire('오류', res.error || '태그 목록을 불러올 수 없습니다.', 'error'); return; }
+    adminTags = res.data;
+
+    const btnClass = 'text-xs font-bold border border-[#E5E5E5] rounded px-2 py-1 hover:bg-[#F5F5F5]';
+    const rows = res.data.map(t => `<tr class="${t.is_active ? '' : 'opacity-50'}">
+        <td>${t.sort_order}</td>
+        <td>${tagChip(t)}</td>
+        <td>${t.usage_count.toLocaleString()}건</td>
+        <td>${t.is_active ? '<span class="text-green-600 font-bold">사용</span>' : '<span class="text-[#A3A3A3] font-bold">숨김</span>'}</td>
+        <td class="text-[#737373] whitespace-nowrap">${esc(t.updated_by) || '-'}<br>${fmtDateTime(t.updated_at)}</td>
+        <td class="space-x-1 whitespace-nowrap">
+            <button data-tag-action="edit" data-tag-id="${t.id}" class="${btnClass}">수정</button>
+            <button data-tag-action="toggle" data-tag-id="${t.id}" class="${btnClass}">${t.is_active ? '숨기기' : '사용'}</button>
+            <button data-tag-action="delete" data-tag-id="${t.id}" class="text-xs font-bold border border-red-300 text-red-600 rounded px-2 py-1 hover:bg-red-50">삭제</button>
+        </td>
+    </tr>`);
+    $('#tagTableBody').html(rows.join('') || '<tr><td colspan="6" class="text-[#A3A3A3]">등록된 태그가 없습니다.</td></tr>');
+}
+
+async function openTagForm(tag = null) {
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { value: form } = await Swal.fire({
+        title: tag ? '태그 수정' : '태그 추가',
+        html: `<div class="space-y-2 text-left">
+            <input id="tag_name" class="${inputClass}" placeholder="이름 (예: 재접수)" maxlength="20" value="${esc(tag?.name)}">
+            <label class="flex items-center gap-2 text-sm text-[#404040]">색상 <input id="tag_color" type="color" value="${esc(tag?.color || '#2563EB')}"></label>
+            ${tag ? `<input id="tag_order" type="number" min="0" class="${inputClass}" placeholder="표시 순서" value="${tag.sort_order}">` : ''}
+        </div>`,
+        showCancelButton: true,
+        confirmButtonText: tag ? '저장' : '추가',
+        cancelButtonText: '취소',
+        preConfirm: () => {
+            const v = { name: $('#tag_name').val().trim(), color: $('#tag_color').val() };
+            if (!v.name) { Swal.showValidationMessage('이름을 입력해 주세요.'); return false; }
+            if (tag) v.sortOrder = parseInt($('#tag_order').val(), 10) || 0;
+            return v;
+        }
+    });
+    if (!form) return;
+    await saveTag(tag, form);
+}
+
+async function saveTag(tag, form) {
+    try {
+        const { ok, data: json } = await safeFetch(tag ? `/api/admin/tags/${tag.id}` : '/api/admin/tags', {
+            method: tag ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        });
+        if (ok && json.success) { loadTagAdmin(); loadTags(); }
+        else Swal.fire('저장 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function handleTagAction(action, id) {
+    const t = adminTags.find(x => x.id === id);
+    if (!t) return;
+    if (action === 'edit') return openTagForm(t);
+    if (action === 'toggle') return saveTag(t, { name: t.name, color: t.color, isActive: !t.is_active });
+    if (action === 'delete') {
+        const confirm = await Swal.fire({
+            icon: 'warning', title: '태그 삭제',
+            text: `'${t.name}' 태그를 삭제합니다.${t.usage_count ? ` 이 태그가 붙은 ${t.usage_count}건에서도 제거됩니다. 기록을 남기려면 숨기기를 사용하세요.` : ''}`,
+            showCancelButton: true, confirmButtonText: '삭제', cancelButtonText: '취소', confirmButtonColor: '#DC2626'
+        });
+        if (!confirm.isConfirmed) return;
+        try {
+            const { ok, data: json } = await safeFetch(`/api/admin/tags/${id}`, { method: 'DELETE' });
+            if (ok && json.success) { loadTagAdmin(); loadData(); }
+            else Swal.fire('삭제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        } catch (err) { Swal.fire('오류', err.message, 'error'); }
+    }
+}
+
+// ── 휴일 달력: 연도별 목록 · 추가 · 삭제 · ICS/CSV 가져오기 ──
+const HOLIDAY_SOURCE_LABELS = { seed: '기본', manual: '직접 등록', import: '가져오기' };
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+async function loadHolidays() {
+    const $year = $('#holidayYear');
+    if (!$year.children().length) {
+        const thisYear = new Date().getFullYear();
+        $year.html([thisYear - 1, thisYear, thisYear + 1, thisYear + 2].map(y => `<option value="${y}" ${y === thisYear ? 'selected' : ''}>${y}년</option>`).join(''));
+    }
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/holidays?year=${encodeURIComponent($year.val())}`);
+        res = result.data;
+    } catch (err) {
+        Swal.fire('오류', err.message || '휴일 목록을 불러올 수 없습니다.', 'error');
+        return;
+    }
+    if (!res.success) { Swal.fire('오류', res.error || '휴일 목록을 불러올 수 없습니다.', 'error'); return; }
+
+    const rows = res.data.map(h => `<tr>
+        <td class="font-mono font-bold text-[#1A1A1A] whitespace-nowrap">${esc(h.date)}</td>
+        <td>${WEEKDAY_LABELS[new Date(`${h.date}T00:00:00`).getDay()]}</td>
+        <td class="text-left">${esc(h.name)}${h.is_substitute ? ' <span class="text-[11px] text-blue-600 font-bold">대체</span>' : ''}</td>
+        <td class="text-[#737373]">${esc(HOLIDAY_SOURCE_LABELS[h.source] || h.source)}</td>
+        <td class="text-[#737373] whitespace-nowrap">${esc(h.updated_by) || '-'}<br>${fmtDateTime(h.updated_at)}</td>
+        <td><button data-delete-holiday="${esc(h.date)}" data-holiday-name="${esc(h.name)}" class="text-xs font-bold border border-red-300 text-red-600 rounded px-2 py-1 hover:bg-red-50">삭제</button></td>
+    </tr>`);
+    $('#holidayTableBody').html(rows.join('') || `<tr><td colspan="6" class="text-[#A3A3A3]">${esc(res.year)}년에 등록된 휴일이 없습니다.</td></tr>`);
+}
+
+async function openHolidayForm() {
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { value: form } = await Swal.fire({
+        title: '휴일 추가',
+        html: `<div class="space-y-2 text-left">
+            <input id="hol_date" type="date" class="${inputClass}">
+            <input id="hol_name" class="${inputClass}" placeholder="이름 (예: 임시공휴일, 추석 대체공휴일)" maxlength="50">
+            <p class="text-xs text-[#A3A3A3]">이미 등록된 날짜면 이름이 변경됩니다. 이름에 '대체'가 들어가면 대체공휴일로 표시됩니다.</p>
+        </div>`,
+        showCancelButton: true,
+        confirmButtonText: '추가',
+        cancelButtonText: '취소',
+        preConfirm: () => {
+            const v = { date: $('#hol_date').val(), name: $('#hol_name').val().trim() };
+            if (!v.date || !v.name) { Swal.showValidationMessage('날짜와 이름을 입력해 주세요.'); return false; }
+            return v;
+        }
+    });
+    if (!form) return;
+    try {
+        const { ok, data: json } = await safeFetch('/api/admin/holidays', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        });
+        if (ok && json.success) {
+            $('#holidayYear').val(form.date.slice(0, 4));
+            loadHolidays();
+        } else Swal.fire('저장 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function deleteHoliday(date, name) {
+    const confirm = await Swal.fire({
+        icon: 'warning', title: '휴일 삭제', text: `${date} (${name})을(를) 영업일로 되돌립니다. 처리 기한 계산에 바로 반영됩니다.`,
+        showCancelButton: true, confirmButtonText: '삭제', cancelButtonText: '취소', confirmButtonColor: '#DC2626'
+    });
+    if (!confirm.isConfirmed) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/holidays/${encodeURIComponent(date)}`, { method: 'DELETE' });
+        if (ok && json.success) loadHolidays();
+        else Swal.fire('삭제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// 파일 내용을 텍스트로 읽어 전송 (형식은 확장자로 판단)
+async function importHolidays(input) {
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+    const format = file.name.toLowerCase().endsWith('.ics') ? 'ics' : file.name.toLowerCase().endsWith('.csv') ? 'csv' : null;
+    if (!format) { Swal.fire('형식 오류', 'ICS 또는 CSV 파일만 가져올 수 있습니다.', 'warning'); return; }
+    if (file.size > 1024 * 1024) { Swal.fire('용량 초과', '1MB 이하 파일만 가져올 수 있습니다.', 'warning'); return; }
+
+    let text;
+    try {
+        text = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('파일을 읽을 수 없습니다.'));
+            reader.readAsText(file, 'utf-8');
+        });
+    } catch (err) { Swal.fire('오류', err.message, 'error'); return; }
+
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/holidays/import?format=${format}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+            body: text
+        });
+        const errorList = (json.errors || []).slice(0, 10)
+            .map(e => `<li>${e.line ? `${e.line}행` : esc(e.date)}: ${esc(e.error)}</li>`).join('');
+        const errorHtml = errorList ? `<ul class="text-left text-xs text-red-600 mt-2 list-disc pl-5">${errorList}</ul>${json.errors.length > 10 ? `<p class="text-xs text-[#A3A3A3] mt-1">외 ${json.errors.length - 10}건</p>` : ''}` : '';
+        if (ok && json.success) {
+            Swal.fire({
+                icon: json.errors.length ? 'warning' : 'success', title: '가져오기 완료',
+                html: `추가 ${json.added}건 · 변경 ${json.updated}건 · 동일 ${json.skipped}건${json.errors.length ? ` · 건너뜀 ${json.errors.length}건` : ''}${errorHtml}`
+            });
+            loadHolidays();
+        } else Swal.fire({ icon: 'error', title: '가져오기 실패', html: `${esc(json.error || '서버 오류가 발생했습니다.')}${errorHtml}` });
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 사용자 관리: 생성 ──
+async function openUserCreate() {
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const roleOpts = userRoles.map(r => `<option value="${esc(r.value)}" ${r.value === 'operator' ? 'selected' : ''}>${esc(r.label)}</option>`).join('');
+    const { value: form } = await Swal.fire({
+        title: '사용자 추가',
+        html: `<div class="space-y-2 text-left">
+            <input id="nu_username" class="${inputClass}" placeholder="아이디 (영문 소문자·숫자 3~30자)" maxlength="30" autocomplete="off">
+            <input id="nu_name" class="${inputClass}" placeholder="이름" maxlength="20">
+            <select id="nu_role" class="${inputClass}">${roleOpts}</select>
+            <input id="nu_password" type="password" class="${inputClass}" placeholder="초기 비밀번호 (첫 로그인 시 변경)" autocomplete="new-password">
+        </div>`,
+        showCancelButton: true,
+        confirmButtonText: '추가',
+        cancelButtonText: '취소',
+        preConfirm: () => {
+            const v = { username: $('#nu_username').val().trim(), name: $('#nu_name').val().trim(), role: $('#nu_role').val(), password: $('#nu_password').val() };
+            if (!v.username || !v.name || !v.password) { Swal.showValidationMessage('모든 항목을 입력해 주세요.'); return false; }
+            return v;
+        }
+    });
+    if (!form) return;
+    try {
+        const { ok, data: json } = await safeFetch('/api/admin/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: '사용자 추가 완료', timer: 1000, showConfirmButton: false });
+            loadUsers();
+        } else {
+            Swal.fire('추가 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 사용자 관리: 역할 변경 ──
+async function changeUserRole(id, sel) {
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/users/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role: sel.value })
+        });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: '역할 변경 완료', text: '대상 사용자는 다시 로그인해야 합니다.', timer: 1200, showConfirmButton: false, position: 'top-end', toast: true });
+        } else {
+            Swal.fire('역할 변경 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+    loadUsers();
+}
+
+// ── 사용자 관리: 활성화·비활성화 ──
+async function toggleUserActive(id, currentlyActive) {
+    if (currentlyActive) {
+        const confirm = await Swal.fire({
+            title: '계정을 비활성화하시겠습니까?',
+            html: '<p class="text-sm text-gray-500">로그인이 차단되고 현재 접속 중인 세션이 종료됩니다.</p>',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#DC2626',
+            confirmButtonText: '비활성화',
+            cancelButtonText: '취소'
+        });
+        if (!confirm.isConfirmed) return;
+    }
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/users/${id}/active`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ active: !currentlyActive })
+        });
+        if (ok && json.success) loadUsers();
+        else Swal.fire('변경 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 사용자 관리: 비밀번호 초기화 ──
+async function resetUserPassword(id, username) {
+    const { value: password } = await Swal.fire({
+        title: '비밀번호 초기화',
+        html: `<p class="text-sm text-gray-500">계정: <strong>${esc(username)}</strong><br>대상 사용자는 다음 로그인 시 비밀번호를 변경해야 합니다.</p>`,
+        input: 'password',
+        inputPlaceholder: '임시 비밀번호',
+        inputAttributes: { autocomplete: 'new-password' },
+        showCancelButton: true,
+        confirmButtonText: '초기화',
+        cancelButtonText: '취소',
+        inputValidator: v => !v ? '비밀번호를 입력해 주세요.' : undefined
+    });
+    if (!password) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/users/${id}/password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        if (ok && json.success) Swal.fire({ icon: 'success', title: '비밀번호 초기화 완료', timer: 1000, showConfirmButton: false });
+        else Swal.fire('초기화 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 사용자 관리: 2단계 인증 초기화 (인증 앱 분실 시) ──
+async function resetUserTotp(id, username) {
+    const confirm = await Swal.fire({
+        title: '2단계 인증을 초기화하시겠습니까?',
+        html: `<p class="text-sm text-gray-500">계정: <strong>${esc(username)}</strong><br>등록된 인증 앱과 복구 코드가 삭제되고 현재 세션이 종료됩니다.</p>`,
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#DC2626',
+        confirmButtonText: '초기화',
+        cancelButtonText: '취소'
+    });
+    if (!confirm.isConfirmed) return;
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/users/${id}/totp`, { method: 'DELETE' });
+        if (ok && json.success) loadUsers();
+        else Swal.fire('초기화 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 보안: 이벤트 대시보드 (분류별 추이 + 최근 이벤트) ──
+const SECURITY_CATEGORY_COLORS = { login_failed: 'bg-amber-400', upload_rejected: 'bg-purple-400', lockout: 'bg-red-500' };
+
+// bucket: 'YYYY-MM-DD' (일) 또는 'YYYY-MM-DD HH' (시간)
+function fmtBucket(bucket, unit) {
+    if (unit === 'hour') return `${parseInt(bucket.slice(11, 13), 10)}시`;
+    return `${parseInt(bucket.slice(5, 7), 10)}/${parseInt(bucket.slice(8, 10), 10)}`;
+}
+
+async function loadSecurityStats() {
+    const days = $('#securityStatsDays').val();
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/security/stats?days=${days}`);
+        res = result.data;
+    } catch (err) { Swal.fire('오류', err.message || '보안 이벤트를 불러올 수 없습니다.', 'error'); return; }
+    if (!res.success) { Swal.fire('오류', res.error || '보안 이벤트를 불러올 수 없습니다.', 'error'); return; }
+
+    const categories = Object.keys(res.categories);
+    $('#securityTotals').html(categories.map(c => `
+        <div class="bg-white border border-[#E5E5E5] rounded-md px-4 py-3">
+            <p class="text-xs text-[#737373]">${esc(res.categories[c])}</p>
+            <p class="text-2xl font-black text-[#1A1A1A]">${res.totals[c].toLocaleString()}<span class="text-sm font-bold text-[#A3A3A3] ml-1">건</span></p>
+            <p class="text-[10px] text-[#A3A3A3]">경보: ${res.alert.windowMinutes}분 내 ${res.alert.thresholds[c] || '-'}건</p>
+        </div>`).join(''));
+    $('#securityStatsNote').text(`로그인 실패 · 업로드 거부 · 계정 잠금 추이입니다. 이벤트는 ${res.retentionDays}일간 보관됩니다.`);
+
+    // 구간별 누적 막대 (서버가 빈 구간도 0으로 채워 전달)
+    const max = Math.max(1, ...res.series.map(b => categories.reduce((sum, c) => sum + b.counts[c], 0)));
+    $('#securityChart').html(res.series.map(b => {
+        const total = categories.reduce((sum, c) => sum + b.counts[c], 0);
+        const title = `${fmtBucket(b.bucket, res.bucket)} · ` + categories.map(c => `${res.categories[c]} ${b.counts[c]}`).join(', ');
+        return `<div class="flex-1 min-w-[14px] h-full flex flex-col items-center justify-end" title="${esc(title)}">
+            <div class="w-full flex flex-col-reverse" style="height:${Math.round(total / max * 100)}%">
+                ${categories.map(c => b.counts[c] ? `<div class="${SECURITY_CATEGORY_COLORS[c]}" style="height:${b.counts[c] / total * 100}%"></div>` : '').join('')}
+            </div>
+            <span class="text-[9px] text-[#A3A3A3] mt-0.5 whitespace-nowrap">${fmtBucket(b.bucket, res.bucket)}</span>
+        </div>`;
+    }).join(''));
+    $('#securityChartLegend').html(categories.map(c => `<span class="inline-flex items-center gap-1"><span class="w-2.5 h-2.5 rounded-sm ${SECURITY_CATEGORY_COLORS[c]}"></span>${esc(res.categories[c])}</span>`).join(''));
+
+    loadSecurityEvents();
+}
+
+async function loadSecurityEvents() {
+    const category = $('#securityEventCategory').val();
+    let res;
+    try {
+        const result = await safeFetch(`/api/admin/security/events?limit=50${category ? `&category=${category}` : ''}`);
+        res = result.data;
+    } catch (err) { return; }
+    if (!res.success) return;
+    const rows = res.data.map(e => `<tr>
+        <td class="whitespace-nowrap">${fmtDateTime(e.created_at)}</td>
+        <td class="font-mono text-xs font-bold text-[#1A1A1A]">${esc(e.event)}</td>
+        <td class="font-mono">${esc(e.username) || '-'}</td>
+        <td class="font-mono text-[#737373]">${esc(e.ip) || '-'}</td>
+        <td class="text-xs text-[#737373] break-all">${e.details ? esc(Object.entries(e.details).map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ')) : ''}</td>
+    </tr>`);
+    $('#securityEventBody').html(rows.join('') || '<tr><td colspan="5" class="text-[#A3A3A3]">기록된 이벤트가 없습니다.</td></tr>');
+}
+
+// ── 보안: 잠긴 계정 · 차단된 IP ──
+const LIMITER_LABELS = { login: '로그인', submit: '신청 제출', status: '상태 조회' };
+
+function fmtRemain(sec) {
+    const min = Math.max(1, Math.ceil(sec / 60));
+    return `${min}분`;
+}
+
+async function loadLockouts() {
+    let res;
+    try {
+        const result = await safeFetch('/api/admin/security/lockouts');
+        res = result.data;
+    } catch (err) {
+        Swal.fire('오류', err.message || '잠금 현황을 불러올 수 없습니다.', 'error');
+        return;
+    }
+    if (!res.success) { Swal.fire('오류', res.error || '잠금 현황을 불러올 수 없습니다.', 'error'); return; }
+
+    const btnClass = 'text-xs font-bold border border-[#E5E5E5] rounded px-2 py-1 hover:bg-[#F5F5F5]';
+    const accountRows = res.accounts.map(a => `<tr>
+        <td class="font-mono font-bold text-[#1A1A1A]">${esc(a.username)}</td>
+        <td>${a.fail_count}회</td>
+        <td class="font-mono text-[#737373]">${esc(a.last_ip) || '-'}</td>
+        <td>${fmtRemain(a.remain_sec)}</td>
+        <td><button data-unlock-account="${esc(a.username)}" class="${btnClass}">잠금 해제</button></td>
+    </tr>`);
+    $('#lockedAccountBody').html(accountRows.join('') || '<tr><td colspan="5" class="text-[#A3A3A3]">잠긴 계정이 없습니다.</td></tr>');
+
+    const clientRows = res.clients.map(c => `<tr>
+        <td class="font-mono font-bold text-[#1A1A1A]">${esc(c.key)}</td>
+        <td>${esc(LIMITER_LABELS[c.limiter] || c.limiter)}</td>
+        <td>${c.hits} / ${c.limit}</td>
+        <td>${fmtRemain(c.remainSec)}</td>
+        <td><button data-unlock-client="${esc(c.key)}" data-limiter="${esc(c.limiter)}" class="${btnClass}">차단 해제</button></td>
+    </tr>`);
+    $('#blockedClientBody').html(clientRows.join('') || '<tr><td colspan="5" class="text-[#A3A3A3]">차단된 IP가 없습니다.</td></tr>');
+}
+
+async function unlockAccount(username) {
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/security/lockouts/accounts/${encodeURIComponent(username)}`, { method: 'DELETE' });
+        if (ok && json.success) loadLockouts();
+        else Swal.fire('해제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+async function unlockClient(limiter, key) {
+    try {
+        const qs = new URLSearchParams({ limiter, key });
+        const { ok, data: json } = await safeFetch(`/api/admin/security/lockouts/clients?${qs}`, { method: 'DELETE' });
+        if (ok && json.success) loadLockouts();
+        else Swal.fire('해제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 접속 세션: 본인 기기 목록(모달) · 전체 세션(보안 탭) ──
+function describeUserAgent(ua) {
+    if (!ua) return '-';
+    const browser = /Edg\//.test(ua) ? 'Edge' : /Whale\//.test(ua) ? 'Whale' : /Chrome\//.test(ua) ? 'Chrome'
+        : /Firefox\//.test(ua) ? 'Firefox' : /Safari\//.test(ua) ? 'Safari' : '기타';
+    const os = /Windows/.test(ua) ? 'Windows' : /Android/.test(ua) ? 'Android' : /iPhone|iPad/.test(ua) ? 'iOS'
+        : /Mac OS X/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : '';
+    return os ? `${browser} · ${os}` : browser;
+}
+
+function fmtDateTime(d) {
+    return d ? new Date(d).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' }) : '-';
+}
+
+function renderSessionRows(list, showUser) {
+    const btnClass = 'text-xs font-bold border border-red-300 text-red-600 rounded px-2 py-1 hover:bg-red-50';
+    return list.map(s => `<tr>
+        ${showUser ? `<td class="font-mono font-bold text-[#1A1A1A]">${esc(s.username)} <span class="font-normal text-[#737373]">${esc(s.name)}</span></td>` : ''}
+        <td class="text-[#737373]">${fmtDateTime(s.loginAt)}</td>
+        <td class="text-[#737373]">${fmtDateTime(s.lastActivity)}</td>
+        <td class="font-mono text-[#737373]">${esc(s.ip) || '-'}</td>
+        <td title="${esc(s.userAgent)}">${esc(describeUserAgent(s.userAgent))}</td>
+        <td>${s.current ? '<span class="text-[11px] font-bold text-blue-600">현재 세션</span>' : `<button data-revoke-session="${esc(s.handle)}" class="${btnClass}">종료</button>`}</td>
+    </tr>`).join('');
+}
+
+async function loadMySessions() {
+    const body = document.getElementById('mySessionsBody');
+    if (!body) return;
+    try {
+        const { data: res } = await safeFetch('/api/admin/sessions');
+        body.innerHTML = res.success
+            ? renderSessionRows(res.data, false) || '<tr><td colspan="5" class="text-[#A3A3A3]">활성 세션이 없습니다.</td></tr>'
+            : `<tr><td colspan="5" class="text-red-600">${esc(res.error || '세션 목록을 불러올 수 없습니다.')}</td></tr>`;
+    } catch (err) { body.innerHTML = `<tr><td colspan="5" class="text-red-600">${esc(err.message)}</td></tr>`; }
+}
+
+async function loadAllSessions() {
+    if (!can('session:manage')) return;
+    let res;
+    try {
+        const result = await safeFetch('/api/admin/sessions?scope=all');
+        res = result.data;
+    } catch (err) {
+        Swal.fire('오류', err.message || '세션 목록을 불러올 수 없습니다.', 'error');
+        return;
+    }
+    if (!res.success) { Swal.fire('오류', res.error || '세션 목록을 불러올 수 없습니다.', 'error'); return; }
+    $('#allSessionBody').html(renderSessionRows(res.data, true) || '<tr><td colspan="6" class="text-[#A3A3A3]">활성 세션이 없습니다.</td></tr>');
+}
+
+async function openMySessions() {
+    const result = Swal.fire({
+        title: '접속 기기',
+        width: 760,
+        html: `<div class="text-left space-y-2">
+            <p class="text-xs text-gray-500">내 계정으로 로그인된 세션입니다. 분실한 기기나 알 수 없는 접속은 종료하세요.</p>
+            <div class="overflow-x-auto"><table class="admin-sub-table w-full text-sm">
+                <thead><tr><th>로그인</th><th>마지막 활동</th><th>IP</th><th>브라우저</th><th></th></tr></thead>
+                <tbody id="mySessionsBody"><tr><td colspan="5" class="text-[#A3A3A3]">불러오는 중…</td></tr></tbody>
+            </table></div>
+        </div>`,
+        showDenyButton: true,
+        denyButtonText: '다른 세션 모두 종료',
+        confirmButtonText: '닫기',
+        preDeny: async () => {
+            try {
+                const { ok, data: json } = await safeFetch('/api/admin/sessions', { method: 'DELETE' });
+                if (!ok || !json.success) Swal.showValidationMessage(json.error || '세션 종료에 실패했습니다.');
+                else await loadMySessions();
+            } catch (err) { Swal.showValidationMessage(err.message); }
+            return false;
+        }
+    });
+    loadMySessions();
+    await result;
+}
+
+async function revokeSession(handle) {
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/sessions/${encodeURIComponent(handle)}`, { method: 'DELETE' });
+        if (ok && json.success) {
+            loadMySessions();
+            if (!$('[data-panel="security"]').hasClass('hidden')) loadAllSessions();
+        } else {
+            Swal.fire('종료 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 한국 시간 실시간 시계 ──
+const adminClockEl = document.getElementById('adminClock');
+function updateAdminClock() {
+    if (!adminClockEl) return;
+    const now = new Date();
+    const dateStr = now.toLocaleDateString('ko-KR', { timeZone:'Asia/Seoul', year:'numeric', month:'2-digit', day:'2-digit', weekday:'short' });
+    const timeStr = now.toLocaleTimeString('ko-KR', { timeZone:'Asia/Seoul', hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:false });
+    adminClockEl.textContent = `${dateStr} ${timeStr}`;
+}
+updateAdminClock();
+setInterval(updateAdminClock, 1000);
+
+function logout() { fetch('/api/admin/logout', { method:'POST', credentials:'include' }).then(() => location.reload()); }
+function printPage() { window.print(); }
+
+// 상세보기 인라인 파일 삭제
+async function deleteFileInline(requestId, fileId) {
+    const result = await Swal.fire({
+        title: '파일을 삭제하시겠습니까?',
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#DC2626',
+        confirmButtonText: '삭제',
+        cancelButtonText: '취소'
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/file/${fileId}`, { method: 'DELETE' });
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: '삭제 완료', timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
+            await loadData();
+            openDetail(requestId);
+        } else {
+            Swal.fire('삭제 실패', json.error || '서버 오류가 발생했습니다.', 'error');
+        }
+    } catch (err) {
+        Swal.fire('오류', err.message, 'error');
+    }
+}
+
+// 상세보기 인라인 파일 추가
+async function addFilesInline(requestId, fieldName, inputEl, remaining) {
+    if (!inputEl.files || inputEl.files.length === 0) return;
+    if (inputEl.files.length > remaining) {
+        inputEl.value = '';
+        Swal.fire('오류', `${remaining}개까지만 추가할 수 있습니다. (현재 ${5 - remaining}/5)`, 'warning');
+        return;
+    }
+    const fd = new FormData();
+    for (const f of inputEl.files) {
+        fd.append(fieldName, f);
+    }
+    inputEl.value = '';
+
+    Swal.fire({ title: '업로드 중\u2026', didOpen: () => Swal.showLoading(), allowOutsideClick: false });
+
+    try {
+        const { ok, data: json } = await safeFetch(`/api/admin/request/${requestId}/files`, { method: 'POST', body: fd }, 60000);
+        if (ok && json.success) {
+            Swal.fire({ icon: 'success', title: `${json.added}개 추가 완료`, timer: 800, showConfirmButton: false, position: 'top-end', toast: true });
             await loadData();
             openDetail(requestId);
         } else {
@@ -783,6 +2712,8 @@ function toggleEditMode() {
     if (!d) return;
     isEditMode = true;
     modalMode = 'edit';
+    switchDetailTab('info');
+    $('#detailTabs').addClass('hidden');
     $('#btnEdit, #btnDelete, #btnPrint, #btnDownloadWord').hide();
     $('#btnSaveEdit, #btnCancelEdit').removeClass('hidden').show();
     $('#btnSaveCreate').hide();
@@ -791,7 +2722,7 @@ function toggleEditMode() {
     const toISO = (v) => { if (!v) return ''; const dt = new Date(v); return dt.toISOString().slice(0,10); };
 
     const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-1.5 text-sm font-medium text-[#1A1A1A] outline-none focus:border-[#A3A3A3]';
-    const statusOpts = statuses.map(s => `<option value="${s}" ${d.status === s ? 'selected' : ''}>${s}</option>`).join('');
+    const statusOpts = selectableStatuses(d.status, d).map(s => `<option value="${s}" ${d.status === s ? 'selected' : ''}>${s}</option>`).join('');
 
     // Multi-file management section — by category
     const files = d._files || [];
@@ -846,8 +2777,8 @@ function toggleEditMode() {
             </div>
             <div class="text-right">
                 <p class="text-xs text-[#A3A3A3] mb-0.5">진행 상태</p>
-                ${d.status === '완료'
-                    ? `<span class="inline-block border border-[#D4D4D4] bg-[#F5F5F5] rounded px-3 py-1.5 text-sm font-bold text-[#737373]">완료</span><input type="hidden" id="edit_status" value="완료">`
+                ${isFinalStatus(d.status) || selectableStatuses(d.status, d).length <= 1
+                    ? `<span class="inline-block border border-[#D4D4D4] bg-[#F5F5F5] rounded px-3 py-1.5 text-sm font-bold text-[#737373]">${esc(d.status)}</span><input type="hidden" id="edit_status" value="${esc(d.status)}">`
                     : `<select id="edit_status" class="border border-[#D4D4D4] rounded px-2 py-1.5 text-sm font-bold outline-none">${statusOpts}</select>`
                 }
             </div>
@@ -909,6 +2840,15 @@ async function saveEdit() {
         return;
     }
 
+    // 상태 변경 시 전환 입력(반려 사유 등) 확인
+    const editStatus = $('#edit_status').val();
+    const origStatus = dataById.get(currentDetailId)?.status;
+    let statusInputs = {};
+    if (editStatus !== origStatus) {
+        statusInputs = await promptTransitionInputs(origStatus, editStatus, dataById.get(currentDetailId));
+        if (!statusInputs) return;
+    }
+
     isSaving = true;
     const saveBtn = $('#btnSaveEdit');
     saveBtn.prop('disabled', true).text('저장 중\u2026');
@@ -926,7 +2866,8 @@ async function saveEdit() {
     fd.append('user_account', $('#edit_user_account').val());
     fd.append('user_account_name', $('#edit_user_account_name').val());
     fd.append('details', $('#edit_details').val());
-    fd.append('status', $('#edit_status').val());
+    fd.append('status', editStatus);
+    fd.append('status_inputs', JSON.stringify(statusInputs));
 
     // Collect file IDs to delete
     const deleteIds = [];
@@ -1005,7 +2946,8 @@ $('#loginForm').on('submit', async e => {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ username: $('#adminUsername').val(), password: $('#adminPassword').val() })
         });
-        if (ok && res.success) location.reload();
+        if (ok && res.success && res.mfaRequired) await promptLoginTotp();
+        else if (ok && res.success) location.reload();
         else Swal.fire('실패', res.error || '로그인에 실패했습니다.', 'error');
     } catch (err) {
         Swal.fire('오류', err.message, 'error');
@@ -1014,37 +2956,271 @@ $('#loginForm').on('submit', async e => {
     }
 });
 
-// ── 엑셀 내보내기 (선택 행 또는 필터된 전체 행) ──
-function exportToExcel() {
-    let rows = table.rows({ selected: true }).data().toArray();
-    // 선택된 행이 없으면 필터된 전체 행 내보내기
-    if (rows.length === 0) {
-        rows = table.rows({ search: 'applied' }).data().toArray();
-        if (rows.length === 0) return Swal.fire({ title: '내보낼 데이터가 없습니다', icon: 'info', timer: 1200, showConfirmButton: false });
+// ── 로그인 2단계: 인증 앱 코드 또는 복구 코드 입력 ──
+async function promptLoginTotp() {
+    const { isConfirmed } = await Swal.fire({
+        title: '2단계 인증',
+        html: '<p class="text-sm text-gray-500">인증 앱의 6자리 코드를 입력하세요.<br>앱을 사용할 수 없으면 복구 코드(XXXX-XXXX)를 입력하세요.</p>',
+        input: 'text',
+        inputAttributes: { autocomplete: 'one-time-code', inputmode: 'text', maxlength: '20' },
+        showCancelButton: true,
+        confirmButtonText: '확인',
+        cancelButtonText: '취소',
+        allowOutsideClick: false,
+        showLoaderOnConfirm: true,
+        inputValidator: v => !v.trim() ? '코드를 입력해 주세요.' : undefined,
+        preConfirm: async code => {
+            try {
+                const { ok, data: json } = await safeFetch('/api/admin/login/totp', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code: code.trim() })
+                });
+                if (ok && json.success) return true;
+                Swal.showValidationMessage(json.error || '인증에 실패했습니다.');
+            } catch (err) { Swal.showValidationMessage(err.message); }
+            return false;
+        }
+    });
+    if (isConfirmed) location.reload();
+}
+
+// ── 비밀번호 변경 (본인 계정, forced: 초기화·만료로 변경 전까지 다른 기능 차단) ──
+async function openPasswordChange(forced = false) {
+    let policy = null;
+    try {
+        const { data } = await safeFetch('/api/admin/me/password-policy');
+        if (data.success) policy = data.policy;
+    } catch (err) { /* 안내 문구 없이 진행 — 서버에서 다시 검증 */ }
+
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const policyText = policy
+        ? `${policy.minLength}자 이상, 영문 대문자·소문자·숫자·특수문자 중 ${policy.minCharClasses}종류 이상${policy.historyCount ? `, 최근 ${policy.historyCount}개 비밀번호 재사용 불가` : ''}`
+        : '';
+    const { isConfirmed, value } = await Swal.fire({
+        title: forced ? '비밀번호 변경 필요' : '비밀번호 변경',
+        html: `<div class="space-y-2 text-left">
+            ${forced ? '<p class="text-sm text-red-600 font-bold">비밀번호가 초기화되었거나 사용 기간이 만료되었습니다. 변경 후 이용할 수 있습니다.</p>' : ''}
+            ${policyText ? `<p class="text-xs text-gray-500">${esc(policyText)}</p>` : ''}
+            <input id="pw_current" type="password" class="${inputClass}" placeholder="현재 비밀번호" autocomplete="current-password">
+            <input id="pw_new" type="password" class="${inputClass}" placeholder="새 비밀번호" autocomplete="new-password">
+            <input id="pw_confirm" type="password" class="${inputClass}" placeholder="새 비밀번호 확인" autocomplete="new-password">
+            <p class="text-xs text-gray-500">변경 후 다른 기기의 로그인 세션은 모두 종료됩니다.</p>
+        </div>`,
+        showCancelButton: true,
+        confirmButtonText: '변경',
+        cancelButtonText: forced ? '로그아웃' : '취소',
+        allowOutsideClick: !forced,
+        allowEscapeKey: !forced,
+        showLoaderOnConfirm: true,
+        preConfirm: async () => {
+            const currentPassword = $('#pw_current').val();
+            const newPassword = $('#pw_new').val();
+            if (!currentPassword || !newPassword) { Swal.showValidationMessage('현재 비밀번호와 새 비밀번호를 입력해 주세요.'); return false; }
+            if (newPassword !== $('#pw_confirm').val()) { Swal.showValidationMessage('새 비밀번호가 일치하지 않습니다.'); return false; }
+            try {
+                const { ok, data: json } = await safeFetch('/api/admin/me/password', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ currentPassword, newPassword })
+                });
+                if (ok && json.success) return json;
+                Swal.showValidationMessage(json.error || '비밀번호 변경에 실패했습니다.');
+            } catch (err) { Swal.showValidationMessage(err.message); }
+            return false;
+        }
+    });
+    if (!isConfirmed) {
+        if (forced) logout();
+        return;
     }
+    if (forced) { location.reload(); return; }
+    const closed = value.closedSessions ? ` 다른 세션 ${value.closedSessions}개가 종료되었습니다.` : '';
+    Swal.fire({ icon: 'success', title: '비밀번호 변경 완료', text: `비밀번호가 변경되었습니다.${closed}`, timer: 1800, showConfirmButton: false });
+}
+
+// ── 2단계 인증 설정 (본인 계정) ──
+async function openTotpSettings() {
+    let status;
     try {
-        const data = rows.map(r => {
-            const code = $(r[2]).text();
-            const item = allData.find(d => d.request_code === code);
-            return {
-                '신청일': fmtDate(item.request_date),
-                '식별코드': code,
-                '유형': item.request_type || '반환청구',
-                '계약자 코드': item.contractor_code || '',
-                '가맹점 코드': item.merchant_code || '',
-                '신청인': item.applicant_name,
-                '연락처': fmtPhone(item.applicant_phone),
-                '입금일': fmtDate(item.deposit_date),
-                '입금시간': item.deposit_time || '',
-                '입금액': Number(item.deposit_amount),
-                '은행': item.bank_name,
-                '사용계좌': item.user_account,
-                '예금주': item.user_account_name,
-                '상세사유': item.details || '',
-                '상태': item.status,
-                '등록일시': item.created_at ? new Date(item.created_at).toLocaleString('ko-KR') : ''
-            };
+        const { data } = await safeFetch('/api/admin/me/totp');
+        status = data;
+    } catch (err) { Swal.fire('오류', err.message, 'error'); return; }
+    if (!status.success) { Swal.fire('오류', status.error || '설정을 불러올 수 없습니다.', 'error'); return; }
+
+    if (!status.enabled) {
+        const confirm = await Swal.fire({
+            title: '2단계 인증',
+            html: '<p class="text-sm text-gray-500">로그인 시 비밀번호와 함께 인증 앱(Google Authenticator 등)의 코드를 요구합니다.</p>',
+            showCancelButton: true,
+            confirmButtonText: '설정 시작',
+            cancelButtonText: '닫기'
         });
+        if (confirm.isConfirmed) enrollTotp();
+        return;
+    }
+
+    const choice = await Swal.fire({
+        title: '2단계 인증 사용 중',
+        html: `<p class="text-sm text-gray-500">남은 복구 코드: <strong>${status.recoveryCodesRemaining}개</strong></p>`,
+        showDenyButton: true,
+        showCancelButton: true,
+        confirmButtonText: '복구 코드 재발급',
+        denyButtonText: '해제',
+        cancelButtonText: '닫기'
+    });
+    if (choice.isConfirmed) regenerateRecoveryCodes();
+    else if (choice.isDenied) disableTotp();
+}
+
+async function enrollTotp() {
+    let setup;
+    try {
+        const { data } = await safeFetch('/api/admin/me/totp/setup', { method: 'POST' });
+        setup = data;
+    } catch (err) { Swal.fire('오류', err.message, 'error'); return; }
+    if (!setup.success) { Swal.fire('오류', setup.error || '설정을 시작할 수 없습니다.', 'error'); return; }
+
+    const { value: recoveryCodes } = await Swal.fire({
+        title: '인증 앱 등록',
+        html: `<div class="space-y-2 text-sm text-gray-600">
+            <p>인증 앱으로 QR 코드를 스캔한 뒤 표시된 6자리 코드를 입력하세요.</p>
+            <img src="${esc(setup.qr)}" alt="2단계 인증 QR 코드" class="mx-auto" width="200" height="200">
+            <p class="text-xs">직접 입력: <code class="font-mono break-all">${esc(setup.secret)}</code></p>
+        </div>`,
+        input: 'text',
+        inputAttributes: { autocomplete: 'one-time-code', inputmode: 'numeric', maxlength: '6' },
+        showCancelButton: true,
+        confirmButtonText: '등록',
+        cancelButtonText: '취소',
+        showLoaderOnConfirm: true,
+        inputValidator: v => !/^\d{6}$/.test(v.trim()) ? '6자리 숫자를 입력해 주세요.' : undefined,
+        preConfirm: async code => {
+            try {
+                const { ok, data: json } = await safeFetch('/api/admin/me/totp/enable', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code: code.trim() })
+                });
+                if (ok && json.success) return json.recoveryCodes;
+                Swal.showValidationMessage(json.error || '등록에 실패했습니다.');
+            } catch (err) { Swal.showValidationMessage(err.message); }
+            return false;
+        }
+    });
+    if (recoveryCodes) showRecoveryCodes(recoveryCodes, '2단계 인증이 설정되었습니다');
+}
+
+// 복구 코드는 서버에 해시로만 저장되므로 발급 직후 한 번만 표시
+function showRecoveryCodes(codes, title) {
+    Swal.fire({
+        icon: 'success',
+        title,
+        html: `<p class="text-sm text-gray-500 mb-2">아래 복구 코드를 안전한 곳에 보관하세요. 각 코드는 한 번만 사용할 수 있으며 다시 표시되지 않습니다.</p>
+            <div class="grid grid-cols-2 gap-1 font-mono text-sm bg-[#F5F5F5] rounded p-3">${codes.map(c => `<span>${esc(c)}</span>`).join('')}</div>`,
+        confirmButtonText: '보관했습니다',
+        allowOutsideClick: false
+    });
+}
+
+async function regenerateRecoveryCodes() {
+    const { value: recoveryCodes } = await Swal.fire({
+        title: '복구 코드 재발급',
+        html: '<p class="text-sm text-gray-500">기존 복구 코드는 모두 무효화됩니다. 인증 앱의 6자리 코드를 입력하세요.</p>',
+        input: 'text',
+        inputAttributes: { autocomplete: 'one-time-code', inputmode: 'numeric', maxlength: '6' },
+        showCancelButton: true,
+        confirmButtonText: '재발급',
+        cancelButtonText: '취소',
+        showLoaderOnConfirm: true,
+        inputValidator: v => !/^\d{6}$/.test(v.trim()) ? '6자리 숫자를 입력해 주세요.' : undefined,
+        preConfirm: async code => {
+            try {
+                const { ok, data: json } = await safeFetch('/api/admin/me/totp/recovery-codes', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ code: code.trim() })
+                });
+                if (ok && json.success) return json.recoveryCodes;
+                Swal.showValidationMessage(json.error || '재발급에 실패했습니다.');
+            } catch (err) { Swal.showValidationMessage(err.message); }
+            return false;
+        }
+    });
+    if (recoveryCodes) showRecoveryCodes(recoveryCodes, '복구 코드가 재발급되었습니다');
+}
+
+async function disableTotp() {
+    const inputClass = 'w-full border border-[#D4D4D4] rounded px-3 py-2 text-sm outline-none focus:border-[#A3A3A3]';
+    const { isConfirmed } = await Swal.fire({
+        title: '2단계 인증 해제',
+        html: `<div class="space-y-2 text-left">
+            <input id="td_password" type="password" class="${inputClass}" placeholder="현재 비밀번호" autocomplete="current-password">
+            <input id="td_code" class="${inputClass}" placeholder="인증 코드 또는 복구 코드" autocomplete="one-time-code" maxlength="20">
+        </div>`,
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#DC2626',
+        confirmButtonText: '해제',
+        cancelButtonText: '취소',
+        showLoaderOnConfirm: true,
+        preConfirm: async () => {
+            const password = $('#td_password').val();
+            const code = $('#td_code').val().trim();
+            if (!password || !code) { Swal.showValidationMessage('비밀번호와 인증 코드를 입력해 주세요.'); return false; }
+            try {
+                const { ok, data: json } = await safeFetch('/api/admin/me/totp/disable', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ password, code })
+                });
+                if (ok && json.success) return true;
+                Swal.showValidationMessage(json.error || '해제에 실패했습니다.');
+            } catch (err) { Swal.showValidationMessage(err.message); }
+            return false;
+        }
+    });
+    if (isConfirmed) Swal.fire({ icon: 'success', title: '2단계 인증이 해제되었습니다', timer: 1200, showConfirmButton: false });
+}
+
+// ── 엑셀 내보내기 (선택 행: 서버 일괄 내보내기로 감사 기록 / 선택 없음: 필터된 전체 행) ──
+async function exportToExcel() {
+    const selected = selectedItems();
+    if (selected.length > 0) {
+        const json = await runBulk('export', selected);
+        if (json) writeExcel(json.data);
+        return;
+    }
+    const rows = table.rows({ search: 'applied' }).data().toArray();
+    if (rows.length === 0) return Swal.fire({ title: '내보낼 데이터가 없습니다', icon: 'info', timer: 1200, showConfirmButton: false });
+    writeExcel(rows.map(r => dataById.get($(r[DETAIL_COL]).data('id'))).filter(Boolean));
+}
+
+function writeExcel(items) {
+    try {
+        const data = items.map(item => ({
+            '신청일': fmtDate(item.request_date),
+            '식별코드': item.request_code,
+            '유형': item.request_type || '반환청구',
+            '계약자 코드': item.contractor_code || '',
+            '가맹점 코드': item.merchant_code || '',
+            '신청인': item.applicant_name,
+            '연락처': fmtPhone(item.applicant_phone),
+            '입금일': fmtDate(item.deposit_date),
+            '입금시간': item.deposit_time || '',
+            '입금액': Number(item.deposit_amount),
+            '은행': item.bank_name,
+            '사용계좌': item.user_account,
+            '예금주': item.user_account_name,
+            '상세사유': item.details || '',
+            '상태': item.status,
+            '우선순위': priorityInfo(item.priority)?.label || '',
+            '태그': (item.tag_ids || []).map(id => tagById(id)?.name).filter(Boolean).join(', '),
+            '담당자': item.assigned_name || '',
+            '처리기한': item.due_date || '',
+            '경과(영업일)': item.aging_days ?? '',
+            '등록일시': item.created_at ? new Date(item.created_at).toLocaleString('ko-KR') : ''
+        }));
         const ws = XLSX.utils.json_to_sheet(data);
         const wb = XLSX.utils.book_new();
         XLSX.utils.book_append_sheet(wb, ws, "사유서_데이터");
@@ -1060,8 +3236,19 @@ function exportToExcel() {
 // ── Word(DOCX) 다운로드 ──
 async function downloadWord() {
     if (!currentDetailId) return;
+    // 내부 메모가 있으면 부록 포함 여부 선택 (기본: 제외 — 외부 제출용 문서에 섞이지 않도록)
+    let withComments = false;
+    if (dataById.get(currentDetailId)?._commentCount > 0) {
+        const choice = await Swal.fire({
+            title: 'Word 다운로드', text: '내부 메모를 부록으로 포함할까요? 부록은 대외비로 표시됩니다.',
+            showDenyButton: true, showCancelButton: true,
+            confirmButtonText: '메모 제외', denyButtonText: '메모 부록 포함', cancelButtonText: '취소'
+        });
+        if (choice.isDismissed) return;
+        withComments = choice.isDenied;
+    }
     try {
-        const response = await fetch(`/api/admin/request/${currentDetailId}/docx`, { credentials: 'include' });
+        const response = await fetch(`/api/admin/request/${currentDetailId}/docx${withComments ? '?comments=1' : ''}`, { credentials: 'include' });
         
         // 세션 만료 처리 (safeFetch의 로직과 동일하게)
         if (response.status === 401) {
@@ -1125,27 +3312,88 @@ document.addEventListener('click', (e) => {
     if (!btn) return;
     const action = btn.getAttribute('data-action');
     const actions = {
-        logout, exportToExcel, openCreateModal, bulkDelete, resetFilters,
+        logout, exportToExcel, openCreateModal, bulkDelete, bulkStatus, bulkAssign, bulkTag, bulkPriority, resetFilters,
         closeModal, deleteRequest, toggleEditMode, saveEdit, saveCreate,
-        cancelEditMode, downloadWord, printPage
+        cancelEditMode, downloadWord, printPage, openUserCreate, openTotpSettings, loadLockouts, loadSecurityStats,
+        openTemplateCreate: () => openTemplateForm(),
+        openTagCreate: () => openTagForm(),
+        openHolidayCreate: openHolidayForm,
+        openMentions, submitComment, openApprovals, scanDuplicates,
+        openMySessions, loadAllSessions,
+        openPasswordChange: () => openPasswordChange()
     };
     if (actions[action]) actions[action]();
 });
 
-// 상태 드롭다운 변경 + 파일 추가 input
+// 상태 드롭다운 변경 + 파일 추가 input + 사용자 역할 변경
 document.addEventListener('change', (e) => {
     const sel = e.target.closest('[data-status-change]');
     if (sel) { updateStatusDirect(parseInt(sel.dataset.statusChange), sel); return; }
     const fileInput = e.target.closest('[data-add-files]');
     if (fileInput) { addFilesInline(parseInt(fileInput.dataset.addFiles), fileInput.dataset.field, fileInput, parseInt(fileInput.dataset.remaining)); return; }
+    const roleSel = e.target.closest('[data-user-role]');
+    if (roleSel) { changeUserRole(parseInt(roleSel.dataset.userRole), roleSel); return; }
+    if (e.target.id === 'mentionPicker') { insertMention(e.target); return; }
+    if (e.target.id === 'holidayYear') { loadHolidays(); return; }
+    if (e.target.id === 'holidayImportFile') { importHolidays(e.target); return; }
+    if (e.target.id === 'securityStatsDays') { loadSecurityStats(); return; }
+    if (e.target.id === 'securityEventCategory') loadSecurityEvents();
 });
 
-// 파일 삭제 버튼 + 이미지 클릭 확대
+// 파일 삭제 버튼 + 이미지 클릭 확대 + 탭 전환 + 사용자 관리·잠금 해제·세션 종료 버튼
 document.addEventListener('click', (e) => {
     const delBtn = e.target.closest('[data-delete-file]');
     if (delBtn) { deleteFileInline(parseInt(delBtn.dataset.deleteFile), parseInt(delBtn.dataset.fileId)); return; }
     const zoomEl = e.target.closest('[data-zoom-image]');
     if (zoomEl) { zoomImage(zoomEl.src ?? zoomEl.querySelector('img')?.src); return; }
+    const commentBtn = e.target.closest('[data-comment-action]');
+    if (commentBtn) { handleCommentAction(commentBtn.dataset.commentAction, parseInt(commentBtn.dataset.commentId, 10)); return; }
+    const mentionItem = e.target.closest('[data-open-mention]');
+    if (mentionItem) { openMentionedRequest(parseInt(mentionItem.dataset.openMention, 10)); return; }
+    const reopenBtn = e.target.closest('[data-reopen-request]');
+    if (reopenBtn) { openReopenDialog(parseInt(reopenBtn.dataset.reopenRequest, 10)); return; }
+    const reopenDecisionBtn = e.target.closest('[data-reopen-decision]');
+    if (reopenDecisionBtn) { decideReopen(parseInt(reopenDecisionBtn.dataset.reopenId, 10), reopenDecisionBtn.dataset.reopenDecision, parseInt(reopenDecisionBtn.dataset.requestId, 10)); return; }
+    const duplicateBtn = e.target.closest('[data-duplicate-decision]');
+    if (duplicateBtn) { decideDuplicate(parseInt(duplicateBtn.dataset.duplicateId, 10), duplicateBtn.dataset.duplicateDecision, parseInt(duplicateBtn.dataset.requestId, 10)); return; }
+    const optOutBtn = e.target.closest('[data-notification-optout]');
+    if (optOutBtn) { setApplicantNotifyOptOut(parseInt(optOutBtn.dataset.requestId, 10), optOutBtn.dataset.notificationOptout === 'on'); return; }
+    const resendBtn = e.target.closest('[data-notification-resend]');
+    if (resendBtn) { resendApplicantNotification(parseInt(resendBtn.dataset.notificationResend, 10), parseInt(resendBtn.dataset.requestId, 10)); return; }
+    const inboxItem = e.target.closest('[data-open-request]');
+    if (inboxItem) { openInboxRequest(parseInt(inboxItem.dataset.openRequest, 10)); return; }
+    const approvalBtn = e.target.closest('[data-approval-action]');
+    if (approvalBtn) { handleApprovalAction(approvalBtn.dataset.approvalAction, parseInt(approvalBtn.dataset.requestId, 10)); return; }
+    const assignBtn = e.target.closest('[data-assign-request]');
+    if (assignBtn) { openAssignDialog(parseInt(assignBtn.dataset.assignRequest, 10)); return; }
+    const classifyBtn = e.target.closest('[data-classify-request]');
+    if (classifyBtn) { openClassifyDialog(parseInt(classifyBtn.dataset.classifyRequest, 10)); return; }
+    const tagBtn = e.target.closest('[data-tag-action]');
+    if (tagBtn) { handleTagAction(tagBtn.dataset.tagAction, parseInt(tagBtn.dataset.tagId, 10)); return; }
+    const tplBtn = e.target.closest('[data-template-action]');
+    if (tplBtn) { handleTemplateAction(tplBtn.dataset.templateAction, parseInt(tplBtn.dataset.templateId, 10)); return; }
+    const holidayBtn = e.target.closest('[data-delete-holiday]');
+    if (holidayBtn) { deleteHoliday(holidayBtn.dataset.deleteHoliday, holidayBtn.dataset.holidayName); return; }
+    const restoreBtn = e.target.closest('[data-restore-history]');
+    if (restoreBtn) { restoreFieldHistory(parseInt(restoreBtn.dataset.restoreHistory, 10)); return; }
+    const detailTabBtn = e.target.closest('[data-detail-tab]');
+    if (detailTabBtn) { switchDetailTab(detailTabBtn.dataset.detailTab); return; }
+    const tabBtn = e.target.closest('[data-tab]');
+    if (tabBtn) { switchTab(tabBtn.dataset.tab); return; }
+    const revokeBtn = e.target.closest('[data-revoke-session]');
+    if (revokeBtn) { revokeSession(revokeBtn.dataset.revokeSession); return; }
+    const unlockAccountBtn = e.target.closest('[data-unlock-account]');
+    if (unlockAccountBtn) { unlockAccount(unlockAccountBtn.dataset.unlockAccount); return; }
+    const unlockClientBtn = e.target.closest('[data-unlock-client]');
+    if (unlockClientBtn) { unlockClient(unlockClientBtn.dataset.limiter, unlockClientBtn.dataset.unlockClient); return; }
+    const userBtn = e.target.closest('[data-user-action]');
+    if (userBtn) {
+        const userId = parseInt(userBtn.dataset.userId);
+        if (userBtn.dataset.userAction === 'reset') resetUserPassword(userId, userBtn.dataset.username);
+        else if (userBtn.dataset.userAction === 'toggle') toggleUserActive(userId, userBtn.dataset.active === '1');
+        else if (userBtn.dataset.userAction === 'totpReset') resetUserTotp(userId, userBtn.dataset.username);
+        return;
+    }
 });
 
 // 이미지 Enter 키 접근성 (키보드 사용자 지원)
@@ -7,7 +7,10 @@
  *   - 입력값 실시간 포맷팅 (전화번호, 금액, 계좌번호)
  *   - 한글 IME 조합 중 기호 삭제 방지 (compositionstart/end)
  *   - 폼 제출 → 식별코드 발급 + 텍스트 파일 다운로드
- *   - 진행 상태 조회 (식별코드 기반)
+ *   - 진행 상태 조회 (식별코드 + 연락처 끝 4자리, 진행 단계 표시)
+ *   - 보완 서류 제출 (식별코드 + 연락처 확인, 보완 제출을 받는 상태에서만)
+ *   - 신청 취소 (식별코드 + 연락처 확인, 처리 시작 전 상태에서만)
+ *   - 문자 알림 수신 설정 (접수 폼 선택 · 상태 조회 화면에서 변경)
  */
 
 // ── XSS 이스케이핑 헬퍼 ──
@@ -175,7 +178,7 @@ function renderFileListGeneric(filesArray, dropZone, filePreview, fileListEl, fi
     }).join('');
 
     // 삭제 버튼 이벤트 바인딩 (CSP 호환 — inline onclick 대신 event delegation)
-    const removeFnMap = { removeDepositFile, removeIdFile, removeMdDepositFile };
+    const removeFnMap = { removeDepositFile, removeIdFile, removeMdDepositFile, removeSpDepositFile, removeSpIdFile };
     fileListEl.querySelectorAll('button[data-remove-fn]').forEach(btn => {
         btn.addEventListener('click', () => {
             const fn = removeFnMap[btn.dataset.removeFn];
@@ -238,6 +241,37 @@ function removeMdDepositFile(idx) { selectedMdDepositFiles.splice(idx, 1); rende
 function clearAllMdDepositFiles() { selectedMdDepositFiles = []; mdDepositFileInput.value = ''; renderMdDepositFileList(); }
 // clearAllMdDepositFiles, removeMdDepositFile — addEventListener로 바인딩됨
 
+// ── 보완 서류 파일 관리 (상태 조회 화면, 카테고리별 5개 — 이미 제출한 파일 수는 서버에서 확인) ──
+const spDepositDropZone = document.getElementById('sp-deposit-drop-zone');
+const spDepositFileInput = document.getElementById('sp-deposit-file-upload');
+const spIdDropZone = document.getElementById('sp-id-drop-zone');
+const spIdFileInput = document.getElementById('sp-id-file-upload');
+let selectedSpDepositFiles = [];
+let selectedSpIdFiles = [];
+
+if (spDepositDropZone && spDepositFileInput) {
+    setupDropZone(spDepositDropZone, spDepositFileInput, selectedSpDepositFiles, 5, (files) => {
+        handleFilesGeneric(files, selectedSpDepositFiles, spDepositFileInput, 5, '입출금내역서');
+        renderSpDepositFileList();
+    });
+}
+if (spIdDropZone && spIdFileInput) {
+    setupDropZone(spIdDropZone, spIdFileInput, selectedSpIdFiles, 5, (files) => {
+        handleFilesGeneric(files, selectedSpIdFiles, spIdFileInput, 5, '신분증');
+        renderSpIdFileList();
+    });
+}
+function renderSpDepositFileList() {
+    renderFileListGeneric(selectedSpDepositFiles, spDepositDropZone, document.getElementById('spDepositFilePreview'), document.getElementById('spDepositFileList'), document.getElementById('spDepositFileCount'), 'spDepositAddMoreBtn', 'removeSpDepositFile', 'border-blue-100');
+}
+function renderSpIdFileList() {
+    renderFileListGeneric(selectedSpIdFiles, spIdDropZone, document.getElementById('spIdFilePreview'), document.getElementById('spIdFileList'), document.getElementById('spIdFileCount'), 'spIdAddMoreBtn', 'removeSpIdFile', 'border-green-100');
+}
+function removeSpDepositFile(idx) { selectedSpDepositFiles.splice(idx, 1); renderSpDepositFileList(); }
+function removeSpIdFile(idx) { selectedSpIdFiles.splice(idx, 1); renderSpIdFileList(); }
+function clearAllSpDepositFiles() { selectedSpDepositFiles.length = 0; spDepositFileInput.value = ''; renderSpDepositFileList(); }
+function clearAllSpIdFiles() { selectedSpIdFiles.length = 0; spIdFileInput.value = ''; renderSpIdFileList(); }
+
 // ── 날짜·시계 초기화 ──
 const kstOpts = { timeZone: 'Asia/Seoul' };
 const todayKST = new Date().toLocaleDateString('sv-SE', kstOpts); // YYYY-MM-DD 형식
@@ -334,12 +368,18 @@ document.getElementById('input_account')?.addEventListener('input', formatAccoun
 document.getElementById('status_code')?.addEventListener('input', e => {
     e.target.value = e.target.value.replace(/[^a-zA-Z0-9\-]/g, '').toUpperCase();
 });
+document.getElementById('status_phone4')?.addEventListener('input', e => {
+    e.target.value = e.target.value.replace(/\D/g, '').slice(0, 4);
+});
 
 // 오입금 폼 포맷터
 document.getElementById('md_input_phone')?.addEventListener('input', formatPhone);
 document.getElementById('md_input_amount')?.addEventListener('input', formatAmount);
 document.getElementById('md_input_account')?.addEventListener('input', formatAccount);
 
+// 보완 서류 본인 확인 연락처
+document.getElementById('supplement_phone')?.addEventListener('input', formatPhone);
+
 // ── 공통 textarea 글자수 핸들러 (IME 조합 대응) ──
 function setupTextareaCharCount(textareaId, counterId, maxLen = 200) {
     const textarea = document.getElementById(textareaId);
@@ -406,6 +446,8 @@ function setupFormSubmit(formId, { validate, attachFiles, accentColor }) {
 
         formData.set('deposit_amount', formData.get('deposit_amount').replace(/,/g, ''));
         formData.set('terms_agreed', formData.get('terms') ? '1' : '0');
+        formData.set('notify_opt_out', formData.get('notify') ? '0' : '1');
+        formData.delete('notify');
         attachFiles(formData);
 
         try {
@@ -479,7 +521,8 @@ function downloadCodeAsTxt(requestCode) {
         '',
         '───────────────────────────────────────',
         '',
-        '  위 식별코드로 진행 상태를 조회할 수 있습니다.',
+        '  위 식별코드와 신청 시 입력한 연락처 끝 4자리로',
+        '  진행 상태를 조회할 수 있습니다.',
         '  사유서 제작 홈페이지 → "진행 상태 조회" 버튼',
         '',
         '═══════════════════════════════════════',
@@ -510,26 +553,184 @@ function showSubmit() {
         showRefundTab();
     }
 }
+// 마지막으로 조회에 성공한 식별코드 · 연락처 끝 4자리 (보완 서류 제출 · 알림 설정 대상)
+let checkedCode = null;
+let checkedPhone4 = null;
+
+// 진행 단계 스텝퍼: 완료 단계는 결과(반려·취소)에 따라 색상 구분
+const STEP_CLOSED_COLORS = { '반려': 'bg-amber-500 border-amber-500', '취소': 'bg-gray-400 border-gray-400' };
+function renderTimeline(timeline) {
+    const fmt = at => at ? new Date(at).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: false }) : '';
+    document.getElementById('res_timeline').innerHTML = (timeline || []).map((step, idx, all) => {
+        const dot = step.state === 'pending'
+            ? 'bg-white border-gray-200'
+            : step.state === 'current'
+                ? 'bg-white border-blue-600 ring-4 ring-blue-50'
+                : (step.stage === 'closed' && STEP_CLOSED_COLORS[step.label]) || 'bg-blue-600 border-blue-600';
+        const line = idx < all.length - 1
+            ? `<span class="absolute top-2 left-1/2 w-full h-0.5 ${all[idx + 1].state === 'pending' ? 'bg-gray-200' : 'bg-blue-600'}" aria-hidden="true"></span>`
+            : '';
+        return `<li class="relative flex flex-col items-center text-center" ${step.state === 'current' ? 'aria-current="step"' : ''}>
+            ${line}
+            <span class="relative z-10 w-4 h-4 rounded-full border-2 ${dot}"></span>
+            <span class="mt-2 text-xs sm:text-sm font-bold ${step.state === 'pending' ? 'text-gray-300' : 'text-[#1A1A1A]'}">${esc(step.label)}</span>
+            <span class="text-[11px] sm:text-xs font-medium text-gray-400 min-h-[1rem]">${esc(fmt(step.at))}</span>
+        </li>`;
+    }).join('');
+}
+
 async function checkStatus() {
     const code = document.getElementById('status_code').value.trim();
+    const phone4 = document.getElementById('status_phone4').value.trim();
     if (!code) {
         Swal.fire('입력 필요', '식별코드를 입력해 주세요.', 'warning');
         return;
     }
+    if (!/^\d{4}$/.test(phone4)) {
+        Swal.fire('입력 필요', '신청 시 입력한 연락처 끝 4자리를 입력해 주세요.', 'warning');
+        return;
+    }
     try {
-        const { ok, data: res } = await safeFetch(`/api/status/${code}`, {}, 15000);
+        const { ok, data: res } = await safeFetch(`/api/status/${encodeURIComponent(code)}?phone=${phone4}`, {}, 15000);
         if (ok && res.success) {
             document.getElementById('statusResult').classList.remove('hidden');
             document.getElementById('res_status').textContent = res.data.status;
+            renderTimeline(res.data.timeline);
+            const withdrawnEl = document.getElementById('res_withdrawn');
+            withdrawnEl.textContent = res.data.withdrawn_at ? `신청인 취소 · ${new Date(res.data.withdrawn_at).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' })}` : '';
+            withdrawnEl.classList.toggle('hidden', !res.data.withdrawn_at);
+            // 반려 등 처리 사유 (서버에서 정리된 텍스트)
+            document.getElementById('res_reason').textContent = res.data.reason || '';
+            document.getElementById('res_reason_box').classList.toggle('hidden', !res.data.reason);
             document.getElementById('res_name').textContent = res.data.applicant_name;
             document.getElementById('res_date').textContent = new Date(res.data.created_at).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
             const badge = document.getElementById('res_type_badge');
             const isMisdeposit = res.data.request_type === '오입금';
             badge.textContent = isMisdeposit ? '오입금' : '반환청구';
             badge.className = `inline-block px-3 py-1 rounded-full text-xs font-bold mt-1 ${isMisdeposit ? 'bg-orange-100 text-orange-700' : 'bg-blue-100 text-blue-700'}`;
+            // 다른 건을 조회하면 선택해 둔 보완 파일은 비움
+            if (checkedCode !== code) { clearAllSpDepositFiles(); clearAllSpIdFiles(); }
+            checkedCode = code;
+            checkedPhone4 = phone4;
+            document.getElementById('res_notify').checked = !res.data.notify_opt_out;
+            document.getElementById('supplementBox').classList.toggle('hidden', !res.data.accepts_supplement);
+            document.getElementById('withdrawBox').classList.toggle('hidden', !res.data.withdrawable);
         } else {
+            checkedCode = null;
+            checkedPhone4 = null;
             document.getElementById('statusResult').classList.add('hidden');
-            Swal.fire('조회 실패', res.error || '해당 식별코드를 찾을 수 없습니다.', 'error');
+            Swal.fire('조회 실패', res.error || '식별코드와 연락처가 일치하는 사유서를 찾을 수 없습니다.', 'error');
+        }
+    } catch (err) { Swal.fire('오류', err.message, 'error'); }
+}
+
+// ── 보완 서류 제출 ──
+let isSupplementing = false;
+async function submitSupplement() {
+    if (isSupplementing || !checkedCode) return;
+    const phone = document.getElementById('supplement_phone').value;
+    if (phone.replace(/\D/g, '').length < 10) {
+        Swal.fire('입력 필요', '신청 시 입력한 연락처를 입력해 주세요.', 'warning');
+        return;
+    }
+    if (selectedSpDepositFiles.length + selectedSpIdFiles.length === 0) {
+        Swal.fire('입력 필요', '보완할 파일을 1개 이상 선택해 주세요.', 'warning');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('applicant_phone', phone.replace(/\D/g, ''));
+    selectedSpDepositFiles.forEach(f => formData.append('deposit_files', f, f.name));
+    selectedSpIdFiles.forEach(f => formData.append('id_card_files', f, f.name));
+
+    const btn = document.getElementById('btnSupplementSubmit');
+    const origText = btn.textContent;
+    isSupplementing = true;
+    btn.disabled = true;
+    btn.textContent = '제출 중\u2026';
+    try {
+        const { ok, data: res } = await safeFetch(`/api/request/${encodeURIComponent(checkedCode)}/supplement`, { method: 'POST', body: formData }, 60000);
+        if (ok && res.success) {
+            clearAllSpDepositFiles();
+            clearAllSpIdFiles();
+            Swal.fire('제출 완료', `보완 서류 ${res.added}개가 제출되었습니다. 담당자가 확인 후 처리합니다.`, 'success');
+        } else {
+            Swal.fire('제출 실패', res.error || '보완 서류 제출에 실패했습니다.', 'error');
+        }
+    } catch (err) {
+        Swal.fire('오류', err.message, 'error');
+    } finally {
+        isSupplementing = false;
+        btn.disabled = false;
+        btn.textContent = origText;
+    }
+}
+
+// ── 문자 알림 수신 설정 (실패 시 체크 상태 되돌림) ──
+async function updateNotifyPreference(e) {
+    const checkbox = e.target;
+    if (!checkedCode || !checkedPhone4) return;
+    checkbox.disabled = true;
+    try {
+        const { ok, data: res } = await safeFetch(`/api/status/${encodeURIComponent(checkedCode)}/notifications`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phone: checkedPhone4, opt_out: !checkbox.checked })
+        }, 15000);
+        if (ok && res.success) {
+            Swal.fire({ icon: 'success', title: checkbox.checked ? '문자 알림을 받습니다.' : '문자 알림을 받지 않습니다.', timer: 1800, showConfirmButton: false, toast: true, position: 'top-end' });
+        } else {
+            checkbox.checked = !checkbox.checked;
+            Swal.fire('변경 실패', res.error || '알림 설정을 변경하지 못했습니다.', 'error');
+        }
+    } catch (err) {
+        checkbox.checked = !checkbox.checked;
+        Swal.fire('오류', err.message, 'error');
+    } finally {
+        checkbox.disabled = false;
+    }
+}
+
+// ── 신청 취소 (연락처 확인 · 선택 사유 입력 후 서버 반영, 결과는 상태 재조회로 표시) ──
+async function withdrawRequest() {
+    if (!checkedCode) return;
+    const { value: form } = await Swal.fire({
+        icon: 'warning',
+        title: '신청을 취소할까요?',
+        html: `<p class="text-sm text-gray-500 mb-3">식별코드 <strong>${esc(checkedCode)}</strong> 사유서를 취소합니다. 취소 후에는 되돌릴 수 없으며, 다시 신청해야 합니다.</p>
+               <input id="swal_withdraw_phone" type="tel" maxlength="13" class="swal2-input" placeholder="신청 시 입력한 연락처" autocomplete="tel">
+               <textarea id="swal_withdraw_reason" class="swal2-textarea" maxlength="200" placeholder="취소 사유 (선택, 200자 이내)"></textarea>`,
+        showCancelButton: true,
+        confirmButtonText: '신청 취소',
+        cancelButtonText: '닫기',
+        confirmButtonColor: '#dc2626',
+        didOpen: () => {
+            const phoneInput = document.getElementById('swal_withdraw_phone');
+            phoneInput.value = document.getElementById('supplement_phone')?.value || '';
+            phoneInput.addEventListener('input', formatPhone);
+        },
+        preConfirm: () => {
+            const phone = document.getElementById('swal_withdraw_phone').value.replace(/\D/g, '');
+            if (phone.length < 10) {
+                Swal.showValidationMessage('신청 시 입력한 연락처를 입력해 주세요.');
+                return false;
+            }
+            return { applicant_phone: phone, reason: document.getElementById('swal_withdraw_reason').value.trim() };
+        }
+    });
+    if (!form) return;
+
+    try {
+        const { ok, data: res } = await safeFetch(`/api/request/${encodeURIComponent(checkedCode)}/withdraw`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(form)
+        }, 15000);
+        if (ok && res.success) {
+            await Swal.fire('취소 완료', '신청이 취소되었습니다.', 'success');
+            checkStatus();
+        } else {
+            Swal.fire('취소 실패', res.error || '신청 취소에 실패했습니다.', 'error');
         }
     } catch (err) { Swal.fire('오류', err.message, 'error'); }
 }
@@ -548,6 +749,13 @@ document.getElementById('mdDepositAddMoreBtn')?.addEventListener('click', () =>
 document.getElementById('btnTermsMisdeposit')?.addEventListener('click', (e) => { e.stopPropagation(); openTermsModal(); });
 document.getElementById('btnBackToSubmit')?.addEventListener('click', showSubmit);
 document.getElementById('btnCheckStatus')?.addEventListener('click', checkStatus);
+document.getElementById('btnClearSpDepositFiles')?.addEventListener('click', clearAllSpDepositFiles);
+document.getElementById('spDepositAddMoreBtn')?.addEventListener('click', () => spDepositFileInput?.click());
+document.getElementById('btnClearSpIdFiles')?.addEventListener('click', clearAllSpIdFiles);
+document.getElementById('spIdAddMoreBtn')?.addEventListener('click', () => spIdFileInput?.click());
+document.getElementById('btnSupplementSubmit')?.addEventListener('click', submitSupplement);
+document.getElementById('btnWithdraw')?.addEventListener('click', withdrawRequest);
+document.getElementById('res_notify')?.addEventListener('change', updateNotifyPreference);
 document.getElementById('btnDateTimePicker')?.addEventListener('click', () => {
     openDateTimePicker({ dateInputId: 'date_deposit', timeInputId: 'time_deposit', displayId: 'dateTimeDisplay', accentColor: '#2563eb' });
 });
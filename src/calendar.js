@@ -0,0 +1,190 @@
+/**
+ * calendar.js — 영업일 · 공휴일 달력 (한국 공휴일 · 대체공휴일)
+ *
+ * Holidays 테이블을 메모리에 캐시하여 동기 함수로 영업일 계산을 제공.
+ *   - SLA 처리 기한(sla.js), 정기 알림(영업일에만 발송), 신청일자·입금일자 검증에서 공통 사용
+ *   - 관리자 화면에서 개별 등록·삭제, ICS(iCalendar)·CSV 파일 가져오기
+ * 캐시는 서버 시작 시, 변경 직후, 정기 작업(다른 인스턴스 변경 반영)에서 refresh()로 갱신.
+ * 날짜는 'YYYY-MM-DD' 문자열로 주고받는다 (시간대 차이 배제, 기준은 한국 시간).
+ * server.js에서 `require('./calendar')` 로 가져다 사용.
+ */
+const { poolPromise, mssql } = require('./db');
+
+const DAY_MS = 86400000;
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_EVENT_DAYS = 10;          // ICS 연속 일정 펼침 상한 (설·추석 연휴 등)
+
+let holidays = new Map();           // 'YYYY-MM-DD' → 공휴일 이름
+
+// ── 날짜 문자열 헬퍼 ──
+function parseYmd(ymd) {
+    const [y, m, d] = String(ymd).slice(0, 10).split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+}
+
+function formatYmd(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// 형식 + 실제 존재하는 날짜 여부 (2026-02-30 등 거부)
+function isValidYmd(ymd) {
+    return typeof ymd === 'string' && YMD_RE.test(ymd) && formatYmd(parseYmd(ymd)) === ymd;
+}
+
+const _kstFmt = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul', year: 'numeric', month: '2-digit', day: '2-digit' });
+function todayKst() {
+    return _kstFmt.format(new Date());
+}
+
+// ── 영업일 계산 ──
+function holidayName(ymd) {
+    return holidays.get(ymd) || null;
+}
+
+// 영업일 여부 (토·일 · 공휴일 · 대체공휴일 제외)
+function isBusinessDay(ymd) {
+    const day = new Date(parseYmd(ymd)).getUTCDay();
+    return day !== 0 && day !== 6 && !holidays.has(ymd);
+}
+
+// ymd 다음 날부터 세어 n번째 영업일 (휴일 접수분은 다음 영업일부터 세는 것과 같음)
+function addBusinessDays(ymd, n) {
+    let ms = parseYmd(ymd);
+    let left = n;
+    while (left > 0) {
+        ms += DAY_MS;
+        if (isBusinessDay(formatYmd(ms))) left--;
+    }
+    return formatYmd(ms);
+}
+
+// from 다음 날부터 to까지 포함한 영업일 수 (to <= from이면 0)
+function businessDaysBetween(fromYmd, toYmd) {
+    const end = parseYmd(toYmd);
+    let count = 0;
+    for (let ms = parseYmd(fromYmd) + DAY_MS; ms <= end; ms += DAY_MS) {
+        if (isBusinessDay(formatYmd(ms))) count++;
+    }
+    return count;
+}
+
+// ymd가 영업일이면 그대로, 아니면 다음 영업일
+function nextBusinessDay(ymd) {
+    let ms = parseYmd(ymd);
+    while (!isBusinessDay(formatYmd(ms))) ms += DAY_MS;
+    return formatYmd(ms);
+}
+
+// ── 저장소 (Holidays 테이블) ──
+async function refresh() {
+    const pool = await poolPromise;
+    const result = await pool.request().query('SELECT CONVERT(CHAR(10), holiday_date, 120) AS ymd, name FROM Holidays');
+    holidays = new Map(result.recordset.map(r => [r.ymd, r.name]));
+    return holidays.size;
+}
+
+async function listHolidays(year) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('from', mssql.Date, `${year}-01-01`)
+        .input('to', mssql.Date, `${year}-12-31`)
+        .query(`SELECT CONVERT(CHAR(10), holiday_date, 120) AS date, name, is_substitute, source, updated_by, updated_at
+                FROM Holidays WHERE holiday_date BETWEEN @from AND @to ORDER BY holiday_date`);
+    return result.recordset;
+}
+
+// 등록 또는 이름 변경. 반환: 'insert' | 'update' | 'same'
+async function upsertHoliday(poolOrTx, { date, name, source, updatedBy }) {
+    const result = await poolOrTx.request()
+        .input('date', mssql.Date, date)
+        .input('name', mssql.NVarChar, name)
+        .input('isSubstitute', mssql.Bit, name.includes('대체') ? 1 : 0)
+        .input('source', mssql.NVarChar, source)
+        .input('updatedBy', mssql.NVarChar, updatedBy)
+        .query(`MERGE Holidays WITH (HOLDLOCK) AS t
+                USING (SELECT @date AS holiday_date) AS s ON t.holiday_date = s.holiday_date
+                WHEN MATCHED AND t.name <> @name THEN
+                    UPDATE SET name = @name, is_substitute = @isSubstitute, source = @source, updated_by = @updatedBy, updated_at = GETDATE()
+                WHEN NOT MATCHED THEN
+                    INSERT (holiday_date, name, is_substitute, source, updated_by) VALUES (@date, @name, @isSubstitute, @source, @updatedBy)
+                OUTPUT $action AS action;`);
+    const action = result.recordset[0]?.action;
+    return action === 'INSERT' ? 'insert' : action === 'UPDATE' ? 'update' : 'same';
+}
+
+async function deleteHoliday(date) {
+    const pool = await poolPromise;
+    const result = await pool.request().input('date', mssql.Date, date)
+        .query('DELETE FROM Holidays OUTPUT DELETED.name WHERE holiday_date = @date');
+    return result.recordset[0]?.name ?? null;
+}
+
+// ── 가져오기 파서 (반환: [{ date, name }], 잘못된 행은 errors에 행 번호와 함께) ──
+
+// iCalendar: VEVENT의 DTSTART(;VALUE=DATE) · DTEND(미포함) · SUMMARY. 여러 날 일정은 날짜별로 펼침
+function parseIcs(text) {
+    const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const items = [], errors = [];
+    let event = null;
+    lines.forEach((line, idx) => {
+        if (line === 'BEGIN:VEVENT') { event = { line: idx + 1 }; return; }
+        if (!event) return;
+        if (line === 'END:VEVENT') {
+            const start = icsDate(event.DTSTART);
+            if (!start || !event.SUMMARY) { errors.push({ line: event.line, error: '날짜 또는 제목 없음' }); event = null; return; }
+            const end = icsDate(event.DTEND);
+            const days = end ? Math.min(MAX_EVENT_DAYS, Math.max(1, (parseYmd(end) - parseYmd(start)) / DAY_MS)) : 1;
+            for (let i = 0; i < days; i++) items.push({ date: formatYmd(parseYmd(start) + i * DAY_MS), name: event.SUMMARY });
+            event = null;
+            return;
+        }
+        const m = line.match(/^([A-Z-]+)(?:;[^:]*)?:(.*)$/);
+        if (m && ['DTSTART', 'DTEND', 'SUMMARY'].includes(m[1])) {
+            event[m[1]] = m[1] === 'SUMMARY' ? m[2].replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim() : m[2].trim();
+        }
+    });
+    return { items, errors };
+}
+
+function icsDate(value) {
+    const m = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!m) return null;
+    const ymd = `${m[1]}-${m[2]}-${m[3]}`;
+    return isValidYmd(ymd) ? ymd : null;
+}
+
+// CSV: 날짜,이름 (머리글 행 허용, 날짜는 2026-01-01 · 20260101 · 2026.01.01 · 2026/01/01)
+function parseCsv(text) {
+    const items = [], errors = [];
+    String(text).replace(/^\uFEFF/, '').split(/\r\n?|\n/).forEach((raw, idx) => {
+        const line = raw.trim();
+        if (!line) return;
+        const [rawDate, ...rest] = line.split(',').map(v => v.trim().replace(/^"(.*)"$/, '$1').trim());
+        const digits = rawDate.replace(/[.\/-]/g, '');
+        const ymd = /^\d{8}$/.test(digits) ? `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}` : null;
+        const name = rest.join(',').trim();
+        if (!ymd || !isValidYmd(ymd)) {
+            if (idx > 0) errors.push({ line: idx + 1, error: '날짜 형식 오류' });   // 첫 행은 머리글로 간주
+            return;
+        }
+        if (!name) { errors.push({ line: idx + 1, error: '이름 없음' }); return; }
+        items.push({ date: ymd, name });
+    });
+    return { items, errors };
+}
+
+module.exports = {
+    isValidYmd,
+    todayKst,
+    holidayName,
+    isBusinessDay,
+    addBusinessDays,
+    businessDaysBetween,
+    nextBusinessDay,
+    refresh,
+    listHolidays,
+    upsertHoliday,
+    deleteHoliday,
+    parseIcs,
+    parseCsv
+};
@@ -0,0 +1,81 @@
+/**
+ * duplicates.js — 중복 · 재접수 의심 건 탐지
+ *
+ * 처리 결과를 기다리다 같은 건을 다시 접수하는 경우가 많아, 아래 조건을 모두 만족하면 중복 의심으로 연결한다.
+ *   - 연락처 또는 반환 계좌가 같음
+ *   - 입금액이 같음
+ *   - 입금 일시 차이가 WINDOW_HOURS 이내 (입금 시간이 없으면 정오로 간주)
+ * 나중에 접수된 건(request_id)이 먼저 접수된 건(original_id)을 가리키도록 RequestDuplicates에 저장.
+ *   - 접수(공개 · 관리자 등록)와 관련 필드 수정 시 해당 건만 검사, 관리자 화면 '중복 검사'로 전체 재검사
+ *   - 관리자가 병합(merged) 또는 중복 아님(dismissed)으로 판정한 연결은 다시 의심으로 올리지 않음
+ *   - 병합: 나중 건을 MERGE_STATUS로 닫고 신청인 상태 조회에 원 요청 식별코드를 안내
+ * server.js에서 `require('./duplicates')` 로 가져다 사용.
+ */
+const { mssql } = require('./db');
+
+// 입금 일시 허용 차이 (.env, 0이면 탐지 안 함)
+const WINDOW_HOURS = parseInt(process.env.DUPLICATE_WINDOW_HOURS ?? '48') || 0;
+
+// 병합된 나중 건의 상태 (workflow.js 전환 규칙으로 검증 — 최종·승인 단계 건은 병합 불가)
+const MERGE_STATUS = '반려';
+
+// 탐지 후 다시 검사할 필요가 있는 필드 (수정 시)
+const MATCH_FIELDS = ['applicant_phone', 'user_account', 'deposit_amount', 'deposit_date', 'deposit_time'];
+
+const depositAt = (alias) => `(CAST(${alias}.deposit_date AS DATETIME) + CAST(ISNULL(${alias}.deposit_time, '12:00') AS DATETIME))`;
+
+// n: 나중 접수 건, o: 먼저 접수 건. 이미 연결된 쌍 · 다른 건에 병합된 원 요청 제외
+const MATCH_SQL = `o.id < n.id
+    AND o.deposit_amount = n.deposit_amount
+    AND (o.applicant_phone = n.applicant_phone OR o.user_account = n.user_account)
+    AND ABS(DATEDIFF(MINUTE, ${depositAt('o')}, ${depositAt('n')})) <= @windowMinutes
+    AND NOT EXISTS (SELECT 1 FROM RequestDuplicates x WITH (UPDLOCK, HOLDLOCK) WHERE x.request_id = n.id AND x.original_id = o.id)
+    AND NOT EXISTS (SELECT 1 FROM RequestDuplicates m WHERE m.request_id = o.id AND m.state = N'merged')`;
+
+const MATCH_ON_SQL = `CASE WHEN o.applicant_phone = n.applicant_phone AND o.user_account = n.user_account THEN 'phone,account'
+                           WHEN o.applicant_phone = n.applicant_phone THEN 'phone' ELSE 'account' END`;
+
+/**
+ * 중복 의심 연결 생성. requestId를 주면 해당 건이 포함된 쌍만(앞·뒤 모두), 없으면 전체 재검사.
+ * 반환: 새로 만든 연결 [{ request_id, original_id, match_on }]
+ */
+async function detect(poolOrTx, requestId = null) {
+    if (!WINDOW_HOURS) return [];
+    const request = poolOrTx.request().input('windowMinutes', mssql.Int, WINDOW_HOURS * 60);
+    if (requestId !== null) request.input('id', mssql.Int, requestId);
+    const result = await request.query(`
+        INSERT INTO RequestDuplicates (request_id, original_id, match_on)
+        OUTPUT INSERTED.request_id, INSERTED.original_id, INSERTED.match_on
+        SELECT n.id, o.id, ${MATCH_ON_SQL}
+        FROM Requests n JOIN Requests o ON ${MATCH_SQL}
+        ${requestId !== null ? 'WHERE (n.id = @id OR o.id = @id)' : ''}`);
+    return result.recordset;
+}
+
+// 요청 1건에 걸린 연결 (나중 건 · 먼저 건 양쪽, 최신순)
+async function listFor(poolOrTx, requestId) {
+    const result = await poolOrTx.request().input('id', mssql.Int, requestId).query(`
+        SELECT d.id, d.request_id, d.original_id, d.match_on, d.state, d.decided_by_name, d.decision_note, d.decided_at, d.created_at,
+               n.request_code, n.status AS request_status, n.created_at AS request_created_at,
+               o.request_code AS original_code, o.status AS original_status, o.created_at AS original_created_at
+        FROM RequestDuplicates d
+        JOIN Requests n ON n.id = d.request_id
+        JOIN Requests o ON o.id = d.original_id
+        WHERE d.request_id = @id OR d.original_id = @id
+        ORDER BY d.created_at DESC, d.id DESC`);
+    return result.recordset;
+}
+
+// 신청인 상태 조회에 노출되는 병합 사유
+function mergeReason(originalCode) {
+    return `중복 접수된 건으로, 먼저 접수된 식별코드 ${originalCode} 건에서 함께 처리됩니다.`;
+}
+
+module.exports = {
+    WINDOW_HOURS,
+    MERGE_STATUS,
+    MATCH_FIELDS,
+    detect,
+    listFor,
+    mergeReason
+};
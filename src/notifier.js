@@ -0,0 +1,197 @@
+/**
+ * notifier.js — 신청인 알림 (문자 · 알림톡 형태) 발송
+ *
+ * 접수 완료(식별코드 안내)와 신청인에게 보이는 상태 변경 시 템플릿 문구를 신청인 연락처로 보낸다.
+ *   - 발송 수단은 provider로 분리: 기본 off(발송 안 함), 로컬 확인용 console · file 스텁, 실제 SMS 게이트웨이는 registerProvider()로 추가
+ *   - 건별 발송 기록(ApplicantNotifications)에 결과 상태 저장: sent / failed / skipped (수신 거부 · 발송 안 함 · 휴대전화 아님) / resent (재발송됨)
+ *   - 수신 거부는 요청 단위 (Requests.notify_opt_out) — 접수 폼 · 신청인 상태 조회 · 관리자 상세에서 변경
+ * 발송은 본 작업 커밋 이후 응답을 막지 않도록 호출 측에서 .catch()로 처리.
+ * server.js에서 `require('./notifier')` 로 가져다 사용.
+ */
+const fs = require('fs');
+const path = require('path');
+const { mssql } = require('./db');
+
+// 발송 수단 (.env, 기본 'off' — 발송하지 않고 skipped로 기록)
+const PROVIDER_NAME = (process.env.NOTIFY_PROVIDER || 'off').trim().toLowerCase();
+const SEND_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * 발송 템플릿 ({name} 치환). event 값이 ApplicantNotifications.event 에 저장됨
+ *   submitted  접수 완료 (식별코드 안내)
+ *   status     상태 변경 (신청인에게 보이는 상태 기준)
+ */
+const TEMPLATES = {
+    submitted: '[{type}] 사유서가 접수되었습니다.\n식별코드: {code}\n진행 상태는 식별코드와 연락처 끝 4자리로 조회할 수 있습니다.',
+    status: '[{type}] 식별코드 {code} 사유서의 처리 상태가 \'{status}\'(으)로 변경되었습니다.\n자세한 내용은 진행 상태 조회에서 확인해 주세요.'
+};
+
+/**
+ * provider 정의: name → (options) => ({ send({ to, text, requestCode, event }) → { messageId } })
+ * send가 예외를 던지면 failed로 기록 (HTTP 게이트웨이 어댑터는 응답 코드 실패 시 throw)
+ */
+const PROVIDERS = new Map();
+let provider;   // 현재 provider (undefined: 아직 생성 전, null: 발송 안 함)
+
+function registerProvider(name, factory) {
+    PROVIDERS.set(name, factory);
+    provider = undefined;
+}
+
+// 로컬 확인용: 콘솔에 출력 (운영 로그에 남으므로 운영 환경에서는 사용하지 않음)
+registerProvider('console', () => ({
+    async send({ to, text, requestCode }) {
+        console.log(`[notify] ${requestCode} → ${maskPhone(to)}\n${text}`);
+        return { messageId: null };
+    }
+}));
+
+// 로컬 확인용: 파일에 한 줄씩 JSON 기록 (.env NOTIFY_FILE_PATH)
+registerProvider('file', () => {
+    const filePath = path.resolve(process.env.NOTIFY_FILE_PATH || path.join(__dirname, '../logs/notifications.log'));
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    return {
+        async send({ to, text, requestCode, event }) {
+            await fs.promises.appendFile(filePath, JSON.stringify({ at: new Date().toISOString(), requestCode, event, to: maskPhone(to), text }) + '\n');
+            return { messageId: null };
+        }
+    };
+});
+
+function getProvider() {
+    if (provider !== undefined) return provider;
+    if (PROVIDER_NAME === 'off') return (provider = null);
+    const factory = PROVIDERS.get(PROVIDER_NAME);
+    if (!factory) {
+        console.error(`notifier: 알 수 없는 NOTIFY_PROVIDER (${PROVIDER_NAME}), 발송하지 않음`);
+        return (provider = null);
+    }
+    return (provider = { name: PROVIDER_NAME, ...factory() });
+}
+
+// 끝 4자리는 상태 조회 본인 확인에 쓰이므로 가림 (로그 · 발송 기록용)
+function maskPhone(phone) {
+    const d = String(phone || '').replace(/\D/g, '');
+    return d.length >= 10 ? `${d.slice(0, 3)}-${d.slice(3, -4)}-****` : '***';
+}
+
+// 휴대전화 번호만 발송 대상 (010 · 011 등)
+function isMobile(phone) {
+    return /^01\d{8,9}$/.test(String(phone || '').replace(/\D/g, ''));
+}
+
+// 발송하지 않는 사유 (수신 거부 · 휴대전화 아님), 보낼 수 있으면 null
+function skipReasonFor({ notify_opt_out, applicant_phone }) {
+    if (notify_opt_out) return 'opt_out';
+    if (!isMobile(applicant_phone)) return 'not_mobile';
+    return null;
+}
+
+function render(event, vars) {
+    return TEMPLATES[event].replace(/\{(\w+)\}/g, (m, key) => (vars[key] ?? ''));
+}
+
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('발송 시간 초과')), SEND_TIMEOUT_MS); });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// 발송 기록 생성 → provider 전송 → 결과 반영. 반환: { id, state }
+async function deliver(pool, { requestId, requestCode, event, statusCode, phone, text, skipReason }) {
+    const p = skipReason ? null : getProvider();
+    const reason = skipReason || (p ? null : 'disabled');
+    const inserted = await pool.request()
+        .input('requestId', mssql.Int, requestId)
+        .input('event', mssql.NVarChar, event)
+        .input('statusCode', mssql.NVarChar, statusCode)
+        .input('recipient', mssql.NVarChar, maskPhone(phone))
+        .input('message', mssql.NVarChar, text)
+        .input('provider', mssql.NVarChar, p?.name ?? null)
+        .input('state', mssql.NVarChar, reason ? 'skipped' : 'pending')
+        .input('error', mssql.NVarChar, reason)
+        .query(`INSERT INTO ApplicantNotifications (request_id, event, status_code, recipient, message, provider, state, error)
+                OUTPUT INSERTED.id
+                VALUES (@requestId, @event, @statusCode, @recipient, @message, @provider, @state, @error)`);
+    const id = inserted.recordset[0].id;
+    if (reason) return { id, state: 'skipped' };
+
+    let state = 'sent', messageId = null, error = null;
+    try {
+        ({ messageId = null } = (await withTimeout(p.send({ to: String(phone).replace(/\D/g, ''), text, requestCode, event }))) || {});
+    } catch (err) {
+        state = 'failed';
+        error = String(err?.message || err).slice(0, 500);
+    }
+    await pool.request()
+        .input('id', mssql.Int, id)
+        .input('state', mssql.NVarChar, state)
+        .input('messageId', mssql.NVarChar, messageId)
+        .input('error', mssql.NVarChar, error)
+        .query(`UPDATE ApplicantNotifications SET state = @state, provider_message_id = @messageId, error = @error,
+                    sent_at = CASE WHEN @state = 'sent' THEN GETDATE() ELSE NULL END, attempted_at = GETDATE()
+                WHERE id = @id`);
+    return { id, state };
+}
+
+/**
+ * 요청 1건에 알림 발송 (커밋 이후 호출).
+ * vars: { status } — status 이벤트의 신청인 표시 상태
+ * 반환: { id, state } (요청이 없으면 null)
+ */
+async function notify(pool, requestId, event, vars = {}) {
+    if (!TEMPLATES[event]) throw new Error(`notifier: 정의되지 않은 알림 (${event})`);
+    const result = await pool.request().input('id', mssql.Int, requestId)
+        .query('SELECT id, request_code, request_type, applicant_phone, notify_opt_out FROM Requests WHERE id = @id');
+    const row = result.recordset[0];
+    if (!row) return null;
+    const text = render(event, {
+        ...vars,
+        code: row.request_code,
+        type: row.request_type === '오입금' ? '오입금 포인트' : '반환 청구'
+    });
+    return deliver(pool, {
+        requestId, requestCode: row.request_code, event, statusCode: vars.status ?? null,
+        phone: row.applicant_phone, text, skipReason: skipReasonFor(row)
+    });
+}
+
+/**
+ * 실패한 발송을 같은 문구로 다시 보냄 (새 기록 생성). 수신 거부로 바뀐 경우 skipped
+ * 원 기록을 failed → resent로 조건부 변경해 선점하므로 중복 클릭 · 동시 요청에도 한 번만 발송.
+ * 반환: { id, state } (failed 상태인 기록이 아니면 null)
+ */
+async function resend(pool, notificationId) {
+    const claimed = await pool.request().input('id', mssql.Int, notificationId)
+        .query("UPDATE ApplicantNotifications SET state = N'resent' WHERE id = @id AND state = N'failed'");
+    if (claimed.rowsAffected[0] === 0) return null;
+    const result = await pool.request().input('id', mssql.Int, notificationId).query(`
+        SELECT n.id, n.request_id, n.event, n.status_code, n.message, r.request_code, r.applicant_phone, r.notify_opt_out
+        FROM ApplicantNotifications n JOIN Requests r ON r.id = n.request_id
+        WHERE n.id = @id`);
+    const row = result.recordset[0];
+    if (!row) return null;
+    return deliver(pool, {
+        requestId: row.request_id, requestCode: row.request_code, event: row.event, statusCode: row.status_code,
+        phone: row.applicant_phone, text: row.message, skipReason: skipReasonFor(row)
+    });
+}
+
+// 요청 1건의 발송 기록 (최신순)
+async function listFor(poolOrTx, requestId) {
+    const result = await poolOrTx.request().input('id', mssql.Int, requestId).query(`
+        SELECT id, event, status_code, recipient, message, provider, state, provider_message_id, error, created_at, attempted_at, sent_at
+        FROM ApplicantNotifications
+        WHERE request_id = @id
+        ORDER BY created_at DESC, id DESC`);
+    return result.recordset;
+}
+
+module.exports = {
+    PROVIDER_NAME,
+    TEMPLATES,
+    registerProvider,
+    notify,
+    resend,
+    listFor
+};
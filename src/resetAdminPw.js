@@ -14,7 +14,7 @@ async function resetAdminPassword() {
         const result = await pool.request()
             .input('hash', mssql.NVarChar, hash)
             .input('username', mssql.NVarChar, 'admin')
-            .query('UPDATE Users SET password_hash = @hash WHERE username = @username');
+            .query('UPDATE Users SET password_hash = @hash, password_changed_at = GETDATE(), password_must_change = 0 WHERE username = @username');
 
         if (result.rowsAffected[0] > 0) {
             console.log('admin password updated successfully.');
@@ -22,7 +22,7 @@ async function resetAdminPassword() {
             console.log('No admin user found. Inserting...');
             await pool.request()
                 .input('hash', mssql.NVarChar, hash)
-                .query("INSERT INTO Users (username, password_hash, name) VALUES ('admin', @hash, N'시스템관리자')");
+                .query("INSERT INTO Users (username, password_hash, name, role, password_changed_at) VALUES ('admin', @hash, N'시스템관리자', 'superadmin', GETDATE())");
             console.log('admin user created.');
         }
         process.exit(0);
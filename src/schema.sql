@@ -17,17 +17,18 @@ IF NOT EXISTS (
     -- BCrypt 해시 (60자 고정 + 여유)
     name NVARCHAR(20) NOT NULL,
     -- 표시 이름
-    role NVARCHAR(10) DEFAULT 'admin',
-    -- 권한 역할
+    role NVARCHAR(10) DEFAULT 'viewer',
+    -- 권한 역할 (viewer / operator / approver / superadmin)
     last_login DATETIME NULL,
     created_at DATETIME DEFAULT GETDATE()
 );
 -- 기본 관리자 (배포 후 반드시 비밀번호 변경 필요)
-INSERT INTO Users (username, password_hash, name)
+INSERT INTO Users (username, password_hash, name, role)
 VALUES (
         'admin',
         '$2b$10$xDBRfVtem.kCLSaka8u3EOrkimVliUbtWTUhDORb7yjIgHsIK604i',
-        N'시스템관리자'
+        N'시스템관리자',
+        'superadmin'
     );
 END -- ============================================================
 -- 2. Requests 테이블 (사유서 접수 데이터)
@@ -64,7 +65,8 @@ IF NOT EXISTS (
     -- 개인정보 동의 여부
     terms_ip NVARCHAR(45) NULL,
     -- 동의 시 IP (IPv6 대응)
-    status NVARCHAR(10) DEFAULT N'대기' CHECK (status IN (N'대기', N'접수', N'처리중', N'완료', N'반려')),
+    status NVARCHAR(10) DEFAULT N'대기',
+    -- 허용 값은 RequestStatuses FK로 검증 (16. 상태 워크플로 참고)
     created_at DATETIME DEFAULT GETDATE()
 );
 CREATE INDEX idx_request_code ON Requests(request_code);
@@ -344,7 +346,7 @@ N'role';
 END TRY BEGIN CATCH
 END CATCH;
 EXEC sp_addextendedproperty N'MS_Description',
-N'권한 역할 (기본값: admin)',
+N'권한 역할 (viewer=조회, operator=처리, approver=승인, superadmin=전체). 기본값: viewer',
 N'SCHEMA',
 N'dbo',
 N'TABLE',
@@ -681,7 +683,7 @@ N'status';
 END TRY BEGIN CATCH
 END CATCH;
 EXEC sp_addextendedproperty N'MS_Description',
-N'처리 상태. 워크플로: 대기→접수→처리중→완료 또는 반려. CHECK 제약으로 5개 값만 허용.',
+N'처리 상태. 허용 값·전환 규칙은 src/workflow.js 정의를 따르며 RequestStatuses FK로 검증.',
 N'SCHEMA',
 N'dbo',
 N'TABLE',
@@ -922,4 +924,3548 @@ N'Requests',
 N 'COLUMN',
 N'request_type';
 -- 4-6. 레거시 카테고리명 정규화 (입출금거래내역서 → 입출금내역서)
-UPDATE RequestFiles SET category = N'입출금내역서' WHERE category = N'입출금거래내역서';
\ No newline at end of file
+UPDATE RequestFiles SET category = N'입출금내역서' WHERE category = N'입출금거래내역서';
+-- ============================================================
+-- 7. 역할 기반 권한 (RBAC)
+-- ============================================================
+-- 7-1. 레거시 역할 'admin' → 'superadmin' (기존 계정 권한 유지)
+UPDATE Users SET role = 'superadmin' WHERE role = 'admin' OR role IS NULL;
+-- 7-2. role 기본값 'admin' → 'viewer' (최소 권한 원칙)
+DECLARE @df_role NVARCHAR(256);
+SELECT @df_role = dc.name
+FROM sys.default_constraints dc
+    JOIN sys.columns c ON dc.parent_object_id = c.object_id
+    AND dc.parent_column_id = c.column_id
+WHERE dc.parent_object_id = OBJECT_ID('Users')
+    AND c.name = 'role'
+    AND dc.definition <> '(''viewer'')';
+IF @df_role IS NOT NULL BEGIN EXEC('ALTER TABLE Users DROP CONSTRAINT ' + @df_role);
+ALTER TABLE Users
+ADD CONSTRAINT DF_Users_role DEFAULT 'viewer' FOR role;
+END
+-- ============================================================
+-- 8. 계정 관리 (활성/비활성)
+-- ============================================================
+IF COL_LENGTH('Users', 'is_active') IS NULL
+ALTER TABLE Users
+ADD is_active BIT NOT NULL CONSTRAINT DF_Users_is_active DEFAULT 1;
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'is_active';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'계정 활성 여부 (0=비활성: 로그인 불가, 비활성화 시 기존 세션 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'is_active';
+-- ============================================================
+-- 9. 2단계 인증 (TOTP)
+-- ============================================================
+IF COL_LENGTH('Users', 'totp_secret') IS NULL
+ALTER TABLE Users
+ADD totp_secret NVARCHAR(200) NULL;
+IF COL_LENGTH('Users', 'totp_enabled') IS NULL
+ALTER TABLE Users
+ADD totp_enabled BIT NOT NULL CONSTRAINT DF_Users_totp_enabled DEFAULT 0;
+IF COL_LENGTH('Users', 'totp_last_counter') IS NULL
+ALTER TABLE Users
+ADD totp_last_counter BIGINT NULL;
+IF COL_LENGTH('Users', 'totp_recovery_codes') IS NULL
+ALTER TABLE Users
+ADD totp_recovery_codes NVARCHAR(MAX) NULL;
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_secret';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'TOTP 비밀키 (AES-256-GCM 암호화, FILE_ENCRYPTION_KEY 사용, 등록 확인 전에도 저장)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_secret';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_enabled';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'2단계 인증 사용 여부 (1=로그인 시 인증 코드 필요)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_enabled';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_last_counter';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막으로 사용된 TOTP 카운터 (동일 코드 재사용 방지)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_last_counter';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_recovery_codes';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'복구 코드 SHA-256 해시 JSON 배열 (1회 사용 후 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'totp_recovery_codes';
+-- ============================================================
+-- 10. 로그인 잠금 · Rate Limit 영구 저장소 (재시작·다중 인스턴스 공유)
+-- ============================================================
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'LoginLockouts'
+) BEGIN CREATE TABLE LoginLockouts (
+    username NVARCHAR(100) PRIMARY KEY,
+    -- 소문자 정규화된 로그인 ID (존재하지 않는 ID 포함)
+    fail_count INT NOT NULL DEFAULT 0,
+    locked_until DATETIME NULL,
+    last_ip NVARCHAR(50) NULL,
+    updated_at DATETIME NOT NULL DEFAULT GETDATE()
+);
+END IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RateLimitHits'
+) BEGIN CREATE TABLE RateLimitHits (
+    limiter NVARCHAR(20) NOT NULL,
+    -- login / submit / status
+    client_key NVARCHAR(100) NOT NULL,
+    -- 클라이언트 IP (IPv6는 /56 서브넷)
+    hits INT NOT NULL DEFAULT 0,
+    reset_at DATETIME NOT NULL,
+    CONSTRAINT PK_RateLimitHits PRIMARY KEY (limiter, client_key)
+);
+CREATE INDEX idx_rlh_reset_at ON RateLimitHits(reset_at);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'로그인 실패 누적 및 계정 잠금 (brute-force 방어, 인스턴스 간 공유)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'username';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'로그인 ID (소문자 정규화, 존재하지 않는 ID도 기록)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'username';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'fail_count';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'누적 실패 횟수 (잠금 해제 또는 15분 경과 후 1부터 다시 계산)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'fail_count';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'locked_until';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'잠금 해제 일시 (NULL=잠기지 않음)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'locked_until';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'last_ip';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 실패 요청 IP',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'last_ip';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'updated_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 실패 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'LoginLockouts',
+N 'COLUMN',
+N'updated_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'express-rate-limit 요청 카운터 (limiter·클라이언트별 고정 창)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'limiter';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'limiter 구분 (login / submit / status)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'limiter';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'client_key';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'클라이언트 키 (IP, IPv6는 /56 서브넷)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'client_key';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'hits';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'현재 창의 요청 수',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'hits';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'reset_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'창 만료 일시 (이후 카운터 초기화)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RateLimitHits',
+N 'COLUMN',
+N'reset_at';
+-- ============================================================
+-- 11. 비밀번호 정책 (변경 일시 · 변경 강제 · 재사용 금지 이력)
+-- ============================================================
+IF COL_LENGTH('Users', 'password_changed_at') IS NULL
+ALTER TABLE Users
+ADD password_changed_at DATETIME NULL;
+IF COL_LENGTH('Users', 'password_must_change') IS NULL
+ALTER TABLE Users
+ADD password_must_change BIT NOT NULL CONSTRAINT DF_Users_password_must_change DEFAULT 0;
+-- 기존 계정은 적용 시점을 변경 일시로 간주 (배포 즉시 전원 만료 방지)
+EXEC('UPDATE Users SET password_changed_at = GETDATE() WHERE password_changed_at IS NULL');
+-- 배포 기본 비밀번호를 그대로 쓰는 admin 계정은 첫 로그인 시 변경 강제
+EXEC('UPDATE Users SET password_must_change = 1 WHERE username = ''admin'' AND password_hash = ''$2b$10$xDBRfVtem.kCLSaka8u3EOrkimVliUbtWTUhDORb7yjIgHsIK604i''');
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'PasswordHistory'
+) BEGIN CREATE TABLE PasswordHistory (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    user_id INT NOT NULL,
+    password_hash NVARCHAR(72) NOT NULL,
+    -- 이전 BCrypt 해시
+    created_at DATETIME DEFAULT GETDATE(),
+    CONSTRAINT FK_PasswordHistory_Users FOREIGN KEY (user_id) REFERENCES Users(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_ph_user_id ON PasswordHistory(user_id);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'password_changed_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 비밀번호 변경 일시 (PASSWORD_MAX_AGE_DAYS 초과 시 로그인 후 변경 강제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'password_changed_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'password_must_change';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'다음 로그인 시 비밀번호 변경 필요 (관리자가 생성·초기화한 경우 1)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Users',
+N 'COLUMN',
+N'password_must_change';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'이전 비밀번호 해시 이력 (재사용 금지 검사용, 사용자별 PASSWORD_HISTORY_COUNT개 유지)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'PK (자동 증가)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'user_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'FK → Users.id (CASCADE 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'user_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'password_hash';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'교체되기 전 BCrypt 해시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'password_hash';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'이력 기록(교체) 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'PasswordHistory',
+N 'COLUMN',
+N'created_at';
+-- ============================================================
+-- 12. 감사 로그 (관리자 변경 작업 이력)
+-- ============================================================
+-- 요청·파일이 삭제되어도 이력이 남도록 FK 없이 ID와 식별코드를 함께 보관
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'AuditLog'
+) BEGIN CREATE TABLE AuditLog (
+    id BIGINT IDENTITY(1, 1) PRIMARY KEY,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    actor_id INT NULL,
+    actor_username NVARCHAR(30) NULL,
+    action NVARCHAR(50) NOT NULL,
+    -- request.update, file.delete, user.create ...
+    target_type NVARCHAR(20) NOT NULL,
+    -- request / file / user / session / security
+    request_id INT NULL,
+    request_code NVARCHAR(30) NULL,
+    file_id INT NULL,
+    target NVARCHAR(200) NULL,
+    before_data NVARCHAR(MAX) NULL,
+    after_data NVARCHAR(MAX) NULL,
+    ip NVARCHAR(50) NULL
+);
+CREATE INDEX idx_audit_request_id ON AuditLog(request_id);
+CREATE INDEX idx_audit_created_at ON AuditLog(created_at);
+CREATE INDEX idx_audit_actor ON AuditLog(actor_username);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'관리자 변경 작업 감사 로그 (요청·파일·계정·세션·보안 설정)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'PK (자동 증가)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작업 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'created_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'actor_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작업자 Users.id (FK 없음, 계정 삭제 후에도 보존)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'actor_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'actor_username';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작업자 로그인 ID (작업 시점 값)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'actor_username';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'action';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작업 종류 (request.create / request.update / request.status / request.delete / file.add / file.delete / user.* / account.* / session.* / security.*)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'action';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'target_type';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'대상 구분 (request / file / user / session / security / template / holiday / duplicate / tag)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'target_type';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'대상 Requests.id (FK 없음, 요청 삭제 후에도 보존)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'request_code';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'대상 요청 식별코드 (작업 시점 값)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'request_code';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'file_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'대상 RequestFiles.id (파일 작업 시)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'file_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'target';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'대상 표시명 (원본 파일명, 계정 ID 등)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'target';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'before_data';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경 전 값 JSON (변경된 필드만, 삭제 시 전체 행)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'before_data';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'after_data';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경 후 값 JSON (변경된 필드만)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'after_data';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'ip';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작업자 요청 IP',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'AuditLog',
+N 'COLUMN',
+N'ip';
+-- ============================================================
+-- 13. 필드별 변경 이력 (입금액·계좌·연락처 등 이전 값 보존, 복원 지원)
+-- ============================================================
+-- 값은 비교·복원을 위해 정규화된 문자열로 저장 (날짜 YYYY-MM-DD, 시간 HH:MM, 금액·번호는 숫자만)
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestFieldHistory'
+) BEGIN CREATE TABLE RequestFieldHistory (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    request_id INT NOT NULL,
+    field_name NVARCHAR(30) NOT NULL,
+    old_value NVARCHAR(200) NULL,
+    new_value NVARCHAR(200) NULL,
+    changed_by INT NULL,
+    changed_by_name NVARCHAR(30) NULL,
+    change_type NVARCHAR(10) NOT NULL DEFAULT N'edit',
+    -- edit / restore
+    restored_from INT NULL,
+    -- 복원 시 기준이 된 이력 ID
+    changed_at DATETIME NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_RequestFieldHistory_Requests FOREIGN KEY (request_id) REFERENCES Requests(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_rfh_request_id ON RequestFieldHistory(request_id);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청 필드별 변경 이력 (수정·복원 시 이전 값 보존)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'이력 고유 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'FK → Requests.id (CASCADE 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'field_name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경된 컬럼명',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'field_name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'old_value';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경 전 값 (정규화 문자열)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'old_value';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'new_value';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경 후 값 (정규화 문자열)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'new_value';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'changed_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경한 관리자 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'changed_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'changed_by_name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경한 관리자 아이디',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'changed_by_name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'change_type';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경 유형 (edit: 수정, restore: 이력 복원)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'change_type';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'restored_from';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'복원 기준 이력 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'restored_from';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'changed_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'변경 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestFieldHistory',
+N 'COLUMN',
+N'changed_at';
+-- ============================================================
+-- 14. 첨부파일 열람 기록 (신분증·입출금내역서 열람·다운로드)
+-- ============================================================
+-- 개인정보 처리 기록 보존 목적: 요청·파일 삭제 후에도 남도록 FK 없이 보관
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'FileAccessLog'
+) BEGIN CREATE TABLE FileAccessLog (
+    id BIGINT IDENTITY(1, 1) PRIMARY KEY,
+    accessed_at DATETIME NOT NULL DEFAULT GETDATE(),
+    user_id INT NULL,
+    username NVARCHAR(30) NULL,
+    file_id INT NULL,
+    filename NVARCHAR(50) NOT NULL,
+    -- UUID.확장자
+    category NVARCHAR(20) NULL,
+    request_id INT NULL,
+    request_code NVARCHAR(30) NULL,
+    access_type NVARCHAR(10) NOT NULL,
+    -- view / download
+    ip NVARCHAR(50) NULL,
+    user_agent NVARCHAR(300) NULL
+);
+CREATE INDEX idx_fal_request_id ON FileAccessLog(request_id);
+CREATE INDEX idx_fal_accessed_at ON FileAccessLog(accessed_at);
+CREATE INDEX idx_fal_username ON FileAccessLog(username);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'첨부파일 열람·다운로드 기록 (개인정보 처리 기록)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'기록 고유 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'accessed_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'열람 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'accessed_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'user_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'열람한 관리자 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'user_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'username';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'열람한 관리자 아이디',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'username';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'file_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'파일 ID (RequestFiles.id)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'file_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'filename';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'저장 파일명 (UUID.확장자)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'filename';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'category';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'파일 분류 (입출금내역서 / 신분증)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'category';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'FK → Requests.id (CASCADE 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'request_code';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청 식별코드',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'request_code';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'access_type';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'열람 유형 (view: 미리보기, download: 다운로드)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'access_type';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'ip';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'열람 IP',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'ip';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'user_agent';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'열람 브라우저 정보',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'FileAccessLog',
+N 'COLUMN',
+N'user_agent';
+-- ============================================================
+-- 15. 보안 이벤트 (logSecurity 영구 보관, 보존 기간 경과분은 정기 삭제)
+-- ============================================================
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'SecurityEvents'
+) BEGIN CREATE TABLE SecurityEvents (
+    id BIGINT IDENTITY(1, 1) PRIMARY KEY,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    event NVARCHAR(50) NOT NULL,
+    -- LOGIN_FAILED, FILE_VALIDATION_FAILED, ACCOUNT_LOCKED ...
+    username NVARCHAR(100) NULL,
+    ip NVARCHAR(50) NULL,
+    details NVARCHAR(MAX) NULL
+    -- 나머지 속성 (JSON)
+);
+CREATE INDEX idx_se_created_at ON SecurityEvents(created_at);
+CREATE INDEX idx_se_event_created_at ON SecurityEvents(event, created_at);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'보안 이벤트 기록 (로그인 실패·업로드 거부·계정 잠금 등)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'이벤트 고유 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'발생 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'created_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'event';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'이벤트 종류',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'event';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'username';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'관련 계정 (로그인 시도 아이디 포함)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'username';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'ip';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청 IP',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'ip';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'details';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'기타 속성 (JSON)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'SecurityEvents',
+N 'COLUMN',
+N'details';
+-- ============================================================
+-- 16. 상태 워크플로 (src/workflow.js 정의를 서버 시작 시 동기화)
+-- ============================================================
+-- 16-1. 상태 목록 테이블 + 기존 5개 상태 시드 (서버 첫 기동 전에도 FK 생성 가능하도록)
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestStatuses'
+) BEGIN CREATE TABLE RequestStatuses (
+    code NVARCHAR(10) PRIMARY KEY,
+    sort_order INT NOT NULL DEFAULT 0,
+    is_initial BIT NOT NULL DEFAULT 0,
+    is_open BIT NOT NULL DEFAULT 0,
+    is_final BIT NOT NULL DEFAULT 0,
+    is_active BIT NOT NULL DEFAULT 1
+);
+INSERT INTO RequestStatuses (code, sort_order, is_initial, is_open, is_final)
+VALUES (N'대기', 1, 1, 1, 0),
+    (N'접수', 2, 0, 1, 0),
+    (N'처리중', 3, 0, 1, 0),
+    (N'반려', 4, 0, 0, 0),
+    (N'완료', 5, 0, 0, 1);
+END -- 16-2. Requests.status 하드코딩 CHECK 제약 제거 (이름이 자동 생성되므로 조회 후 삭제)
+DECLARE @ck_status NVARCHAR(256);
+SELECT @ck_status = cc.name
+FROM sys.check_constraints cc
+    JOIN sys.columns c ON c.object_id = cc.parent_object_id
+    AND c.column_id = cc.parent_column_id
+WHERE cc.parent_object_id = OBJECT_ID('Requests')
+    AND c.name = 'status';
+IF @ck_status IS NOT NULL EXEC('ALTER TABLE Requests DROP CONSTRAINT ' + @ck_status);
+-- 16-3. Requests.status → RequestStatuses FK
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.foreign_keys
+    WHERE name = 'FK_Requests_RequestStatuses'
+)
+EXEC(
+    'ALTER TABLE Requests ADD CONSTRAINT FK_Requests_RequestStatuses FOREIGN KEY (status) REFERENCES RequestStatuses(code)'
+);
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'처리 상태 목록 (src/workflow.js에서 서버 시작 시 동기화)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'code';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'상태 코드 (Requests.status 값)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'code';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'sort_order';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'화면 표시 순서',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'sort_order';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_initial';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'신규 접수 시 기본 상태 여부',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_initial';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_open';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'미처리 건 집계 대상 여부',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_open';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_final';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'최종 상태 여부 (전환·수정 불가)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_final';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_active';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'현재 워크플로 정의에 포함 여부 (0: 과거 상태, 기존 데이터 보존용)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestStatuses',
+N 'COLUMN',
+N'is_active';
+-- ============================================================
+-- 17. 상태 사유 (반려 사유 저장 · 신청인 상태 조회 노출) + 반려 사유 템플릿
+-- ============================================================
+IF COL_LENGTH('Requests', 'status_reason') IS NULL
+ALTER TABLE Requests
+ADD status_reason NVARCHAR(500) NULL;
+IF COL_LENGTH('Requests', 'status_changed_at') IS NULL
+ALTER TABLE Requests
+ADD status_changed_at DATETIME NULL;
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RejectionTemplates'
+) BEGIN CREATE TABLE RejectionTemplates (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    title NVARCHAR(50) NOT NULL,
+    body NVARCHAR(500) NOT NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    is_active BIT NOT NULL DEFAULT 1,
+    updated_by NVARCHAR(30) NULL,
+    updated_at DATETIME NOT NULL DEFAULT GETDATE()
+);
+INSERT INTO RejectionTemplates (title, body, sort_order)
+VALUES (N'서류 미비', N'제출하신 서류가 확인되지 않거나 식별이 어렵습니다. 선명한 입출금내역서와 신분증을 다시 제출해 주세요.', 1),
+    (N'입금 내역 불일치', N'신청하신 입금일시·금액과 일치하는 입금 내역을 확인할 수 없습니다. 입력 정보를 확인 후 다시 신청해 주세요.', 2),
+    (N'예금주 불일치', N'환불 계좌의 예금주가 신청인과 일치하지 않습니다. 본인 명의 계좌로 다시 신청해 주세요.', 3);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'status_reason';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'상태 사유 (반려 사유 등, 신청인 상태 조회 시 정리된 형태로 노출)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'status_reason';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'status_changed_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 상태 변경 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'status_changed_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'반려 사유 템플릿 (관리자 반려 처리 시 선택)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'템플릿 고유 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'title';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'템플릿 제목',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'title';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'body';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'반려 사유 본문 (신청인에게 노출)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'body';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'sort_order';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'표시 순서',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'sort_order';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'is_active';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'사용 여부 (0: 선택 목록에서 숨김)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'is_active';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'updated_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 수정 관리자 아이디',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'updated_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'updated_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 수정 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RejectionTemplates',
+N 'COLUMN',
+N'updated_at';
+-- ============================================================
+-- 18. 담당자 배정 (담당자 · 배정 이력, 신규 접수 라운드 로빈 자동 배정)
+-- ============================================================
+IF COL_LENGTH('Requests', 'assigned_to') IS NULL
+ALTER TABLE Requests
+ADD assigned_to INT NULL;
+IF COL_LENGTH('Requests', 'assigned_at') IS NULL
+ALTER TABLE Requests
+ADD assigned_at DATETIME NULL;
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.foreign_keys
+    WHERE name = 'FK_Requests_Users_assigned'
+)
+EXEC(
+    'ALTER TABLE Requests ADD CONSTRAINT FK_Requests_Users_assigned FOREIGN KEY (assigned_to) REFERENCES Users(id)'
+);
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.indexes
+    WHERE name = 'idx_requests_assigned_to'
+)
+EXEC('CREATE INDEX idx_requests_assigned_to ON Requests(assigned_to)');
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestAssignments'
+) BEGIN CREATE TABLE RequestAssignments (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    request_id INT NOT NULL,
+    from_user_id INT NULL,
+    to_user_id INT NULL,
+    method NVARCHAR(10) NOT NULL,
+    assigned_by NVARCHAR(30) NULL,
+    note NVARCHAR(200) NULL,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_RequestAssignments_Requests FOREIGN KEY (request_id) REFERENCES Requests(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_ra_request_id ON RequestAssignments(request_id);
+CREATE INDEX idx_ra_auto_to_user ON RequestAssignments(to_user_id, method, created_at);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'assigned_to';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'담당 관리자 (Users.id, NULL이면 미배정)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'assigned_to';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'assigned_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'현재 담당자 배정 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'assigned_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'담당자 배정 이력 (자동 배정 · 관리자 지정 · 계정 비활성화 해제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'고유 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'FK → Requests.id (CASCADE 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'from_user_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'이전 담당자 (Users.id, NULL이면 미배정)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'from_user_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'to_user_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'새 담당자 (Users.id, NULL이면 배정 해제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'to_user_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'method';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'배정 방식 (auto: 자동 배정 / manual: 관리자 지정 / release: 계정 비활성화로 해제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'method';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'assigned_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'배정한 관리자 아이디 (자동 배정·공개 접수는 NULL)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'assigned_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'note';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'배정 메모',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'note';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'배정 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestAssignments',
+N 'COLUMN',
+N'created_at';
+-- ============================================================
+-- 19. 내부 메모 (요청별 관리자 코멘트 스레드 · @언급 알림, 공개 API 비노출)
+-- ============================================================
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestComments'
+) BEGIN CREATE TABLE RequestComments (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    request_id INT NOT NULL,
+    author_id INT NULL,
+    author_username NVARCHAR(30) NOT NULL,
+    author_name NVARCHAR(20) NOT NULL,
+    body NVARCHAR(2000) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    updated_at DATETIME NULL,
+    CONSTRAINT FK_RequestComments_Requests FOREIGN KEY (request_id) REFERENCES Requests(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_rc_request_id ON RequestComments(request_id);
+END
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestCommentMentions'
+) BEGIN CREATE TABLE RequestCommentMentions (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    comment_id INT NOT NULL,
+    user_id INT NOT NULL,
+    read_at DATETIME NULL,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT FK_RequestCommentMentions_RequestComments FOREIGN KEY (comment_id) REFERENCES RequestComments(id) ON DELETE CASCADE,
+    CONSTRAINT FK_RequestCommentMentions_Users FOREIGN KEY (user_id) REFERENCES Users(id)
+);
+CREATE INDEX idx_rcm_user_read ON RequestCommentMentions(user_id, read_at);
+CREATE INDEX idx_rcm_comment_id ON RequestCommentMentions(comment_id);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청별 내부 메모 (관리자 전용, 신청인 상태 조회에 노출하지 않음)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'고유 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'FK → Requests.id (CASCADE 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'author_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작성자 Users.id',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'author_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'author_username';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작성자 로그인 ID (작성 시점 값)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'author_username';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'author_name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작성자 표시 이름 (작성 시점 값)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'author_name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'body';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'메모 본문 (@아이디로 다른 관리자 언급)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'body';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'작성 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'created_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'updated_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 수정 일시 (NULL이면 수정 안 됨)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestComments',
+N 'COLUMN',
+N'updated_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'메모 @언급 알림 (언급된 관리자별 1건)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'고유 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'comment_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'FK → RequestComments.id (CASCADE 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'comment_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'user_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'언급된 관리자 Users.id',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'user_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'read_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'읽은 일시 (해당 요청의 메모 조회 시 기록, NULL이면 안 읽음)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'read_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'언급 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestCommentMentions',
+N 'COLUMN',
+N'created_at';
+-- ============================================================
+-- 20. 휴일 달력 (영업일 계산: 처리 기한 · 정기 알림 · 신청일자 검증, src/calendar.js)
+-- ============================================================
+-- 주말은 코드에서 제외하고 이 테이블에는 공휴일 · 대체공휴일 · 임시공휴일만 보관
+-- 시드: 2026 · 2027년 관공서 공휴일 (음력 명절 · 대체공휴일은 매년 공고 기준으로 관리자 화면에서 확인)
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'Holidays'
+) BEGIN CREATE TABLE Holidays (
+    holiday_date DATE PRIMARY KEY,
+    name NVARCHAR(50) NOT NULL,
+    is_substitute BIT NOT NULL DEFAULT 0,
+    source NVARCHAR(10) NOT NULL DEFAULT 'seed',
+    updated_by NVARCHAR(30) NULL,
+    updated_at DATETIME NOT NULL DEFAULT GETDATE()
+);
+INSERT INTO Holidays (holiday_date, name, is_substitute)
+VALUES ('2026-01-01', N'신정', 0),
+    ('2026-02-16', N'설날 연휴', 0),
+    ('2026-02-17', N'설날', 0),
+    ('2026-02-18', N'설날 연휴', 0),
+    ('2026-03-01', N'삼일절', 0),
+    ('2026-03-02', N'삼일절 대체공휴일', 1),
+    ('2026-05-05', N'어린이날', 0),
+    ('2026-05-24', N'부처님오신날', 0),
+    ('2026-05-25', N'부처님오신날 대체공휴일', 1),
+    ('2026-06-03', N'전국동시지방선거', 0),
+    ('2026-06-06', N'현충일', 0),
+    ('2026-08-15', N'광복절', 0),
+    ('2026-08-17', N'광복절 대체공휴일', 1),
+    ('2026-09-24', N'추석 연휴', 0),
+    ('2026-09-25', N'추석', 0),
+    ('2026-09-26', N'추석 연휴', 0),
+    ('2026-09-28', N'추석 대체공휴일', 1),
+    ('2026-10-03', N'개천절', 0),
+    ('2026-10-05', N'개천절 대체공휴일', 1),
+    ('2026-10-09', N'한글날', 0),
+    ('2026-12-25', N'성탄절', 0),
+    ('2027-01-01', N'신정', 0),
+    ('2027-02-06', N'설날 연휴', 0),
+    ('2027-02-07', N'설날', 0),
+    ('2027-02-08', N'설날 연휴', 0),
+    ('2027-02-09', N'설날 대체공휴일', 1),
+    ('2027-03-01', N'삼일절', 0),
+    ('2027-05-05', N'어린이날', 0),
+    ('2027-05-13', N'부처님오신날', 0),
+    ('2027-06-06', N'현충일', 0),
+    ('2027-08-15', N'광복절', 0),
+    ('2027-08-16', N'광복절 대체공휴일', 1),
+    ('2027-09-14', N'추석 연휴', 0),
+    ('2027-09-15', N'추석', 0),
+    ('2027-09-16', N'추석 연휴', 0),
+    ('2027-10-03', N'개천절', 0),
+    ('2027-10-04', N'개천절 대체공휴일', 1),
+    ('2027-10-09', N'한글날', 0),
+    ('2027-10-11', N'한글날 대체공휴일', 1),
+    ('2027-12-25', N'성탄절', 0),
+    ('2027-12-27', N'성탄절 대체공휴일', 1);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'휴일 달력 (공휴일 · 대체공휴일 · 임시공휴일, 주말은 코드에서 제외)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'holiday_date';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'휴일 날짜',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'holiday_date';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'휴일 이름',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'is_substitute';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'대체공휴일 여부 (이름에 대체 포함 시 1)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'is_substitute';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'source';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'등록 경로 (seed / manual / import)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'source';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'updated_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 변경 관리자 아이디',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'updated_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'updated_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 변경 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Holidays',
+N 'COLUMN',
+N'updated_at';
+-- ============================================================
+-- 21. 완료 건 재처리 (요청 → 다른 관리자 승인 → 미처리 상태로 복귀, src/workflow.js REOPEN)
+-- ============================================================
+-- 요청자와 승인자가 달라야 반영됨. 승인·거절·취소 결과와 사유를 모두 보존
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestReopens'
+) BEGIN CREATE TABLE RequestReopens (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    request_id INT NOT NULL,
+    from_status NVARCHAR(10) NOT NULL,
+    to_status NVARCHAR(10) NOT NULL,
+    reason NVARCHAR(500) NOT NULL,
+    state NVARCHAR(10) NOT NULL DEFAULT N'pending',
+    requested_by INT NOT NULL,
+    requested_by_name NVARCHAR(30) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    decided_by INT NULL,
+    decided_by_name NVARCHAR(30) NULL,
+    decision_note NVARCHAR(200) NULL,
+    decided_at DATETIME NULL,
+    CONSTRAINT FK_RequestReopens_Requests FOREIGN KEY (request_id) REFERENCES Requests(id) ON DELETE CASCADE,
+    CONSTRAINT CK_RequestReopens_state CHECK (state IN (N'pending', N'approved', N'rejected', N'cancelled'))
+);
+CREATE INDEX idx_rro_request_id ON RequestReopens(request_id);
+CREATE INDEX idx_rro_state ON RequestReopens(state, created_at);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'완료 건 재처리 요청 · 승인 이력 (요청자와 다른 승인자 확인 필요)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'재처리 요청 ID (PK)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'FK → Requests.id (CASCADE 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'from_status';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청 당시 상태 (최종 상태)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'from_status';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'to_status';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'되돌릴 상태 (미처리 상태)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'to_status';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'reason';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'재처리 사유',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'reason';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'state';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'처리 결과 (pending / approved / rejected / cancelled)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'state';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'requested_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청한 관리자 Users.id',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'requested_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'requested_by_name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청한 관리자 아이디',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'requested_by_name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'created_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decided_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'승인·거절·취소한 관리자 Users.id',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decided_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decided_by_name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'승인·거절·취소한 관리자 아이디',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decided_by_name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decision_note';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'승인·거절 메모 (거절 시 필수)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decision_note';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decided_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'처리 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestReopens',
+N 'COLUMN',
+N'decided_at';
+-- ============================================================
+-- 22. 고액 건 완료 승인 (승인대기 상태 · 승인 요청자 · 승인자, src/workflow.js APPROVAL_THRESHOLD)
+-- ============================================================
+-- 22-1. 승인대기 상태 (서버 시작 시 workflow.js 기준으로 순서 재동기화)
+IF NOT EXISTS (
+    SELECT 1
+    FROM RequestStatuses
+    WHERE code = N'승인대기'
+)
+INSERT INTO RequestStatuses (code, sort_order, is_initial, is_open, is_final)
+VALUES (N'승인대기', 4, 0, 1, 0);
+-- 22-2. 승인 요청자 · 승인자 (승인대기 진입 시 요청자 기록, 승인대기 → 완료 시 승인자 기록)
+IF COL_LENGTH('Requests', 'approval_requested_by') IS NULL
+ALTER TABLE Requests
+ADD approval_requested_by INT NULL;
+IF COL_LENGTH('Requests', 'approval_requested_at') IS NULL
+ALTER TABLE Requests
+ADD approval_requested_at DATETIME NULL;
+IF COL_LENGTH('Requests', 'approved_by') IS NULL
+ALTER TABLE Requests
+ADD approved_by INT NULL;
+IF COL_LENGTH('Requests', 'approved_at') IS NULL
+ALTER TABLE Requests
+ADD approved_at DATETIME NULL;
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.foreign_keys
+    WHERE name = 'FK_Requests_Users_approval_requested'
+)
+EXEC(
+    'ALTER TABLE Requests ADD CONSTRAINT FK_Requests_Users_approval_requested FOREIGN KEY (approval_requested_by) REFERENCES Users(id)'
+);
+IF NOT EXISTS (
+    SELECT 1
+    FROM sys.foreign_keys
+    WHERE name = 'FK_Requests_Users_approved'
+)
+EXEC(
+    'ALTER TABLE Requests ADD CONSTRAINT FK_Requests_Users_approved FOREIGN KEY (approved_by) REFERENCES Users(id)'
+);
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approval_requested_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'고액 건 완료 승인을 요청한 관리자 (FK → Users.id, 본인은 완료 처리 불가)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approval_requested_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approval_requested_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'완료 승인 요청 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approval_requested_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approved_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'고액 건 완료를 승인한 관리자 (FK → Users.id)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approved_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approved_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'완료 승인 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'approved_at';
+-- ============================================================
+-- 23. 중복 · 재접수 의심 (연락처 또는 계좌 + 입금액 + 입금 일시 근접, src/duplicates.js)
+-- ============================================================
+-- 나중 접수 건(request_id) → 먼저 접수 건(original_id). 판정(병합 · 중복 아님) 결과 보존
+-- original_id는 CASCADE 경로 중복으로 ON DELETE 미지정 — 요청 삭제 시 서버에서 먼저 정리
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestDuplicates'
+) BEGIN CREATE TABLE RequestDuplicates (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    request_id INT NOT NULL,
+    original_id INT NOT NULL,
+    match_on NVARCHAR(20) NOT NULL,
+    state NVARCHAR(10) NOT NULL DEFAULT N'suspected',
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    decided_by INT NULL,
+    decided_by_name NVARCHAR(30) NULL,
+    decision_note NVARCHAR(200) NULL,
+    decided_at DATETIME NULL,
+    CONSTRAINT FK_RequestDuplicates_Requests FOREIGN KEY (request_id) REFERENCES Requests(id) ON DELETE CASCADE,
+    CONSTRAINT FK_RequestDuplicates_Original FOREIGN KEY (original_id) REFERENCES Requests(id),
+    CONSTRAINT UQ_RequestDuplicates_pair UNIQUE (request_id, original_id),
+    CONSTRAINT CK_RequestDuplicates_order CHECK (request_id <> original_id),
+    CONSTRAINT CK_RequestDuplicates_state CHECK (state IN (N'suspected', N'merged', N'dismissed'))
+);
+CREATE INDEX idx_rdu_original_id ON RequestDuplicates(original_id);
+CREATE INDEX idx_rdu_state ON RequestDuplicates(state, request_id);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'중복 · 재접수 의심 연결 (연락처 또는 계좌 + 입금액 + 입금 일시 근접)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'중복 의심 ID (PK)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'나중에 접수된 건 (FK → Requests.id (CASCADE 삭제))',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'original_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'먼저 접수된 원 요청 (FK → Requests.id, 삭제 시 서버에서 정리)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'original_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'match_on';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'일치 항목 (phone / account / phone,account)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'match_on';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'state';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'판정 상태 (suspected 의심 / merged 병합 / dismissed 중복 아님)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'state';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'탐지 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'created_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decided_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'판정한 관리자 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decided_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decided_by_name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'판정한 관리자 계정',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decided_by_name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decision_note';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'판정 메모',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decision_note';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decided_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'판정 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestDuplicates',
+N 'COLUMN',
+N'decided_at';
+-- ============================================================
+-- 24. 태그 · 우선순위 (관리자 정의 태그, 요청별 우선순위 — 목록 필터 · 엑셀 · 일괄 지정)
+-- ============================================================
+-- 24-1. 우선순위 (0 낮음 / 1 보통 / 2 높음 / 3 긴급, 라벨은 server.js PRIORITY_LEVELS)
+IF COL_LENGTH('Requests', 'priority') IS NULL
+ALTER TABLE Requests
+ADD priority TINYINT NOT NULL CONSTRAINT DF_Requests_priority DEFAULT 1 CONSTRAINT CK_Requests_priority CHECK (priority BETWEEN 0 AND 3);
+-- 24-2. 태그 정의 (이름 · 색상 · 표시 순서, 숨김 태그는 새로 붙일 수 없음)
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'Tags'
+) BEGIN CREATE TABLE Tags (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    name NVARCHAR(20) NOT NULL,
+    color NVARCHAR(7) NOT NULL DEFAULT N'#737373',
+    sort_order INT NOT NULL DEFAULT 0,
+    is_active BIT NOT NULL DEFAULT 1,
+    updated_by NVARCHAR(30) NULL,
+    updated_at DATETIME NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT UQ_Tags_name UNIQUE (name)
+);
+INSERT INTO Tags (name, color, sort_order)
+VALUES (N'고액', N'#0891B2', 1),
+    (N'재접수', N'#D97706', 2),
+    (N'서류보완요청', N'#7C3AED', 3);
+END
+-- 24-3. 요청별 태그 (요청 · 태그 삭제 시 함께 삭제)
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'RequestTags'
+) BEGIN CREATE TABLE RequestTags (
+    request_id INT NOT NULL,
+    tag_id INT NOT NULL,
+    created_by NVARCHAR(30) NULL,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    CONSTRAINT PK_RequestTags PRIMARY KEY (request_id, tag_id),
+    CONSTRAINT FK_RequestTags_Requests FOREIGN KEY (request_id) REFERENCES Requests(id) ON DELETE CASCADE,
+    CONSTRAINT FK_RequestTags_Tags FOREIGN KEY (tag_id) REFERENCES Tags(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_rtg_tag_id ON RequestTags(tag_id);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'priority';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'우선순위 (0 낮음 / 1 보통 / 2 높음 / 3 긴급)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'priority';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청 분류 태그 (관리자 정의)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'태그 ID (PK)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'name';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'태그 이름 (고유, 최대 20자)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'name';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'color';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'표시 색상 (#RRGGBB)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'color';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'sort_order';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'표시 순서',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'sort_order';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'is_active';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'사용 여부 (0이면 숨김: 새로 붙일 수 없음)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'is_active';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'updated_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 수정 관리자 계정',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'updated_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'updated_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'마지막 수정 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Tags',
+N 'COLUMN',
+N'updated_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청별 태그 연결',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'요청 ID (FK → Requests.id (CASCADE 삭제))',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'tag_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'태그 ID (FK → Tags.id (CASCADE 삭제))',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'tag_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'created_by';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'태그를 붙인 관리자 계정',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'created_by';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'태그를 붙인 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'RequestTags',
+N 'COLUMN',
+N'created_at';
+-- ============================================================
+-- 25. 신청인 취소 (식별코드 + 연락처 확인, 처리 시작 전 상태에서만 — src/workflow.js withdrawable)
+-- ============================================================
+-- 25-1. 취소 상태 (서버 시작 시 workflow.js 기준으로 순서 재동기화)
+IF NOT EXISTS (
+    SELECT 1
+    FROM RequestStatuses
+    WHERE code = N'취소'
+)
+INSERT INTO RequestStatuses (code, sort_order, is_initial, is_open, is_final)
+VALUES (N'취소', 7, 0, 0, 1);
+-- 25-2. 신청인 취소 일시
+IF COL_LENGTH('Requests', 'withdrawn_at') IS NULL
+ALTER TABLE Requests
+ADD withdrawn_at DATETIME NULL;
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'withdrawn_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'신청인이 직접 취소한 일시 (취소 상태, 관리자 상태 변경과 구분)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'withdrawn_at';
+-- ============================================================
+-- 26. 신청인 알림 (접수 완료 · 상태 변경 문자 발송 기록, 요청별 수신 거부 — src/notifier.js)
+-- ============================================================
+IF COL_LENGTH('Requests', 'notify_opt_out') IS NULL
+ALTER TABLE Requests
+ADD notify_opt_out BIT NOT NULL CONSTRAINT DF_Requests_notify_opt_out DEFAULT 0;
+IF COL_LENGTH('Requests', 'notify_opt_out_at') IS NULL
+ALTER TABLE Requests
+ADD notify_opt_out_at DATETIME NULL;
+IF NOT EXISTS (
+    SELECT *
+    FROM sys.tables
+    WHERE name = 'ApplicantNotifications'
+) BEGIN CREATE TABLE ApplicantNotifications (
+    id INT IDENTITY(1, 1) PRIMARY KEY,
+    request_id INT NOT NULL,
+    event NVARCHAR(20) NOT NULL,
+    status_code NVARCHAR(10) NULL,
+    recipient NVARCHAR(20) NOT NULL,
+    message NVARCHAR(1000) NOT NULL,
+    provider NVARCHAR(30) NULL,
+    state NVARCHAR(10) NOT NULL DEFAULT N'pending',
+    provider_message_id NVARCHAR(100) NULL,
+    error NVARCHAR(500) NULL,
+    created_at DATETIME NOT NULL DEFAULT GETDATE(),
+    attempted_at DATETIME NULL,
+    sent_at DATETIME NULL,
+    CONSTRAINT FK_ApplicantNotifications_Requests FOREIGN KEY (request_id) REFERENCES Requests(id) ON DELETE CASCADE,
+    CONSTRAINT CK_ApplicantNotifications_state CHECK (state IN (N'pending', N'sent', N'failed', N'skipped', N'resent'))
+);
+CREATE INDEX idx_an_request_id ON ApplicantNotifications(request_id, created_at);
+CREATE INDEX idx_an_state ON ApplicantNotifications(state, created_at);
+END
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'notify_opt_out';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'신청인 알림 수신 거부 (1: 접수 완료 · 상태 변경 문자를 보내지 않음)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'notify_opt_out';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'notify_opt_out_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'수신 거부 설정을 마지막으로 바꾼 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'Requests',
+N 'COLUMN',
+N'notify_opt_out_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'신청인 알림 발송 기록 (문자 · 알림톡 provider, src/notifier.js)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'알림 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'request_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'대상 요청 ID (Requests.id, 요청 삭제 시 함께 삭제)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'request_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'event';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'알림 종류 (submitted 접수 완료 / status 상태 변경)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'event';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'status_code';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'상태 변경 알림의 신청인 표시 상태',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'status_code';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'recipient';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'수신 번호 (가운데 마스킹, 발송 당시 연락처)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'recipient';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'message';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'발송 문구 (템플릿 치환 결과)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'message';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'provider';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'발송 수단 (console / file / SMS 게이트웨이 어댑터 이름)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'provider';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'state';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'발송 상태 (pending / sent / failed / skipped, resent: 실패 후 재발송되어 새 기록으로 대체됨)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'state';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'provider_message_id';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'발송 수단이 돌려준 메시지 ID',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'provider_message_id';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'error';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'실패 사유 또는 건너뛴 사유 (opt_out / not_mobile / disabled)',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'error';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'created_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'기록 생성 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'created_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'attempted_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'발송 시도 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'attempted_at';
+BEGIN TRY EXEC sp_dropextendedproperty N'MS_Description',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'sent_at';
+END TRY BEGIN CATCH
+END CATCH;
+EXEC sp_addextendedproperty N'MS_Description',
+N'발송 성공 일시',
+N'SCHEMA',
+N'dbo',
+N'TABLE',
+N'ApplicantNotifications',
+N 'COLUMN',
+N'sent_at';
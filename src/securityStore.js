@@ -0,0 +1,305 @@
+/**
+ * securityStore.js — 로그인 잠금 · Rate Limit 카운터 · 보안 이벤트 영구 저장소 (MSSQL)
+ *
+ * 메모리 저장 시 PM2 재시작이나 다중 인스턴스 환경에서 brute-force 방어가
+ * 초기화되므로, 카운터를 LoginLockouts / RateLimitHits 테이블에 보관.
+ * logSecurity() 이벤트는 PM2 로그 로테이션과 무관하게 SecurityEvents 테이블에 보존.
+ * 모든 시각 비교는 DB 서버 시간(GETDATE()) 기준으로 수행하여 인스턴스 간 시계 차이를 배제.
+ * server.js에서 `require('./securityStore')` 로 가져다 사용.
+ *
+ * RATE_LIMIT_STORE=memory 설정 시 rate limit은 express-rate-limit 기본 메모리 저장소 사용
+ * (단일 인스턴스 개발 환경용). 계정 잠금은 항상 DB에 저장.
+ */
+const { MemoryStore } = require('express-rate-limit');
+const { poolPromise, mssql } = require('./db');
+
+// ── express-rate-limit Store 구현 (limiter별 prefix로 구분) ──
+class MssqlRateLimitStore {
+    constructor(prefix) {
+        this.prefix = prefix;
+        this.localKeys = false;  // 여러 인스턴스가 같은 카운터를 공유
+        this.windowMs = 60 * 1000;
+        this.limit = null;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+        this.limit = typeof options.limit === 'number' ? options.limit : null;
+    }
+
+    async get(key) {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('limiter', mssql.NVarChar, this.prefix)
+            .input('key', mssql.NVarChar, key)
+            .query(`SELECT hits, DATEDIFF(ms, GETDATE(), reset_at) AS remain_ms
+                    FROM RateLimitHits WHERE limiter = @limiter AND client_key = @key AND reset_at > GETDATE()`);
+        const row = result.recordset[0];
+        if (!row) return undefined;
+        return { totalHits: row.hits, resetTime: new Date(Date.now() + row.remain_ms) };
+    }
+
+    // 원자적 증가: 만료된 창은 1부터 다시 시작
+    async increment(key) {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('limiter', mssql.NVarChar, this.prefix)
+            .input('key', mssql.NVarChar, key)
+            .input('windowMs', mssql.Int, this.windowMs)
+            .query(`MERGE RateLimitHits WITH (HOLDLOCK) AS t
+                    USING (SELECT @limiter AS limiter, @key AS client_key) AS s
+                        ON t.limiter = s.limiter AND t.client_key = s.client_key
+                    WHEN MATCHED AND t.reset_at <= GETDATE() THEN
+                        UPDATE SET hits = 1, reset_at = DATEADD(ms, @windowMs, GETDATE())
+                    WHEN MATCHED THEN
+                        UPDATE SET hits = t.hits + 1
+                    WHEN NOT MATCHED THEN
+                        INSERT (limiter, client_key, hits, reset_at) VALUES (@limiter, @key, 1, DATEADD(ms, @windowMs, GETDATE()))
+                    OUTPUT INSERTED.hits, DATEDIFF(ms, GETDATE(), INSERTED.reset_at) AS remain_ms;`);
+        const row = result.recordset[0];
+        return { totalHits: row.hits, resetTime: new Date(Date.now() + row.remain_ms) };
+    }
+
+    async decrement(key) {
+        const pool = await poolPromise;
+        await pool.request()
+            .input('limiter', mssql.NVarChar, this.prefix)
+            .input('key', mssql.NVarChar, key)
+            .query('UPDATE RateLimitHits SET hits = hits - 1 WHERE limiter = @limiter AND client_key = @key AND hits > 0');
+    }
+
+    async resetKey(key) {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('limiter', mssql.NVarChar, this.prefix)
+            .input('key', mssql.NVarChar, key)
+            .query('DELETE FROM RateLimitHits WHERE limiter = @limiter AND client_key = @key');
+        return result.rowsAffected[0];
+    }
+
+    async resetAll() {
+        const pool = await poolPromise;
+        await pool.request().input('limiter', mssql.NVarChar, this.prefix).query('DELETE FROM RateLimitHits WHERE limiter = @limiter');
+    }
+
+    // 현재 한도를 초과해 차단 중인 클라이언트 목록 (관리자 조회용)
+    async listBlocked() {
+        if (this.limit === null) return [];
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('limiter', mssql.NVarChar, this.prefix)
+            .input('limit', mssql.Int, this.limit)
+            .query(`SELECT client_key, hits, reset_at, DATEDIFF(second, GETDATE(), reset_at) AS remain_sec
+                    FROM RateLimitHits
+                    WHERE limiter = @limiter AND hits > @limit AND reset_at > GETDATE()
+                    ORDER BY reset_at DESC`);
+        return result.recordset.map(r => ({ limiter: this.prefix, key: r.client_key, hits: r.hits, limit: this.limit, resetAt: r.reset_at, remainSec: r.remain_sec }));
+    }
+}
+
+// limiter별 저장소 생성 (RATE_LIMIT_STORE=memory 이면 메모리 저장소)
+function createRateLimitStore(prefix) {
+    if (process.env.RATE_LIMIT_STORE === 'memory') return new MemoryStore();
+    return new MssqlRateLimitStore(prefix);
+}
+
+// ── 로그인 실패 · 계정 잠금 ──
+
+/**
+ * 실패 1회 기록 후 누적 횟수 반환.
+ * 잠금이 풀렸거나 마지막 실패 후 lockoutMs가 지난 경우 1부터 다시 센다.
+ * maxAttempts 도달 시 locked_until 설정.
+ */
+async function recordLoginFailure(username, ip, { maxAttempts, lockoutMs }) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('username', mssql.NVarChar, username)
+        .input('ip', mssql.NVarChar, ip || null)
+        .input('max', mssql.Int, maxAttempts)
+        .input('lockoutMs', mssql.Int, lockoutMs)
+        .query(`MERGE LoginLockouts WITH (HOLDLOCK) AS t
+                USING (SELECT @username AS username) AS s ON t.username = s.username
+                WHEN MATCHED AND (t.locked_until <= GETDATE() OR (t.locked_until IS NULL AND t.updated_at <= DATEADD(ms, -@lockoutMs, GETDATE()))) THEN
+                    UPDATE SET fail_count = 1,
+                        locked_until = CASE WHEN @max <= 1 THEN DATEADD(ms, @lockoutMs, GETDATE()) END,
+                        last_ip = @ip, updated_at = GETDATE()
+                WHEN MATCHED THEN
+                    UPDATE SET fail_count = t.fail_count + 1,
+                        locked_until = CASE WHEN t.fail_count + 1 >= @max THEN DATEADD(ms, @lockoutMs, GETDATE()) ELSE t.locked_until END,
+                        last_ip = @ip, updated_at = GETDATE()
+                WHEN NOT MATCHED THEN
+                    INSERT (username, fail_count, locked_until, last_ip)
+                    VALUES (@username, 1, CASE WHEN @max <= 1 THEN DATEADD(ms, @lockoutMs, GETDATE()) END, @ip)
+                OUTPUT INSERTED.fail_count;`);
+    return result.recordset[0].fail_count;
+}
+
+// 잠금 중이면 남은 밀리초, 아니면 0
+async function getLockoutRemainingMs(username) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('username', mssql.NVarChar, username)
+        .query('SELECT DATEDIFF(ms, GETDATE(), locked_until) AS remain_ms FROM LoginLockouts WHERE username = @username AND locked_until > GETDATE()');
+    return result.recordset[0]?.remain_ms || 0;
+}
+
+// 로그인 성공 또는 관리자 해제 시 기록 삭제 (삭제 건수 반환)
+async function clearLoginFailures(username) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('username', mssql.NVarChar, username)
+        .query('DELETE FROM LoginLockouts WHERE username = @username');
+    return result.rowsAffected[0];
+}
+
+async function listLockedAccounts() {
+    const pool = await poolPromise;
+    const result = await pool.request().query(`
+        SELECT username, fail_count, last_ip, locked_until, DATEDIFF(second, GETDATE(), locked_until) AS remain_sec
+        FROM LoginLockouts
+        WHERE locked_until > GETDATE()
+        ORDER BY locked_until DESC`);
+    return result.recordset;
+}
+
+// 만료된 카운터 정리 (정기 작업용)
+async function purgeExpired() {
+    const pool = await poolPromise;
+    const hits = await pool.request().query('DELETE FROM RateLimitHits WHERE reset_at <= GETDATE()');
+    const lockouts = await pool.request().query(`
+        DELETE FROM LoginLockouts
+        WHERE (locked_until IS NULL OR locked_until <= GETDATE()) AND updated_at <= DATEADD(day, -1, GETDATE())`);
+    return { rateLimitHits: hits.rowsAffected[0], loginLockouts: lockouts.rowsAffected[0] };
+}
+
+// ── 보안 이벤트 (SecurityEvents) ──
+
+// username·ip는 조회용 컬럼으로 분리, 나머지 속성은 JSON으로 보관
+// 기록 시각은 다른 테이블과 같이 DB 서버 시간 사용 (stdout용 timestamp는 저장하지 않음)
+async function recordSecurityEvent({ timestamp, event, username, ip, ...details }) {
+    const pool = await poolPromise;
+    await pool.request()
+        .input('event', mssql.NVarChar, event)
+        .input('username', mssql.NVarChar, username == null ? null : String(username).slice(0, 100))
+        .input('ip', mssql.NVarChar, ip || null)
+        .input('details', mssql.NVarChar, Object.keys(details).length ? JSON.stringify(details) : null)
+        .query('INSERT INTO SecurityEvents (event, username, ip, details) VALUES (@event, @username, @ip, @details)');
+}
+
+// 이벤트 목록 조회 (필터 + 페이지, from/to는 YYYY-MM-DD · to 당일 포함)
+async function listSecurityEvents({ events = [], username, ip, from, to, limit = 100, offset = 0 }) {
+    const pool = await poolPromise;
+    const request = pool.request();
+    const where = [];
+    if (events.length) {
+        events.forEach((e, i) => request.input(`ev${i}`, mssql.NVarChar, e));
+        where.push(`event IN (${events.map((_, i) => `@ev${i}`).join(', ')})`);
+    }
+    if (username) { request.input('username', mssql.NVarChar, username); where.push('username = @username'); }
+    if (ip) { request.input('ip', mssql.NVarChar, ip); where.push('ip = @ip'); }
+    if (from) { request.input('from', mssql.Date, from); where.push('created_at >= @from'); }
+    if (to) { request.input('to', mssql.Date, to); where.push('created_at < DATEADD(day, 1, CAST(@to AS DATETIME))'); }
+    request.input('limit', mssql.Int, limit).input('offset', mssql.Int, offset);
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const result = await request.query(`
+        SELECT COUNT(*) AS total FROM SecurityEvents ${whereSql};
+        SELECT id, created_at, event, username, ip, details FROM SecurityEvents ${whereSql}
+        ORDER BY id DESC
+        OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;`);
+    return {
+        total: result.recordsets[0][0].total,
+        data: result.recordsets[1].map(({ details, ...row }) => ({ ...row, details: details ? JSON.parse(details) : null }))
+    };
+}
+
+/**
+ * 분류별 이벤트 건수를 시간 구간(hour/day)으로 집계 (오늘 포함 최근 days일).
+ * categories: { 분류명: [이벤트명, ...] }
+ * → { now, rows: [{ bucket, category, count }] }
+ *   bucket·now는 DB 시간 기준 문자열 (day: 'YYYY-MM-DD', hour: 'YYYY-MM-DD HH')
+ */
+async function countSecurityEvents(categories, { days, bucket = 'day' }) {
+    const pool = await poolPromise;
+    const request = pool.request().input('days', mssql.Int, days);
+    const cases = [];
+    let n = 0;
+    for (const [category, events] of Object.entries(categories)) {
+        const params = events.map(e => { request.input(`ev${n}`, mssql.NVarChar, e); return `@ev${n++}`; });
+        request.input(`cat_${category}`, mssql.NVarChar, category);
+        cases.push(`WHEN event IN (${params.join(', ')}) THEN @cat_${category}`);
+    }
+    const keyLength = bucket === 'hour' ? 13 : 10;
+    const result = await request.query(`
+        SELECT CONVERT(CHAR(${keyLength}), GETDATE(), 120) AS now;
+        SELECT bucket, category, COUNT(*) AS count FROM (
+            SELECT CONVERT(CHAR(${keyLength}), created_at, 120) AS bucket, CASE ${cases.join(' ')} END AS category
+            FROM SecurityEvents WHERE created_at >= DATEADD(day, 1 - @days, CAST(CAST(GETDATE() AS DATE) AS DATETIME))
+        ) t
+        WHERE category IS NOT NULL
+        GROUP BY bucket, category
+        ORDER BY bucket`);
+    return { now: result.recordsets[0][0].now, rows: result.recordsets[1] };
+}
+
+// 최근 minutes분 동안의 이벤트 건수 (경보 임계치 판정용)
+async function countRecentSecurityEvents(events, minutes) {
+    const pool = await poolPromise;
+    const request = pool.request().input('minutes', mssql.Int, minutes);
+    events.forEach((e, i) => request.input(`ev${i}`, mssql.NVarChar, e));
+    const result = await request.query(`
+        SELECT COUNT(*) AS cnt FROM SecurityEvents
+        WHERE event IN (${events.map((_, i) => `@ev${i}`).join(', ')}) AND created_at >= DATEADD(minute, -@minutes, GETDATE())`);
+    return result.recordset[0].cnt;
+}
+
+// 경보 발송 선점: 최근 minutes분 안에 같은 분류 경보가 없으면 SECURITY_ALERT 이벤트를 기록하고 true
+// 다중 인스턴스가 동시에 검사해도 한 곳만 발송하도록 확인 · 기록을 앱 잠금 트랜잭션으로 직렬화
+async function claimSecurityAlert(category, minutes, details) {
+    const pool = await poolPromise;
+    const transaction = new mssql.Transaction(pool);
+    await transaction.begin();
+    try {
+        await transaction.request().query("EXEC sp_getapplock @Resource = 'security_alert', @LockMode = 'Exclusive', @LockOwner = 'Transaction', @LockTimeout = 5000");
+        const recent = await transaction.request()
+            .input('pattern', mssql.NVarChar, `%"category":"${category}"%`)
+            .input('minutes', mssql.Int, minutes)
+            .query("SELECT TOP 1 1 AS found FROM SecurityEvents WHERE event = 'SECURITY_ALERT' AND created_at >= DATEADD(minute, -@minutes, GETDATE()) AND details LIKE @pattern");
+        if (recent.recordset.length > 0) {
+            await transaction.rollback();
+            return false;
+        }
+        await transaction.request()
+            .input('details', mssql.NVarChar, JSON.stringify({ category, ...details }))
+            .query("INSERT INTO SecurityEvents (event, details) VALUES ('SECURITY_ALERT', @details)");
+        await transaction.commit();
+        return true;
+    } catch (err) {
+        try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+        throw err;
+    }
+}
+
+// 보존 기간이 지난 이벤트 삭제
+async function purgeSecurityEvents(retentionDays) {
+    const pool = await poolPromise;
+    const result = await pool.request()
+        .input('days', mssql.Int, retentionDays)
+        .query('DELETE FROM SecurityEvents WHERE created_at < DATEADD(day, -@days, GETDATE())');
+    return result.rowsAffected[0];
+}
+
+module.exports = {
+    MssqlRateLimitStore,
+    createRateLimitStore,
+    recordLoginFailure,
+    getLockoutRemainingMs,
+    clearLoginFailures,
+    listLockedAccounts,
+    purgeExpired,
+    recordSecurityEvent,
+    listSecurityEvents,
+    countSecurityEvents,
+    countRecentSecurityEvents,
+    claimSecurityAlert,
+    purgeSecurityEvents
+};
@@ -5,13 +5,13 @@
  *
  * 주요 구성:
  *   1. 의존성 로드 및 보안 상수
- *   2. 유틸리티 헬퍼 (에러 분류, 파일 암호화, 로깅, 식별코드 생성)
+ *   2. 유틸리티 헬퍼 (에러 분류, 파일 암호화, 로깅, 감사 로그, 필드 변경 이력, 역할 권한, 담당자 배정, 비밀번호 정책, 식별코드 생성)
  *   3. Express 앱 설정 (보안 헤더, 세션, 정적 파일)
  *   4. 파일 업로드 파이프라인 (multer → 한글 복원 → 매직바이트 검증 → 암호화)
- *   5. 인증 API (로그인, 로그아웃, 세션 확인)
- *   6. 공개 API (폼 제출, 상태 조회)
- *   7. 관리자 API (CRUD, 파일 관리, DOCX 생성)
- *   8. 정기 작업 (텔레그램 알림, 고아 파일 정리)
+ *   5. 인증 API (로그인, 2단계 인증, 로그아웃, 세션 확인)
+ *   6. 공개 API (폼 제출, 상태 조회, 신청인 보완 서류 제출 · 취소 · 알림 수신 설정)
+ *   7. 관리자 API (CRUD, 일괄 처리, 담당자 배정, 내부 메모·@언급, 상태 워크플로·고액 건 완료 승인·완료 건 재처리 승인·반려 사유 템플릿, 중복 접수 의심 판정, 태그·우선순위, 신청인 알림 발송 기록·수신 거부, 휴일 달력, 파일 관리, 필드 변경 이력·복원, DOCX 생성)
+ *   8. 정기 작업 (영업일 텔레그램 알림·처리 기한 초과 에스컬레이션, 휴일 달력 갱신, 보안 경보, 고아 파일 정리)
  */
 const express = require('express');
 const cors = require('cors');
@@ -26,6 +26,14 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcrypt');
 const { poolPromise, mssql } = require('./db');
+const totp = require('./totp');
+const securityStore = require('./securityStore');
+const workflow = require('./workflow');
+const calendar = require('./calendar');
+const sla = require('./sla');
+const duplicates = require('./duplicates');
+const notifier = require('./notifier');
+const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const FileType = require('file-type');
 const cron = require('node-cron');
@@ -81,7 +89,23 @@ function decryptFile(filePath) {
     return Buffer.concat([decipher.update(encrypted), decipher.final()]);
 }
 
+// 짧은 비밀값(TOTP 키 등) 암호화: 파일과 같은 키·형식을 base64 문자열로 저장
+function encryptSecret(plain) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENC_KEY_BUF, iv);
+    const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+function decryptSecret(sealed) {
+    const data = Buffer.from(sealed, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENC_KEY_BUF, data.subarray(0, 16));
+    decipher.setAuthTag(data.subarray(16, 32));
+    return Buffer.concat([decipher.update(data.subarray(32)), decipher.final()]).toString('utf8');
+}
+
 // ── 보안 이벤트 구조화 로깅 ──
+// stdout(PM2 로그)과 함께 SecurityEvents 테이블에 보존 (DB 장애 시에도 요청 흐름은 막지 않음)
 function logSecurity(event, details) {
     const entry = {
         timestamp: new Date().toISOString(),
@@ -89,6 +113,86 @@ function logSecurity(event, details) {
         ...details
     };
     console.log(JSON.stringify(entry));
+    securityStore.recordSecurityEvent(entry).catch(err => console.error('Security event persist failed:', err.message));
+}
+
+// ── 보안 이벤트 보존 · 대시보드 분류 · 경보 임계치 ──
+const SECURITY_EVENT_RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS ?? '365') || 365;
+const SECURITY_EVENT_CATEGORIES = {
+    login_failed: ['LOGIN_FAILED', 'MFA_FAILED'],
+    upload_rejected: ['FILE_VALIDATION_FAILED', 'FILE_VALIDATION_ERROR'],
+    lockout: ['ACCOUNT_LOCKED', 'APPLICANT_LOCKED']
+};
+const SECURITY_CATEGORY_LABELS = { login_failed: '로그인 실패', upload_rejected: '업로드 거부', lockout: '계정 잠금' };
+const SECURITY_ALERT = {
+    windowMinutes: parseInt(process.env.SECURITY_ALERT_WINDOW_MINUTES) || 15,
+    thresholds: {                                                       // 0이면 해당 분류 경보 끔
+        login_failed: parseInt(process.env.SECURITY_ALERT_LOGIN_FAILED ?? '20') || 0,
+        upload_rejected: parseInt(process.env.SECURITY_ALERT_UPLOAD_REJECTED ?? '10') || 0,
+        lockout: parseInt(process.env.SECURITY_ALERT_LOCKOUTS ?? '3') || 0
+    }
+};
+
+// ── 감사 로그 (AuditLog 테이블: 누가 · 언제 · 무엇을 · 어떻게 바꿨는지) ──
+// 트랜잭션 객체를 넘기면 본 작업과 함께 커밋·롤백됨
+async function writeAudit(poolOrTx, req, { action, targetType = 'request', requestId = null, requestCode = null, fileId = null, target = null, before = null, after = null }) {
+    await poolOrTx.request()
+        .input('actorId', mssql.Int, req.session?.user?.id ?? null)
+        .input('actorUsername', mssql.NVarChar, req.session?.user?.username ?? null)
+        .input('action', mssql.NVarChar, action)
+        .input('targetType', mssql.NVarChar, targetType)
+        .input('requestId', mssql.Int, requestId)
+        .input('requestCode', mssql.NVarChar, requestCode)
+        .input('fileId', mssql.Int, fileId)
+        .input('target', mssql.NVarChar, target)
+        .input('beforeData', mssql.NVarChar, before == null ? null : JSON.stringify(before))
+        .input('afterData', mssql.NVarChar, after == null ? null : JSON.stringify(after))
+        .input('ip', mssql.NVarChar, req.ip)
+        .query(`INSERT INTO AuditLog (actor_id, actor_username, action, target_type, request_id, request_code, file_id, target, before_data, after_data, ip)
+                VALUES (@actorId, @actorUsername, @action, @targetType, @requestId, @requestCode, @fileId, @target, @beforeData, @afterData, @ip)`);
+}
+
+// 비교·기록용 값 정규화 (DB 값과 폼 값의 형식 차이 제거)
+function normalizeFieldValue(field, value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (field === 'deposit_time') return value instanceof Date ? value.toISOString().slice(11, 16) : String(value).slice(0, 5);
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (field === 'request_date' || field === 'deposit_date') return String(value).slice(0, 10);
+    if (field === 'deposit_amount') return String(Number(String(value).replace(/[^\d.]/g, '')));
+    if (field === 'applicant_phone' || field === 'user_account') return String(value).replace(/\D/g, '');
+    return String(value);
+}
+
+// 실제로 값이 바뀐 필드만 { before, after }로 추림 (변경 없으면 null)
+function diffFields(beforeRow, changes) {
+    const before = {}, after = {};
+    for (const [field, value] of Object.entries(changes)) {
+        const oldValue = normalizeFieldValue(field, beforeRow[field]);
+        const newValue = normalizeFieldValue(field, value);
+        if (oldValue !== newValue) { before[field] = oldValue; after[field] = newValue; }
+    }
+    return Object.keys(after).length ? { before, after } : null;
+}
+
+// ── 필드별 변경 이력 (RequestFieldHistory: 분쟁 대비 이전 값 보존) ──
+// 상태는 별도 흐름으로 관리하므로 제외
+const HISTORY_EXCLUDED_FIELDS = new Set(['status']);
+
+async function recordFieldHistory(poolOrTx, req, requestId, diff, { restoredFrom = null } = {}) {
+    for (const [field, newValue] of Object.entries(diff.after)) {
+        if (HISTORY_EXCLUDED_FIELDS.has(field)) continue;
+        await poolOrTx.request()
+            .input('requestId', mssql.Int, requestId)
+            .input('field', mssql.NVarChar, field)
+            .input('oldValue', mssql.NVarChar, diff.before[field])
+            .input('newValue', mssql.NVarChar, newValue)
+            .input('changedBy', mssql.Int, req.session?.user?.id ?? null)
+            .input('changedByName', mssql.NVarChar, req.session?.user?.username ?? null)
+            .input('changeType', mssql.NVarChar, restoredFrom ? 'restore' : 'edit')
+            .input('restoredFrom', mssql.Int, restoredFrom)
+            .query(`INSERT INTO RequestFieldHistory (request_id, field_name, old_value, new_value, changed_by, changed_by_name, change_type, restored_from)
+                    VALUES (@requestId, @field, @oldValue, @newValue, @changedBy, @changedByName, @changeType, @restoredFrom)`);
+    }
 }
 
 // ── 필드명 한글 매핑 ──
@@ -106,6 +210,175 @@ const FIELD_LABELS = {
     merchant_type: '가맹점 코드'
 };
 
+// ── 신청일자 · 입금일자 검증 (calendar.js 기준, 날짜는 'YYYY-MM-DD') ──
+// 실제 날짜 · 오늘(KST) 이후 불가 · 입금일자 ≤ 신청일자 · 새로 지정하는 신청일자는 영업일
+// (requestDateChanged: 주말에 온라인 접수된 건을 다른 항목만 수정할 때는 막지 않도록 신청일자를 바꿀 때만 확인)
+function validateRequestDates({ requestDate = null, depositDate = null, requestDateChanged = false }) {
+    const today = calendar.todayKst();
+    if (depositDate) {
+        if (!calendar.isValidYmd(depositDate)) return '입금일자 형식이 올바르지 않습니다.';
+        if (depositDate > today) return '입금일자는 오늘 이후일 수 없습니다.';
+    }
+    if (requestDate) {
+        if (!calendar.isValidYmd(requestDate)) return '신청일자 형식이 올바르지 않습니다.';
+        if (requestDate > today) return '신청일자는 오늘 이후일 수 없습니다.';
+        if (requestDateChanged && !calendar.isBusinessDay(requestDate)) {
+            return `신청일자는 영업일이어야 합니다. (${calendar.holidayName(requestDate) || '주말'} · 다음 영업일 ${calendar.nextBusinessDay(requestDate)})`;
+        }
+    }
+    if (requestDate && depositDate && depositDate > requestDate) return '입금일자는 신청일자와 같거나 이전이어야 합니다.';
+    return null;
+}
+
+// ── 역할 기반 권한 (RBAC) ──
+// Users.role 값별 허용 권한. 상위 역할은 하위 역할의 권한을 모두 포함.
+const ROLE_PERMISSIONS = (() => {
+    const viewer = ['request:view'];
+    const operator = [...viewer, 'request:create', 'request:edit', 'request:status', 'request:export', 'file:view', 'file:manage'];
+    const approver = [...operator, 'request:complete', 'request:approve', 'request:assign', 'request:reopen', 'audit:view', 'template:manage', 'tag:manage', 'calendar:manage'];
+    const superadmin = [...approver, 'request:delete', 'user:manage', 'security:manage', 'session:manage'];
+    return { viewer, operator, approver, superadmin };
+})();
+const ROLE_LABELS = { viewer: '조회자', operator: '처리자', approver: '승인자', superadmin: '최고관리자' };
+
+function hasPermission(user, permission) {
+    return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+// ── 고액 건 완료 승인 (workflow.js APPROVAL_STATUS · APPROVAL_THRESHOLD) ──
+// 전환 조건 판단용 컨텍스트: 입금액 + 승인대기로 올린 본인 여부
+// 고액 판정 기준 입금액: 접수 이후 기록된 입금액 중 최댓값 (금액을 낮춰 단독 완료한 뒤 이력 복원으로 되돌리는 우회 방지)
+function peakAmountSql(alias) {
+    return `(SELECT MAX(a) FROM (
+                SELECT ${alias}.deposit_amount AS a
+                UNION ALL SELECT TRY_CAST(h.old_value AS DECIMAL(15, 0)) FROM RequestFieldHistory h WHERE h.request_id = ${alias}.id AND h.field_name = 'deposit_amount'
+                UNION ALL SELECT TRY_CAST(h.new_value AS DECIMAL(15, 0)) FROM RequestFieldHistory h WHERE h.request_id = ${alias}.id AND h.field_name = 'deposit_amount'
+            ) amounts)`;
+}
+
+// 승인대기 · 최종 상태에서는 입금액 변경 불가 (승인 판단 금액 고정). 위반 시 안내 메시지
+function amountLockedError(status) {
+    if (status === workflow.APPROVAL_STATUS || workflow.isFinalStatus(status)) return `'${status}' 상태에서는 입금액을 변경할 수 없습니다.`;
+    return null;
+}
+
+function transitionContext(row, user, amount = row.peak_amount ?? row.deposit_amount) {
+    return { amount: Number(amount), isApprovalRequester: row.approval_requested_by != null && row.approval_requested_by === user?.id };
+}
+
+// 상태 UPDATE에 덧붙일 승인 기록 (승인대기 진입: 요청자 · 승인대기 → 완료: 승인자, @actorId 입력 필요)
+function approvalSetClause(fromStatus, toStatus) {
+    if (toStatus === workflow.APPROVAL_STATUS) return ', approval_requested_by = @actorId, approval_requested_at = GETDATE(), approved_by = NULL, approved_at = NULL';
+    if (fromStatus === workflow.APPROVAL_STATUS && workflow.isFinalStatus(toStatus)) return ', approved_by = @actorId, approved_at = GETDATE()';
+    return '';
+}
+
+function notifyApprovalRequested(requestCode, amount, user) {
+    sendTelegramNotification(`🖊 <b>고액 건 완료 승인 요청</b>\n식별코드: <code>${escTg(requestCode)}</code>\n입금액: ${Number(amount).toLocaleString('ko-KR')}원\n요청자: ${escTg(user.name)}\n요청자가 아닌 승인자가 관리자 페이지 승인함에서 확인해야 완료됩니다.`).catch(() => {});
+}
+
+// 신청인 알림 (커밋 후 발송, 실패해도 응답에 영향 없음 — 결과는 ApplicantNotifications에 기록)
+function notifyApplicant(pool, requestId, event, vars) {
+    notifier.notify(pool, requestId, event, vars).catch(err => console.error('Applicant notification failed:', err.message));
+}
+
+// 상태 변경 알림: 신청인에게 보이는 상태가 바뀐 경우만 (처리중 ↔ 승인대기는 알리지 않음)
+function notifyApplicantStatus(pool, requestId, fromStatus, toStatus) {
+    if (workflow.publicStatus(fromStatus) === workflow.publicStatus(toStatus)) return;
+    notifyApplicant(pool, requestId, 'status', { status: workflow.publicStatus(toStatus) });
+}
+
+// 신청인 알림 수신 거부 변경 (신청인 상태 조회 · 관리자 상세 공용), 바뀌었으면 true
+async function setNotifyOptOut(poolOrTx, req, row, optOut) {
+    if (!!row.notify_opt_out === optOut) return false;
+    await poolOrTx.request()
+        .input('id', mssql.Int, row.id)
+        .input('optOut', mssql.Bit, optOut ? 1 : 0)
+        .query('UPDATE Requests SET notify_opt_out = @optOut, notify_opt_out_at = GETDATE() WHERE id = @id');
+    await writeAudit(poolOrTx, req, {
+        action: 'request.notify_opt_out', requestId: row.id, requestCode: row.request_code,
+        before: { notify_opt_out: !!row.notify_opt_out }, after: { notify_opt_out: optOut }
+    });
+    return true;
+}
+
+// 세션·응답에 담는 사용자 정보 (권한 목록은 프론트 버튼 표시용)
+function toSessionUser(user) {
+    const role = ROLE_PERMISSIONS[user.role] ? user.role : 'viewer';
+    return {
+        id: user.id, username: user.username, name: user.name, role, roleLabel: ROLE_LABELS[role], permissions: ROLE_PERMISSIONS[role],
+        totpEnabled: !!user.totp_enabled,
+        mustChangePassword: !!user.password_must_change || isPasswordExpired(user.password_changed_at)
+    };
+}
+
+// ── 담당자 배정 (Requests.assigned_to + RequestAssignments 이력) ──
+// 담당자가 될 수 있는 역할: 상태 처리 권한 보유 / 자동 배정 대상 역할: 처리자
+const ASSIGNABLE_ROLES = Object.keys(ROLE_PERMISSIONS).filter(role => ROLE_PERMISSIONS[role].includes('request:status'));
+const AUTO_ASSIGN_ENABLED = process.env.AUTO_ASSIGN_ENABLED !== 'false';
+
+// 담당자 변경 + 이력 기록. method: auto(신규 접수 자동 배정) | manual(관리자 지정) | release(계정 비활성화로 해제)
+async function assignRequest(poolOrTx, req, { requestId, fromUserId = null, toUserId = null, method, note = null }) {
+    await poolOrTx.request()
+        .input('requestId', mssql.Int, requestId)
+        .input('toUserId', mssql.Int, toUserId)
+        .query('UPDATE Requests SET assigned_to = @toUserId, assigned_at = CASE WHEN @toUserId IS NULL THEN NULL ELSE GETDATE() END WHERE id = @requestId');
+    await poolOrTx.request()
+        .input('requestId', mssql.Int, requestId)
+        .input('fromUserId', mssql.Int, fromUserId)
+        .input('toUserId', mssql.Int, toUserId)
+        .input('method', mssql.NVarChar, method)
+        .input('assignedBy', mssql.NVarChar, req?.session?.user?.username ?? null)
+        .input('note', mssql.NVarChar, note)
+        .query(`INSERT INTO RequestAssignments (request_id, from_user_id, to_user_id, method, assigned_by, note)
+                VALUES (@requestId, @fromUserId, @toUserId, @method, @assignedBy, @note)`);
+}
+
+// 신규 접수 자동 배정: 활성 처리자 중 마지막 자동 배정이 가장 오래된 사람 (라운드 로빈)
+// 동시 접수 시 같은 사람에게 몰리지 않도록 트랜잭션 범위 앱 잠금으로 직렬화. 대상이 없으면 미배정으로 둠
+async function autoAssignRequest(transaction, req, requestId) {
+    if (!AUTO_ASSIGN_ENABLED) return null;
+    await transaction.request().query("EXEC sp_getapplock @Resource = 'request_auto_assign', @LockMode = 'Exclusive', @LockOwner = 'Transaction', @LockTimeout = 5000");
+    const result = await transaction.request().query(`
+        SELECT TOP 1 u.id
+        FROM Users u
+        OUTER APPLY (SELECT MAX(created_at) AS last_at FROM RequestAssignments a WHERE a.to_user_id = u.id AND a.method = 'auto') la
+        WHERE u.role = 'operator' AND u.is_active = 1
+        ORDER BY la.last_at, u.id`);
+    const userId = result.recordset[0]?.id;
+    if (!userId) return null;
+    await assignRequest(transaction, req, { requestId, toUserId: userId, method: 'auto' });
+    return userId;
+}
+
+// ── 비밀번호 정책 (.env로 조정) ──
+const PASSWORD_POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    minCharClasses: Math.min(4, parseInt(process.env.PASSWORD_MIN_CHAR_CLASSES) || 3), // 대문자·소문자·숫자·특수문자 중
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? '5') || 0,            // 재사용 금지할 이전 비밀번호 수
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS ?? '90') || 0              // 0이면 만료 없음
+};
+
+// 정책 위반 시 안내 메시지, 통과 시 null
+function validatePassword(password, username = '') {
+    // 로그인은 입력값 앞뒤 공백을 제거하므로, 공백이 포함된 채 저장되면 로그인할 수 없음
+    if (password !== password.trim()) return '비밀번호 앞뒤에 공백을 사용할 수 없습니다.';
+    if (password.length < PASSWORD_POLICY.minLength) return `비밀번호는 ${PASSWORD_POLICY.minLength}자 이상이어야 합니다.`;
+    if (Buffer.byteLength(password, 'utf8') > 72) return '비밀번호가 너무 깁니다. (bcrypt 최대 72바이트)';
+    const classes = [/[A-Z]/, /[a-z]/, /\d/, /[^A-Za-z\d]/].filter(re => re.test(password)).length;
+    if (classes < PASSWORD_POLICY.minCharClasses) {
+        return `비밀번호는 영문 대문자·소문자·숫자·특수문자 중 ${PASSWORD_POLICY.minCharClasses}종류 이상을 포함해야 합니다.`;
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) return '비밀번호에 아이디를 포함할 수 없습니다.';
+    return null;
+}
+
+// 마지막 변경 후 최대 사용 기간 초과 여부 (변경 기록이 없으면 만료로 보지 않음 — 스키마 마이그레이션에서 채움)
+function isPasswordExpired(changedAt) {
+    if (!PASSWORD_POLICY.maxAgeDays || !changedAt) return false;
+    return Date.now() - new Date(changedAt).getTime() > PASSWORD_POLICY.maxAgeDays * 86400000;
+}
+
 // ── 식별코드 생성 (MAX 기반 + UNIQUE 제약 재시도) ──
 async function generateRequestCode(poolOrTx, requestType = '반환청구') {
     const typePrefix = requestType === '오입금' ? 'M' : 'R';
@@ -267,10 +540,36 @@ app.use(session({
     }
 }));
 
+// ── 첨부파일 열람 기록 (FileAccessLog: 개인정보 처리 기록 의무) ──
+// <img>·<iframe> 미리보기는 view, 새 탭·직접 요청은 download로 구분 (Sec-Fetch-Dest 기준)
+const PREVIEW_FETCH_DESTS = new Set(['image', 'iframe', 'embed', 'object']);
+async function logFileAccess(req, filename) {
+    const pool = await poolPromise;
+    const fileInfo = await pool.request().input('filename', mssql.NVarChar, filename).query(`
+        SELECT TOP 1 rf.id, rf.category, r.id AS request_id, r.request_code
+        FROM RequestFiles rf JOIN Requests r ON r.id = rf.request_id
+        WHERE rf.filename = @filename`);
+    const f = fileInfo.recordset[0] ?? {};
+    await pool.request()
+        .input('userId', mssql.Int, req.session.user.id)
+        .input('username', mssql.NVarChar, req.session.user.username)
+        .input('fileId', mssql.Int, f.id ?? null)
+        .input('filename', mssql.NVarChar, filename)
+        .input('category', mssql.NVarChar, f.category ?? null)
+        .input('requestId', mssql.Int, f.request_id ?? null)
+        .input('requestCode', mssql.NVarChar, f.request_code ?? null)
+        .input('accessType', mssql.NVarChar, PREVIEW_FETCH_DESTS.has(req.get('sec-fetch-dest')) ? 'view' : 'download')
+        .input('ip', mssql.NVarChar, req.ip)
+        .input('userAgent', mssql.NVarChar, (req.get('user-agent') || '').slice(0, 300))
+        .query(`INSERT INTO FileAccessLog (user_id, username, file_id, filename, category, request_id, request_code, access_type, ip, user_agent)
+                VALUES (@userId, @username, @fileId, @filename, @category, @requestId, @requestCode, @accessType, @ip, @userAgent)`);
+}
+
 // ── 파일 다운로드 (관리자 전용) ──
 // at-rest 암호화된 파일을 복호화하여 제공, 미암호화 레거시 파일도 지원
-app.use('/uploads', (req, res) => {
-    if (!req.session?.user) {
+// 열람 기록을 남기지 못하면 파일을 제공하지 않음 (기록 누락 방지)
+app.use('/uploads', async (req, res) => {
+    if (!hasPermission(req.session?.user, 'file:view')) {
         return res.status(403).json({ success: false, code: 'FORBIDDEN', error: 'Forbidden' });
     }
     const filename = path.basename(req.path);
@@ -281,6 +580,12 @@ app.use('/uploads', (req, res) => {
     if (!fs.existsSync(filePath)) {
         return res.status(404).json({ success: false, code: 'NOT_FOUND', error: 'File not found' });
     }
+    try {
+        await logFileAccess(req, filename);
+    } catch (err) {
+        console.error('File access log error:', err.message);
+        return res.status(500).json({ success: false, code: 'SERVER_ERROR', error: '열람 기록을 저장할 수 없어 파일을 제공하지 않습니다.' });
+    }
     try {
         const ext = path.extname(filename).toLowerCase();
         const mimeMap = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.pdf': 'application/pdf' };
@@ -301,9 +606,38 @@ app.use('/uploads', (req, res) => {
 });
 
 // ── 인증 미들웨어 (관리자 API 보호) ──
+// role 없는 세션(RBAC 도입 이전 로그인)은 재로그인 유도
+// 비밀번호 변경이 필요한 세션(초기화·만료)은 변경 API 외 모든 관리자 API 차단
+const PASSWORD_CHANGE_ALLOWED_PATHS = new Set(['/api/admin/me/password', '/api/admin/me/password-policy']);
+const SESSION_ACTIVITY_INTERVAL_MS = 60 * 1000; // 마지막 활동 시각 갱신 주기 (매 요청 세션 저장 방지)
 const authMiddleware = (req, res, next) => {
-    if (req.session?.user) return next();
-    return res.status(401).json({ success: false, error: 'Unauthorized access' });
+    if (!req.session?.user?.role) return res.status(401).json({ success: false, error: 'Unauthorized access' });
+    if (req.session.user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.has(req.path)) {
+        return res.status(403).json({ success: false, code: 'PASSWORD_CHANGE_REQUIRED', error: '비밀번호를 변경한 후 이용할 수 있습니다.' });
+    }
+    const meta = req.session.meta;
+    if (meta && Date.now() - meta.lastActivity > SESSION_ACTIVITY_INTERVAL_MS) {
+        meta.lastActivity = Date.now();
+        meta.ip = req.ip;
+    }
+    return next();
+};
+
+// ── 권한 미들웨어 (역할별 허용 권한 확인, authMiddleware 뒤에 사용) ──
+// 업로드 라우트에서는 multer보다 먼저 두어 권한 없는 요청의 파일이 디스크에 쓰이지 않게 함
+const requirePermission = (...permissions) => (req, res, next) => {
+    const user = req.session?.user;
+    const denied = permissions.find(p => !hasPermission(user, p));
+    if (!denied) return next();
+    logSecurity('PERMISSION_DENIED', { username: user?.username, role: user?.role, permission: denied, path: req.originalUrl, ip: req.ip });
+    return res.status(403).json({ success: false, code: 'FORBIDDEN', error: '이 작업을 수행할 권한이 없습니다.' });
+};
+
+// 본문 값(예: 일괄 처리 action)에 따라 필요한 권한이 달라지는 라우트용. 정의되지 않은 값은 400
+const requirePermissionFor = (field, permissionMap) => (req, res, next) => {
+    const permission = permissionMap[req.body?.[field]];
+    if (!permission) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '지원하지 않는 작업입니다.' });
+    return requirePermission(permission)(req, res, next);
 };
 
 // ╔═══════════════════════════════════════════════════════════╗
@@ -412,18 +746,25 @@ async function validateFileMagic(req, res, next) {
 }
 
 // ╔═══════════════════════════════════════════════════════════╗
-// ║  인증 API (로그인 · 로그아웃 · 세션 확인)                 ║
+// ║  인증 API (로그인 · 2단계 인증 · 로그아웃 · 세션 확인)    ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// 계정 잠금: brute-force 방어 (메모리 기반, 서버 재시작 시 초기화)
-const loginAttempts = new Map(); // { username: { count, lockedUntil } }
+// 계정 잠금: brute-force 방어 (LoginLockouts 테이블, 재시작·다중 인스턴스에도 유지)
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCKOUT_DURATION_MS = 15 * 60 * 1000; // 15분
+const MFA_PENDING_TTL_MS = 5 * 60 * 1000;   // 비밀번호 확인 후 2단계 인증 대기 시간
+
+// ── Rate Limiter 정의 (RateLimitHits 테이블 공유 저장소, limiter별 prefix) ──
+const rateLimitStores = {
+    login: securityStore.createRateLimitStore('login'),
+    submit: securityStore.createRateLimitStore('submit'),
+    status: securityStore.createRateLimitStore('status')
+};
 
-// ── Rate Limiter 정의 ──
 const loginLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 10,
+    store: rateLimitStores.login,
     message: { success: false, error: '로그인 시도가 너무 많습니다. 15분 후 다시 시도해 주세요.' },
     standardHeaders: true,
     legacyHeaders: false
@@ -433,30 +774,81 @@ const loginLimiter = rateLimit({
 const submitLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 20,
+    store: rateLimitStores.submit,
     message: { success: false, error: '제출 횟수를 초과했습니다. 잠시 후 다시 시도해 주세요.' },
     standardHeaders: true,
     legacyHeaders: false
 });
 
+// 로그인 실패 기록 (비밀번호·2단계 인증 실패 공통), 누적 실패 횟수 반환
+async function recordLoginFailure(normalizedUser, req) {
+    const count = await securityStore.recordLoginFailure(normalizedUser, req.ip, { maxAttempts: MAX_LOGIN_ATTEMPTS, lockoutMs: LOCKOUT_DURATION_MS });
+    if (count >= MAX_LOGIN_ATTEMPTS) {
+        logSecurity('ACCOUNT_LOCKED', { username: normalizedUser, ip: req.ip, duration: '15m' });
+        sendTelegramNotification(`🚨 <b>계정 잠금</b>\n계정: <code>${escTg(normalizedUser)}</code>\nIP: <code>${escTg(req.ip)}</code>\n사유: 로그인 ${MAX_LOGIN_ATTEMPTS}회 실패`).catch(() => {});
+    }
+    return count;
+}
+
+// 계정 잠금 중이면 남은 분, 아니면 0
+async function lockoutRemainingMinutes(normalizedUser) {
+    const remainMs = await securityStore.getLockoutRemainingMs(normalizedUser);
+    return remainMs > 0 ? Math.ceil(remainMs / 60000) : 0;
+}
+
+// 로그인 완료: 세션 고정 공격 방지를 위해 세션 ID 재생성 후 사용자 정보 저장
+// (2단계 인증 대기 정보 pendingMfa도 재생성과 함께 폐기됨)
+async function completeLogin(req, res, pool, user) {
+    const normalizedUser = user.username.toLowerCase();
+    await securityStore.clearLoginFailures(normalizedUser);
+    logSecurity('LOGIN_SUCCESS', { username: normalizedUser, role: user.role, mfa: !!user.totp_enabled, ip: req.ip });
+    await pool.request().input('id', mssql.Int, user.id).query('UPDATE Users SET last_login = GETDATE() WHERE id = @id');
+
+    return req.session.regenerate((regenErr) => {
+        if (regenErr) {
+            console.error('Session Regenerate Error:', regenErr);
+            return res.status(500).json({ success: false, code: 'SERVER_ERROR', error: '세션 생성 중 오류가 발생했습니다.' });
+        }
+        req.session.user = toSessionUser(user);
+        // 세션 목록 표시용 접속 정보 (로그인 시각 · IP · User-Agent · 마지막 활동)
+        req.session.meta = {
+            loginAt: Date.now(),
+            loginIp: req.ip,
+            ip: req.ip,
+            userAgent: String(req.get('user-agent') || '').slice(0, 300),
+            lastActivity: Date.now()
+        };
+        return req.session.save((err) => {
+            if (err) {
+                console.error('Session Save Error:', err);
+                return res.status(500).json({ success: false, code: 'SERVER_ERROR', error: '세션 저장 중 오류가 발생했습니다.' });
+            }
+            return res.json({ success: true, user: req.session.user });
+        });
+    });
+}
+
 // ── POST /api/admin/login — 관리자 로그인 ──
-// 계정 잠금 확인 → DB 조회 → bcrypt 비교 → 세션 재생성 → 응답
+// 계정 잠금 확인 → DB 조회 → bcrypt 비교 → (2단계 인증 사용 시 대기) → 세션 재생성 → 응답
 app.post('/api/admin/login', loginLimiter, async (req, res) => {
     const username = (req.body.username || '').trim();
     const password = (req.body.password || '').trim();
     if (!username || !password) {
         return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '아이디와 비밀번호를 입력해 주세요.' });
     }
+    if (username.length > 100) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '아이디가 너무 깁니다.' });
+    }
 
     const normalizedUser = username.toLowerCase();
 
-    // 계정 잠금 확인
-    const attempt = loginAttempts.get(normalizedUser);
-    if (attempt && attempt.lockedUntil && Date.now() < attempt.lockedUntil) {
-        const remainMin = Math.ceil((attempt.lockedUntil - Date.now()) / 60000);
-        return res.status(429).json({ success: false, code: 'RATE_LIMIT', error: `계정이 잠겨 있습니다. ${remainMin}분 후 다시 시도해 주세요.` });
-    }
-
     try {
+        // 계정 잠금 확인
+        const remainMin = await lockoutRemainingMinutes(normalizedUser);
+        if (remainMin > 0) {
+            return res.status(429).json({ success: false, code: 'RATE_LIMIT', error: `계정이 잠겨 있습니다. ${remainMin}분 후 다시 시도해 주세요.` });
+        }
+
         const pool = await poolPromise;
         const result = await pool.request()
             .input('username', mssql.NVarChar, username)
@@ -466,41 +858,32 @@ app.post('/api/admin/login', loginLimiter, async (req, res) => {
             const user = result.recordset[0];
             const isMatch = await bcrypt.compare(password, user.password_hash);
 
-            if (isMatch) {
-                loginAttempts.delete(normalizedUser);
-                logSecurity('LOGIN_SUCCESS', { username: normalizedUser, ip: req.ip });
-                await pool.request().input('id', mssql.Int, user.id).query('UPDATE Users SET last_login = GETDATE() WHERE id = @id');
+            // 비활성화된 계정: 비밀번호가 맞아도 로그인 거부
+            if (isMatch && user.is_active === false) {
+                logSecurity('LOGIN_DISABLED_ACCOUNT', { username: normalizedUser, ip: req.ip });
+                return res.status(403).json({ success: false, code: 'FORBIDDEN', error: '비활성화된 계정입니다. 관리자에게 문의해 주세요.' });
+            }
 
-                // 세션 고정 공격 방지: 인증 성공 시 세션 ID 재생성
-                return req.session.regenerate((regenErr) => {
-                    if (regenErr) {
-                        console.error('Session Regenerate Error:', regenErr);
-                        return res.status(500).json({ success: false, code: 'SERVER_ERROR', error: '세션 생성 중 오류가 발생했습니다.' });
+            if (isMatch && user.totp_enabled) {
+                // 2단계 인증 대기: 세션에는 대기 정보만 두고 user는 설정하지 않음 (관리자 API 접근 불가)
+                req.session.pendingMfa = { userId: user.id, username: normalizedUser, expiresAt: Date.now() + MFA_PENDING_TTL_MS };
+                return req.session.save((err) => {
+                    if (err) {
+                        console.error('Session Save Error:', err);
+                        return res.status(500).json({ success: false, code: 'SERVER_ERROR', error: '세션 저장 중 오류가 발생했습니다.' });
                     }
-                    req.session.user = { id: user.id, username: user.username, name: user.name };
-                    return req.session.save((err) => {
-                        if (err) {
-                            console.error('Session Save Error:', err);
-                            return res.status(500).json({ success: false, code: 'SERVER_ERROR', error: '세션 저장 중 오류가 발생했습니다.' });
-                        }
-                        return res.json({ success: true, user: req.session.user });
-                    });
+                    return res.json({ success: true, mfaRequired: true });
                 });
             }
+
+            if (isMatch) return completeLogin(req, res, pool, user);
         } else {
             await bcrypt.compare(password, DUMMY_HASH);
         }
 
         // 실패 기록
-        const prev = loginAttempts.get(normalizedUser) || { count: 0, lockedUntil: null };
-        prev.count += 1;
-        if (prev.count >= MAX_LOGIN_ATTEMPTS) {
-            prev.lockedUntil = Date.now() + LOCKOUT_DURATION_MS;
-            logSecurity('ACCOUNT_LOCKED', { username: normalizedUser, ip: req.ip, duration: '15m' });
-            sendTelegramNotification(`🚨 <b>계정 잠금</b>\n계정: <code>${escTg(normalizedUser)}</code>\nIP: <code>${escTg(req.ip)}</code>\n사유: 로그인 ${MAX_LOGIN_ATTEMPTS}회 실패`).catch(() => {});
-        }
-        loginAttempts.set(normalizedUser, prev);
-        logSecurity('LOGIN_FAILED', { username: normalizedUser, ip: req.ip, attempts: prev.count });
+        const attempts = await recordLoginFailure(normalizedUser, req);
+        logSecurity('LOGIN_FAILED', { username: normalizedUser, ip: req.ip, attempts });
 
         return res.status(401).json({ success: false, code: 'AUTH_REQUIRED', error: '아이디 또는 비밀번호가 올바르지 않습니다.' });
     } catch (err) {
@@ -509,9 +892,71 @@ app.post('/api/admin/login', loginLimiter, async (req, res) => {
     }
 });
 
+// 2단계 인증 코드 확인 및 소모: 6자리 숫자 → TOTP(사용한 카운터 기록), 그 외 → 복구 코드(사용 즉시 삭제)
+// 읽어둔 값이 그대로일 때만 갱신 — 동시 로그인이 같은 코드를 재사용하면 한쪽만 성공
+async function consumeSecondFactor(pool, user, code, req) {
+    if (/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+        const counter = totp.verifyToken(decryptSecret(user.totp_secret), code, { lastCounter: user.totp_last_counter });
+        if (counter === null) return false;
+        const result = await pool.request().input('id', mssql.Int, user.id).input('counter', mssql.BigInt, counter)
+            .query('UPDATE Users SET totp_last_counter = @counter WHERE id = @id AND (totp_last_counter IS NULL OR totp_last_counter < @counter)');
+        return result.rowsAffected[0] > 0;
+    }
+    const hashes = JSON.parse(user.totp_recovery_codes || '[]');
+    const hash = totp.hashRecoveryCode(code);
+    if (!hashes.includes(hash)) return false;
+    const remaining = hashes.filter(h => h !== hash);
+    const result = await pool.request().input('id', mssql.Int, user.id)
+        .input('codes', mssql.NVarChar, JSON.stringify(remaining))
+        .input('oldCodes', mssql.NVarChar, user.totp_recovery_codes)
+        .query('UPDATE Users SET totp_recovery_codes = @codes WHERE id = @id AND totp_recovery_codes = @oldCodes');
+    if (result.rowsAffected[0] === 0) return false;
+    logSecurity('MFA_RECOVERY_CODE_USED', { username: user.username, remaining: remaining.length, ip: req.ip });
+    return true;
+}
+
+// ── POST /api/admin/login/totp — 2단계 인증 (TOTP 코드 또는 복구 코드) ──
+// 비밀번호 확인 후 남겨둔 pendingMfa 검증 → 코드 확인 → completeLogin에서 세션 재생성
+app.post('/api/admin/login/totp', loginLimiter, async (req, res) => {
+    const pending = req.session.pendingMfa;
+    if (!pending || Date.now() > pending.expiresAt) {
+        delete req.session.pendingMfa;
+        return res.status(401).json({ success: false, code: 'AUTH_REQUIRED', error: '인증 시간이 만료되었습니다. 다시 로그인해 주세요.' });
+    }
+    const code = String(req.body.code || '').trim();
+    if (!code) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '인증 코드를 입력해 주세요.' });
+    }
+
+    try {
+        const remainMin = await lockoutRemainingMinutes(pending.username);
+        if (remainMin > 0) {
+            delete req.session.pendingMfa;
+            return res.status(429).json({ success: false, code: 'RATE_LIMIT', error: `계정이 잠겨 있습니다. ${remainMin}분 후 다시 시도해 주세요.` });
+        }
+
+        const pool = await poolPromise;
+        const result = await pool.request().input('id', mssql.Int, pending.userId).query('SELECT * FROM Users WHERE id = @id');
+        const user = result.recordset[0];
+        if (!user || user.is_active === false || !user.totp_enabled) {
+            delete req.session.pendingMfa;
+            return res.status(401).json({ success: false, code: 'AUTH_REQUIRED', error: '다시 로그인해 주세요.' });
+        }
+
+        if (await consumeSecondFactor(pool, user, code, req)) return completeLogin(req, res, pool, user);
+
+        const attempts = await recordLoginFailure(pending.username, req);
+        logSecurity('MFA_FAILED', { username: pending.username, ip: req.ip, attempts });
+        if (attempts >= MAX_LOGIN_ATTEMPTS) delete req.session.pendingMfa;
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '인증 코드가 올바르지 않습니다.' });
+    } catch (err) {
+        return res.status(500).json({ success: false, code: 'SERVER_ERROR', error: classifyError(err, 'POST /api/admin/login/totp') });
+    }
+});
+
 // ── GET /api/admin/me — 현재 세션 확인 ──
 app.get('/api/admin/me', (req, res) => {
-    if (req.session.user) return res.json({ success: true, user: req.session.user });
+    if (req.session.user?.role) return res.json({ success: true, user: req.session.user });
     else return res.status(401).json({ success: false });
 });
 
@@ -561,6 +1006,31 @@ async function insertFileRecord(poolOrTx, requestId, file, category) {
         .query('INSERT INTO RequestFiles (request_id, filename, original_name, file_type, category) VALUES (@requestId, @filename, @originalName, @fileType, @category)');
 }
 
+// 카테고리별 첨부 한도 (공개 제출 · 관리자 추가 · 신청인 보완 공통)
+const MAX_FILES_PER_CATEGORY = 5;
+
+// 추가하려는 파일이 카테고리별 한도를 넘으면 오류 문구, 아니면 null
+async function fileLimitError(poolOrTx, requestId, addDepositFiles, addIdCardFiles) {
+    const counts = await poolOrTx.request().input('reqId', mssql.Int, requestId)
+        .query("SELECT category, COUNT(*) AS cnt FROM RequestFiles WHERE request_id = @reqId GROUP BY category");
+    const countMap = Object.fromEntries(counts.recordset.map(r => [r.category, r.cnt]));
+    const depositCount = (countMap['입출금내역서'] ?? 0) + (countMap['입출금거래내역서'] ?? 0);
+    if (depositCount + addDepositFiles.length > MAX_FILES_PER_CATEGORY) return `입출금내역서는 최대 ${MAX_FILES_PER_CATEGORY}개까지 첨부할 수 있습니다.`;
+    if ((countMap['신분증'] ?? 0) + addIdCardFiles.length > MAX_FILES_PER_CATEGORY) return `신분증은 최대 ${MAX_FILES_PER_CATEGORY}개까지 첨부할 수 있습니다.`;
+    return null;
+}
+
+// Requests.id_card_file을 가장 먼저 올라온 파일로 맞춤 (파일 추가·삭제 후)
+async function syncFirstFile(poolOrTx, requestId) {
+    const remaining = await poolOrTx.request().input('syncId', mssql.Int, requestId)
+        .query('SELECT TOP 1 filename FROM RequestFiles WHERE request_id = @syncId ORDER BY uploaded_at');
+    const firstFile = remaining.recordset[0]?.filename ?? null;
+    await poolOrTx.request()
+        .input('syncReqId', mssql.Int, requestId)
+        .input('idCardFile', mssql.NVarChar, firstFile)
+        .query('UPDATE Requests SET id_card_file = @idCardFile WHERE id = @syncReqId');
+}
+
 // ── 업로드 디렉토리 총 사이즈 체크 (쿼터: 5GB) ──
 const UPLOAD_QUOTA_BYTES = 5 * 1024 * 1024 * 1024; // 5GB
 function getUploadDirSize() {
@@ -610,6 +1080,8 @@ app.post('/api/request', submitLimiter, upload.fields([{ name: 'deposit_files',
             if (amountNum < 2000000) { cleanupUpload(req); return res.status(400).json({ success: false, error: '반환 청구는 200만원 이상만 신청 가능합니다.' }); }
         }
         if (!['true', '1', 'on'].includes(d.terms_agreed)) { cleanupUpload(req); return res.status(400).json({ success: false, error: '개인정보 활용 동의는 필수입니다.' }); }
+        const dateError = validateRequestDates({ depositDate: d.deposit_date.trim() });
+        if (dateError) { cleanupUpload(req); return res.status(400).json({ success: false, error: dateError }); }
         const depositFiles = req.files?.deposit_files ?? [];
         const idCardFiles = req.files?.id_card_files ?? [];
         if (depositFiles.length === 0) { cleanupUpload(req); return res.status(400).json({ success: false, error: '입출금내역서 파일은 최소 1개 필수입니다.' }); }
@@ -641,14 +1113,21 @@ app.post('/api/request', submitLimiter, upload.fields([{ name: 'deposit_files',
                 .input('termsAgreed', mssql.Bit, ['true', '1', 'on'].includes(d.terms_agreed) ? 1 : 0)
                 .input('termsIp', mssql.NVarChar, (req.ip || '').replace(/^::ffff:/, '') || null)
                 .input('requestType', mssql.NVarChar, requestType)
-                .query(`INSERT INTO Requests (request_code, request_date, deposit_date, deposit_time, deposit_amount, bank_name, user_account, user_account_name, contractor_code, merchant_code, applicant_name, applicant_phone, details, id_card_file, terms_agreed, terms_ip, request_type)
+                .input('status', mssql.NVarChar, workflow.INITIAL_STATUS)
+                .input('notifyOptOut', mssql.Bit, ['true', '1', 'on'].includes(d.notify_opt_out) ? 1 : 0)
+                .query(`INSERT INTO Requests (request_code, request_date, deposit_date, deposit_time, deposit_amount, bank_name, user_account, user_account_name, contractor_code, merchant_code, applicant_name, applicant_phone, details, id_card_file, terms_agreed, terms_ip, request_type, status, notify_opt_out, notify_opt_out_at)
                         OUTPUT INSERTED.id
-                        VALUES (@requestCode, CAST(GETDATE() AS DATE), @depositDate, @depositTime, @depositAmount, @bankName, @userAccount, @userAccountName, @contractorCode, @merchantCode, @applicantName, @applicantPhone, @details, @idCardFile, @termsAgreed, @termsIp, @requestType)`);
+                        VALUES (@requestCode, CAST(GETDATE() AS DATE), @depositDate, @depositTime, @depositAmount, @bankName, @userAccount, @userAccountName, @contractorCode, @merchantCode, @applicantName, @applicantPhone, @details, @idCardFile, @termsAgreed, @termsIp, @requestType, @status, @notifyOptOut, CASE WHEN @notifyOptOut = 1 THEN GETDATE() END)`);
 
             const requestId = insertResult.recordset[0].id;
 
             for (const f of depositFiles) await insertFileRecord(transaction, requestId, f, '입출금내역서');
             for (const f of idCardFiles) await insertFileRecord(transaction, requestId, f, '신분증');
+            await autoAssignRequest(transaction, req, requestId);
+            const suspected = await duplicates.detect(transaction, requestId);
+            const originalCodes = suspected.length > 0
+                ? (await duplicates.listFor(transaction, requestId)).filter(l => l.request_id === requestId).map(l => l.original_code)
+                : [];
 
             await transaction.commit();
 
@@ -658,8 +1137,10 @@ app.post('/api/request', submitLimiter, upload.fields([{ name: 'deposit_files',
             const maskedName = d.applicant_name ? d.applicant_name.charAt(0) + '**' : '***';
             const typeLabel = requestType === '오입금' ? '오입금 포인트' : '반환 청구';
             sendTelegramNotification(
-                `<b>새 ${typeLabel} 접수</b>\n식별코드: <code>${requestCode}</code>\n신청인: ${maskedName}\n파일: ${allFiles.length}개\n접수시간: ${kstTime}`
+                `<b>새 ${typeLabel} 접수</b>\n식별코드: <code>${requestCode}</code>\n신청인: ${maskedName}\n파일: ${allFiles.length}개\n접수시간: ${kstTime}` +
+                (originalCodes.length > 0 ? `\n⚠️ 중복 의심: ${originalCodes.map(c => `<code>${escTg(c)}</code>`).join(', ')}` : '')
             ).catch(() => {});
+            notifyApplicant(pool, requestId, 'submitted');
 
             return res.json({ success: true, requestCode });
         } catch (txErr) {
@@ -673,74 +1154,353 @@ app.post('/api/request', submitLimiter, upload.fields([{ name: 'deposit_files',
     }
 });
 
-// ── GET /api/status/:code — 공개 상태 조회 (이름 마스킹) ──
+// Rate limiting: 공개 상태 조회 15분당 30회 (연락처 끝 4자리 대입 방어)
 const statusLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 30,
+    store: rateLimitStores.status,
     message: { success: false, error: '조회 횟수를 초과했습니다. 잠시 후 다시 시도해 주세요.' },
     standardHeaders: true,
     legacyHeaders: false
 });
 
 const REQUEST_CODE_RE = /^([RM]-)?\d{6}-\d{3}-[A-Z0-9]{3}$/;  // R-YYMMDD-NNN-XXX 또는 M-YYMMDD-NNN-XXX
+
+// 신청인에게 노출하는 상태 사유 정리: 태그·제어문자 제거, 계좌·연락처 등 긴 숫자열 마스킹
+// (접두어가 있는 식별코드는 그대로 — 중복 병합 시 원 요청 안내)
+const PUBLIC_CODE_RE = /^[RM]-\d{6}-\d{3}-[A-Z0-9]{3}$/;
+function sanitizePublicReason(text) {
+    if (!text) return null;
+    const clean = String(text)
+        .replace(/<[^>]*>/g, '')
+        .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '')
+        .replace(/(?:[RM]-)?\d[\d\s-]{5,}\d(?:-[A-Z0-9]{3})?/g, m => (PUBLIC_CODE_RE.test(m) ? m : m.replace(/\d(?=[\d\s-]{2})/g, '*')))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .slice(0, 500);
+    return clean || null;
+}
+
+// 식별코드별 본인 확인 잠금: IP를 바꿔 가며 연락처 끝 4자리를 대입하는 시도 방어
+// LoginLockouts 테이블을 'request:식별코드' 키로 공유 (보안 탭 잠긴 계정 목록에서 해제 가능)
+const APPLICANT_MAX_ATTEMPTS = 10;
+const APPLICANT_LOCKOUT_MS = 30 * 60 * 1000; // 30분
+const applicantLockKey = (code) => `request:${String(code).toLowerCase()}`;
+
+// 잠금 중이면 429 응답을 보내고 true (업로드 정리는 호출 측에서)
+async function rejectLockedApplicant(res, code) {
+    const remainMs = await securityStore.getLockoutRemainingMs(applicantLockKey(code));
+    if (remainMs <= 0) return false;
+    res.status(429).json({ success: false, error: `본인 확인에 여러 번 실패하여 이 식별코드의 조회가 잠겼습니다. ${Math.ceil(remainMs / 60000)}분 후 다시 시도해 주세요.` });
+    return true;
+}
+
+// 신청인 본인 확인: 식별코드 + 연락처(숫자만 비교). 없는 코드와 연락처 불일치는 같은 응답으로 구분하지 않음
+// lock: 트랜잭션 안에서 행 잠금 (확인 후 상태가 바뀌는 것 방지), last4: 연락처 끝 4자리만 비교 (상태 조회)
+// 있는 코드의 연락처 불일치는 식별코드별로 누적, APPLICANT_MAX_ATTEMPTS회 도달 시 잠금 (호출 측은 rejectLockedApplicant로 먼저 확인)
+async function findApplicantRequest(poolOrTx, req, code, phone, { lock = false, last4 = false } = {}) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (last4 ? digits.length !== 4 : digits.length < 10) return null;
+    const result = await poolOrTx.request()
+        .input('code', mssql.NVarChar, code)
+        .query(`SELECT id, request_code, request_type, status, status_reason, applicant_name, applicant_phone, created_at, withdrawn_at, notify_opt_out
+                FROM Requests ${lock ? 'WITH (UPDLOCK, ROWLOCK)' : ''} WHERE request_code = @code`);
+    const row = result.recordset[0];
+    const stored = String(row?.applicant_phone || '').replace(/\D/g, '');
+    if (!row || stored.length < 10 || (last4 ? stored.slice(-4) : stored) !== digits) {
+        logSecurity('APPLICANT_VERIFY_FAILED', { code, ip: req.ip, found: !!row });
+        if (row) {
+            const attempts = await securityStore.recordLoginFailure(applicantLockKey(code), req.ip, { maxAttempts: APPLICANT_MAX_ATTEMPTS, lockoutMs: APPLICANT_LOCKOUT_MS });
+            if (attempts >= APPLICANT_MAX_ATTEMPTS) logSecurity('APPLICANT_LOCKED', { code, ip: req.ip, attempts, duration: '30m' });
+        }
+        return null;
+    }
+    await securityStore.clearLoginFailures(applicantLockKey(code));
+    return row;
+}
+
+// 상태가 바뀐 기록 (감사 로그: 관리자 상태 변경 · 일괄 처리 · 중복 병합 · 재처리 승인 · 신청인 취소), 시간순 [{ status, at }]
+const STATUS_EVENT_ACTIONS = ['request.status', 'request.reopen_approve', 'request.withdraw'];
+async function loadStatusEvents(poolOrTx, requestId) {
+    const request = poolOrTx.request().input('id', mssql.Int, requestId);
+    STATUS_EVENT_ACTIONS.forEach((a, i) => request.input(`a${i}`, mssql.NVarChar, a));
+    const result = await request.query(`
+        SELECT TOP 200 after_data, created_at FROM AuditLog
+        WHERE request_id = @id AND action IN (${STATUS_EVENT_ACTIONS.map((_, i) => `@a${i}`).join(', ')})
+        ORDER BY created_at, id`);
+    return result.recordset
+        .map(r => { try { return { status: JSON.parse(r.after_data)?.status, at: r.created_at }; } catch { return null; } })
+        .filter(e => e?.status);
+}
+
+// ── GET /api/status/:code?phone=끝4자리 — 공개 상태 조회 (연락처 끝 4자리 확인, 이름 마스킹, 진행 타임라인) ──
+// 내부 메모·담당자 등 관리자 정보 제외. 없는 코드와 연락처 불일치는 같은 404로 응답
 app.get('/api/status/:code', statusLimiter, async (req, res) => {
     if (!REQUEST_CODE_RE.test(req.params.code)) {
         return res.status(400).json({ success: false, error: '식별코드 형식이 올바르지 않습니다. (예: R-260222-001-ABC)' });
     }
+    if (!/^\d{4}$/.test(String(req.query.phone || ''))) {
+        return res.status(400).json({ success: false, error: '신청 시 입력한 연락처 끝 4자리를 입력해 주세요.' });
+    }
     try {
+        if (await rejectLockedApplicant(res, req.params.code)) return;
         const pool = await poolPromise;
-        const result = await pool.request()
-            .input('code', mssql.NVarChar, req.params.code)
-            .query('SELECT applicant_name, status, created_at, request_type FROM Requests WHERE request_code = @code');
-        if (result.recordset.length > 0) {
-            const row = result.recordset[0];
-            const name = row.applicant_name || '';
-            return res.json({ success: true, data: { ...row, applicant_name: name.length > 0 ? name[0] + '**' : '***' } });
-        } else return res.status(404).json({ success: false, error: '해당 식별코드로 접수된 사유서를 찾을 수 없습니다.' });
+        const row = await findApplicantRequest(pool, req, req.params.code, req.query.phone, { last4: true });
+        if (!row) return res.status(404).json({ success: false, error: '식별코드와 연락처가 일치하는 사유서를 찾을 수 없습니다.' });
+
+        const events = await loadStatusEvents(pool, row.id);
+        const name = row.applicant_name || '';
+        // 내부 승인 단계(승인대기)는 신청인에게 처리중으로 안내
+        const publicStatus = workflow.publicStatus(row.status);
+        return res.json({
+            success: true,
+            data: {
+                applicant_name: name.length > 0 ? name[0] + '**' : '***',
+                status: publicStatus,
+                reason: sanitizePublicReason(row.status_reason),
+                created_at: row.created_at,
+                request_type: row.request_type,
+                withdrawn_at: row.withdrawn_at,
+                accepts_supplement: workflow.acceptsSupplement(row.status),
+                withdrawable: workflow.isWithdrawable(row.status),
+                notify_opt_out: !!row.notify_opt_out,
+                timeline: workflow.publicTimeline(row.status, row.created_at, events)
+            }
+        });
     } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/status') }); }
 });
 
+// ── POST /api/status/:code/notifications — 신청인 알림 수신 설정 { phone: 끝4자리, opt_out } ──
+app.post('/api/status/:code/notifications', statusLimiter, async (req, res) => {
+    if (!REQUEST_CODE_RE.test(req.params.code)) {
+        return res.status(400).json({ success: false, error: '식별코드 형식이 올바르지 않습니다. (예: R-260222-001-ABC)' });
+    }
+    if (!/^\d{4}$/.test(String(req.body?.phone || ''))) {
+        return res.status(400).json({ success: false, error: '신청 시 입력한 연락처 끝 4자리를 입력해 주세요.' });
+    }
+    if (typeof req.body.opt_out !== 'boolean') {
+        return res.status(400).json({ success: false, error: '알림 수신 여부가 올바르지 않습니다.' });
+    }
+    try {
+        if (await rejectLockedApplicant(res, req.params.code)) return;
+        const pool = await poolPromise;
+        const row = await findApplicantRequest(pool, req, req.params.code, req.body.phone, { last4: true });
+        if (!row) return res.status(404).json({ success: false, error: '식별코드와 연락처가 일치하는 사유서를 찾을 수 없습니다.' });
+        await setNotifyOptOut(pool, req, row, req.body.opt_out);
+        return res.json({ success: true, notify_opt_out: req.body.opt_out });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/status/:code/notifications') }); }
+});
+
+// ── POST /api/request/:code/supplement — 신청인 보완 서류 제출 (식별코드 + 연락처 확인) ──
+// 공개 제출과 같은 업로드 파이프라인 · 카테고리별 한도, 보완 제출을 받는 상태(workflow.js supplement)에서만 허용
+app.post('/api/request/:code/supplement', submitLimiter, upload.fields([{ name: 'deposit_files', maxCount: 5 }, { name: 'id_card_files', maxCount: 5 }]), fixUploadedFileNames, validateFileMagic, checkUploadQuota, async (req, res) => {
+    const code = String(req.params.code || '').toUpperCase();
+    if (!REQUEST_CODE_RE.test(code)) {
+        cleanupUpload(req);
+        return res.status(400).json({ success: false, error: '식별코드 형식이 올바르지 않습니다. (예: R-260222-001-ABC)' });
+    }
+    const depositFiles = req.files?.deposit_files ?? [];
+    const idCardFiles = req.files?.id_card_files ?? [];
+    if (depositFiles.length + idCardFiles.length === 0) {
+        cleanupUpload(req);
+        return res.status(400).json({ success: false, error: '보완할 파일을 1개 이상 선택해 주세요.' });
+    }
+    try {
+        if (await rejectLockedApplicant(res, code)) return cleanupUpload(req);
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        let validationError = null;
+        let row;
+        try {
+            row = await findApplicantRequest(transaction, req, code, req.body?.applicant_phone, { lock: true });
+            if (!row) validationError = { status: 404, error: '식별코드 또는 연락처가 일치하는 사유서를 찾을 수 없습니다.' };
+            else if (!workflow.acceptsSupplement(row.status)) {
+                validationError = { status: 409, error: '현재 처리 단계에서는 서류를 추가로 제출할 수 없습니다. 필요한 경우 담당자에게 문의해 주세요.' };
+            } else {
+                const limitError = await fileLimitError(transaction, row.id, depositFiles, idCardFiles);
+                if (limitError) validationError = { status: 400, error: limitError };
+            }
+            if (validationError) {
+                await transaction.rollback();
+            } else {
+                for (const f of depositFiles) await insertFileRecord(transaction, row.id, f, '입출금내역서');
+                for (const f of idCardFiles) await insertFileRecord(transaction, row.id, f, '신분증');
+                await syncFirstFile(transaction, row.id);
+                await writeAudit(transaction, req, {
+                    action: 'file.supplement', requestId: row.id, requestCode: row.request_code,
+                    after: { files: [...depositFiles.map(f => ({ name: f.originalname, category: '입출금내역서' })), ...idCardFiles.map(f => ({ name: f.originalname, category: '신분증' }))] }
+                });
+                await transaction.commit();
+            }
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+        if (validationError) {
+            cleanupUpload(req);
+            return res.status(validationError.status).json({ success: false, error: validationError.error });
+        }
+
+        const added = depositFiles.length + idCardFiles.length;
+        sendTelegramNotification(
+            `📎 <b>보완 서류 제출</b>\n식별코드: <code>${escTg(row.request_code)}</code>\n상태: ${escTg(row.status)}\n파일: ${added}개` +
+            (depositFiles.length ? ` (입출금내역서 ${depositFiles.length})` : '') + (idCardFiles.length ? ` (신분증 ${idCardFiles.length})` : '')
+        ).catch(() => {});
+        return res.json({ success: true, added });
+    } catch (err) {
+        cleanupUpload(req);
+        return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/request/:code/supplement') });
+    }
+});
+
+// ── POST /api/request/:code/withdraw — 신청인 취소 (식별코드 + 연락처 확인) ──
+// 처리 시작 전 상태(workflow.js withdrawable)에서만 허용, 취소 상태 · 취소 일시 기록 후 텔레그램 알림
+const WITHDRAW_REASON_MAX = 200;
+app.post('/api/request/:code/withdraw', submitLimiter, async (req, res) => {
+    const code = String(req.params.code || '').toUpperCase();
+    if (!REQUEST_CODE_RE.test(code)) {
+        return res.status(400).json({ success: false, error: '식별코드 형식이 올바르지 않습니다. (예: R-260222-001-ABC)' });
+    }
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.replace(/[\u0000-\u001F\u007F]/g, ' ').trim() : '';
+    if (reason.length > WITHDRAW_REASON_MAX) {
+        return res.status(400).json({ success: false, error: `취소 사유는 ${WITHDRAW_REASON_MAX}자 이내로 입력해 주세요.` });
+    }
+    try {
+        if (await rejectLockedApplicant(res, code)) return;
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        let validationError = null;
+        let row;
+        try {
+            row = await findApplicantRequest(transaction, req, code, req.body?.applicant_phone, { lock: true });
+            if (!row) validationError = { status: 404, error: '식별코드 또는 연락처가 일치하는 사유서를 찾을 수 없습니다.' };
+            else if (row.status === workflow.WITHDRAWN_STATUS) validationError = { status: 409, error: '이미 취소된 사유서입니다.' };
+            else if (!workflow.isWithdrawable(row.status)) {
+                validationError = { status: 409, error: '이미 처리가 진행 중이거나 끝난 사유서는 취소할 수 없습니다. 필요한 경우 담당자에게 문의해 주세요.' };
+            }
+            if (validationError) {
+                await transaction.rollback();
+            } else {
+                await transaction.request()
+                    .input('id', mssql.Int, row.id)
+                    .input('status', mssql.NVarChar, workflow.WITHDRAWN_STATUS)
+                    .query('UPDATE Requests SET status = @status, status_reason = NULL, status_changed_at = GETDATE(), withdrawn_at = GETDATE() WHERE id = @id');
+                await writeAudit(transaction, req, {
+                    action: 'request.withdraw', requestId: row.id, requestCode: row.request_code,
+                    before: { status: row.status }, after: { status: workflow.WITHDRAWN_STATUS, ...(reason && { reason }) }
+                });
+                await transaction.commit();
+            }
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+        if (validationError) return res.status(validationError.status).json({ success: false, error: validationError.error });
+
+        const typeLabel = row.request_type === '오입금' ? '오입금 포인트' : '반환 청구';
+        sendTelegramNotification(
+            `↩️ <b>${typeLabel} 신청인 취소</b>\n식별코드: <code>${escTg(row.request_code)}</code>\n이전 상태: ${escTg(row.status)}` +
+            (reason ? `\n사유: ${escTg(reason)}` : '')
+        ).catch(() => {});
+        notifyApplicantStatus(pool, row.id, row.status, workflow.WITHDRAWN_STATUS);
+        return res.json({ success: true, status: workflow.WITHDRAWN_STATUS });
+    } catch (err) {
+        return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/request/:code/withdraw') });
+    }
+});
+
 // ╔═══════════════════════════════════════════════════════════╗
 // ║  관리자 API (authMiddleware 보호)                         ║
 // ╚═══════════════════════════════════════════════════════════╝
 
-// ── GET /api/admin/requests — 전체 목록 조회 (파일 수 포함) ──
-app.get('/api/admin/requests', authMiddleware, async (req, res) => {
+// 접수일(DB 기준 날짜) · 유형 · 상태로 처리 기한 정보 부여 (sla.js)
+function withSla(row, today) {
+    const { dueDate, agingDays, slaState, overdueDays } = sla.evaluate({
+        requestType: row.request_type || '반환청구', createdDay: row.created_day, today, open: workflow.openStatuses().includes(row.status)
+    });
+    return { ...row, due_date: dueDate, aging_days: agingDays, sla_state: slaState, overdue_days: overdueDays };
+}
+
+async function getDbToday(pool) {
+    const result = await pool.request().query('SELECT CONVERT(CHAR(10), GETDATE(), 120) AS today');
+    return result.recordset[0].today;
+}
+
+// ── GET /api/admin/requests — 전체 목록 조회 (파일 수 · 중복 의심 수 · 태그 · 담당자 · 처리 기한 포함) ──
+app.get('/api/admin/requests', authMiddleware, requirePermission('request:view'), async (req, res) => {
     try {
         const pool = await poolPromise;
         const result = await pool.request().query(`
-            SELECT r.*, ISNULL(fc.cnt, 0) AS file_count
+            SELECT r.*, ISNULL(fc.cnt, 0) AS file_count, ISNULL(dc.cnt, 0) AS duplicate_count, au.name AS assigned_name, CONVERT(CHAR(10), r.created_at, 120) AS created_day
             FROM Requests r
             LEFT JOIN (SELECT request_id, COUNT(*) AS cnt FROM RequestFiles GROUP BY request_id) fc
               ON fc.request_id = r.id
+            LEFT JOIN (SELECT request_id, COUNT(*) AS cnt FROM RequestDuplicates WHERE state = N'suspected' GROUP BY request_id) dc
+              ON dc.request_id = r.id
+            LEFT JOIN Users au ON au.id = r.assigned_to
             ORDER BY r.created_at DESC
         `);
-        return res.json({ success: true, data: result.recordset });
+        const today = await getDbToday(pool);
+        const rows = await attachTags(pool, result.recordset, { all: true });
+        return res.json({ success: true, today, slaTargets: sla.SLA_TARGETS, data: rows.map(row => withSla(row, today)) });
     } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/requests') }); }
 });
 
 // ── GET /api/admin/request/:id — 단건 상세 조회 (첨부파일 포함) ──
-app.get('/api/admin/request/:id', authMiddleware, async (req, res) => {
+app.get('/api/admin/request/:id', authMiddleware, requirePermission('request:view'), async (req, res) => {
     try {
         const pool = await poolPromise;
-        const result = await pool.request().input('id', mssql.Int, req.params.id).query('SELECT * FROM Requests WHERE id = @id');
+        const result = await pool.request().input('id', mssql.Int, req.params.id)
+            .query(`SELECT r.*, au.name AS assigned_name, CONVERT(CHAR(10), r.created_at, 120) AS created_day,
+                           qu.name AS approval_requested_name, pu.name AS approved_name,
+                           (SELECT COUNT(*) FROM RequestComments c WHERE c.request_id = r.id) AS comment_count
+                    FROM Requests r
+                    LEFT JOIN Users au ON au.id = r.assigned_to
+                    LEFT JOIN Users qu ON qu.id = r.approval_requested_by
+                    LEFT JOIN Users pu ON pu.id = r.approved_by
+                    WHERE r.id = @id`);
         const files = await pool.request().input('id2', mssql.Int, req.params.id)
             .query('SELECT * FROM RequestFiles WHERE request_id = @id2 ORDER BY uploaded_at');
-        const data = result.recordset[0];
-        if (!data) return res.status(404).json({ success: false, error: '상세 정보를 찾을 수 없습니다.' });
+        if (!result.recordset[0]) return res.status(404).json({ success: false, error: '상세 정보를 찾을 수 없습니다.' });
+        const data = withSla(result.recordset[0], await getDbToday(pool));
         data.files = files.recordset;
         return res.json({ success: true, data });
     } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/request/:id') }); }
 });
 
-// ── GET /api/admin/request/:id/docx — Word 문서 생성·다운로드 ──
-app.get('/api/admin/request/:id/docx', authMiddleware, async (req, res) => {
+// ── GET /api/admin/request/:id/docx — Word 문서 생성·다운로드 (?comments=1: 내부 메모 부록 포함) ──
+app.get('/api/admin/request/:id/docx', authMiddleware, requirePermission('request:export'), async (req, res) => {
     try {
         const pool = await poolPromise;
         const result = await pool.request().input('id', mssql.Int, req.params.id).query('SELECT * FROM Requests WHERE id = @id');
         const data = result.recordset[0];
         if (!data) return res.status(404).json({ success: false, error: '상세 정보를 찾을 수 없습니다.' });
 
+        // 부록: 내부 메모 (별도 섹션 = 새 페이지)
+        const appendix = [];
+        if (req.query.comments === '1') {
+            const comments = await pool.request().input('id', mssql.Int, data.id)
+                .query('SELECT author_name, author_username, body, created_at, updated_at FROM RequestComments WHERE request_id = @id ORDER BY created_at, id');
+            appendix.push({
+                properties: {},
+                children: [
+                    new Paragraph({ text: "부록. 내부 메모 (대외비)", heading: HeadingLevel.HEADING_2, spacing: { after: 300 } }),
+                    ...(comments.recordset.length === 0 ? [new Paragraph("등록된 내부 메모가 없습니다.")] : comments.recordset.flatMap(c => [
+                        new Paragraph({
+                            children: [
+                                new TextRun({ text: `${c.author_name} (${c.author_username})`, bold: true }),
+                                new TextRun({ text: `  ${new Date(c.created_at).toLocaleString('ko-KR')}${c.updated_at ? ' (수정됨)' : ''}`, color: "737373" })
+                            ],
+                            spacing: { before: 200 }
+                        }),
+                        ...c.body.split('\n').map(line => new Paragraph({ text: line, spacing: { after: 60 } }))
+                    ]))
+                ]
+            });
+        }
+
         const doc = new Document({
             sections: [{
                 properties: {},
@@ -825,7 +1585,7 @@ app.get('/api/admin/request/:id/docx', authMiddleware, async (req, res) => {
                         spacing: { after: 200 },
                     }),
                 ],
-            }],
+            }, ...appendix],
         });
 
         const buffer = await Packer.toBuffer(doc);
@@ -838,45 +1598,34 @@ app.get('/api/admin/request/:id/docx', authMiddleware, async (req, res) => {
 
 // ── POST /api/admin/request/:id/files — 기존 요청에 파일 추가 ──
 // Express v5: 구체적 경로(/:id/files)를 덜 구체적 경로(/:id) 앞에 등록
-app.post('/api/admin/request/:id/files', authMiddleware, upload.fields([{ name: 'deposit_files', maxCount: 5 }, { name: 'id_card_files', maxCount: 5 }]), fixUploadedFileNames, validateFileMagic, checkUploadQuota, async (req, res) => {
+app.post('/api/admin/request/:id/files', authMiddleware, requirePermission('file:manage'), upload.fields([{ name: 'deposit_files', maxCount: 5 }, { name: 'id_card_files', maxCount: 5 }]), fixUploadedFileNames, validateFileMagic, checkUploadQuota, async (req, res) => {
     try {
         const requestId = parseInt(req.params.id, 10);
         if (isNaN(requestId)) { cleanupUpload(req); return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' }); }
         const pool = await poolPromise;
 
         // 존재 확인
-        const exists = await pool.request().input('id', mssql.Int, requestId).query('SELECT id FROM Requests WHERE id = @id');
+        const exists = await pool.request().input('id', mssql.Int, requestId).query('SELECT id, request_code FROM Requests WHERE id = @id');
         if (exists.recordset.length === 0) { cleanupUpload(req); return res.status(404).json({ success: false, error: '요청을 찾을 수 없습니다.' }); }
 
-        // 카테고리별 현재 파일 수 확인
-        const counts = await pool.request().input('reqId', mssql.Int, requestId)
-            .query("SELECT category, COUNT(*) AS cnt FROM RequestFiles WHERE request_id = @reqId GROUP BY category");
-        const countMap = Object.fromEntries(counts.recordset.map(r => [r.category, r.cnt]));
-
+        // 카테고리별 첨부 한도 확인
         const addDepositFiles = req.files?.deposit_files ?? [];
         const addIdCardFiles = req.files?.id_card_files ?? [];
-
-        const depositCount = (countMap['입출금내역서'] ?? 0) + (countMap['입출금거래내역서'] ?? 0);
-        if (depositCount + addDepositFiles.length > 5) {
-            cleanupUpload(req);
-            return res.status(400).json({ success: false, error: '입출금내역서는 최대 5개까지 첨부할 수 있습니다.' });
-        }
-        if ((countMap['신분증'] ?? 0) + addIdCardFiles.length > 5) {
+        const limitError = await fileLimitError(pool, requestId, addDepositFiles, addIdCardFiles);
+        if (limitError) {
             cleanupUpload(req);
-            return res.status(400).json({ success: false, error: '신분증은 최대 5개까지 첨부할 수 있습니다.' });
+            return res.status(400).json({ success: false, error: limitError });
         }
 
         for (const f of addDepositFiles) await insertFileRecord(pool, requestId, f, '입출금내역서');
         for (const f of addIdCardFiles) await insertFileRecord(pool, requestId, f, '신분증');
+        await writeAudit(pool, req, {
+            action: 'file.add', requestId, requestCode: exists.recordset[0].request_code,
+            after: { files: [...addDepositFiles.map(f => ({ name: f.originalname, category: '입출금내역서' })), ...addIdCardFiles.map(f => ({ name: f.originalname, category: '신분증' }))] }
+        });
 
         // Sync id_card_file
-        const remaining = await pool.request().input('syncId', mssql.Int, requestId)
-            .query('SELECT TOP 1 filename FROM RequestFiles WHERE request_id = @syncId ORDER BY uploaded_at');
-        const firstFile = remaining.recordset[0]?.filename ?? null;
-        await pool.request()
-            .input('syncReqId', mssql.Int, requestId)
-            .input('idCardFile', mssql.NVarChar, firstFile)
-            .query('UPDATE Requests SET id_card_file = @idCardFile WHERE id = @syncReqId');
+        await syncFirstFile(pool, requestId);
 
         return res.json({ success: true, added: addDepositFiles.length + addIdCardFiles.length });
     } catch (err) {
@@ -886,7 +1635,7 @@ app.post('/api/admin/request/:id/files', authMiddleware, upload.fields([{ name:
 });
 
 // ── POST /api/admin/request — 관리자 신규 등록 ──
-app.post('/api/admin/request', authMiddleware, upload.fields([{ name: 'deposit_files', maxCount: 5 }, { name: 'id_card_files', maxCount: 5 }]), fixUploadedFileNames, validateFileMagic, checkUploadQuota, async (req, res) => {
+app.post('/api/admin/request', authMiddleware, requirePermission('request:create'), upload.fields([{ name: 'deposit_files', maxCount: 5 }, { name: 'id_card_files', maxCount: 5 }]), fixUploadedFileNames, validateFileMagic, checkUploadQuota, async (req, res) => {
     try {
         const d = req.body;
         const requestType = d.request_type || '반환청구';
@@ -904,7 +1653,8 @@ app.post('/api/admin/request', authMiddleware, upload.fields([{ name: 'deposit_f
         }
         if (d.applicant_name.length > 20) { cleanupUpload(req); return res.status(400).json({ success: false, error: '신청인 이름은 20자 이내여야 합니다.' }); }
         if (d.applicant_phone.replace(/\D/g, '').length < 10) { cleanupUpload(req); return res.status(400).json({ success: false, error: '올바른 전화번호를 입력해 주세요.' }); }
-        if (new Date(d.deposit_date) > new Date(d.request_date)) { cleanupUpload(req); return res.status(400).json({ success: false, error: '입금일자는 신청일자와 같거나 이전이어야 합니다.' }); }
+        const dateError = validateRequestDates({ requestDate: d.request_date.trim(), depositDate: d.deposit_date.trim(), requestDateChanged: true });
+        if (dateError) { cleanupUpload(req); return res.status(400).json({ success: false, error: dateError }); }
 
         const pool = await poolPromise;
         const transaction = new mssql.Transaction(pool);
@@ -935,15 +1685,23 @@ app.post('/api/admin/request', authMiddleware, upload.fields([{ name: 'deposit_f
                 .input('termsAgreed', mssql.Bit, ['true', '1', 'on'].includes(d.terms_agreed) ? 1 : 0)
                 .input('termsIp', mssql.NVarChar, null)
                 .input('requestType', mssql.NVarChar, requestType)
-                .query(`INSERT INTO Requests (request_code, request_date, deposit_date, deposit_time, deposit_amount, bank_name, user_account, user_account_name, contractor_code, merchant_code, applicant_name, applicant_phone, details, id_card_file, terms_agreed, terms_ip, request_type)
+                .input('status', mssql.NVarChar, workflow.INITIAL_STATUS)
+                .query(`INSERT INTO Requests (request_code, request_date, deposit_date, deposit_time, deposit_amount, bank_name, user_account, user_account_name, contractor_code, merchant_code, applicant_name, applicant_phone, details, id_card_file, terms_agreed, terms_ip, request_type, status)
                         OUTPUT INSERTED.id
-                        VALUES (@requestCode, @requestDate, @depositDate, @depositTime, @depositAmount, @bankName, @userAccount, @userAccountName, @contractorCode, @merchantCode, @applicantName, @applicantPhone, @details, @idCardFile, @termsAgreed, @termsIp, @requestType)`);
+                        VALUES (@requestCode, @requestDate, @depositDate, @depositTime, @depositAmount, @bankName, @userAccount, @userAccountName, @contractorCode, @merchantCode, @applicantName, @applicantPhone, @details, @idCardFile, @termsAgreed, @termsIp, @requestType, @status)`);
 
             const requestId = insertResult.recordset[0].id;
             for (const f of adminDepositFiles) await insertFileRecord(transaction, requestId, f, '입출금내역서');
             for (const f of adminIdCardFiles) await insertFileRecord(transaction, requestId, f, '신분증');
+            await autoAssignRequest(transaction, req, requestId);
+            await duplicates.detect(transaction, requestId);
+            await writeAudit(transaction, req, {
+                action: 'request.create', requestId, requestCode,
+                after: { request_type: requestType, applicant_name: d.applicant_name, deposit_amount: normalizeFieldValue('deposit_amount', d.deposit_amount), files: allAdminFiles.length }
+            });
 
             await transaction.commit();
+            notifyApplicant(pool, requestId, 'submitted');
             return res.json({ success: true, requestCode });
         } catch (txErr) {
             try { await transaction.rollback(); } catch (rbErr) { console.error('Transaction rollback failed:', rbErr); }
@@ -956,79 +1714,501 @@ app.post('/api/admin/request', authMiddleware, upload.fields([{ name: 'deposit_f
     }
 });
 
-// ── PUT /api/admin/status — 상태 변경 (워크플로 검증) ──
-// 대기 ↔ 접수 ↔ 처리중 ↔ 반려 자유 이동, '완료'는 최종 상태 (변경 불가)
-app.put('/api/admin/status', authMiddleware, async (req, res) => {
+// ── GET /api/admin/assignees — 담당자 선택지 (활성 계정 중 상태 처리 권한 보유, 미처리 담당 건수 포함) ──
+app.get('/api/admin/assignees', authMiddleware, requirePermission('request:view'), async (req, res) => {
     try {
-        const { id, status } = req.body;
-
-        // 허용 상태값 검증
-        const ALLOWED_STATUSES = ['대기', '접수', '처리중', '완료', '반려'];
-        if (!ALLOWED_STATUSES.includes(status)) {
-            return res.status(400).json({ success: false, error: '유효하지 않은 상태값입니다.' });
-        }
-        if (!id || isNaN(parseInt(id, 10))) {
-            return res.status(400).json({ success: false, error: '유효하지 않은 요청 ID입니다.' });
-        }
-
-        // 워크플로 전환 검증
-        // - '대기', '접수', '처리중', '반려'는 서로 자유롭게 이동 가능
-        // - 어떤 상태에서든 '완료'로 이동 가능
-        // - '완료' 상태가 되면 더 이상 변경 불가
         const pool = await poolPromise;
-        const current = await pool.request().input('id', mssql.Int, id).query('SELECT status FROM Requests WHERE id = @id');
-        if (current.recordset.length === 0) {
-            return res.status(404).json({ success: false, error: '해당 사유서를 찾을 수 없습니다.' });
-        }
-
-        const currentStatus = current.recordset[0].status;
-        
-        if (currentStatus === '완료') {
-            return res.status(400).json({ success: false, error: "'완료' 상태의 데이터는 수정할 수 없습니다." });
-        }
-
-        if (currentStatus === status) return res.json({ success: true }); // 상태 변화 없음
-
-        await pool.request().input('id', mssql.Int, id).input('status', mssql.NVarChar, status).query('UPDATE Requests SET status = @status WHERE id = @id');
-        return res.json({ success: true });
-    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/status') }); }
+        const request = pool.request();
+        ASSIGNABLE_ROLES.forEach((role, i) => request.input(`r${i}`, mssql.NVarChar, role));
+        workflow.openStatuses().forEach((s, i) => request.input(`s${i}`, mssql.NVarChar, s));
+        const result = await request.query(`
+            SELECT u.id, u.username, u.name, u.role,
+                   (SELECT COUNT(*) FROM Requests r WHERE r.assigned_to = u.id AND r.status IN (${workflow.openStatuses().map((_, i) => `@s${i}`).join(', ')})) AS open_count
+            FROM Users u
+            WHERE u.is_active = 1 AND u.role IN (${ASSIGNABLE_ROLES.map((_, i) => `@r${i}`).join(', ')})
+            ORDER BY u.name`);
+        return res.json({ success: true, data: result.recordset.map(u => ({ ...u, roleLabel: ROLE_LABELS[u.role] })) });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/assignees') }); }
 });
 
-// ── PUT /api/admin/request/:id — 요청 수정 (필드 + 파일 삭제/추가) ──
-// multipart/form-data 지원: 텍스트 필드 수정 + 파일 삭제(_delete_files) + 새 파일 업로드
-app.put('/api/admin/request/:id', authMiddleware, upload.fields([{ name: 'deposit_files', maxCount: 5 }, { name: 'id_card_files', maxCount: 5 }]), fixUploadedFileNames, validateFileMagic, checkUploadQuota, async (req, res) => {
+// ── PUT /api/admin/request/:id/assignee — 담당자 지정·변경·해제 { userId: number | null, note } ──
+app.put('/api/admin/request/:id/assignee', authMiddleware, requirePermission('request:assign'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    const userId = req.body.userId === null || req.body.userId === '' ? null : parseInt(req.body.userId, 10);
+    if (Number.isNaN(userId)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '잘못된 담당자입니다.' });
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (note.length > 200) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '배정 메모는 200자 이내로 입력해주세요.' });
     try {
-        const id = parseInt(req.params.id, 10);
-        if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
-        const d = req.body;
         const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            const current = await transaction.request().input('id', mssql.Int, id)
+                .query('SELECT r.request_code, r.status, r.assigned_to, au.name AS assigned_name FROM Requests r WITH (UPDLOCK) LEFT JOIN Users au ON au.id = r.assigned_to WHERE r.id = @id');
+            const row = current.recordset[0];
+            let validationError = null;
+            if (!row) validationError = { status: 404, error: '상세 정보를 찾을 수 없습니다.' };
+            else if (workflow.isFinalStatus(row.status)) validationError = { status: 400, error: `'${row.status}' 상태의 데이터는 담당자를 변경할 수 없습니다.` };
+            else if (row.assigned_to === userId) validationError = { status: 400, error: '이미 해당 담당자에게 배정되어 있습니다.' };
+            let target = null;
+            if (!validationError && userId !== null) {
+                const u = await transaction.request().input('userId', mssql.Int, userId)
+                    .query('SELECT id, username, name, role, is_active FROM Users WHERE id = @userId');
+                target = u.recordset[0];
+                if (!target || !target.is_active || !ASSIGNABLE_ROLES.includes(target.role)) {
+                    validationError = { status: 400, error: '배정할 수 없는 사용자입니다. (비활성 또는 처리 권한 없음)' };
+                }
+            }
+            if (validationError) {
+                await transaction.rollback();
+                return res.status(validationError.status).json({ success: false, ...(validationError.status === 400 && { code: 'VALIDATION_ERROR' }), error: validationError.error });
+            }
 
-        const allowedFields = {
-            request_date: mssql.Date,
-            deposit_date: mssql.Date,
-            deposit_time: mssql.Time,
-            deposit_amount: mssql.Decimal,
-            bank_name: mssql.NVarChar,
-            user_account: mssql.NVarChar,
-            user_account_name: mssql.NVarChar,
-            contractor_code: mssql.NVarChar,
-            merchant_code: mssql.NVarChar,
-            applicant_name: mssql.NVarChar,
-            applicant_phone: mssql.NVarChar,
-            details: mssql.NVarChar,
-            status: mssql.NVarChar
-        };
+            await assignRequest(transaction, req, { requestId: id, fromUserId: row.assigned_to, toUserId: userId, method: 'manual', note: note || null });
+            await writeAudit(transaction, req, {
+                action: 'request.assign', requestId: id, requestCode: row.request_code,
+                before: { assignee: row.assigned_name }, after: { assignee: target?.name ?? null, ...(note && { note }) }
+            });
+            await transaction.commit();
+            return res.json({ success: true });
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/request/:id/assignee') }); }
+});
+
+// ── GET /api/admin/request/:id/assignments — 담당자 배정 이력 (최신순) ──
+app.get('/api/admin/request/:id/assignments', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().input('id', mssql.Int, id).query(`
+            SELECT a.id, a.method, a.assigned_by, a.note, a.created_at,
+                   a.from_user_id, fu.name AS from_name, a.to_user_id, tu.name AS to_name
+            FROM RequestAssignments a
+            LEFT JOIN Users fu ON fu.id = a.from_user_id
+            LEFT JOIN Users tu ON tu.id = a.to_user_id
+            WHERE a.request_id = @id
+            ORDER BY a.created_at DESC, a.id DESC`);
+        return res.json({ success: true, data: result.recordset });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/request/:id/assignments') }); }
+});
+
+// ── GET /api/admin/workflow — 상태 · 전환 규칙 · 중복 병합 상태 (관리자 화면 드롭다운 구성용) ──
+app.get('/api/admin/workflow', authMiddleware, (req, res) => {
+    return res.json({ success: true, ...workflow.toClientConfig(), duplicateMergeStatus: duplicates.MERGE_STATUS });
+});
+
+// ── PUT /api/admin/status — 상태 변경 (워크플로 검증) ──
+// 허용 전환 · 필요 권한 · 필수 입력은 workflow.js 정의를 따름
+// body: { id, status, inputs: { reason, ... } }
+app.put('/api/admin/status', authMiddleware, requirePermission('request:status'), async (req, res) => {
+    try {
+        const { id, status, inputs } = req.body;
+
+        if (!workflow.isValidStatus(status)) {
+            return res.status(400).json({ success: false, error: '유효하지 않은 상태값입니다.' });
+        }
+        if (!id || isNaN(parseInt(id, 10))) {
+            return res.status(400).json({ success: false, error: '유효하지 않은 요청 ID입니다.' });
+        }
+
+        const pool = await poolPromise;
+        const current = await pool.request().input('id', mssql.Int, id)
+            .query(`SELECT r.status, r.request_code, r.deposit_amount, r.approval_requested_by, ${peakAmountSql('r')} AS peak_amount FROM Requests r WHERE r.id = @id`);
+        if (current.recordset.length === 0) {
+            return res.status(404).json({ success: false, error: '해당 사유서를 찾을 수 없습니다.' });
+        }
+
+        const row = current.recordset[0];
+        const currentStatus = row.status;
+        if (currentStatus === status && !workflow.isFinalStatus(currentStatus)) return res.json({ success: true }); // 상태 변화 없음
+
+        const check = workflow.checkTransition(currentStatus, status, (perm) => hasPermission(req.session.user, perm), inputs, transitionContext(row, req.session.user));
+        if (!check.ok) return res.status(check.status).json({ success: false, code: check.code, error: check.error });
+
+        // 조회 이후 다른 관리자가 상태를 바꿨으면 반영하지 않음 (승인 단계 중복 처리 방지), 변경과 감사 로그는 한 트랜잭션
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            const updated = await transaction.request()
+                .input('id', mssql.Int, id)
+                .input('status', mssql.NVarChar, status)
+                .input('reason', mssql.NVarChar, check.inputs.reason ?? null)
+                .input('prevStatus', mssql.NVarChar, currentStatus)
+                .input('actorId', mssql.Int, req.session.user.id)
+                .query(`UPDATE Requests SET status = @status, status_reason = @reason, status_changed_at = GETDATE()${approvalSetClause(currentStatus, status)}
+                        WHERE id = @id AND status = @prevStatus`);
+            if (updated.rowsAffected[0] === 0) {
+                await transaction.rollback();
+                return res.status(409).json({ success: false, error: '다른 관리자가 먼저 상태를 변경했습니다. 새로고침 후 다시 시도해 주세요.' });
+            }
+            await writeAudit(transaction, req, {
+                action: 'request.status', requestId: parseInt(id, 10), requestCode: row.request_code,
+                before: { status: currentStatus }, after: { status, ...check.inputs }
+            });
+            await transaction.commit();
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+        if (status === workflow.APPROVAL_STATUS) notifyApprovalRequested(row.request_code, row.deposit_amount, req.session.user);
+        notifyApplicantStatus(pool, parseInt(id, 10), currentStatus, status);
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/status') }); }
+});
+
+// ── GET /api/admin/approvals — 승인함: 완료 승인 대기 중인 고액 건 (본인이 올린 건은 mine 표시) ──
+app.get('/api/admin/approvals', authMiddleware, requirePermission('request:approve'), async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('approvalStatus', mssql.NVarChar, workflow.APPROVAL_STATUS)
+            .query(`SELECT r.id, r.request_code, r.request_type, r.applicant_name, r.deposit_amount, r.bank_name, r.user_account, r.user_account_name,
+                           r.approval_requested_by, r.approval_requested_at, qu.name AS approval_requested_name, au.name AS assigned_name
+                    FROM Requests r
+                    LEFT JOIN Users qu ON qu.id = r.approval_requested_by
+                    LEFT JOIN Users au ON au.id = r.assigned_to
+                    WHERE r.status = @approvalStatus
+                    ORDER BY r.approval_requested_at`);
+        const data = result.recordset.map(r => ({ ...r, mine: r.approval_requested_by === req.session.user.id }));
+        return res.json({ success: true, threshold: workflow.APPROVAL_THRESHOLD, pending: data.filter(r => !r.mine).length, data });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/approvals') }); }
+});
+
+// ── 완료 건 재처리 (요청 → 다른 관리자 승인 → 지정한 미처리 상태로 복귀) ──
+// 규칙은 workflow.REOPEN. 요청 1건당 대기 중인 재처리 요청은 1건만 허용
+const REOPEN_DECISIONS = { approve: 'approved', reject: 'rejected', cancel: 'cancelled' };
+
+// ── GET /api/admin/request/:id/reopens — 재처리 요청 이력 (최신순) ──
+app.get('/api/admin/request/:id/reopens', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().input('id', mssql.Int, id).query(`
+            SELECT id, from_status, to_status, reason, state, requested_by, requested_by_name, created_at,
+                   decided_by, decided_by_name, decision_note, decided_at
+            FROM RequestReopens
+            WHERE request_id = @id
+            ORDER BY created_at DESC, id DESC`);
+        return res.json({ success: true, data: result.recordset });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/request/:id/reopens') }); }
+});
+
+// ── GET /api/admin/reopens — 승인 대기 중인 재처리 요청 (승인 권한, 본인 요청 표시) ──
+app.get('/api/admin/reopens', authMiddleware, requirePermission(workflow.REOPEN.approve), async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().query(`
+            SELECT o.id, o.request_id, r.request_code, r.applicant_name, o.from_status, o.to_status, o.reason,
+                   o.requested_by, o.requested_by_name, o.created_at
+            FROM RequestReopens o JOIN Requests r ON r.id = o.request_id
+            WHERE o.state = 'pending'
+            ORDER BY o.created_at`);
+        const data = result.recordset.map(o => ({ ...o, mine: o.requested_by === req.session.user.id }));
+        return res.json({ success: true, pending: data.filter(o => !o.mine).length, data });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/reopens') }); }
+});
+
+// ── POST /api/admin/request/:id/reopen — 재처리 요청 { status, reason } ──
+app.post('/api/admin/request/:id/reopen', authMiddleware, requirePermission(workflow.REOPEN.request), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        let row, check, reopenId;
+        try {
+            const current = await transaction.request().input('id', mssql.Int, id)
+                .query(`SELECT r.request_code, r.status,
+                               (SELECT COUNT(*) FROM RequestReopens o WHERE o.request_id = r.id AND o.state = 'pending') AS pending_count
+                        FROM Requests r WITH (UPDLOCK) WHERE r.id = @id`);
+            row = current.recordset[0];
+            let validationError = null;
+            if (!row) validationError = { status: 404, error: '상세 정보를 찾을 수 없습니다.' };
+            else {
+                check = workflow.checkReopen(row.status, req.body.status, (perm) => hasPermission(req.session.user, perm), req.body.reason);
+                if (!check.ok) validationError = check;
+                else if (row.pending_count > 0) validationError = { status: 400, code: 'VALIDATION_ERROR', error: '이미 승인 대기 중인 재처리 요청이 있습니다.' };
+            }
+            if (validationError) {
+                await transaction.rollback();
+                return res.status(validationError.status).json({ success: false, ...(validationError.code && { code: validationError.code }), error: validationError.error });
+            }
+
+            const inserted = await transaction.request()
+                .input('requestId', mssql.Int, id)
+                .input('fromStatus', mssql.NVarChar, row.status)
+                .input('toStatus', mssql.NVarChar, req.body.status)
+                .input('reason', mssql.NVarChar, check.reason)
+                .input('requestedBy', mssql.Int, req.session.user.id)
+                .input('requestedByName', mssql.NVarChar, req.session.user.username)
+                .query(`INSERT INTO RequestReopens (request_id, from_status, to_status, reason, requested_by, requested_by_name)
+                        OUTPUT INSERTED.id
+                        VALUES (@requestId, @fromStatus, @toStatus, @reason, @requestedBy, @requestedByName)`);
+            reopenId = inserted.recordset[0].id;
+            await writeAudit(transaction, req, {
+                action: 'request.reopen_request', requestId: id, requestCode: row.request_code,
+                before: { status: row.status }, after: { status: req.body.status, reason: check.reason }
+            });
+            await transaction.commit();
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+        sendTelegramNotification(`🔁 <b>재처리 승인 요청</b>\n식별코드: <code>${escTg(row.request_code)}</code>\n${escTg(row.status)} → ${escTg(req.body.status)}\n요청자: ${escTg(req.session.user.name)}\n사유: ${escTg(check.reason)}\n다른 승인자가 관리자 페이지에서 확인해야 반영됩니다.`).catch(() => {});
+        return res.json({ success: true, id: reopenId });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/request/:id/reopen') }); }
+});
+
+// ── PUT /api/admin/reopens/:reopenId — 재처리 요청 처리 { decision: 'approve' | 'reject' | 'cancel', note } ──
+// 승인·거절: 승인 권한 + 요청자 본인 불가 / 취소: 요청자 본인만
+// 승인 시 완료 상태가 그대로인지 다시 확인한 뒤 지정 상태로 되돌림 (상태 사유는 비움)
+app.put('/api/admin/reopens/:reopenId', authMiddleware, async (req, res) => {
+    const reopenId = parseInt(req.params.reopenId, 10);
+    if (isNaN(reopenId)) return res.status(400).json({ success: false, error: '잘못된 재처리 요청 ID입니다.' });
+    const { decision } = req.body;
+    if (!REOPEN_DECISIONS[decision]) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '처리 구분이 올바르지 않습니다.' });
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (note.length > 200) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '처리 메모는 200자 이내로 입력해주세요.' });
+    if (decision === 'reject' && !note) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '거절 사유를 입력해주세요.' });
+    if (decision !== 'cancel' && !hasPermission(req.session.user, workflow.REOPEN.approve)) {
+        return res.status(403).json({ success: false, code: 'FORBIDDEN', error: '재처리 승인 권한이 없습니다.' });
+    }
+    try {
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        let row;
+        try {
+            const current = await transaction.request().input('reopenId', mssql.Int, reopenId)
+                .query(`SELECT o.request_id, o.from_status, o.to_status, o.reason, o.state, o.requested_by, o.requested_by_name, r.request_code, r.status
+                        FROM RequestReopens o WITH (UPDLOCK) JOIN Requests r WITH (UPDLOCK) ON r.id = o.request_id
+                        WHERE o.id = @reopenId`);
+            row = current.recordset[0];
+            const isRequester = row?.requested_by === req.session.user.id;
+            let validationError = null;
+            if (!row) validationError = { status: 404, error: '재처리 요청을 찾을 수 없습니다.' };
+            else if (row.state !== 'pending') validationError = { status: 400, code: 'VALIDATION_ERROR', error: '이미 처리된 재처리 요청입니다.' };
+            else if (decision === 'cancel' && !isRequester) validationError = { status: 403, code: 'FORBIDDEN', error: '본인이 요청한 재처리만 취소할 수 있습니다.' };
+            else if (decision !== 'cancel' && isRequester) validationError = { status: 403, code: 'FORBIDDEN', error: '본인이 요청한 재처리는 다른 승인자가 확인해야 합니다.' };
+            else if (decision === 'approve' && row.status !== row.from_status) validationError = { status: 400, code: 'VALIDATION_ERROR', error: `요청 이후 상태가 '${row.status}'(으)로 바뀌어 승인할 수 없습니다.` };
+            if (validationError) {
+                await transaction.rollback();
+                return res.status(validationError.status).json({ success: false, ...(validationError.code && { code: validationError.code }), error: validationError.error });
+            }
+
+            await transaction.request()
+                .input('reopenId', mssql.Int, reopenId)
+                .input('state', mssql.NVarChar, REOPEN_DECISIONS[decision])
+                .input('decidedBy', mssql.Int, req.session.user.id)
+                .input('decidedByName', mssql.NVarChar, req.session.user.username)
+                .input('note', mssql.NVarChar, note || null)
+                .query(`UPDATE RequestReopens
+                        SET state = @state, decided_by = @decidedBy, decided_by_name = @decidedByName, decision_note = @note, decided_at = GETDATE()
+                        WHERE id = @reopenId`);
+            if (decision === 'approve') {
+                await transaction.request()
+                    .input('id', mssql.Int, row.request_id)
+                    .input('status', mssql.NVarChar, row.to_status)
+                    .query('UPDATE Requests SET status = @status, status_reason = NULL, status_changed_at = GETDATE() WHERE id = @id');
+            }
+            await writeAudit(transaction, req, {
+                action: `request.reopen_${decision}`, requestId: row.request_id, requestCode: row.request_code,
+                before: { status: row.status },
+                after: {
+                    status: decision === 'approve' ? row.to_status : row.status, reason: row.reason, requester: row.requested_by_name,
+                    ...(note && { note })
+                }
+            });
+            await transaction.commit();
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+        if (decision === 'approve') {
+            notifyApplicantStatus(pool, row.request_id, row.from_status, row.to_status);
+            sendTelegramNotification(`🔁 <b>재처리 승인</b>\n식별코드: <code>${escTg(row.request_code)}</code>\n${escTg(row.from_status)} → ${escTg(row.to_status)}\n요청자: ${escTg(row.requested_by_name)} · 승인자: ${escTg(req.session.user.name)}`).catch(() => {});
+        }
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/reopens/:reopenId') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  중복 · 재접수 의심 (src/duplicates.js)                   ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// ── GET /api/admin/request/:id/duplicates — 요청 1건의 중복 의심 연결 (나중 건 · 먼저 건 양쪽) ──
+app.get('/api/admin/request/:id/duplicates', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        return res.json({ success: true, data: await duplicates.listFor(pool, id) });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/request/:id/duplicates') }); }
+});
+
+// ── POST /api/admin/duplicates/scan — 전체 재검사 (기능 도입 이전 접수분 · 기준 변경 후) ──
+app.post('/api/admin/duplicates/scan', authMiddleware, requirePermission('request:status'), async (req, res) => {
+    if (!duplicates.WINDOW_HOURS) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '중복 탐지가 꺼져 있습니다. (DUPLICATE_WINDOW_HOURS)' });
+    try {
+        const pool = await poolPromise;
+        const found = await duplicates.detect(pool);
+        if (found.length > 0) {
+            await writeAudit(pool, req, { action: 'duplicate.scan', targetType: 'duplicate', target: `${found.length}건`, after: { found: found.length } });
+        }
+        return res.json({ success: true, found: found.length });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/duplicates/scan') }); }
+});
+
+// ── PUT /api/admin/duplicates/:linkId — 판정 { decision: merge | dismiss, note } ──
+// merge:   나중 건을 병합 상태로 닫음 (워크플로 전환 규칙 검증, 신청인에게 원 요청 식별코드 안내)
+// dismiss: 중복 아님 — 같은 쌍은 다시 의심으로 올리지 않음
+const DUPLICATE_DECISIONS = { merge: 'merged', dismiss: 'dismissed' };
+
+app.put('/api/admin/duplicates/:linkId', authMiddleware, requirePermission('request:status'), async (req, res) => {
+    const linkId = parseInt(req.params.linkId, 10);
+    if (isNaN(linkId)) return res.status(400).json({ success: false, error: '잘못된 중복 의심 ID입니다.' });
+    const { decision } = req.body;
+    if (!DUPLICATE_DECISIONS[decision]) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '처리 구분이 올바르지 않습니다.' });
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (note.length > 200) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '처리 메모는 200자 이내로 입력해주세요.' });
+    try {
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            const current = await transaction.request().input('linkId', mssql.Int, linkId)
+                .query(`SELECT d.request_id, d.original_id, d.match_on, d.state,
+                               n.request_code, n.status, n.deposit_amount, n.approval_requested_by, ${peakAmountSql('n')} AS peak_amount, o.request_code AS original_code,
+                               (SELECT COUNT(*) FROM RequestDuplicates m WHERE m.request_id = d.original_id AND m.state = N'merged') AS original_merged
+                        FROM RequestDuplicates d WITH (UPDLOCK)
+                        JOIN Requests n WITH (UPDLOCK) ON n.id = d.request_id
+                        JOIN Requests o ON o.id = d.original_id
+                        WHERE d.id = @linkId`);
+            const row = current.recordset[0];
+            let validationError = null;
+            let check = null;
+            if (!row) validationError = { status: 404, error: '중복 의심 내역을 찾을 수 없습니다.' };
+            else if (row.state !== 'suspected') validationError = { status: 409, error: '이미 판정된 중복 의심 내역입니다.' };
+            else if (decision === 'merge' && row.original_merged > 0) validationError = { status: 400, code: 'VALIDATION_ERROR', error: `원 요청 ${row.original_code}도 다른 건에 병합되어 있습니다. 최초 접수 건으로 병합해 주세요.` };
+            else if (decision === 'merge') {
+                check = workflow.checkTransition(row.status, duplicates.MERGE_STATUS, (perm) => hasPermission(req.session.user, perm),
+                    { reason: duplicates.mergeReason(row.original_code) }, transitionContext(row, req.session.user));
+                if (!check.ok) validationError = { status: check.status, code: check.code, error: `'${row.status}' 상태의 요청은 병합할 수 없습니다. (${check.error})` };
+            }
+            if (validationError) {
+                await transaction.rollback();
+                return res.status(validationError.status).json({ success: false, ...(validationError.code && { code: validationError.code }), error: validationError.error });
+            }
+
+            await transaction.request()
+                .input('linkId', mssql.Int, linkId)
+                .input('state', mssql.NVarChar, DUPLICATE_DECISIONS[decision])
+                .input('decidedBy', mssql.Int, req.session.user.id)
+                .input('decidedByName', mssql.NVarChar, req.session.user.username)
+                .input('note', mssql.NVarChar, note || null)
+                .query(`UPDATE RequestDuplicates
+                        SET state = @state, decided_by = @decidedBy, decided_by_name = @decidedByName, decision_note = @note, decided_at = GETDATE()
+                        WHERE id = @linkId`);
+            if (decision === 'merge') {
+                await transaction.request()
+                    .input('id', mssql.Int, row.request_id)
+                    .input('status', mssql.NVarChar, duplicates.MERGE_STATUS)
+                    .input('reason', mssql.NVarChar, check.inputs.reason)
+                    .query('UPDATE Requests SET status = @status, status_reason = @reason, status_changed_at = GETDATE() WHERE id = @id');
+                await writeAudit(transaction, req, {
+                    action: 'request.status', requestId: row.request_id, requestCode: row.request_code,
+                    before: { status: row.status }, after: { status: duplicates.MERGE_STATUS, ...check.inputs }
+                });
+            }
+            await writeAudit(transaction, req, {
+                action: `request.duplicate_${decision}`, requestId: row.request_id, requestCode: row.request_code, target: row.original_code,
+                after: { original: row.original_code, match_on: row.match_on, ...(note && { note }) }
+            });
+            await transaction.commit();
+            if (decision === 'merge') notifyApplicantStatus(pool, row.request_id, row.status, duplicates.MERGE_STATUS);
+            return res.json({ success: true });
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/duplicates/:linkId') }); }
+});
+
+// 수정 가능한 필드와 DB 타입 (수정 · 이력 복원 공용)
+const REQUEST_EDIT_FIELDS = {
+    request_date: mssql.Date,
+    deposit_date: mssql.Date,
+    deposit_time: mssql.Time,
+    deposit_amount: mssql.Decimal,
+    bank_name: mssql.NVarChar,
+    user_account: mssql.NVarChar,
+    user_account_name: mssql.NVarChar,
+    contractor_code: mssql.NVarChar,
+    merchant_code: mssql.NVarChar,
+    applicant_name: mssql.NVarChar,
+    applicant_phone: mssql.NVarChar,
+    details: mssql.NVarChar,
+    status: mssql.NVarChar
+};
+
+// ── PUT /api/admin/request/:id — 요청 수정 (필드 + 파일 삭제/추가) ──
+// multipart/form-data 지원: 텍스트 필드 수정 + 파일 삭제(_delete_files) + 새 파일 업로드
+app.put('/api/admin/request/:id', authMiddleware, requirePermission('request:edit'), upload.fields([{ name: 'deposit_files', maxCount: 5 }, { name: 'id_card_files', maxCount: 5 }]), fixUploadedFileNames, validateFileMagic, checkUploadQuota, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+        const d = req.body;
+        const pool = await poolPromise;
+
+        const allowedFields = REQUEST_EDIT_FIELDS;
+
+        // 상태 변경이 포함된 경우 워크플로 검증 (전환 허용 여부 · 권한 · 필수 입력)
+        // 필수 입력은 status_inputs(JSON 문자열)로 전달
+        // 고액 여부는 접수 이후 기록된 입금액 · 수정 후 입금액 중 가장 큰 값 기준 (금액을 낮춘 뒤 완료하는 우회 방지)
+        // 검증 기준 값(statusBase: 상태 · 입금액 · 승인 요청자)은 트랜잭션에서 잠금 후 다시 확인 (그사이 다른 관리자가 바꿨으면 반영하지 않음)
+        let statusInputs = null;
+        let statusFrom = null;
+        let statusBase;
+        if (d.status !== undefined) {
+            const cur = await pool.request().input('stId', mssql.Int, id)
+                .query(`SELECT r.status, r.deposit_amount, r.approval_requested_by, ${peakAmountSql('r')} AS peak_amount FROM Requests r WHERE r.id = @stId`);
+            const curRow = cur.recordset[0];
+            const curStatus = curRow?.status;
+            statusBase = curRow;
+            if (curStatus !== undefined && curStatus !== d.status) {
+                let rawInputs = {};
+                try { rawInputs = d.status_inputs ? JSON.parse(d.status_inputs) : {}; } catch (e) { /* 형식 오류는 필수 입력 누락으로 처리 */ }
+                const newAmount = d.deposit_amount !== undefined ? Number(String(d.deposit_amount).replace(/\D/g, '')) : 0;
+                const context = transitionContext(curRow, req.session.user, Math.max(Number(curRow.peak_amount), newAmount));
+                const check = workflow.checkTransition(curStatus, d.status, (perm) => hasPermission(req.session.user, perm), rawInputs, context);
+                if (!check.ok) {
+                    cleanupUpload(req);
+                    return res.status(check.status).json({ success: false, code: check.code, error: check.error });
+                }
+                statusInputs = check.inputs;
+                statusFrom = curStatus;
+            }
+        }
 
-        // 입금일자 ≤ 신청일자 검증 (하나만 전송되어도 DB 기존 값과 비교)
+        // 신청일자 · 입금일자 검증 (하나만 전송되어도 DB 기존 값과 비교)
         if (d.deposit_date || d.request_date) {
             const existing = await pool.request().input('chkId', mssql.Int, id)
                 .query('SELECT request_date, deposit_date FROM Requests WHERE id = @chkId');
             if (existing.recordset.length > 0) {
-                const reqDate = d.request_date || existing.recordset[0].request_date;
-                const depDate = d.deposit_date || existing.recordset[0].deposit_date;
-                if (reqDate && depDate && new Date(depDate) > new Date(reqDate)) {
+                const prevRequestDate = normalizeFieldValue('request_date', existing.recordset[0].request_date);
+                const reqDate = d.request_date || prevRequestDate;
+                const depDate = d.deposit_date || normalizeFieldValue('deposit_date', existing.recordset[0].deposit_date);
+                const dateError = validateRequestDates({ requestDate: reqDate, depositDate: depDate, requestDateChanged: !!d.request_date && d.request_date !== prevRequestDate });
+                if (dateError) {
                     cleanupUpload(req);
-                    return res.status(400).json({ success: false, error: '입금일자는 신청일자와 같거나 이전이어야 합니다.' });
+                    return res.status(400).json({ success: false, error: dateError });
                 }
             }
         }
@@ -1039,6 +2219,22 @@ app.put('/api/admin/request/:id', authMiddleware, upload.fields([{ name: 'deposi
 
         try {
             const request = transaction.request().input('id', mssql.Int, id);
+            const beforeResult = await transaction.request().input('auditId', mssql.Int, id).query('SELECT * FROM Requests WITH (UPDLOCK) WHERE id = @auditId');
+            const beforeRow = beforeResult.recordset[0] ?? {};
+            if (d.status !== undefined && ['status', 'deposit_amount', 'approval_requested_by'].some(f => String(beforeRow[f]) !== String(statusBase?.[f]))) {
+                await transaction.rollback();
+                cleanupUpload(req);
+                return res.status(409).json({ success: false, error: '다른 관리자가 먼저 상태를 변경했습니다. 새로고침 후 다시 시도해 주세요.' });
+            }
+            if (d.deposit_amount !== undefined && Number(String(d.deposit_amount).replace(/\D/g, '')) !== Number(beforeRow.deposit_amount)) {
+                const lockError = amountLockedError(beforeRow.status) || amountLockedError(d.status ?? beforeRow.status);
+                if (lockError) {
+                    await transaction.rollback();
+                    cleanupUpload(req);
+                    return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: lockError });
+                }
+            }
+            const changes = {};
 
             for (const [field, type] of Object.entries(allowedFields)) {
                 if (d[field] !== undefined) {
@@ -1047,6 +2243,18 @@ app.put('/api/admin/request/:id', authMiddleware, upload.fields([{ name: 'deposi
                     if (field === 'applicant_phone') value = String(value).replace(/\D/g, '');
                     request.input(field, type, value);
                     setClauses.push(`${field} = @${field}`);
+                    changes[field] = value;
+                }
+            }
+
+            // 상태가 바뀌면 사유(반려 사유 등)와 변경 시각도 함께 갱신
+            if (statusInputs) {
+                request.input('status_reason', mssql.NVarChar, statusInputs.reason ?? null);
+                setClauses.push('status_reason = @status_reason', 'status_changed_at = GETDATE()');
+                const approvalClause = approvalSetClause(statusFrom, d.status);
+                if (approvalClause) {
+                    request.input('actorId', mssql.Int, req.session.user.id);
+                    setClauses.push(approvalClause.slice(2));
                 }
             }
 
@@ -1063,9 +2271,13 @@ app.put('/api/admin/request/:id', authMiddleware, upload.fields([{ name: 'deposi
                         const fileResult = await transaction.request()
                             .input('fileId', mssql.Int, fileId)
                             .input('reqId', mssql.Int, id)
-                            .query('SELECT filename FROM RequestFiles WHERE id = @fileId AND request_id = @reqId');
+                            .query('SELECT filename, original_name, category FROM RequestFiles WHERE id = @fileId AND request_id = @reqId');
                         if (fileResult.recordset.length > 0) {
                             const fname = fileResult.recordset[0].filename;
+                            await writeAudit(transaction, req, {
+                                action: 'file.delete', targetType: 'file', requestId: id, requestCode: beforeRow.request_code, fileId,
+                                target: fileResult.recordset[0].original_name, before: { name: fileResult.recordset[0].original_name, category: fileResult.recordset[0].category }
+                            });
                             const resolved = path.resolve(uploadDir, fname);
                             if (resolved.startsWith(path.resolve(uploadDir))) {
                                 fs.unlink(resolved, (err) => { if (err?.code !== 'ENOENT') console.error('unlink error:', err.message); });
@@ -1086,23 +2298,21 @@ app.put('/api/admin/request/:id', authMiddleware, upload.fields([{ name: 'deposi
             const newDepositFiles = req.files?.deposit_files ?? [];
             const newIdCardFiles = req.files?.id_card_files ?? [];
             if (newDepositFiles.length > 0 || newIdCardFiles.length > 0) {
-                const fileCounts = await transaction.request().input('fReqId', mssql.Int, id)
-                    .query("SELECT category, COUNT(*) AS cnt FROM RequestFiles WHERE request_id = @fReqId GROUP BY category");
-                const countMap = Object.fromEntries(fileCounts.recordset.map(r => [r.category, r.cnt]));
-                const depositCount = (countMap['입출금내역서'] ?? 0) + (countMap['입출금거래내역서'] ?? 0);
-                if (depositCount + newDepositFiles.length > 5) {
-                    await transaction.rollback();
-                    cleanupUpload(req);
-                    return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '입출금내역서는 최대 5개까지 첨부할 수 있습니다.' });
-                }
-                if ((countMap['신분증'] ?? 0) + newIdCardFiles.length > 5) {
+                const limitError = await fileLimitError(transaction, id, newDepositFiles, newIdCardFiles);
+                if (limitError) {
                     await transaction.rollback();
                     cleanupUpload(req);
-                    return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '신분증은 최대 5개까지 첨부할 수 있습니다.' });
+                    return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: limitError });
                 }
             }
             for (const f of newDepositFiles) await insertFileRecord(transaction, id, f, '입출금내역서');
             for (const f of newIdCardFiles) await insertFileRecord(transaction, id, f, '신분증');
+            if (newDepositFiles.length > 0 || newIdCardFiles.length > 0) {
+                await writeAudit(transaction, req, {
+                    action: 'file.add', requestId: id, requestCode: beforeRow.request_code,
+                    after: { files: [...newDepositFiles.map(f => ({ name: f.originalname, category: '입출금내역서' })), ...newIdCardFiles.map(f => ({ name: f.originalname, category: '신분증' }))] }
+                });
+            }
 
             // Sync id_card_file column with first file in RequestFiles
             const remainingFiles = await transaction.request()
@@ -1118,7 +2328,26 @@ app.put('/api/admin/request/:id', authMiddleware, upload.fields([{ name: 'deposi
             }
 
             await request.query(`UPDATE Requests SET ${setClauses.join(', ')} WHERE id = @id`);
+            const diff = diffFields(beforeRow, changes);
+            if (diff) {
+                // 상태 변경은 전환 입력값(반려 사유 등)과 함께 별도 기록
+                if (diff.after.status !== undefined) {
+                    await writeAudit(transaction, req, {
+                        action: 'request.status', requestId: id, requestCode: beforeRow.request_code,
+                        before: { status: diff.before.status }, after: { status: diff.after.status, ...statusInputs }
+                    });
+                    delete diff.before.status;
+                    delete diff.after.status;
+                }
+                if (Object.keys(diff.after).length > 0) {
+                    await writeAudit(transaction, req, { action: 'request.update', requestId: id, requestCode: beforeRow.request_code, ...diff });
+                    await recordFieldHistory(transaction, req, id, diff);
+                }
+                if (duplicates.MATCH_FIELDS.some(f => diff.after[f] !== undefined)) await duplicates.detect(transaction, id);
+            }
             await transaction.commit();
+            if (statusInputs && d.status === workflow.APPROVAL_STATUS) notifyApprovalRequested(beforeRow.request_code, changes.deposit_amount ?? beforeRow.deposit_amount, req.session.user);
+            if (statusInputs) notifyApplicantStatus(pool, id, statusFrom, d.status);
             return res.json({ success: true });
         } catch (txErr) {
             try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
@@ -1134,7 +2363,7 @@ app.put('/api/admin/request/:id', authMiddleware, upload.fields([{ name: 'deposi
 
 // ── DELETE /api/admin/request/:id/file/:fileId — 개별 파일 삭제 ──
 // Express v5: 구체적 경로 먼저 등록
-app.delete('/api/admin/request/:id/file/:fileId', authMiddleware, async (req, res) => {
+app.delete('/api/admin/request/:id/file/:fileId', authMiddleware, requirePermission('file:manage'), async (req, res) => {
     try {
         const requestId = parseInt(req.params.id, 10);
         const fileId = parseInt(req.params.fileId, 10);
@@ -1145,96 +2374,1690 @@ app.delete('/api/admin/request/:id/file/:fileId', authMiddleware, async (req, re
         const fileResult = await pool.request()
             .input('fileId', mssql.Int, fileId)
             .input('requestId', mssql.Int, requestId)
-            .query('SELECT filename FROM RequestFiles WHERE id = @fileId AND request_id = @requestId');
+            .query(`SELECT f.filename, f.original_name, f.category, r.request_code
+                    FROM RequestFiles f JOIN Requests r ON r.id = f.request_id
+                    WHERE f.id = @fileId AND f.request_id = @requestId`);
         if (fileResult.recordset.length === 0) {
             return res.status(404).json({ success: false, error: '파일을 찾을 수 없습니다.' });
         }
 
-        // 디스크 삭제
-        const fname = fileResult.recordset[0].filename;
-        const resolved = path.resolve(uploadDir, fname);
-        if (resolved.startsWith(path.resolve(uploadDir))) {
-            fs.unlink(resolved, (err) => { if (err?.code !== 'ENOENT') console.error('unlink error:', err.message); });
+        // DB 삭제 + id_card_file 동기화 + 감사 로그 (한 트랜잭션) → 커밋 후 디스크 삭제
+        const deleted = fileResult.recordset[0];
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            await transaction.request().input('delId', mssql.Int, fileId).query('DELETE FROM RequestFiles WHERE id = @delId');
+            await syncFirstFile(transaction, requestId);
+            await writeAudit(transaction, req, {
+                action: 'file.delete', targetType: 'file', requestId, requestCode: deleted.request_code, fileId,
+                target: deleted.original_name, before: { name: deleted.original_name, category: deleted.category }
+            });
+            await transaction.commit();
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
         }
-
-        // DB 삭제
-        await pool.request().input('delId', mssql.Int, fileId).query('DELETE FROM RequestFiles WHERE id = @delId');
-
-        // Sync id_card_file
-        const remaining2 = await pool.request().input('syncId', mssql.Int, requestId)
-            .query('SELECT TOP 1 filename FROM RequestFiles WHERE request_id = @syncId ORDER BY uploaded_at');
-        const syncFile = remaining2.recordset[0]?.filename ?? null;
-        await pool.request()
-            .input('syncReqId', mssql.Int, requestId)
-            .input('idCardFile', mssql.NVarChar, syncFile)
-            .query('UPDATE Requests SET id_card_file = @idCardFile WHERE id = @syncReqId');
-
+        unlinkUploads([deleted.filename]);
         return res.json({ success: true });
     } catch (err) {
         return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/request/:id/file/:fileId') });
     }
 });
 
+// ── GET /api/admin/request/:id/history — 필드별 변경 이력 (최신순) ──
+app.get('/api/admin/request/:id/history', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+        const pool = await poolPromise;
+        const request = pool.request().input('id', mssql.Int, id);
+        let fieldSql = '';
+        if (req.query.field) {
+            if (!REQUEST_EDIT_FIELDS[req.query.field]) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '알 수 없는 필드입니다.' });
+            request.input('field', mssql.NVarChar, req.query.field);
+            fieldSql = 'AND field_name = @field';
+        }
+        const result = await request.query(`
+            SELECT id, field_name, old_value, new_value, changed_by_name, change_type, restored_from, changed_at
+            FROM RequestFieldHistory
+            WHERE request_id = @id ${fieldSql}
+            ORDER BY id DESC`);
+        return res.json({ success: true, data: result.recordset });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/request/:id/history') }); }
+});
+
+// 이전 값이 비어 있어도 되는 필드 (나머지는 NOT NULL 컬럼)
+const NULLABLE_EDIT_FIELDS = new Set(['details', 'deposit_time']);
+
+// ── POST /api/admin/request/:id/history/:historyId/restore — 이력의 변경 전 값으로 되돌리기 ──
+app.post('/api/admin/request/:id/history/:historyId/restore', authMiddleware, requirePermission('request:edit'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const historyId = parseInt(req.params.historyId, 10);
+    if (isNaN(id) || isNaN(historyId)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            const historyResult = await transaction.request()
+                .input('historyId', mssql.Int, historyId)
+                .input('id', mssql.Int, id)
+                .query('SELECT field_name, old_value FROM RequestFieldHistory WHERE id = @historyId AND request_id = @id');
+            const entry = historyResult.recordset[0];
+            const current = await transaction.request().input('id', mssql.Int, id)
+                .query('SELECT * FROM Requests WITH (UPDLOCK) WHERE id = @id');
+            const row = current.recordset[0];
+            if (!entry || !row) {
+                await transaction.rollback();
+                return res.status(404).json({ success: false, error: '변경 이력을 찾을 수 없습니다.' });
+            }
+
+            const field = entry.field_name;
+            const value = entry.old_value;
+            const diff = diffFields(row, { [field]: value });
+            let validationError = null;
+            if (!REQUEST_EDIT_FIELDS[field] || HISTORY_EXCLUDED_FIELDS.has(field)) validationError = '복원할 수 없는 항목입니다.';
+            else if (value === null && !NULLABLE_EDIT_FIELDS.has(field)) validationError = '복원할 이전 값이 없습니다.';
+            else if (!diff) validationError = '현재 값과 같습니다.';
+            else if (field === 'deposit_amount') validationError = amountLockedError(row.status);
+            else if (field === 'deposit_date' || field === 'request_date') {
+                const reqDate = field === 'request_date' ? value : normalizeFieldValue('request_date', row.request_date);
+                const depDate = field === 'deposit_date' ? value : normalizeFieldValue('deposit_date', row.deposit_date);
+                validationError = validateRequestDates({ requestDate: reqDate, depositDate: depDate, requestDateChanged: field === 'request_date' });
+            }
+            if (validationError) {
+                await transaction.rollback();
+                return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: validationError });
+            }
+
+            await transaction.request()
+                .input('id', mssql.Int, id)
+                .input('value', REQUEST_EDIT_FIELDS[field], value)
+                .query(`UPDATE Requests SET ${field} = @value WHERE id = @id`);
+            await writeAudit(transaction, req, { action: 'request.restore', requestId: id, requestCode: row.request_code, target: `history#${historyId}`, ...diff });
+            await recordFieldHistory(transaction, req, id, diff, { restoredFrom: historyId });
+            if (duplicates.MATCH_FIELDS.includes(field)) await duplicates.detect(transaction, id);
+            await transaction.commit();
+            return res.json({ success: true, field, value });
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/request/:id/history/:historyId/restore') }); }
+});
+
+// ── 요청 삭제 공용: DB 삭제(CASCADE) + 감사 로그. 반환: 디스크에서 지울 파일명 ──
+// 감사 로그에는 식별 정보만 남김 (신청인 · 연락처 · 계좌 등 개인정보는 삭제와 함께 지워져야 하므로 보존하지 않음)
+async function deleteRequestRow(poolOrTx, req, row) {
+    const filesResult = await poolOrTx.request().input('id', mssql.Int, row.id)
+        .query('SELECT filename, original_name, category FROM RequestFiles WHERE request_id = @id');
+    // 다른 건이 이 건을 원 요청으로 가리키는 중복 의심 연결은 CASCADE 대상이 아니므로 먼저 정리
+    await poolOrTx.request().input('id', mssql.Int, row.id).query('DELETE FROM RequestDuplicates WHERE original_id = @id');
+    await poolOrTx.request().input('id', mssql.Int, row.id).query('DELETE FROM Requests WHERE id = @id');
+    await writeAudit(poolOrTx, req, {
+        action: 'request.delete', requestId: row.id, requestCode: row.request_code,
+        before: {
+            request_code: row.request_code, request_type: row.request_type, status: row.status,
+            files: filesResult.recordset.map(f => ({ name: f.original_name, category: f.category }))
+        }
+    });
+    return filesResult.recordset.map(f => f.filename);
+}
+
+// 업로드 디렉터리 안의 파일만 삭제 (없는 파일은 무시)
+function unlinkUploads(filenames) {
+    for (const filename of filenames) {
+        const filePath = path.resolve(uploadDir, filename);
+        if (filePath.startsWith(path.resolve(uploadDir))) {
+            fs.unlink(filePath, (err) => { if (err && err.code !== 'ENOENT') console.error('unlink error:', err.message); });
+        }
+    }
+}
+
 // ── DELETE /api/admin/request/:id — 요청 삭제 (디스크 파일 + DB CASCADE) ──
-app.delete('/api/admin/request/:id', authMiddleware, async (req, res) => {
+app.delete('/api/admin/request/:id', authMiddleware, requirePermission('request:delete'), async (req, res) => {
     try {
         const id = parseInt(req.params.id, 10);
         if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
         const pool = await poolPromise;
 
         // 존재 확인
-        const exists = await pool.request().input('id', mssql.Int, id).query('SELECT id FROM Requests WHERE id = @id');
+        const exists = await pool.request().input('id', mssql.Int, id).query('SELECT id, request_code, request_type, status FROM Requests WHERE id = @id');
         if (exists.recordset.length === 0) {
             return res.status(404).json({ success: false, error: '요청을 찾을 수 없습니다.' });
         }
 
-        // RequestFiles에서 모든 파일명 조회 → 디스크 삭제
-        const filesResult = await pool.request().input('id2', mssql.Int, id)
-            .query('SELECT filename FROM RequestFiles WHERE request_id = @id2');
-        for (const row of filesResult.recordset) {
-            const filePath = path.resolve(uploadDir, row.filename);
-            if (filePath.startsWith(path.resolve(uploadDir))) {
-                fs.unlink(filePath, (err) => { if (err?.code !== 'ENOENT') console.error('unlink error:', err.message); });
-            }
+        // DB 삭제 (ON DELETE CASCADE가 RequestFiles도 처리, 중복 연결 정리 · 감사 로그와 한 트랜잭션) → 커밋 후 디스크 파일 삭제
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        let filenames;
+        try {
+            filenames = await deleteRequestRow(transaction, req, exists.recordset[0]);
+            await transaction.commit();
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
         }
-
-        // DB 삭제 (ON DELETE CASCADE가 RequestFiles도 처리)
-        await pool.request().input('id3', mssql.Int, id).query('DELETE FROM Requests WHERE id = @id3');
+        unlinkUploads(filenames);
         return res.json({ success: true });
     } catch (err) {
         return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/request/:id') });
     }
 });
 
-app.get('/', (req, res) => res.redirect('/public/index.html'));
-
-// ── 전역 에러 핸들러 (Multer 에러 포함, 항상 JSON 응답) ──
-app.use((err, req, res, next) => {
-    if (err instanceof multer.MulterError) {
-        const messages = {
-            LIMIT_FILE_SIZE: '파일 크기가 10MB를 초과합니다.',
-            LIMIT_FILE_COUNT: '파일은 총 최대 10개(카테고리당 5개)까지 업로드할 수 있습니다.',
-            LIMIT_UNEXPECTED_FILE: '허용되지 않는 파일 필드입니다.'
-        };
-        return res.status(400).json({ success: false, error: messages[err.code] || '파일 업로드 중 오류가 발생했습니다.' });
-    }
-    if (err?.code === 'INVALID_FILE_TYPE') {
-        return res.status(400).json({ success: false, error: err.message });
-    }
-    console.error('Unhandled Error:', err);
-    return res.status(500).json({ success: false, error: '서버 내부 오류가 발생했습니다.' });
-});
+// ── POST /api/admin/requests/bulk — 선택 항목 일괄 처리 ──
+// body: { ids: number[], action: 'status' | 'assign' | 'tag' | 'priority' | 'delete' | 'export', params }
+//   status    params: { status, inputs }  — 건별 워크플로 검증 (전환 규칙 · 권한 · 고액 승인)
+//   assign    params: { userId: number | null, note }
+//   tag       params: { add: tagId[], remove: tagId[] }
+//   priority  params: { priority }
+//   delete  params 없음 — 디스크 파일은 커밋 후 삭제
+//   export  params 없음 — 엑셀 작성용 데이터 반환 (개인정보 반출 기록으로 감사 로그 1건)
+// 한 트랜잭션으로 처리하고 건별 결과 { id, request_code, ok, skipped, error } 반환.
+// 전부 반영하거나 전부 취소: 하나라도 처리할 수 없으면 롤백하고 committed: false와 건별 결과를 함께 반환
+// 작업별 필요 권한은 BULK_ACTION_PERMISSIONS (requirePermissionFor로 확인, 거부 시 PERMISSION_DENIED 기록)
+const BULK_MAX_ITEMS = 200;
+const BULK_ACTION_PERMISSIONS = { status: 'request:status', assign: 'request:assign', tag: 'request:edit', priority: 'request:edit', delete: 'request:delete', export: 'request:export' };
 
-// ╔═══════════════════════════════════════════════════════════╗
-// ║  정기 작업 (Cron)                                         ║
-// ╚═══════════════════════════════════════════════════════════╝
+app.post('/api/admin/requests/bulk', authMiddleware, requirePermissionFor('action', BULK_ACTION_PERMISSIONS), async (req, res) => {
+    const { action, params = {} } = req.body;
+    const ids = Array.isArray(req.body.ids) ? [...new Set(req.body.ids.map(v => parseInt(v, 10)))] : [];
+    if (ids.length === 0 || ids.some(id => !Number.isInteger(id) || id < 1)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '선택한 항목이 올바르지 않습니다.' });
+    if (ids.length > BULK_MAX_ITEMS) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: `한 번에 ${BULK_MAX_ITEMS}건까지 처리할 수 있습니다.` });
 
-// 매일 09:00, 17:00 KST — 미완료 사유서 요약 텔레그램 발송
-cron.schedule('0 9,17 * * *', async () => {
-    // ── 중복 실행 방지용 간단한 파일 락 ──
-    const lockFile = path.join(__dirname, '../cron.lock');
-    const now = new Date();
-    const lockContent = now.getFullYear() + '-' + (now.getMonth() + 1) + '-' + now.getDate() + '-' + now.getHours();
+    const note = typeof params.note === 'string' ? params.note.trim() : '';
+    if (action === 'status' && !workflow.isValidStatus(params.status)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '유효하지 않은 상태값입니다.' });
+    if (action === 'assign' && note.length > 200) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '배정 메모는 200자 이내로 입력해주세요.' });
+    const toUserId = action === 'assign' && params.userId !== null && params.userId !== '' ? parseInt(params.userId, 10) : null;
+    if (Number.isNaN(toUserId)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '잘못된 담당자입니다.' });
+    const tagAdd = action === 'tag' ? parseTagIds(params.add ?? []) : [];
+    const tagRemove = action === 'tag' ? parseTagIds(params.remove ?? []) : [];
+    if (!tagAdd || !tagRemove || tagAdd.some(tagId => tagRemove.includes(tagId))) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '태그 정보가 올바르지 않습니다.' });
+    if (action === 'tag' && tagAdd.length + tagRemove.length === 0) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '추가하거나 제거할 태그를 선택해주세요.' });
+    const priority = action === 'priority' ? parseInt(params.priority, 10) : null;
+    if (action === 'priority' && !isValidPriority(priority)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '우선순위가 올바르지 않습니다.' });
+
+    try {
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        const results = [];
+        const filesToUnlink = [];
+        const approvalRequested = [];
+        const statusChanged = [];
+        let exportRows = [];
+        try {
+            const lookup = transaction.request();
+            ids.forEach((id, i) => lookup.input(`id${i}`, mssql.Int, id));
+            const rows = await lookup.query(`SELECT r.*, au.name AS assigned_name, CONVERT(CHAR(10), r.created_at, 120) AS created_day, ${peakAmountSql('r')} AS peak_amount
+                                             FROM Requests r WITH (UPDLOCK) LEFT JOIN Users au ON au.id = r.assigned_to
+                                             WHERE r.id IN (${ids.map((_, i) => `@id${i}`).join(', ')})`);
+            const rowById = new Map(rows.recordset.map(r => [r.id, r]));
+
+            let target = null;
+            if (action === 'assign' && toUserId !== null) {
+                const u = await transaction.request().input('userId', mssql.Int, toUserId)
+                    .query('SELECT id, name, role, is_active FROM Users WHERE id = @userId');
+                target = u.recordset[0];
+                if (!target || !target.is_active || !ASSIGNABLE_ROLES.includes(target.role)) {
+                    await transaction.rollback();
+                    return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '배정할 수 없는 사용자입니다. (비활성 또는 처리 권한 없음)' });
+                }
+            }
+            let tagMap = null;
+            if (action === 'tag') {
+                const loaded = await loadTagMap(transaction, [...tagAdd, ...tagRemove], { activeOnly: tagAdd });
+                if (loaded.error) {
+                    await transaction.rollback();
+                    return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: loaded.error });
+                }
+                tagMap = loaded.tagMap;
+            }
+
+            for (const id of ids) {
+                const row = rowById.get(id);
+                const result = { id, request_code: row?.request_code ?? null, ok: false };
+                results.push(result);
+                if (!row) { result.error = '요청을 찾을 수 없습니다.'; continue; }
+
+                if (action === 'status') {
+                    if (row.status === params.status) { result.ok = true; result.skipped = true; continue; }
+                    const check = workflow.checkTransition(row.status, params.status, (perm) => hasPermission(req.session.user, perm), params.inputs, transitionContext(row, req.session.user));
+                    if (!check.ok) { result.error = check.error; continue; }
+                    await transaction.request()
+                        .input('id', mssql.Int, id)
+                        .input('status', mssql.NVarChar, params.status)
+                        .input('reason', mssql.NVarChar, check.inputs.reason ?? null)
+                        .input('actorId', mssql.Int, req.session.user.id)
+                        .query(`UPDATE Requests SET status = @status, status_reason = @reason, status_changed_at = GETDATE()${approvalSetClause(row.status, params.status)} WHERE id = @id`);
+                    await writeAudit(transaction, req, {
+                        action: 'request.status', requestId: id, requestCode: row.request_code,
+                        before: { status: row.status }, after: { status: params.status, ...check.inputs }
+                    });
+                    if (params.status === workflow.APPROVAL_STATUS) approvalRequested.push(row);
+                    statusChanged.push(row);
+                } else if (action === 'assign') {
+                    if (workflow.isFinalStatus(row.status)) { result.error = `'${row.status}' 상태의 데이터는 담당자를 변경할 수 없습니다.`; continue; }
+                    if (row.assigned_to === toUserId) { result.ok = true; result.skipped = true; continue; }
+                    await assignRequest(transaction, req, { requestId: id, fromUserId: row.assigned_to, toUserId, method: 'manual', note: note || null });
+                    await writeAudit(transaction, req, {
+                        action: 'request.assign', requestId: id, requestCode: row.request_code,
+                        before: { assignee: row.assigned_name }, after: { assignee: target?.name ?? null, ...(note && { note }) }
+                    });
+                } else if (action === 'tag') {
+                    const tagResult = await updateRequestTags(transaction, req, row, tagMap, { add: tagAdd, remove: tagRemove });
+                    if (tagResult.error) { result.error = tagResult.error; continue; }
+                    if (!tagResult.changed) { result.ok = true; result.skipped = true; continue; }
+                } else if (action === 'priority') {
+                    if (!await updateRequestPriority(transaction, req, row, priority)) { result.ok = true; result.skipped = true; continue; }
+                } else if (action === 'delete') {
+                    filesToUnlink.push(...await deleteRequestRow(transaction, req, row));
+                } else if (action === 'export') {
+                    exportRows.push(row);
+                }
+                result.ok = true;
+            }
+
+            const failed = results.filter(r => !r.ok);
+            if (failed.length > 0) {
+                await transaction.rollback();
+                return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: `${failed.length}건을 처리할 수 없어 전체 취소했습니다.`, committed: false, total: results.length, failed: failed.length, results });
+            }
+            if (action === 'export' && exportRows.length > 0) {
+                await writeAudit(transaction, req, {
+                    action: 'request.export', target: `${exportRows.length}건`, after: { codes: exportRows.map(r => r.request_code) }
+                });
+            }
+            await transaction.commit();
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+
+        unlinkUploads(filesToUnlink);
+        approvalRequested.forEach(row => notifyApprovalRequested(row.request_code, row.deposit_amount, req.session.user));
+        statusChanged.forEach(row => notifyApplicantStatus(pool, row.id, row.status, params.status));
+        if (action === 'export') {
+            const today = await getDbToday(pool);
+            exportRows = (await attachTags(pool, exportRows)).map(row => withSla(row, today));
+        }
+        const summary = { total: results.length, succeeded: results.filter(r => r.ok && !r.skipped).length, skipped: results.filter(r => r.skipped).length, failed: results.filter(r => !r.ok).length };
+        return res.json({ success: true, committed: true, ...summary, results, ...(action === 'export' && { data: exportRows }) });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/requests/bulk') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  신청인 알림 API (src/notifier.js, 조회: request:view, 변경: request:edit) ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// ── GET /api/admin/request/:id/notifications — 발송 기록 · 수신 거부 여부 ──
+app.get('/api/admin/request/:id/notifications', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const row = await pool.request().input('id', mssql.Int, id).query('SELECT notify_opt_out, notify_opt_out_at FROM Requests WHERE id = @id');
+        if (row.recordset.length === 0) return res.status(404).json({ success: false, error: '요청을 찾을 수 없습니다.' });
+        const data = await notifier.listFor(pool, id);
+        return res.json({ success: true, data, optOut: !!row.recordset[0].notify_opt_out, optOutAt: row.recordset[0].notify_opt_out_at, provider: notifier.PROVIDER_NAME });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/request/:id/notifications') }); }
+});
+
+// ── PUT /api/admin/request/:id/notifications — 수신 거부 변경 { optOut } (신청인 요청 대행) ──
+app.put('/api/admin/request/:id/notifications', authMiddleware, requirePermission('request:edit'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '잘못된 요청 ID입니다.' });
+    if (typeof req.body?.optOut !== 'boolean') return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '수신 거부 여부가 올바르지 않습니다.' });
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().input('id', mssql.Int, id).query('SELECT id, request_code, notify_opt_out FROM Requests WHERE id = @id');
+        if (result.recordset.length === 0) return res.status(404).json({ success: false, error: '요청을 찾을 수 없습니다.' });
+        await setNotifyOptOut(pool, req, result.recordset[0], req.body.optOut);
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/request/:id/notifications') }); }
+});
+
+// ── POST /api/admin/notifications/:id/resend — 실패한 알림 재발송 (같은 문구, 새 발송 기록 · 원 기록은 resent) ──
+app.post('/api/admin/notifications/:id/resend', authMiddleware, requirePermission('request:edit'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '잘못된 알림 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const found = await pool.request().input('id', mssql.Int, id).query(`
+            SELECT n.event, n.request_id, r.request_code FROM ApplicantNotifications n JOIN Requests r ON r.id = n.request_id WHERE n.id = @id`);
+        const row = found.recordset[0];
+        if (!row) return res.status(404).json({ success: false, error: '알림 기록을 찾을 수 없습니다.' });
+        const sent = await notifier.resend(pool, id);
+        if (!sent) return res.status(409).json({ success: false, error: '발송에 실패한 알림만 다시 보낼 수 있습니다. (이미 재발송된 알림일 수 있습니다)' });
+        await writeAudit(pool, req, {
+            action: 'request.notify_resend', requestId: row.request_id, requestCode: row.request_code, target: `notification#${id}`,
+            after: { event: row.event, state: sent.state }
+        });
+        return res.json({ success: true, state: sent.state });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/notifications/:id/resend') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  내부 메모 API (조회: request:view, 작성: request:edit)     ║
+// ║  관리자 전용 — 공개 API(/api/status)에는 절대 포함하지 않음 ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+const COMMENT_MAX_LENGTH = 2000;
+const MENTION_RE = /@([a-z0-9._-]{3,30})/gi;   // USERNAME_RE 형식의 @아이디
+
+function validateComment(body) {
+    if (typeof body !== 'string' || !body.trim()) return '메모 내용을 입력해주세요.';
+    if (body.trim().length > COMMENT_MAX_LENGTH) return `메모는 ${COMMENT_MAX_LENGTH}자 이내로 입력해주세요.`;
+    return null;
+}
+
+// 본문의 @아이디 중 실제 활성 계정만 추려 반환 (본인 제외)
+async function resolveMentions(poolOrTx, body, selfId) {
+    const usernames = [...new Set([...body.matchAll(MENTION_RE)].map(m => m[1].toLowerCase()))].slice(0, 20);
+    if (usernames.length === 0) return [];
+    const request = poolOrTx.request().input('selfId', mssql.Int, selfId);
+    usernames.forEach((u, i) => request.input(`u${i}`, mssql.NVarChar, u));
+    const result = await request.query(`SELECT id, username, name FROM Users
+        WHERE is_active = 1 AND id <> @selfId AND username IN (${usernames.map((_, i) => `@u${i}`).join(', ')})`);
+    return result.recordset;
+}
+
+// 새로 언급된 사용자만 알림 대상으로 추가 (수정 시 기존 언급은 다시 알리지 않음)
+async function saveMentions(poolOrTx, commentId, users) {
+    for (const u of users) {
+        await poolOrTx.request()
+            .input('commentId', mssql.Int, commentId)
+            .input('userId', mssql.Int, u.id)
+            .query(`IF NOT EXISTS (SELECT 1 FROM RequestCommentMentions WHERE comment_id = @commentId AND user_id = @userId)
+                    INSERT INTO RequestCommentMentions (comment_id, user_id) VALUES (@commentId, @userId)`);
+    }
+}
+
+// ── GET /api/admin/mention-candidates — @언급 가능한 활성 관리자 목록 ──
+app.get('/api/admin/mention-candidates', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().input('selfId', mssql.Int, req.session.user.id)
+            .query('SELECT id, username, name FROM Users WHERE is_active = 1 AND id <> @selfId ORDER BY name');
+        return res.json({ success: true, data: result.recordset });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/mention-candidates') }); }
+});
+
+// ── GET /api/admin/request/:id/comments — 메모 목록 (작성순), 조회 시 본인 언급 알림 읽음 처리 ──
+app.get('/api/admin/request/:id/comments', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().input('id', mssql.Int, id).query(`
+            SELECT c.id, c.author_id, c.author_username, c.author_name, c.body, c.created_at, c.updated_at
+            FROM RequestComments c
+            WHERE c.request_id = @id
+            ORDER BY c.created_at, c.id`);
+        const mentions = await pool.request().input('id', mssql.Int, id).query(`
+            SELECT m.comment_id, u.username
+            FROM RequestCommentMentions m
+            JOIN RequestComments c ON c.id = m.comment_id
+            JOIN Users u ON u.id = m.user_id
+            WHERE c.request_id = @id`);
+        await pool.request().input('id', mssql.Int, id).input('userId', mssql.Int, req.session.user.id)
+            .query(`UPDATE m SET read_at = GETDATE()
+                    FROM RequestCommentMentions m JOIN RequestComments c ON c.id = m.comment_id
+                    WHERE c.request_id = @id AND m.user_id = @userId AND m.read_at IS NULL`);
+        const data = result.recordset.map(c => ({ ...c, mentions: mentions.recordset.filter(m => m.comment_id === c.id).map(m => m.username) }));
+        return res.json({ success: true, data });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/request/:id/comments') }); }
+});
+
+// ── POST /api/admin/request/:id/comments — 메모 작성 { body } (@아이디 언급 시 해당 관리자에게 알림) ──
+app.post('/api/admin/request/:id/comments', authMiddleware, requirePermission('request:edit'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    const invalid = validateComment(req.body.body);
+    if (invalid) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: invalid });
+    const body = req.body.body.trim();
+    try {
+        const pool = await poolPromise;
+        const exists = await pool.request().input('id', mssql.Int, id).query('SELECT request_code FROM Requests WHERE id = @id');
+        if (exists.recordset.length === 0) return res.status(404).json({ success: false, error: '요청을 찾을 수 없습니다.' });
+        const user = req.session.user;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            const inserted = await transaction.request()
+                .input('requestId', mssql.Int, id)
+                .input('authorId', mssql.Int, user.id)
+                .input('authorUsername', mssql.NVarChar, user.username)
+                .input('authorName', mssql.NVarChar, user.name)
+                .input('body', mssql.NVarChar, body)
+                .query(`INSERT INTO RequestComments (request_id, author_id, author_username, author_name, body)
+                        OUTPUT INSERTED.id
+                        VALUES (@requestId, @authorId, @authorUsername, @authorName, @body)`);
+            const commentId = inserted.recordset[0].id;
+            const mentioned = await resolveMentions(transaction, body, user.id);
+            await saveMentions(transaction, commentId, mentioned);
+            await writeAudit(transaction, req, {
+                action: 'comment.create', requestId: id, requestCode: exists.recordset[0].request_code, target: String(commentId),
+                after: { body, ...(mentioned.length && { mentions: mentioned.map(u => u.username) }) }
+            });
+            await transaction.commit();
+            return res.json({ success: true, id: commentId, mentioned: mentioned.map(u => u.name) });
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/request/:id/comments') }); }
+});
+
+// 메모 단건 조회 (요청 ID 일치 확인 포함)
+async function findComment(pool, requestId, commentId) {
+    const result = await pool.request().input('id', mssql.Int, commentId).input('requestId', mssql.Int, requestId)
+        .query(`SELECT c.id, c.author_id, c.body, r.request_code
+                FROM RequestComments c JOIN Requests r ON r.id = c.request_id
+                WHERE c.id = @id AND c.request_id = @requestId`);
+    return result.recordset[0] || null;
+}
+
+// ── PUT /api/admin/request/:id/comments/:commentId — 메모 수정 (작성자 본인만) ──
+app.put('/api/admin/request/:id/comments/:commentId', authMiddleware, requirePermission('request:edit'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const commentId = parseInt(req.params.commentId, 10);
+    if (isNaN(id) || isNaN(commentId)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    const invalid = validateComment(req.body.body);
+    if (invalid) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: invalid });
+    const body = req.body.body.trim();
+    try {
+        const pool = await poolPromise;
+        const comment = await findComment(pool, id, commentId);
+        if (!comment) return res.status(404).json({ success: false, error: '메모를 찾을 수 없습니다.' });
+        if (comment.author_id !== req.session.user.id) return res.status(403).json({ success: false, code: 'FORBIDDEN', error: '본인이 작성한 메모만 수정할 수 있습니다.' });
+        if (comment.body === body) return res.json({ success: true, mentioned: [] });
+
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            await transaction.request().input('id', mssql.Int, commentId).input('body', mssql.NVarChar, body)
+                .query('UPDATE RequestComments SET body = @body, updated_at = GETDATE() WHERE id = @id');
+            const existing = await transaction.request().input('commentId', mssql.Int, commentId)
+                .query('SELECT user_id FROM RequestCommentMentions WHERE comment_id = @commentId');
+            const already = new Set(existing.recordset.map(m => m.user_id));
+            const added = (await resolveMentions(transaction, body, req.session.user.id)).filter(u => !already.has(u.id));
+            await saveMentions(transaction, commentId, added);
+            await writeAudit(transaction, req, {
+                action: 'comment.update', requestId: id, requestCode: comment.request_code, target: String(commentId),
+                before: { body: comment.body }, after: { body }
+            });
+            await transaction.commit();
+            return res.json({ success: true, mentioned: added.map(u => u.name) });
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/request/:id/comments/:commentId') }); }
+});
+
+// ── DELETE /api/admin/request/:id/comments/:commentId — 메모 삭제 (작성자 본인 또는 request:delete 권한) ──
+app.delete('/api/admin/request/:id/comments/:commentId', authMiddleware, requirePermission('request:edit'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const commentId = parseInt(req.params.commentId, 10);
+    if (isNaN(id) || isNaN(commentId)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const comment = await findComment(pool, id, commentId);
+        if (!comment) return res.status(404).json({ success: false, error: '메모를 찾을 수 없습니다.' });
+        if (comment.author_id !== req.session.user.id && !hasPermission(req.session.user, 'request:delete')) {
+            return res.status(403).json({ success: false, code: 'FORBIDDEN', error: '본인이 작성한 메모만 삭제할 수 있습니다.' });
+        }
+        // 언급 알림은 FK CASCADE로 함께 삭제, 본문은 감사 로그에 보존 (삭제와 한 트랜잭션)
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            await transaction.request().input('id', mssql.Int, commentId).query('DELETE FROM RequestComments WHERE id = @id');
+            await writeAudit(transaction, req, {
+                action: 'comment.delete', requestId: id, requestCode: comment.request_code, target: String(commentId),
+                before: { body: comment.body }
+            });
+            await transaction.commit();
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/request/:id/comments/:commentId') }); }
+});
+
+// ── GET /api/admin/mentions — 나를 언급한 메모 (?unread=1: 읽지 않은 것만, 최근 50건) ──
+app.get('/api/admin/mentions', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('userId', mssql.Int, req.session.user.id)
+            .input('unreadOnly', mssql.Bit, req.query.unread === '1' ? 1 : 0)
+            .query(`SELECT TOP 50 m.id, m.read_at, m.created_at, c.request_id, r.request_code,
+                           c.author_name, c.author_username, LEFT(c.body, 200) AS excerpt
+                    FROM RequestCommentMentions m
+                    JOIN RequestComments c ON c.id = m.comment_id
+                    JOIN Requests r ON r.id = c.request_id
+                    WHERE m.user_id = @userId AND (@unreadOnly = 0 OR m.read_at IS NULL)
+                    ORDER BY m.created_at DESC, m.id DESC`);
+        const unread = await pool.request().input('userId', mssql.Int, req.session.user.id)
+            .query('SELECT COUNT(*) AS cnt FROM RequestCommentMentions WHERE user_id = @userId AND read_at IS NULL');
+        return res.json({ success: true, unread: unread.recordset[0].cnt, data: result.recordset });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/mentions') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  반려 사유 템플릿 API (조회: request:status, 관리: template:manage) ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// 제목·본문 검증 (오류 메시지 또는 null)
+function validateTemplate(title, body) {
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > 50) return '제목은 1~50자로 입력해주세요.';
+    if (typeof body !== 'string' || !body.trim() || body.trim().length > 500) return '내용은 1~500자로 입력해주세요.';
+    return null;
+}
+
+// ── GET /api/admin/rejection-templates — 템플릿 목록 (?all=1: 비활성 포함, 관리 권한 필요) ──
+app.get('/api/admin/rejection-templates', authMiddleware, requirePermission('request:status'), async (req, res) => {
+    try {
+        const all = req.query.all === '1' && hasPermission(req.session.user, 'template:manage');
+        const pool = await poolPromise;
+        const result = await pool.request().query(`
+            SELECT id, title, body, sort_order, is_active, updated_by, updated_at
+            FROM RejectionTemplates ${all ? '' : 'WHERE is_active = 1'}
+            ORDER BY sort_order, id`);
+        return res.json({ success: true, data: result.recordset });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/rejection-templates') }); }
+});
+
+// ── POST /api/admin/rejection-templates — 템플릿 추가 ──
+app.post('/api/admin/rejection-templates', authMiddleware, requirePermission('template:manage'), async (req, res) => {
+    const { title, body } = req.body;
+    const invalid = validateTemplate(title, body);
+    if (invalid) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: invalid });
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('title', mssql.NVarChar, title.trim())
+            .input('body', mssql.NVarChar, body.trim())
+            .input('updatedBy', mssql.NVarChar, req.session.user.username)
+            .query(`INSERT INTO RejectionTemplates (title, body, sort_order, updated_by)
+                    OUTPUT INSERTED.id
+                    VALUES (@title, @body, (SELECT ISNULL(MAX(sort_order), 0) + 1 FROM RejectionTemplates), @updatedBy)`);
+        const id = result.recordset[0].id;
+        await writeAudit(pool, req, { action: 'template.create', targetType: 'template', target: title.trim(), after: { id, title: title.trim(), body: body.trim() } });
+        return res.json({ success: true, id });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/rejection-templates') }); }
+});
+
+// ── PUT /api/admin/rejection-templates/:id — 템플릿 수정 (제목·내용·순서·사용 여부) ──
+app.put('/api/admin/rejection-templates/:id', authMiddleware, requirePermission('template:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 템플릿 ID입니다.' });
+    const { title, body, sortOrder, isActive } = req.body;
+    const invalid = validateTemplate(title, body);
+    if (invalid) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: invalid });
+    try {
+        const pool = await poolPromise;
+        const before = await pool.request().input('id', mssql.Int, id).query('SELECT title, body, sort_order, is_active FROM RejectionTemplates WHERE id = @id');
+        if (before.recordset.length === 0) return res.status(404).json({ success: false, error: '템플릿을 찾을 수 없습니다.' });
+        const prev = before.recordset[0];
+        const next = {
+            title: title.trim(), body: body.trim(),
+            sort_order: Number.isInteger(sortOrder) ? sortOrder : prev.sort_order,
+            is_active: typeof isActive === 'boolean' ? isActive : prev.is_active
+        };
+        await pool.request()
+            .input('id', mssql.Int, id)
+            .input('title', mssql.NVarChar, next.title)
+            .input('body', mssql.NVarChar, next.body)
+            .input('sortOrder', mssql.Int, next.sort_order)
+            .input('isActive', mssql.Bit, next.is_active)
+            .input('updatedBy', mssql.NVarChar, req.session.user.username)
+            .query(`UPDATE RejectionTemplates
+                    SET title = @title, body = @body, sort_order = @sortOrder, is_active = @isActive, updated_by = @updatedBy, updated_at = GETDATE()
+                    WHERE id = @id`);
+        await writeAudit(pool, req, { action: 'template.update', targetType: 'template', target: next.title, before: prev, after: next });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/rejection-templates/:id') }); }
+});
+
+// ── DELETE /api/admin/rejection-templates/:id — 템플릿 삭제 (이미 저장된 반려 사유에는 영향 없음) ──
+app.delete('/api/admin/rejection-templates/:id', authMiddleware, requirePermission('template:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 템플릿 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().input('id', mssql.Int, id)
+            .query('DELETE FROM RejectionTemplates OUTPUT DELETED.title, DELETED.body WHERE id = @id');
+        if (result.recordset.length === 0) return res.status(404).json({ success: false, error: '템플릿을 찾을 수 없습니다.' });
+        await writeAudit(pool, req, { action: 'template.delete', targetType: 'template', target: result.recordset[0].title, before: result.recordset[0] });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/rejection-templates/:id') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  태그 · 우선순위 API (조회: request:view, 관리: tag:manage, 지정: request:edit) ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// 우선순위 (Requests.priority, 숫자가 클수록 먼저 처리. 신규 접수는 보통)
+const PRIORITY_LEVELS = [
+    { level: 3, label: '긴급', color: '#DC2626' },
+    { level: 2, label: '높음', color: '#D97706' },
+    { level: 1, label: '보통', color: '#A3A3A3' },
+    { level: 0, label: '낮음', color: '#D4D4D4' }
+];
+const priorityLabel = (level) => PRIORITY_LEVELS.find(p => p.level === level)?.label ?? String(level);
+const isValidPriority = (level) => PRIORITY_LEVELS.some(p => p.level === level);
+
+const TAG_COLOR_RE = /^#[0-9A-Fa-f]{6}$/;
+const MAX_TAGS_PER_REQUEST = 10;
+
+// 이름·색상 검증 (오류 메시지 또는 null)
+function validateTag(name, color) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 20) return '태그 이름은 1~20자로 입력해주세요.';
+    if (!TAG_COLOR_RE.test(color || '')) return '색상 형식이 올바르지 않습니다. (예: #2563EB)';
+    return null;
+}
+
+// 행마다 tag_ids 부여 (all: 전체 목록 — IN 목록 대신 한 번에 읽음)
+async function attachTags(poolOrTx, rows, { all = false } = {}) {
+    if (rows.length === 0) return rows;
+    const request = poolOrTx.request();
+    if (!all) rows.forEach((r, i) => request.input(`t${i}`, mssql.Int, r.id));
+    const result = await request.query(`SELECT request_id, tag_id FROM RequestTags
+        ${all ? '' : `WHERE request_id IN (${rows.map((_, i) => `@t${i}`).join(', ')})`}`);
+    const byRequest = new Map();
+    for (const t of result.recordset) {
+        if (!byRequest.has(t.request_id)) byRequest.set(t.request_id, []);
+        byRequest.get(t.request_id).push(t.tag_id);
+    }
+    return rows.map(r => ({ ...r, tag_ids: byRequest.get(r.id) || [] }));
+}
+
+// 태그 ID 목록 검증 후 id → { name, is_active } 맵 반환 (오류 시 { error })
+async function loadTagMap(poolOrTx, ids, { activeOnly = [] } = {}) {
+    const result = await poolOrTx.request().query('SELECT id, name, is_active FROM Tags');
+    const tagMap = new Map(result.recordset.map(t => [t.id, t]));
+    if (ids.some(id => !tagMap.has(id))) return { error: '존재하지 않는 태그가 포함되어 있습니다.' };
+    if (activeOnly.some(id => !tagMap.get(id).is_active)) return { error: '숨김 처리된 태그는 새로 붙일 수 없습니다.' };
+    return { tagMap };
+}
+
+function parseTagIds(value) {
+    if (!Array.isArray(value)) return null;
+    const ids = [...new Set(value.map(v => parseInt(v, 10)))];
+    return ids.every(id => Number.isInteger(id) && id > 0) ? ids : null;
+}
+
+// 요청 1건의 태그 변경 (replace: 전체 교체, 또는 add · remove). 감사 로그 포함
+// 반환: { changed } 또는 { error } (건당 개수 초과)
+async function updateRequestTags(transaction, req, row, tagMap, { replace = null, add = [], remove = [] }) {
+    const current = await transaction.request().input('id', mssql.Int, row.id)
+        .query('SELECT tag_id FROM RequestTags WITH (UPDLOCK) WHERE request_id = @id');
+    const before = current.recordset.map(t => t.tag_id);
+    const next = replace ?? [...new Set([...before, ...add])].filter(id => !remove.includes(id));
+    const toAdd = next.filter(id => !before.includes(id));
+    const toRemove = before.filter(id => !next.includes(id));
+    if (toAdd.length === 0 && toRemove.length === 0) return { changed: false };
+    if (next.length > MAX_TAGS_PER_REQUEST) return { error: `태그는 건당 ${MAX_TAGS_PER_REQUEST}개까지 붙일 수 있습니다.` };
+
+    for (const tagId of toAdd) {
+        await transaction.request()
+            .input('id', mssql.Int, row.id).input('tagId', mssql.Int, tagId).input('createdBy', mssql.NVarChar, req.session.user.username)
+            .query('INSERT INTO RequestTags (request_id, tag_id, created_by) VALUES (@id, @tagId, @createdBy)');
+    }
+    for (const tagId of toRemove) {
+        await transaction.request().input('id', mssql.Int, row.id).input('tagId', mssql.Int, tagId)
+            .query('DELETE FROM RequestTags WHERE request_id = @id AND tag_id = @tagId');
+    }
+    const names = (ids) => ids.map(id => tagMap.get(id)?.name ?? `#${id}`);
+    await writeAudit(transaction, req, {
+        action: 'request.tags', requestId: row.id, requestCode: row.request_code,
+        before: { tags: names(before) }, after: { tags: names(next) }
+    });
+    return { changed: true };
+}
+
+// 요청 1건의 우선순위 변경. 감사 로그 포함, 변경 없으면 false
+async function updateRequestPriority(transaction, req, row, priority) {
+    if (row.priority === priority) return false;
+    await transaction.request().input('id', mssql.Int, row.id).input('priority', mssql.TinyInt, priority)
+        .query('UPDATE Requests SET priority = @priority WHERE id = @id');
+    await writeAudit(transaction, req, {
+        action: 'request.priority', requestId: row.id, requestCode: row.request_code,
+        before: { priority: priorityLabel(row.priority) }, after: { priority: priorityLabel(priority) }
+    });
+    return true;
+}
+
+// ── GET /api/admin/tags — 태그 목록 · 우선순위 단계 (?all=1: 사용 건수 포함, 관리 권한 필요) ──
+// 숨김 태그도 함께 반환 (이미 붙은 요청의 표시용, 새로 붙이는 것은 서버에서 거부)
+app.get('/api/admin/tags', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    try {
+        const all = req.query.all === '1' && hasPermission(req.session.user, 'tag:manage');
+        const pool = await poolPromise;
+        const result = await pool.request().query(`
+            SELECT t.id, t.name, t.color, t.sort_order, t.is_active, t.updated_by, t.updated_at
+                   ${all ? ', (SELECT COUNT(*) FROM RequestTags rt WHERE rt.tag_id = t.id) AS usage_count' : ''}
+            FROM Tags t
+            ORDER BY t.sort_order, t.id`);
+        return res.json({ success: true, data: result.recordset, priorities: PRIORITY_LEVELS });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/tags') }); }
+});
+
+// ── POST /api/admin/tags — 태그 추가 ──
+app.post('/api/admin/tags', authMiddleware, requirePermission('tag:manage'), async (req, res) => {
+    const { name, color } = req.body;
+    const invalid = validateTag(name, color);
+    if (invalid) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: invalid });
+    try {
+        const pool = await poolPromise;
+        const dup = await pool.request().input('name', mssql.NVarChar, name.trim()).query('SELECT 1 FROM Tags WHERE name = @name');
+        if (dup.recordset.length > 0) return res.status(409).json({ success: false, error: '이미 있는 태그 이름입니다.' });
+        const result = await pool.request()
+            .input('name', mssql.NVarChar, name.trim())
+            .input('color', mssql.NVarChar, color.toUpperCase())
+            .input('updatedBy', mssql.NVarChar, req.session.user.username)
+            .query(`INSERT INTO Tags (name, color, sort_order, updated_by)
+                    OUTPUT INSERTED.id
+                    VALUES (@name, @color, (SELECT ISNULL(MAX(sort_order), 0) + 1 FROM Tags), @updatedBy)`);
+        const id = result.recordset[0].id;
+        await writeAudit(pool, req, { action: 'tag.create', targetType: 'tag', target: name.trim(), after: { id, name: name.trim(), color: color.toUpperCase() } });
+        return res.json({ success: true, id });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/tags') }); }
+});
+
+// ── PUT /api/admin/tags/:id — 태그 수정 (이름·색상·순서·사용 여부, 이미 붙은 요청에도 반영) ──
+app.put('/api/admin/tags/:id', authMiddleware, requirePermission('tag:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 태그 ID입니다.' });
+    const { name, color, sortOrder, isActive } = req.body;
+    const invalid = validateTag(name, color);
+    if (invalid) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: invalid });
+    try {
+        const pool = await poolPromise;
+        const before = await pool.request().input('id', mssql.Int, id).query('SELECT name, color, sort_order, is_active FROM Tags WHERE id = @id');
+        if (before.recordset.length === 0) return res.status(404).json({ success: false, error: '태그를 찾을 수 없습니다.' });
+        const dup = await pool.request().input('id', mssql.Int, id).input('name', mssql.NVarChar, name.trim())
+            .query('SELECT 1 FROM Tags WHERE name = @name AND id <> @id');
+        if (dup.recordset.length > 0) return res.status(409).json({ success: false, error: '이미 있는 태그 이름입니다.' });
+        const prev = before.recordset[0];
+        const next = {
+            name: name.trim(), color: color.toUpperCase(),
+            sort_order: Number.isInteger(sortOrder) ? sortOrder : prev.sort_order,
+            is_active: typeof isActive === 'boolean' ? isActive : prev.is_active
+        };
+        await pool.request()
+            .input('id', mssql.Int, id)
+            .input('name', mssql.NVarChar, next.name)
+            .input('color', mssql.NVarChar, next.color)
+            .input('sortOrder', mssql.Int, next.sort_order)
+            .input('isActive', mssql.Bit, next.is_active)
+            .input('updatedBy', mssql.NVarChar, req.session.user.username)
+            .query(`UPDATE Tags
+                    SET name = @name, color = @color, sort_order = @sortOrder, is_active = @isActive, updated_by = @updatedBy, updated_at = GETDATE()
+                    WHERE id = @id`);
+        await writeAudit(pool, req, { action: 'tag.update', targetType: 'tag', target: next.name, before: prev, after: next });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/tags/:id') }); }
+});
+
+// ── DELETE /api/admin/tags/:id — 태그 삭제 (붙어 있던 요청에서도 제거, 건수는 감사 로그에 보존) ──
+app.delete('/api/admin/tags/:id', authMiddleware, requirePermission('tag:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 태그 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const usage = await pool.request().input('id', mssql.Int, id).query('SELECT COUNT(*) AS cnt FROM RequestTags WHERE tag_id = @id');
+        const result = await pool.request().input('id', mssql.Int, id)
+            .query('DELETE FROM Tags OUTPUT DELETED.name, DELETED.color WHERE id = @id');
+        if (result.recordset.length === 0) return res.status(404).json({ success: false, error: '태그를 찾을 수 없습니다.' });
+        await writeAudit(pool, req, {
+            action: 'tag.delete', targetType: 'tag', target: result.recordset[0].name,
+            before: { ...result.recordset[0], usage_count: usage.recordset[0].cnt }
+        });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/tags/:id') }); }
+});
+
+// ── PUT /api/admin/request/:id/tags — 요청 1건의 태그 · 우선순위 지정 { tagIds, priority } (보낸 항목만 변경) ──
+app.put('/api/admin/request/:id/tags', authMiddleware, requirePermission('request:edit'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 요청 ID입니다.' });
+    const tagIds = req.body.tagIds === undefined ? undefined : parseTagIds(req.body.tagIds);
+    const priority = req.body.priority === undefined ? undefined : parseInt(req.body.priority, 10);
+    if (tagIds === null) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '태그 정보가 올바르지 않습니다.' });
+    if (priority !== undefined && !isValidPriority(priority)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '우선순위가 올바르지 않습니다.' });
+    if (tagIds === undefined && priority === undefined) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '수정할 항목이 없습니다.' });
+    if (tagIds && tagIds.length > MAX_TAGS_PER_REQUEST) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: `태그는 건당 ${MAX_TAGS_PER_REQUEST}개까지 붙일 수 있습니다.` });
+    try {
+        const pool = await poolPromise;
+        const transaction = new mssql.Transaction(pool);
+        await transaction.begin();
+        try {
+            const current = await transaction.request().input('id', mssql.Int, id)
+                .query('SELECT id, request_code, priority FROM Requests WITH (UPDLOCK) WHERE id = @id');
+            const row = current.recordset[0];
+            let validationError = null;
+            let tagMap = null;
+            if (!row) validationError = { status: 404, error: '상세 정보를 찾을 수 없습니다.' };
+            else if (tagIds) {
+                const existing = await transaction.request().input('id', mssql.Int, id).query('SELECT tag_id FROM RequestTags WHERE request_id = @id');
+                const existingIds = existing.recordset.map(t => t.tag_id);
+                const loaded = await loadTagMap(transaction, tagIds, { activeOnly: tagIds.filter(t => !existingIds.includes(t)) });
+                if (loaded.error) validationError = { status: 400, code: 'VALIDATION_ERROR', error: loaded.error };
+                tagMap = loaded.tagMap;
+            }
+            if (validationError) {
+                await transaction.rollback();
+                return res.status(validationError.status).json({ success: false, ...(validationError.code && { code: validationError.code }), error: validationError.error });
+            }
+
+            if (tagIds) await updateRequestTags(transaction, req, row, tagMap, { replace: tagIds });
+            if (priority !== undefined) await updateRequestPriority(transaction, req, row, priority);
+            await transaction.commit();
+            return res.json({ success: true });
+        } catch (txErr) {
+            try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+            throw txErr;
+        }
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/request/:id/tags') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  휴일 달력 API (조회: request:view, 관리: calendar:manage)  ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+const HOLIDAY_IMPORT_MAX_ITEMS = 500;
+
+// 날짜·이름 검증 (오류 메시지 또는 null)
+function validateHoliday(date, name) {
+    if (!calendar.isValidYmd(date)) return '날짜 형식이 올바르지 않습니다.';
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) return '이름은 1~50자로 입력해주세요.';
+    return null;
+}
+
+// ── GET /api/admin/holidays?year= — 연도별 휴일 목록 (기본: 올해) ──
+app.get('/api/admin/holidays', authMiddleware, requirePermission('request:view'), async (req, res) => {
+    const year = parseInt(req.query.year, 10) || parseInt(calendar.todayKst().slice(0, 4), 10);
+    if (year < 2000 || year > 2100) return res.status(400).json({ success: false, error: '잘못된 연도입니다.' });
+    try {
+        const data = await calendar.listHolidays(year);
+        return res.json({ success: true, year, data });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/holidays') }); }
+});
+
+// ── POST /api/admin/holidays — 휴일 등록 (같은 날짜가 있으면 이름 변경) ──
+app.post('/api/admin/holidays', authMiddleware, requirePermission('calendar:manage'), async (req, res) => {
+    const { date, name } = req.body;
+    const invalid = validateHoliday(date, name);
+    if (invalid) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: invalid });
+    try {
+        const pool = await poolPromise;
+        const prevName = calendar.holidayName(date);
+        const action = await calendar.upsertHoliday(pool, { date, name: name.trim(), source: 'manual', updatedBy: req.session.user.username });
+        if (action !== 'same') {
+            await writeAudit(pool, req, {
+                action: 'holiday.create', targetType: 'holiday', target: date,
+                before: action === 'update' ? { date, name: prevName } : null, after: { date, name: name.trim() }
+            });
+            await calendar.refresh();
+        }
+        return res.json({ success: true, action });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/holidays') }); }
+});
+
+// ── POST /api/admin/holidays/import?format=ics|csv — 파일 내용(text/plain)으로 일괄 등록 ──
+// 전체를 한 트랜잭션으로 반영, 잘못된 행은 건너뛰고 행 번호와 함께 반환
+app.post('/api/admin/holidays/import', authMiddleware, requirePermission('calendar:manage'),
+    express.text({ limit: '1mb', type: ['text/plain', 'text/calendar', 'text/csv'] }), async (req, res) => {
+        const format = req.query.format;
+        if (!['ics', 'csv'].includes(format)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '형식은 ics 또는 csv만 가능합니다.' });
+        if (typeof req.body !== 'string' || !req.body.trim()) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '파일 내용이 비어 있습니다.' });
+
+        const { items, errors } = format === 'ics' ? calendar.parseIcs(req.body) : calendar.parseCsv(req.body);
+        const valid = [];
+        for (const item of items) {
+            const invalid = validateHoliday(item.date, item.name);
+            if (invalid) errors.push({ date: item.date, error: invalid });
+            else valid.push({ date: item.date, name: item.name.trim() });
+        }
+        if (valid.length === 0) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '가져올 수 있는 휴일이 없습니다.', errors });
+        if (valid.length > HOLIDAY_IMPORT_MAX_ITEMS) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: `한 번에 ${HOLIDAY_IMPORT_MAX_ITEMS}건까지 가져올 수 있습니다.` });
+
+        try {
+            const pool = await poolPromise;
+            const counts = { insert: 0, update: 0, same: 0 };
+            const transaction = new mssql.Transaction(pool);
+            await transaction.begin();
+            try {
+                for (const item of valid) {
+                    counts[await calendar.upsertHoliday(transaction, { ...item, source: 'import', updatedBy: req.session.user.username })]++;
+                }
+                await writeAudit(transaction, req, {
+                    action: 'holiday.import', targetType: 'holiday', target: `${format.toUpperCase()} ${valid.length}건`,
+                    after: { added: counts.insert, updated: counts.update, skipped: counts.same, errors: errors.length }
+                });
+                await transaction.commit();
+            } catch (txErr) {
+                try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+                throw txErr;
+            }
+            await calendar.refresh();
+            return res.json({ success: true, added: counts.insert, updated: counts.update, skipped: counts.same, errors });
+        } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/holidays/import') }); }
+    });
+
+// ── DELETE /api/admin/holidays/:date — 휴일 삭제 ──
+app.delete('/api/admin/holidays/:date', authMiddleware, requirePermission('calendar:manage'), async (req, res) => {
+    const date = req.params.date;
+    if (!calendar.isValidYmd(date)) return res.status(400).json({ success: false, error: '날짜 형식이 올바르지 않습니다.' });
+    try {
+        const name = await calendar.deleteHoliday(date);
+        if (name === null) return res.status(404).json({ success: false, error: '휴일을 찾을 수 없습니다.' });
+        const pool = await poolPromise;
+        await writeAudit(pool, req, { action: 'holiday.delete', targetType: 'holiday', target: date, before: { date, name } });
+        await calendar.refresh();
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/holidays/:date') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  감사 로그 API (audit:view 권한)                           ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ── GET /api/admin/audit — 감사 로그 조회 (필터 + 페이지) ──
+// ?requestId= &requestCode= &actor= &action=(접두어, 예: request.) &targetType= &from=YYYY-MM-DD &to=YYYY-MM-DD &limit= &offset=
+app.get('/api/admin/audit', authMiddleware, requirePermission('audit:view'), async (req, res) => {
+    const q = req.query;
+    try {
+        const where = [];
+        const pool = await poolPromise;
+        const request = pool.request();
+        if (q.requestId) {
+            const requestId = parseInt(q.requestId, 10);
+            if (isNaN(requestId)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '잘못된 요청 ID입니다.' });
+            request.input('requestId', mssql.Int, requestId); where.push('request_id = @requestId');
+        }
+        if (q.requestCode) { request.input('requestCode', mssql.NVarChar, String(q.requestCode)); where.push('request_code = @requestCode'); }
+        if (q.actor) { request.input('actor', mssql.NVarChar, String(q.actor)); where.push('actor_username = @actor'); }
+        if (q.action) { request.input('action', mssql.NVarChar, String(q.action).replace(/[%_[]/g, '') + '%'); where.push('action LIKE @action'); }
+        if (q.targetType) { request.input('targetType', mssql.NVarChar, String(q.targetType)); where.push('target_type = @targetType'); }
+        if ((q.from && !DATE_RE.test(q.from)) || (q.to && !DATE_RE.test(q.to))) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '날짜는 YYYY-MM-DD 형식이어야 합니다.' });
+        }
+        if (q.from) { request.input('from', mssql.Date, q.from); where.push('created_at >= @from'); }
+        // to는 해당 일자를 포함하도록 다음 날 0시 미만으로 비교
+        if (q.to) { request.input('to', mssql.Date, q.to); where.push('created_at < DATEADD(day, 1, CAST(@to AS DATETIME))'); }
+        const limit = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500);
+        const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+        request.input('limit', mssql.Int, limit).input('offset', mssql.Int, offset);
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const result = await request.query(`
+            SELECT COUNT(*) AS total FROM AuditLog ${whereSql};
+            SELECT id, created_at, actor_id, actor_username, action, target_type, request_id, request_code, file_id, target, before_data, after_data, ip
+            FROM AuditLog ${whereSql}
+            ORDER BY id DESC
+            OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;`);
+        const data = result.recordsets[1].map(({ before_data, after_data, ...row }) => ({
+            ...row,
+            before: before_data ? JSON.parse(before_data) : null,
+            after: after_data ? JSON.parse(after_data) : null
+        }));
+        return res.json({ success: true, total: result.recordsets[0][0].total, data });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/audit') }); }
+});
+
+// ── GET /api/admin/file-access — 첨부파일 열람 기록 (신청인별 열람자 보고) ──
+// ?requestId= &requestCode= &applicantPhone=(해당 연락처의 모든 요청) &user= &from= &to= &limit= &offset=
+// summary: 열람자별 미리보기·다운로드 횟수와 최초·최근 열람 일시
+app.get('/api/admin/file-access', authMiddleware, requirePermission('audit:view'), async (req, res) => {
+    const q = req.query;
+    try {
+        const where = [];
+        const pool = await poolPromise;
+        const request = pool.request();
+        if (q.requestId) {
+            const requestId = parseInt(q.requestId, 10);
+            if (isNaN(requestId)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '잘못된 요청 ID입니다.' });
+            request.input('requestId', mssql.Int, requestId); where.push('request_id = @requestId');
+        }
+        if (q.requestCode) { request.input('requestCode', mssql.NVarChar, String(q.requestCode)); where.push('request_code = @requestCode'); }
+        if (q.applicantPhone) {
+            const phone = String(q.applicantPhone).replace(/\D/g, '');
+            if (!/^\d{10,11}$/.test(phone)) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '연락처 형식이 올바르지 않습니다.' });
+            request.input('phone', mssql.NVarChar, phone);
+            where.push('request_id IN (SELECT id FROM Requests WHERE applicant_phone = @phone)');
+        }
+        if (q.user) { request.input('user', mssql.NVarChar, String(q.user)); where.push('username = @user'); }
+        if ((q.from && !DATE_RE.test(q.from)) || (q.to && !DATE_RE.test(q.to))) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '날짜는 YYYY-MM-DD 형식이어야 합니다.' });
+        }
+        if (q.from) { request.input('from', mssql.Date, q.from); where.push('accessed_at >= @from'); }
+        if (q.to) { request.input('to', mssql.Date, q.to); where.push('accessed_at < DATEADD(day, 1, CAST(@to AS DATETIME))'); }
+        const limit = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500);
+        const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+        request.input('limit', mssql.Int, limit).input('offset', mssql.Int, offset);
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const result = await request.query(`
+            SELECT COUNT(*) AS total FROM FileAccessLog ${whereSql};
+            SELECT username,
+                   SUM(CASE WHEN access_type = 'view' THEN 1 ELSE 0 END) AS views,
+                   SUM(CASE WHEN access_type = 'download' THEN 1 ELSE 0 END) AS downloads,
+                   MIN(accessed_at) AS first_at, MAX(accessed_at) AS last_at
+            FROM FileAccessLog ${whereSql}
+            GROUP BY username
+            ORDER BY MAX(accessed_at) DESC;
+            SELECT id, accessed_at, user_id, username, file_id, filename, category, request_id, request_code, access_type, ip, user_agent
+            FROM FileAccessLog ${whereSql}
+            ORDER BY id DESC
+            OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;`);
+        return res.json({ success: true, total: result.recordsets[0][0].total, summary: result.recordsets[1], data: result.recordsets[2] });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/file-access') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  관리자 계정 API (user:manage 권한)                        ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+const USERNAME_RE = /^[a-z0-9._-]{3,30}$/;
+
+// 특정 사용자의 세션을 Sessions 테이블에서 삭제 (계정 비활성화 등, exceptSid는 유지)
+async function destroyUserSessions(poolOrTx, userId, exceptSid = null) {
+    const result = await poolOrTx.request()
+        .input('userId', mssql.Int, userId)
+        .input('exceptSid', mssql.NVarChar, exceptSid)
+        .query("DELETE FROM Sessions WHERE ISJSON(session) = 1 AND JSON_VALUE(session, '$.user.id') = CAST(@userId AS NVARCHAR(20)) AND (@exceptSid IS NULL OR sid <> @exceptSid)");
+    return result.rowsAffected[0];
+}
+
+// 활성 최고관리자 수 (마지막 superadmin 비활성화·강등 방지용)
+async function countActiveSuperadmins(pool, excludeId) {
+    const result = await pool.request()
+        .input('excludeId', mssql.Int, excludeId)
+        .query("SELECT COUNT(*) AS cnt FROM Users WHERE role = 'superadmin' AND is_active = 1 AND id <> @excludeId");
+    return result.recordset[0].cnt;
+}
+
+// ── GET /api/admin/users — 계정 목록 (역할 선택지 포함) ──
+app.get('/api/admin/users', authMiddleware, requirePermission('user:manage'), async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request().query('SELECT id, username, name, role, is_active, totp_enabled, last_login, created_at FROM Users ORDER BY is_active DESC, username');
+        const roles = Object.keys(ROLE_PERMISSIONS).map(value => ({ value, label: ROLE_LABELS[value] }));
+        return res.json({ success: true, data: result.recordset, roles });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/users') }); }
+});
+
+// ── POST /api/admin/users — 계정 생성 (bcrypt 해시) ──
+app.post('/api/admin/users', authMiddleware, requirePermission('user:manage'), async (req, res) => {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const name = String(req.body.name || '').trim();
+    const role = req.body.role;
+    const password = String(req.body.password || '');
+    if (!USERNAME_RE.test(username)) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '아이디는 영문 소문자·숫자·._- 조합 3~30자여야 합니다.' });
+    }
+    if (!name || name.length > 20) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '이름은 1~20자로 입력해 주세요.' });
+    }
+    if (!ROLE_PERMISSIONS[role]) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '유효하지 않은 역할입니다.' });
+    }
+    const policyError = validatePassword(password, username);
+    if (policyError) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: policyError });
+    }
+    try {
+        const hash = await bcrypt.hash(password, 10);
+        const pool = await poolPromise;
+        // 관리자가 정한 초기 비밀번호는 첫 로그인 시 본인이 변경
+        const result = await pool.request()
+            .input('username', mssql.NVarChar, username)
+            .input('hash', mssql.NVarChar, hash)
+            .input('name', mssql.NVarChar, name)
+            .input('role', mssql.NVarChar, role)
+            .query('INSERT INTO Users (username, password_hash, name, role, password_changed_at, password_must_change) OUTPUT INSERTED.id VALUES (@username, @hash, @name, @role, GETDATE(), 1)');
+        logSecurity('USER_CREATED', { username, role, by: req.session.user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: 'user.create', targetType: 'user', target: username, after: { username, name, role } });
+        return res.json({ success: true, id: result.recordset[0].id });
+    } catch (err) {
+        if (err?.number === 2627 || err?.number === 2601) {
+            return res.status(409).json({ success: false, code: 'VALIDATION_ERROR', error: '이미 사용 중인 아이디입니다.' });
+        }
+        return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/users') });
+    }
+});
+
+// ── PUT /api/admin/users/:id — 이름·역할 변경 ──
+// 변경된 역할은 대상 사용자의 다음 로그인부터 적용되므로 기존 세션은 종료 (본인은 현재 세션 권한을 즉시 갱신)
+app.put('/api/admin/users/:id', authMiddleware, requirePermission('user:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 사용자 ID입니다.' });
+    const { name, role } = req.body;
+    if (name !== undefined && (!String(name).trim() || String(name).trim().length > 20)) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '이름은 1~20자로 입력해 주세요.' });
+    }
+    if (role !== undefined && !ROLE_PERMISSIONS[role]) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '유효하지 않은 역할입니다.' });
+    }
+    try {
+        const pool = await poolPromise;
+        const current = await pool.request().input('id', mssql.Int, id).query('SELECT username, name, role FROM Users WHERE id = @id');
+        const target = current.recordset[0];
+        if (!target) return res.status(404).json({ success: false, error: '사용자를 찾을 수 없습니다.' });
+        if (role !== undefined && role !== target.role && target.role === 'superadmin' && await countActiveSuperadmins(pool, id) === 0) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '마지막 최고관리자의 역할은 변경할 수 없습니다.' });
+        }
+        const updated = await pool.request()
+            .input('id', mssql.Int, id)
+            .input('name', mssql.NVarChar, name !== undefined ? String(name).trim() : null)
+            .input('role', mssql.NVarChar, role ?? null)
+            .query('UPDATE Users SET name = ISNULL(@name, name), role = ISNULL(@role, role) OUTPUT INSERTED.* WHERE id = @id');
+        if (id === req.session.user.id && updated.recordset[0]) req.session.user = toSessionUser(updated.recordset[0]);
+        if (role !== undefined && role !== target.role) {
+            await destroyUserSessions(pool, id, id === req.session.user.id ? req.sessionID : null);
+            logSecurity('USER_ROLE_CHANGED', { username: target.username, from: target.role, to: role, by: req.session.user.username, ip: req.ip });
+        }
+        const diff = diffFields(target, { ...(name !== undefined && { name: String(name).trim() }), ...(role !== undefined && { role }) });
+        if (diff) await writeAudit(pool, req, { action: 'user.update', targetType: 'user', target: target.username, ...diff });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/users/:id') }); }
+});
+
+// ── PUT /api/admin/users/:id/active — 계정 활성화·비활성화 (비활성화 시 세션 즉시 종료) ──
+app.put('/api/admin/users/:id/active', authMiddleware, requirePermission('user:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 사용자 ID입니다.' });
+    const active = req.body.active === true;
+    if (!active && id === req.session.user.id) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '본인 계정은 비활성화할 수 없습니다.' });
+    }
+    try {
+        const pool = await poolPromise;
+        const current = await pool.request().input('id', mssql.Int, id).query('SELECT username, role FROM Users WHERE id = @id');
+        const target = current.recordset[0];
+        if (!target) return res.status(404).json({ success: false, error: '사용자를 찾을 수 없습니다.' });
+        if (!active && target.role === 'superadmin' && await countActiveSuperadmins(pool, id) === 0) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '마지막 최고관리자는 비활성화할 수 없습니다.' });
+        }
+        await pool.request().input('id', mssql.Int, id).input('active', mssql.Bit, active ? 1 : 0)
+            .query('UPDATE Users SET is_active = @active WHERE id = @id');
+        if (!active) {
+            await destroyUserSessions(pool, id);
+            await releaseAssignments(pool, req, id);
+        }
+        logSecurity(active ? 'USER_ENABLED' : 'USER_DISABLED', { username: target.username, by: req.session.user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: active ? 'user.enable' : 'user.disable', targetType: 'user', target: target.username, after: { is_active: active } });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/users/:id/active') }); }
+});
+
+// 비활성화된 계정이 맡고 있던 미완료 건을 미배정으로 되돌림 (이력 method = 'release')
+async function releaseAssignments(pool, req, userId) {
+    const request = pool.request().input('userId', mssql.Int, userId);
+    const finals = workflow.STATUSES.filter(s => s.final).map(s => s.code);
+    finals.forEach((s, i) => request.input(`f${i}`, mssql.NVarChar, s));
+    const assigned = await request.query(`SELECT id FROM Requests WHERE assigned_to = @userId AND status NOT IN (${finals.map((_, i) => `@f${i}`).join(', ')})`);
+    for (const { id } of assigned.recordset) {
+        await assignRequest(pool, req, { requestId: id, fromUserId: userId, toUserId: null, method: 'release', note: '담당자 계정 비활성화' });
+    }
+}
+
+// 비밀번호 교체 (이전 해시는 PasswordHistory로 이동, 정책 보관 개수만 유지), 대상 username 반환
+async function setUserPassword(pool, userId, hash, { mustChange }) {
+    const transaction = new mssql.Transaction(pool);
+    await transaction.begin();
+    try {
+        await transaction.request().input('id', mssql.Int, userId)
+            .query('INSERT INTO PasswordHistory (user_id, password_hash) SELECT id, password_hash FROM Users WHERE id = @id');
+        const result = await transaction.request()
+            .input('id', mssql.Int, userId)
+            .input('hash', mssql.NVarChar, hash)
+            .input('mustChange', mssql.Bit, mustChange ? 1 : 0)
+            .query('UPDATE Users SET password_hash = @hash, password_changed_at = GETDATE(), password_must_change = @mustChange OUTPUT INSERTED.username WHERE id = @id');
+        await transaction.request()
+            .input('id', mssql.Int, userId)
+            .input('keep', mssql.Int, PASSWORD_POLICY.historyCount)
+            .query('DELETE FROM PasswordHistory WHERE user_id = @id AND id NOT IN (SELECT TOP (@keep) id FROM PasswordHistory WHERE user_id = @id ORDER BY id DESC)');
+        await transaction.commit();
+        return result.recordset[0]?.username ?? null;
+    } catch (err) {
+        try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+        throw err;
+    }
+}
+
+// 현재 비밀번호 또는 최근 historyCount개와 같은지 확인
+async function isPasswordReused(pool, user, password) {
+    if (await bcrypt.compare(password, user.password_hash)) return true;
+    if (!PASSWORD_POLICY.historyCount) return false;
+    const history = await pool.request()
+        .input('id', mssql.Int, user.id)
+        .input('keep', mssql.Int, PASSWORD_POLICY.historyCount)
+        .query('SELECT TOP (@keep) password_hash FROM PasswordHistory WHERE user_id = @id ORDER BY id DESC');
+    for (const row of history.recordset) {
+        if (await bcrypt.compare(password, row.password_hash)) return true;
+    }
+    return false;
+}
+
+// ── POST /api/admin/users/:id/password — 비밀번호 초기화 (기존 세션 종료, 다음 로그인 시 변경 강제) ──
+app.post('/api/admin/users/:id/password', authMiddleware, requirePermission('user:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 사용자 ID입니다.' });
+    const password = String(req.body.password || '');
+    try {
+        const pool = await poolPromise;
+        const current = await pool.request().input('id', mssql.Int, id).query('SELECT username FROM Users WHERE id = @id');
+        const target = current.recordset[0];
+        if (!target) return res.status(404).json({ success: false, error: '사용자를 찾을 수 없습니다.' });
+        const policyError = validatePassword(password, target.username);
+        if (policyError) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: policyError });
+        }
+        const hash = await bcrypt.hash(password, 10);
+        const isSelf = id === req.session.user.id;
+        await setUserPassword(pool, id, hash, { mustChange: !isSelf });
+        await destroyUserSessions(pool, id, isSelf ? req.sessionID : null);
+        logSecurity('USER_PASSWORD_RESET', { username: target.username, by: req.session.user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: 'user.password_reset', targetType: 'user', target: target.username });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/users/:id/password') }); }
+});
+
+// ── DELETE /api/admin/users/:id/totp — 2단계 인증 초기화 (인증 앱 분실 시, 기존 세션 종료) ──
+app.delete('/api/admin/users/:id/totp', authMiddleware, requirePermission('user:manage'), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ success: false, error: '잘못된 사용자 ID입니다.' });
+    try {
+        const pool = await poolPromise;
+        const result = await pool.request()
+            .input('id', mssql.Int, id)
+            .query('UPDATE Users SET totp_enabled = 0, totp_secret = NULL, totp_last_counter = NULL, totp_recovery_codes = NULL OUTPUT INSERTED.username WHERE id = @id');
+        if (result.recordset.length === 0) return res.status(404).json({ success: false, error: '사용자를 찾을 수 없습니다.' });
+        await destroyUserSessions(pool, id, id === req.session.user.id ? req.sessionID : null);
+        if (id === req.session.user.id) req.session.user.totpEnabled = false;
+        logSecurity('MFA_RESET', { username: result.recordset[0].username, by: req.session.user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: 'user.totp_reset', targetType: 'user', target: result.recordset[0].username });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/users/:id/totp') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  내 계정 API (비밀번호 변경 · 2단계 인증, 모든 역할)       ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ReasonsForm';
+
+async function loadSessionUserRow(pool, req) {
+    const result = await pool.request().input('id', mssql.Int, req.session.user.id).query('SELECT * FROM Users WHERE id = @id');
+    return result.recordset[0];
+}
+
+// ── GET /api/admin/me/password-policy — 비밀번호 정책 (변경 화면 안내용) ──
+app.get('/api/admin/me/password-policy', authMiddleware, (req, res) => {
+    return res.json({ success: true, policy: PASSWORD_POLICY });
+});
+
+// ── PUT /api/admin/me/password — 본인 비밀번호 변경 ──
+// 현재 비밀번호 확인 → 정책 검증 → 최근 비밀번호 재사용 금지 → 교체 → 다른 세션 모두 종료
+app.put('/api/admin/me/password', authMiddleware, async (req, res) => {
+    const currentPassword = String(req.body.currentPassword || '');
+    const newPassword = String(req.body.newPassword || '');
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '현재 비밀번호와 새 비밀번호를 입력해 주세요.' });
+    }
+    try {
+        const pool = await poolPromise;
+        const user = await loadSessionUserRow(pool, req);
+        if (!user) return res.status(404).json({ success: false, error: '사용자를 찾을 수 없습니다.' });
+        if (!(await bcrypt.compare(currentPassword, user.password_hash))) {
+            const attempts = await recordLoginFailure(user.username.toLowerCase(), req);
+            logSecurity('PASSWORD_CHANGE_FAILED', { username: user.username, ip: req.ip, attempts });
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '현재 비밀번호가 올바르지 않습니다.' });
+        }
+        const policyError = validatePassword(newPassword, user.username);
+        if (policyError) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: policyError });
+        }
+        if (await isPasswordReused(pool, user, newPassword)) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: `현재 또는 최근 ${PASSWORD_POLICY.historyCount}개의 비밀번호는 다시 사용할 수 없습니다.` });
+        }
+
+        const hash = await bcrypt.hash(newPassword, 10);
+        await setUserPassword(pool, user.id, hash, { mustChange: false });
+        const closedSessions = await destroyUserSessions(pool, user.id, req.sessionID);
+        req.session.user.mustChangePassword = false;
+        logSecurity('PASSWORD_CHANGED', { username: user.username, closedSessions, ip: req.ip });
+        await writeAudit(pool, req, { action: 'account.password_change', targetType: 'user', target: user.username });
+        return res.json({ success: true, closedSessions });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'PUT /api/admin/me/password') }); }
+});
+
+// ── GET /api/admin/me/totp — 2단계 인증 상태 (남은 복구 코드 수) ──
+app.get('/api/admin/me/totp', authMiddleware, async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const user = await loadSessionUserRow(pool, req);
+        if (!user) return res.status(404).json({ success: false, error: '사용자를 찾을 수 없습니다.' });
+        const recoveryCodesRemaining = user.totp_enabled ? JSON.parse(user.totp_recovery_codes || '[]').length : 0;
+        return res.json({ success: true, enabled: !!user.totp_enabled, recoveryCodesRemaining });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/me/totp') }); }
+});
+
+// ── POST /api/admin/me/totp/setup — 등록 시작 (새 비밀키 + QR 코드, 확인 전까지 비활성) ──
+app.post('/api/admin/me/totp/setup', authMiddleware, async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const user = await loadSessionUserRow(pool, req);
+        if (!user) return res.status(404).json({ success: false, error: '사용자를 찾을 수 없습니다.' });
+        if (user.totp_enabled) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '이미 2단계 인증이 설정되어 있습니다.' });
+        }
+        const secret = totp.generateSecret();
+        await pool.request().input('id', mssql.Int, user.id).input('secret', mssql.NVarChar, encryptSecret(secret))
+            .query('UPDATE Users SET totp_secret = @secret, totp_last_counter = NULL, totp_recovery_codes = NULL WHERE id = @id');
+        const uri = totp.buildOtpauthUri(secret, user.username, TOTP_ISSUER);
+        const qr = await QRCode.toDataURL(uri, { margin: 1, width: 200 });
+        return res.json({ success: true, secret, uri, qr });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/me/totp/setup') }); }
+});
+
+// ── POST /api/admin/me/totp/enable — 인증 앱 코드 확인 후 활성화 (복구 코드는 이때 한 번만 반환) ──
+app.post('/api/admin/me/totp/enable', authMiddleware, async (req, res) => {
+    const code = String(req.body.code || '').trim();
+    try {
+        const pool = await poolPromise;
+        const user = await loadSessionUserRow(pool, req);
+        if (!user || !user.totp_secret || user.totp_enabled) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '2단계 인증 등록을 다시 시작해 주세요.' });
+        }
+        const counter = totp.verifyToken(decryptSecret(user.totp_secret), code);
+        if (counter === null) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '인증 코드가 올바르지 않습니다. 기기 시간을 확인해 주세요.' });
+        }
+        const recoveryCodes = totp.generateRecoveryCodes();
+        await pool.request()
+            .input('id', mssql.Int, user.id)
+            .input('counter', mssql.BigInt, counter)
+            .input('codes', mssql.NVarChar, JSON.stringify(recoveryCodes.map(totp.hashRecoveryCode)))
+            .query('UPDATE Users SET totp_enabled = 1, totp_last_counter = @counter, totp_recovery_codes = @codes WHERE id = @id');
+        req.session.user.totpEnabled = true;
+        logSecurity('MFA_ENABLED', { username: user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: 'account.totp_enable', targetType: 'user', target: user.username });
+        return res.json({ success: true, recoveryCodes });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/me/totp/enable') }); }
+});
+
+// ── POST /api/admin/me/totp/disable — 해제 (비밀번호 + 인증 코드 또는 복구 코드) ──
+app.post('/api/admin/me/totp/disable', authMiddleware, async (req, res) => {
+    const password = String(req.body.password || '');
+    const code = String(req.body.code || '').trim();
+    if (!password || !code) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '비밀번호와 인증 코드를 입력해 주세요.' });
+    }
+    try {
+        const pool = await poolPromise;
+        const user = await loadSessionUserRow(pool, req);
+        if (!user || !user.totp_enabled) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '2단계 인증이 설정되어 있지 않습니다.' });
+        }
+        if (!(await bcrypt.compare(password, user.password_hash)) || !(await consumeSecondFactor(pool, user, code, req))) {
+            logSecurity('MFA_DISABLE_FAILED', { username: user.username, ip: req.ip });
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '비밀번호 또는 인증 코드가 올바르지 않습니다.' });
+        }
+        await pool.request().input('id', mssql.Int, user.id)
+            .query('UPDATE Users SET totp_enabled = 0, totp_secret = NULL, totp_last_counter = NULL, totp_recovery_codes = NULL WHERE id = @id');
+        req.session.user.totpEnabled = false;
+        logSecurity('MFA_DISABLED', { username: user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: 'account.totp_disable', targetType: 'user', target: user.username });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/me/totp/disable') }); }
+});
+
+// ── POST /api/admin/me/totp/recovery-codes — 복구 코드 재발급 (기존 코드 전부 무효화) ──
+app.post('/api/admin/me/totp/recovery-codes', authMiddleware, async (req, res) => {
+    const code = String(req.body.code || '').trim();
+    try {
+        const pool = await poolPromise;
+        const user = await loadSessionUserRow(pool, req);
+        if (!user || !user.totp_enabled) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '2단계 인증이 설정되어 있지 않습니다.' });
+        }
+        const counter = totp.verifyToken(decryptSecret(user.totp_secret), code, { lastCounter: user.totp_last_counter });
+        if (counter === null) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '인증 코드가 올바르지 않습니다.' });
+        }
+        const recoveryCodes = totp.generateRecoveryCodes();
+        await pool.request()
+            .input('id', mssql.Int, user.id)
+            .input('counter', mssql.BigInt, counter)
+            .input('codes', mssql.NVarChar, JSON.stringify(recoveryCodes.map(totp.hashRecoveryCode)))
+            .query('UPDATE Users SET totp_last_counter = @counter, totp_recovery_codes = @codes WHERE id = @id');
+        logSecurity('MFA_RECOVERY_CODES_REGENERATED', { username: user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: 'account.recovery_codes', targetType: 'user', target: user.username });
+        return res.json({ success: true, recoveryCodes });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'POST /api/admin/me/totp/recovery-codes') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  세션 관리 API (본인 세션 · session:manage 권한은 전체)    ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// 세션 ID 자체는 쿠키 값이므로 노출하지 않고 SHA-256 해시 일부를 식별자로 사용
+function sessionHandle(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 32);
+}
+
+// 만료되지 않은 로그인 세션 목록 (userId 지정 시 해당 사용자만)
+async function listActiveSessions(pool, userId = null) {
+    const result = await pool.request()
+        .input('userId', mssql.Int, userId)
+        .query(`SELECT sid, session, expires FROM Sessions
+                WHERE expires > GETDATE() AND ISJSON(session) = 1
+                  AND JSON_VALUE(session, '$.user.id') IS NOT NULL
+                  AND (@userId IS NULL OR JSON_VALUE(session, '$.user.id') = CAST(@userId AS NVARCHAR(20)))`);
+    return result.recordset.map(row => {
+        const data = JSON.parse(row.session);
+        const meta = data.meta || {};
+        return {
+            sid: row.sid,
+            handle: sessionHandle(row.sid),
+            userId: data.user.id,
+            username: data.user.username,
+            name: data.user.name,
+            loginAt: meta.loginAt ? new Date(meta.loginAt) : null,
+            loginIp: meta.loginIp ?? null,
+            ip: meta.ip ?? null,
+            userAgent: meta.userAgent ?? null,
+            lastActivity: meta.lastActivity ? new Date(meta.lastActivity) : null,
+            expires: row.expires
+        };
+    }).sort((a, b) => (b.lastActivity ?? 0) - (a.lastActivity ?? 0));
+}
+
+// ── GET /api/admin/sessions — 활성 세션 목록 (?scope=all: 전체 사용자, session:manage 필요) ──
+app.get('/api/admin/sessions', authMiddleware, async (req, res) => {
+    const all = req.query.scope === 'all';
+    if (all && !hasPermission(req.session.user, 'session:manage')) {
+        return res.status(403).json({ success: false, code: 'FORBIDDEN', error: '이 작업을 수행할 권한이 없습니다.' });
+    }
+    try {
+        const pool = await poolPromise;
+        const sessions = await listActiveSessions(pool, all ? null : req.session.user.id);
+        const data = sessions.map(({ sid, ...rest }) => ({ ...rest, current: sid === req.sessionID }));
+        return res.json({ success: true, data });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/sessions') }); }
+});
+
+// ── DELETE /api/admin/sessions — 현재 세션을 제외한 본인의 모든 세션 종료 ──
+app.delete('/api/admin/sessions', authMiddleware, async (req, res) => {
+    try {
+        const pool = await poolPromise;
+        const closed = await destroyUserSessions(pool, req.session.user.id, req.sessionID);
+        logSecurity('SESSIONS_REVOKED', { username: req.session.user.username, count: closed, ip: req.ip });
+        await writeAudit(pool, req, { action: 'session.revoke_others', targetType: 'session', target: req.session.user.username, after: { closed } });
+        return res.json({ success: true, closed });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/sessions') }); }
+});
+
+// ── DELETE /api/admin/sessions/:handle — 특정 세션 종료 (타인 세션은 session:manage 필요) ──
+app.delete('/api/admin/sessions/:handle', authMiddleware, async (req, res) => {
+    const handle = String(req.params.handle || '');
+    if (!/^[0-9a-f]{32}$/.test(handle)) return res.status(400).json({ success: false, error: '잘못된 세션 식별자입니다.' });
+    const canManage = hasPermission(req.session.user, 'session:manage');
+    try {
+        const pool = await poolPromise;
+        const sessions = await listActiveSessions(pool, canManage ? null : req.session.user.id);
+        const target = sessions.find(s => s.handle === handle);
+        if (!target) return res.status(404).json({ success: false, error: '세션을 찾을 수 없습니다.' });
+        if (target.sid === req.sessionID) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '현재 세션은 로그아웃으로 종료해 주세요.' });
+        }
+        await pool.request().input('sid', mssql.NVarChar, target.sid).query('DELETE FROM Sessions WHERE sid = @sid');
+        logSecurity('SESSION_REVOKED', { username: target.username, by: req.session.user.username, ip: req.ip });
+        await writeAudit(pool, req, { action: 'session.revoke', targetType: 'session', target: target.username, before: { ip: target.ip, userAgent: target.userAgent } });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/sessions/:handle') }); }
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  보안 관리 API (security:manage 권한)                      ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// ── GET /api/admin/security/stats — 분류별 보안 이벤트 추이 (대시보드) ──
+// ?days=1|7|30 (1일은 시간 단위, 그 외 일 단위 집계)
+app.get('/api/admin/security/stats', authMiddleware, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const days = [1, 7, 30].includes(parseInt(req.query.days, 10)) ? parseInt(req.query.days, 10) : 7;
+        const bucket = days === 1 ? 'hour' : 'day';
+        const { now, rows } = await securityStore.countSecurityEvents(SECURITY_EVENT_CATEGORIES, { days, bucket });
+        const categories = Object.keys(SECURITY_EVENT_CATEGORIES);
+        const totals = Object.fromEntries(categories.map(c => [c, 0]));
+
+        // 빈 구간도 0으로 채운 연속 구간 (DB 시간 문자열을 UTC로 취급해 계산만 수행)
+        const stepMs = bucket === 'hour' ? 3600 * 1000 : 86400 * 1000;
+        const count = bucket === 'hour' ? 24 : days;
+        const end = Date.parse(bucket === 'hour' ? `${now.replace(' ', 'T')}:00:00Z` : `${now}T00:00:00Z`);
+        const series = Array.from({ length: count }, (_, i) => {
+            const iso = new Date(end - (count - 1 - i) * stepMs).toISOString();
+            const key = bucket === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}` : iso.slice(0, 10);
+            return { bucket: key, counts: Object.fromEntries(categories.map(c => [c, 0])) };
+        });
+        const byKey = new Map(series.map(s => [s.bucket, s]));
+        for (const row of rows) {
+            totals[row.category] += row.count;
+            if (byKey.has(row.bucket)) byKey.get(row.bucket).counts[row.category] = row.count;
+        }
+        return res.json({
+            success: true, days, bucket, series, totals,
+            categories: SECURITY_CATEGORY_LABELS,
+            alert: SECURITY_ALERT, retentionDays: SECURITY_EVENT_RETENTION_DAYS
+        });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/security/stats') }); }
+});
+
+// ── GET /api/admin/security/events — 보안 이벤트 목록 ──
+// ?category=(login_failed 등) | event=(쉼표 구분) &username= &ip= &from=YYYY-MM-DD &to=YYYY-MM-DD &limit= &offset=
+app.get('/api/admin/security/events', authMiddleware, requirePermission('security:manage'), async (req, res) => {
+    const q = req.query;
+    try {
+        if ((q.from && !DATE_RE.test(q.from)) || (q.to && !DATE_RE.test(q.to))) {
+            return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '날짜는 YYYY-MM-DD 형식이어야 합니다.' });
+        }
+        let events = [];
+        if (q.category) {
+            events = SECURITY_EVENT_CATEGORIES[q.category];
+            if (!events) return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '알 수 없는 분류입니다.' });
+        } else if (q.event) {
+            events = String(q.event).split(',').map(e => e.trim().toUpperCase()).filter(e => /^[A-Z_]{1,50}$/.test(e)).slice(0, 20);
+        }
+        const result = await securityStore.listSecurityEvents({
+            events,
+            username: q.username ? String(q.username) : null,
+            ip: q.ip ? String(q.ip) : null,
+            from: q.from, to: q.to,
+            limit: Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500),
+            offset: Math.max(parseInt(q.offset, 10) || 0, 0)
+        });
+        return res.json({ success: true, ...result });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/security/events') }); }
+});
+
+// ── GET /api/admin/security/lockouts — 잠긴 계정 + rate limit 초과 클라이언트(IP) ──
+app.get('/api/admin/security/lockouts', authMiddleware, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const accounts = await securityStore.listLockedAccounts();
+        const clients = [];
+        for (const store of Object.values(rateLimitStores)) {
+            if (typeof store.listBlocked === 'function') clients.push(...await store.listBlocked());
+        }
+        return res.json({ success: true, accounts, clients });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'GET /api/admin/security/lockouts') }); }
+});
+
+// ── DELETE /api/admin/security/lockouts/accounts/:username — 계정 잠금 해제 ──
+app.delete('/api/admin/security/lockouts/accounts/:username', authMiddleware, requirePermission('security:manage'), async (req, res) => {
+    const username = String(req.params.username || '').trim().toLowerCase();
+    try {
+        const cleared = await securityStore.clearLoginFailures(username);
+        if (cleared === 0) return res.status(404).json({ success: false, error: '잠금 기록을 찾을 수 없습니다.' });
+        logSecurity('LOCKOUT_CLEARED', { username, by: req.session.user.username, ip: req.ip });
+        await writeAudit(await poolPromise, req, { action: 'security.unlock_account', targetType: 'security', target: username });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/security/lockouts/accounts/:username') }); }
+});
+
+// ── DELETE /api/admin/security/lockouts/clients?limiter=login&key=... — IP rate limit 초기화 ──
+// key는 IPv6 서브넷(예: 2001:db8::/56)처럼 '/'를 포함할 수 있어 쿼리스트링으로 받음
+app.delete('/api/admin/security/lockouts/clients', authMiddleware, requirePermission('security:manage'), async (req, res) => {
+    const store = rateLimitStores[req.query.limiter];
+    const key = String(req.query.key || '');
+    if (!store || !key) {
+        return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', error: '유효하지 않은 limiter 또는 key입니다.' });
+    }
+    try {
+        await store.resetKey(key);
+        logSecurity('RATE_LIMIT_CLEARED', { limiter: req.query.limiter, key, by: req.session.user.username, ip: req.ip });
+        await writeAudit(await poolPromise, req, { action: 'security.clear_rate_limit', targetType: 'security', target: `${req.query.limiter}:${key}` });
+        return res.json({ success: true });
+    } catch (err) { return res.status(500).json({ success: false, error: classifyError(err, 'DELETE /api/admin/security/lockouts/clients') }); }
+});
+
+app.get('/', (req, res) => res.redirect('/public/index.html'));
+
+// ── 전역 에러 핸들러 (Multer 에러 포함, 항상 JSON 응답) ──
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        const messages = {
+            LIMIT_FILE_SIZE: '파일 크기가 10MB를 초과합니다.',
+            LIMIT_FILE_COUNT: '파일은 총 최대 10개(카테고리당 5개)까지 업로드할 수 있습니다.',
+            LIMIT_UNEXPECTED_FILE: '허용되지 않는 파일 필드입니다.'
+        };
+        return res.status(400).json({ success: false, error: messages[err.code] || '파일 업로드 중 오류가 발생했습니다.' });
+    }
+    if (err?.code === 'INVALID_FILE_TYPE') {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Unhandled Error:', err);
+    return res.status(500).json({ success: false, error: '서버 내부 오류가 발생했습니다.' });
+});
+
+// ╔═══════════════════════════════════════════════════════════╗
+// ║  정기 작업 (Cron)                                         ║
+// ╚═══════════════════════════════════════════════════════════╝
+
+// 영업일 09:00, 17:00 KST — 미완료 사유서 요약 + 처리 기한 초과 건 에스컬레이션 텔레그램 발송
+cron.schedule('0 9,17 * * *', async () => {
+    if (!calendar.isBusinessDay(calendar.todayKst())) return;   // 주말·공휴일에는 발송하지 않음
+    // ── 중복 실행 방지용 간단한 파일 락 ──
+    const lockFile = path.join(__dirname, '../cron.lock');
+    const now = new Date();
+    const lockContent = now.getFullYear() + '-' + (now.getMonth() + 1) + '-' + now.getDate() + '-' + now.getHours();
 
     try {
         if (fs.existsSync(lockFile)) {
@@ -1251,18 +4074,25 @@ cron.schedule('0 9,17 * * *', async () => {
 
     try {
         const pool = await poolPromise;
-        // 상태별 집계 (완료/반려 제외)
-        const summary = await pool.request().query(`
+        // 미처리 상태(workflow.js의 open 상태) 기준 집계
+        const openSql = workflow.openStatuses().map((_, i) => `@open${i}`).join(', ');
+        const withOpen = () => {
+            const request = pool.request();
+            workflow.openStatuses().forEach((code, i) => request.input(`open${i}`, mssql.NVarChar, code));
+            return request;
+        };
+        // 상태별 집계
+        const summary = await withOpen().query(`
             SELECT status, COUNT(*) AS cnt
             FROM Requests
-            WHERE status NOT IN (N'완료', N'반려')
+            WHERE status IN (${openSql})
             GROUP BY status
         `);
         // 최근 20건 미완료 목록
-        const recent = await pool.request().query(`
+        const recent = await withOpen().query(`
             SELECT TOP 20 request_code, applicant_name, status
             FROM Requests
-            WHERE status NOT IN (N'완료', N'반려')
+            WHERE status IN (${openSql})
             ORDER BY created_at DESC
         `);
 
@@ -1284,6 +4114,32 @@ cron.schedule('0 9,17 * * *', async () => {
         sendTelegramNotification(
             `📋 <b>사유서 현황</b> (미완료 ${total}건)\n\n${statusLine}${listLine}`
         ).catch(() => {});
+
+        // 기한 초과 건은 최근 목록과 별도로 담당자별 전체 발송 (오래 초과된 순)
+        const openRows = await withOpen().query(`
+            SELECT r.request_code, r.request_type, r.status, CONVERT(CHAR(10), r.created_at, 120) AS created_day, au.name AS assigned_name
+            FROM Requests r
+            LEFT JOIN Users au ON au.id = r.assigned_to
+            WHERE r.status IN (${openSql})
+        `);
+        const today = await getDbToday(pool);
+        const overdue = openRows.recordset.map(row => withSla(row, today))
+            .filter(row => row.sla_state === 'overdue')
+            .sort((a, b) => b.overdue_days - a.overdue_days);
+        if (overdue.length > 0) {
+            const byAssignee = new Map();
+            for (const row of overdue) {
+                const key = row.assigned_name || '미배정';
+                if (!byAssignee.has(key)) byAssignee.set(key, []);
+                byAssignee.get(key).push(row);
+            }
+            const lines = [...byAssignee].map(([name, rows]) =>
+                `\n<b>${escTg(name)}</b> (${rows.length}건)\n` + rows.slice(0, 30).map(r =>
+                    `  <code>${r.request_code}</code> [${r.status}] 기한 ${r.due_date} · ${r.overdue_days}영업일 초과`
+                ).join('\n') + (rows.length > 30 ? `\n  … 외 ${rows.length - 30}건` : '')
+            ).join('\n');
+            sendTelegramNotification(`🚨 <b>처리 기한 초과</b> (${overdue.length}건)\n${lines}`).catch(() => {});
+        }
     } catch (err) {
         console.error('Cron summary failed:', err);
     }
@@ -1313,7 +4169,77 @@ cron.schedule('0 3 * * *', async () => {
     }
 }, { timezone: 'Asia/Seoul' });
 
-console.log('Cron jobs scheduled: daily 3:00 (orphan cleanup), 9:00, 17:00 KST');
+// 매시 10분 — 만료된 로그인 잠금 · rate limit 카운터 · 보존 기간 지난 보안 이벤트 정리
+cron.schedule('10 * * * *', async () => {
+    try {
+        const purged = await securityStore.purgeExpired();
+        purged.securityEvents = await securityStore.purgeSecurityEvents(SECURITY_EVENT_RETENTION_DAYS);
+        if (purged.rateLimitHits + purged.loginLockouts + purged.securityEvents > 0) logSecurity('SECURITY_COUNTER_PURGE', purged);
+    } catch (err) {
+        console.error('Security counter purge failed:', err.message);
+    }
+}, { timezone: 'Asia/Seoul' });
+
+// 매시 5분 — 휴일 달력 캐시 갱신 (다른 인스턴스에서 변경한 휴일 반영)
+cron.schedule('5 * * * *', async () => {
+    try {
+        await calendar.refresh();
+    } catch (err) {
+        console.error('Holiday calendar refresh failed:', err.message);
+    }
+}, { timezone: 'Asia/Seoul' });
+
+// 5분마다 — 보안 이벤트 급증 감지 시 텔레그램 경보 (분류별로 윈도우 내 1회만 발송)
+cron.schedule('*/5 * * * *', async () => {
+    try {
+        for (const [category, threshold] of Object.entries(SECURITY_ALERT.thresholds)) {
+            if (!threshold) continue;
+            const count = await securityStore.countRecentSecurityEvents(SECURITY_EVENT_CATEGORIES[category], SECURITY_ALERT.windowMinutes);
+            if (count < threshold) continue;
+            // 이벤트 기록은 선점과 함께 DB에 저장되므로 여기서는 stdout만 남김
+            const details = { count, threshold, windowMinutes: SECURITY_ALERT.windowMinutes };
+            if (!(await securityStore.claimSecurityAlert(category, SECURITY_ALERT.windowMinutes, details))) continue;
+            console.log(JSON.stringify({ timestamp: new Date().toISOString(), event: 'SECURITY_ALERT', category, ...details }));
+            await sendTelegramNotification(`🚨 <b>보안 경보: ${escTg(SECURITY_CATEGORY_LABELS[category])} 급증</b>\n최근 ${SECURITY_ALERT.windowMinutes}분: <b>${count}건</b> (임계치 ${threshold}건)\n관리자 페이지 보안 탭에서 확인하세요.`);
+        }
+    } catch (err) {
+        console.error('Security alert check failed:', err.message);
+    }
+}, { timezone: 'Asia/Seoul' });
+
+console.log('Cron jobs scheduled: every 5m (security alert), hourly :10 (security counter purge), daily 3:00 (orphan cleanup), 9:00, 17:00 KST');
+
+// ── 워크플로 상태 → RequestStatuses 동기화 (Requests.status FK 대상) ──
+// 정의에서 빠진 상태는 기존 데이터 보존을 위해 삭제하지 않고 is_active = 0 처리
+async function syncWorkflowStatuses() {
+    const pool = await poolPromise;
+    const transaction = new mssql.Transaction(pool);
+    await transaction.begin();
+    try {
+        for (const [i, s] of workflow.STATUSES.entries()) {
+            await transaction.request()
+                .input('code', mssql.NVarChar, s.code)
+                .input('sortOrder', mssql.Int, i + 1)
+                .input('isInitial', mssql.Bit, !!s.initial)
+                .input('isOpen', mssql.Bit, !!s.open)
+                .input('isFinal', mssql.Bit, !!s.final)
+                .query(`MERGE RequestStatuses WITH (HOLDLOCK) AS t
+                        USING (SELECT @code AS code) AS src ON t.code = src.code
+                        WHEN MATCHED THEN UPDATE SET sort_order = @sortOrder, is_initial = @isInitial, is_open = @isOpen, is_final = @isFinal, is_active = 1
+                        WHEN NOT MATCHED THEN INSERT (code, sort_order, is_initial, is_open, is_final, is_active)
+                            VALUES (@code, @sortOrder, @isInitial, @isOpen, @isFinal, 1);`);
+        }
+        const request = transaction.request();
+        workflow.STATUSES.forEach((s, i) => request.input(`c${i}`, mssql.NVarChar, s.code));
+        await request.query(`UPDATE RequestStatuses SET is_active = 0 WHERE code NOT IN (${workflow.STATUSES.map((_, i) => `@c${i}`).join(', ')})`);
+        await transaction.commit();
+    } catch (err) {
+        try { await transaction.rollback(); } catch (rbErr) { /* already rolled back */ }
+        throw err;
+    }
+}
+syncWorkflowStatuses().catch(err => console.error('Workflow status sync failed:', err.message));
+calendar.refresh().catch(err => console.error('Holiday calendar load failed:', err.message));
 
 // ── 서버 시작 및 DoS 방어 타임아웃 설정 ──
 const server = app.listen(PORT, () => console.log(`Server is running on port ${PORT}`));
@@ -0,0 +1,38 @@
+/**
+ * sla.js — 유형별 처리 기한(SLA) 계산
+ *
+ * 접수일로부터 영업일(calendar.js: 주말·공휴일 제외) 기준 N일 안에 완료해야 하는 목표를 유형별로 정의하고,
+ * 처리 기한 · 경과 영업일 · 기한 초과 여부를 계산한다.
+ *   - 목록 API: 행마다 due_date · aging_days · sla_state 부여
+ *   - 정기 알림: 기한 초과 건을 담당자별로 따로 에스컬레이션
+ * 날짜는 DB 기준 'YYYY-MM-DD' 문자열로 주고받는다 (서버·DB 시간대 차이 배제).
+ * server.js에서 `require('./sla')` 로 가져다 사용.
+ */
+const calendar = require('./calendar');
+
+// 유형별 목표 영업일 (.env로 조정, 0이면 해당 유형 기한 없음)
+const SLA_TARGETS = {
+    '반환청구': parseInt(process.env.SLA_DAYS_REFUND ?? '5') || 0,
+    '오입금': parseInt(process.env.SLA_DAYS_MISDEPOSIT ?? '3') || 0
+};
+
+/**
+ * 요청 1건의 SLA 상태.
+ * open: 미처리 상태 여부 (처리가 끝났거나 반려된 건은 기한 대상 아님)
+ * 반환: { dueDate, agingDays, slaState: 'overdue' | 'due_today' | 'ok' | null, overdueDays }
+ */
+function evaluate({ requestType, createdDay, today, open }) {
+    const target = SLA_TARGETS[requestType];
+    if (!open || !target || !createdDay) return { dueDate: null, agingDays: null, slaState: null, overdueDays: 0 };
+    const dueDate = calendar.addBusinessDays(createdDay, target);
+    const agingDays = calendar.businessDaysBetween(createdDay, today);
+    let slaState = 'ok';
+    if (today > dueDate) slaState = 'overdue';
+    else if (today === dueDate) slaState = 'due_today';
+    return { dueDate, agingDays, slaState, overdueDays: slaState === 'overdue' ? calendar.businessDaysBetween(dueDate, today) : 0 };
+}
+
+module.exports = {
+    SLA_TARGETS,
+    evaluate
+};
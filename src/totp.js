@@ -0,0 +1,123 @@
+/**
+ * totp.js — TOTP(RFC 6238) 2단계 인증 모듈
+ *
+ * 외부 서비스 없이 node:crypto 만으로 동작 (오프라인 환경 대응).
+ * 비밀키는 Base32 문자열로 다루며, 저장 시 암호화는 server.js에서 담당.
+ * server.js에서 `require('./totp')` 로 가져다 사용.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;   // 코드 갱신 주기
+const DIGITS = 6;          // 코드 자릿수
+const DRIFT_STEPS = 1;     // 허용 시계 오차 (앞뒤 1스텝 = ±30초)
+
+// 바이트 → Base32 (RFC 4648, 패딩 없음)
+function base32Encode(buf) {
+    let bits = 0, value = 0, out = '';
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+// Base32 → 바이트 (공백·패딩·소문자 허용)
+function base32Decode(str) {
+    const clean = String(str).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0, value = 0;
+    const out = [];
+    for (const ch of clean) {
+        const idx = BASE32_ALPHABET.indexOf(ch);
+        if (idx === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(out);
+}
+
+// 160비트 비밀키 생성 (RFC 4226 권장 길이)
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP(RFC 4226): HMAC-SHA1 → dynamic truncation
+function hotp(secret, counter) {
+    const key = base32Decode(secret);
+    const msg = Buffer.alloc(8);
+    msg.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(msg).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, '0');
+}
+
+function currentCounter(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function generateToken(secret, now = Date.now()) {
+    return hotp(secret, currentCounter(now));
+}
+
+/**
+ * 코드 검증. 성공 시 일치한 카운터 값, 실패 시 null 반환.
+ * lastCounter 이하의 카운터는 거부하여 같은 코드의 재사용(replay)을 막는다.
+ */
+function verifyToken(secret, token, { lastCounter = null, now = Date.now() } = {}) {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) return null;
+    const base = currentCounter(now);
+    for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+        const counter = base + drift;
+        if (lastCounter !== null && counter <= lastCounter) continue;
+        const expected = hotp(secret, counter);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return counter;
+    }
+    return null;
+}
+
+// 인증 앱 등록용 otpauth:// URI (QR 코드 내용)
+function buildOtpauthUri(secret, account, issuer) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ── 복구 코드 (인증 앱 분실 대비 1회용 코드) ──
+
+// XXXX-XXXX 형식 (혼동 문자 없는 Base32 알파벳, 40비트 엔트로피)
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const raw = base32Encode(crypto.randomBytes(5));
+        return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+    });
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+}
+
+// 복구 코드는 충분한 엔트로피를 가지므로 SHA-256 해시로 저장
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    generateToken,
+    verifyToken,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    normalizeRecoveryCode
+};
@@ -0,0 +1,266 @@
+/**
+ * workflow.js — 요청 처리 상태 워크플로 정의 (단일 기준)
+ *
+ * 상태 목록 · 허용 전환 · 전환 권한 · 전환 시 필수 입력을 이 파일에서만 정의.
+ *   - API: server.js 상태 변경 경로가 checkTransition()으로 검증
+ *   - DB: 서버 시작 시 RequestStatuses 테이블에 동기화 (Requests.status FK 대상)
+ *   - 관리자 화면: GET /api/admin/workflow 로 받아 드롭다운·색상 구성
+ * 상태를 추가할 때는 STATUSES와 TRANSITIONS만 수정하면 된다.
+ * 최종 상태에서 되돌리는 재처리(REOPEN)는 일반 전환과 별도로 요청 → 다른 관리자 승인 2단계로 처리.
+ * 고액 건(APPROVAL_THRESHOLD 이상)은 '승인대기'를 거쳐 승인을 요청한 사람과 다른 승인자가 완료 처리.
+ * 신청인 취소(WITHDRAW)는 관리자 전환과 별도로, 처리가 시작되기 전 상태에서만 신청인 본인 확인 후 반영.
+ * server.js에서 `require('./workflow')` 로 가져다 사용.
+ */
+
+/**
+ * 상태 정의 (배열 순서 = 화면 표시 순서)
+ *   code    DB 저장값 (Requests.status, 최대 10자)
+ *   color   관리자 화면 글자색
+ *   initial 신규 접수 시 상태 (1개)
+ *   open    미처리 건으로 집계 (정기 알림 대상)
+ *   final   최종 상태: 더 이상 전환·수정 불가
+ *   approval 고액 건 완료 승인 대기 상태 (1개, 진입한 관리자는 완료 처리 불가)
+ *   supplement 신청인이 식별코드 + 연락처로 보완 서류를 추가 제출할 수 있는 상태
+ *   withdrawable 신청인이 직접 취소할 수 있는 상태 (처리 시작 전)
+ *   withdrawn 신청인 취소 상태 (1개, 최종 상태 · 관리자 전환 대상 아님 · 재처리 불가)
+ *   stage   신청인 상태 조회 진행 단계 (PUBLIC_STAGES의 key)
+ */
+const STATUSES = [
+    { code: '대기', color: '#E11D48', initial: true, open: true, supplement: true, withdrawable: true, stage: 'submitted' },   // Rose 600 - 가장 눈에 띔
+    { code: '접수', color: '#2563EB', open: true, supplement: true, withdrawable: true, stage: 'received' },                  // Blue 600
+    { code: '처리중', color: '#7C3AED', open: true, supplement: true, stage: 'processing' },                // Violet 600
+    { code: '승인대기', color: '#0891B2', open: true, approval: true, stage: 'processing' }, // Cyan 600
+    { code: '반려', color: '#D97706', stage: 'closed' },                              // Amber 600
+    { code: '완료', color: '#D4D4D4', final: true, stage: 'closed' },                 // Neutral 300 - 가장 안 띔
+    { code: '취소', color: '#A3A3A3', final: true, withdrawn: true, stage: 'closed' }  // Neutral 400
+];
+
+// 신청인 상태 조회 진행 단계 (배열 순서 = 진행 순서). closed 단계는 실제 결과 상태(완료·반려·취소)로 표시
+const PUBLIC_STAGES = [
+    { key: 'submitted', label: '제출' },
+    { key: 'received', label: '접수' },
+    { key: 'processing', label: '처리중' },
+    { key: 'closed', label: '완료' }
+];
+
+// 처리 담당자가 자유롭게 오가는 상태 (최종 · 승인 대기 제외)
+const ACTIVE = STATUSES.filter(s => !s.final && !s.approval).map(s => s.code);
+const APPROVAL_STATUS = STATUSES.find(s => s.approval).code;
+const WITHDRAWN_STATUS = STATUSES.find(s => s.withdrawn).code;
+
+// 고액 기준 금액 (.env, 이 금액 이상이면 완료 전 다른 승인자 확인 필요. 0이면 사용 안 함)
+const APPROVAL_THRESHOLD = parseInt(process.env.APPROVAL_THRESHOLD_AMOUNT ?? '10000000') || 0;
+
+/**
+ * 허용 전환 규칙 (from → to). 같은 쌍이 여러 규칙에 걸리면 먼저 정의된 규칙 적용.
+ *   permission  전환에 필요한 권한 (역할별 권한은 server.js ROLE_PERMISSIONS)
+ *   inputs      전환 시 함께 받아야 하는 값 { name, label, required, maxLength, templates }
+ *               name이 'reason'인 값은 Requests.status_reason에 저장되어 신청인 상태 조회에 노출됨
+ *               templates: 'rejection' 이면 관리자 화면에서 반려 사유 템플릿 선택 제공
+ *   amount      'high' | 'normal': 고액 건(APPROVAL_THRESHOLD 이상) / 그 외 건에만 적용 (없으면 금액 무관)
+ *   secondApprover  승인대기로 올린 본인은 사용 불가 (다른 승인자 확인)
+ */
+const TRANSITIONS = [
+    { from: ACTIVE, to: ['대기', '접수', '처리중'], permission: 'request:status' },
+    {
+        from: ACTIVE, to: ['반려'], permission: 'request:status',
+        inputs: [{ name: 'reason', label: '반려 사유', required: true, maxLength: 500, templates: 'rejection' }]
+    },
+    { from: ACTIVE, to: ['완료'], permission: 'request:complete', amount: 'normal' },
+    { from: ACTIVE, to: [APPROVAL_STATUS], permission: 'request:status', amount: 'high' },
+    { from: [APPROVAL_STATUS], to: ['완료'], permission: 'request:approve', secondApprover: true },
+    {
+        from: [APPROVAL_STATUS], to: ['처리중'], permission: 'request:approve',
+        inputs: [{ name: 'note', label: '보완 요청 내용', required: true, maxLength: 500 }]
+    }
+];
+
+/**
+ * 재처리 규칙 (최종 상태 → 미처리 상태). 요청자와 다른 승인자가 확인해야 반영됨
+ *   request   재처리 요청 권한
+ *   approve   승인·거절 권한 (요청자 본인은 승인 불가)
+ *   to        되돌릴 수 있는 상태 (최종 상태 · 필수 입력이 있는 상태 제외)
+ */
+const REOPEN = {
+    from: STATUSES.filter(s => s.final && !s.withdrawn).map(s => s.code),
+    to: ['대기', '접수', '처리중'],
+    request: 'request:status',
+    approve: 'request:reopen',
+    reason: { label: '재처리 사유', maxLength: 500 }
+};
+
+const STATUS_MAP = new Map(STATUSES.map(s => [s.code, s]));
+
+// 정의 오류는 서버 시작 시점에 바로 드러나도록 검증
+(function validateDefinition() {
+    const initial = STATUSES.filter(s => s.initial);
+    if (initial.length !== 1) throw new Error('workflow: initial 상태는 정확히 1개여야 합니다.');
+    if (STATUSES.filter(s => s.approval).length !== 1) throw new Error('workflow: approval 상태는 정확히 1개여야 합니다.');
+    const withdrawn = STATUSES.filter(s => s.withdrawn);
+    if (withdrawn.length !== 1 || !withdrawn[0].final) throw new Error('workflow: withdrawn 상태는 최종 상태로 정확히 1개여야 합니다.');
+    for (const s of STATUSES) {
+        if (!s.code || s.code.length > 10) throw new Error(`workflow: 상태 코드 길이 오류 (${s.code})`);
+        if (!PUBLIC_STAGES.some(st => st.key === s.stage)) throw new Error(`workflow: 진행 단계가 정의되지 않은 상태 (${s.code})`);
+        if (s.withdrawable && (s.final || s.approval)) throw new Error(`workflow: 최종·승인 대기 상태는 신청인 취소 대상이 될 수 없습니다 (${s.code})`);
+        if (s.supplement && (s.final || s.approval)) throw new Error(`workflow: 최종·승인 대기 상태는 보완 제출을 받을 수 없습니다 (${s.code})`);
+    }
+    for (const t of TRANSITIONS) {
+        for (const code of [...t.from, ...t.to]) {
+            if (!STATUS_MAP.has(code)) throw new Error(`workflow: 정의되지 않은 상태 (${code})`);
+        }
+        if (t.from.some(code => STATUS_MAP.get(code).final)) throw new Error('workflow: 최종 상태에서 시작하는 전환은 정의할 수 없습니다.');
+        if (t.to.some(code => STATUS_MAP.get(code).withdrawn)) throw new Error('workflow: 신청인 취소 상태는 관리자 전환 대상이 될 수 없습니다.');
+    }
+    for (const code of REOPEN.to) {
+        if (!STATUS_MAP.has(code) || STATUS_MAP.get(code).final) throw new Error(`workflow: 재처리 대상은 최종 상태가 아니어야 합니다 (${code})`);
+    }
+})();
+
+const INITIAL_STATUS = STATUSES.find(s => s.initial).code;
+
+function isValidStatus(code) {
+    return STATUS_MAP.has(code);
+}
+
+function isFinalStatus(code) {
+    return !!STATUS_MAP.get(code)?.final;
+}
+
+function openStatuses() {
+    return STATUSES.filter(s => s.open).map(s => s.code);
+}
+
+function acceptsSupplement(code) {
+    return !!STATUS_MAP.get(code)?.supplement;
+}
+
+function isWithdrawable(code) {
+    return !!STATUS_MAP.get(code)?.withdrawable;
+}
+
+// 신청인에게 안내하는 상태 (내부 승인 단계는 처리중으로 안내)
+function publicStatus(code) {
+    return code === APPROVAL_STATUS ? '처리중' : code;
+}
+
+function isHighValue(amount) {
+    return APPROVAL_THRESHOLD > 0 && Number(amount) >= APPROVAL_THRESHOLD;
+}
+
+// 규칙 조건(금액 구간 · 요청자 본인 제외) 위반 사유. 충족하면 null
+// context: { amount, isApprovalRequester }
+function conditionError(rule, context) {
+    const threshold = `${APPROVAL_THRESHOLD.toLocaleString('ko-KR')}원`;
+    if (rule.amount === 'high' && !isHighValue(context.amount)) {
+        return { status: 400, code: 'VALIDATION_ERROR', error: `승인 요청은 ${threshold} 이상 고액 건만 가능합니다.` };
+    }
+    if (rule.amount === 'normal' && isHighValue(context.amount)) {
+        return { status: 400, code: 'VALIDATION_ERROR', error: `${threshold} 이상 고액 건은 '${APPROVAL_STATUS}'로 승인을 요청한 뒤 다른 승인자가 완료 처리해야 합니다.` };
+    }
+    if (rule.secondApprover && context.isApprovalRequester) {
+        return { status: 403, code: 'FORBIDDEN', error: '승인을 요청한 본인은 처리할 수 없습니다. 다른 승인자의 확인이 필요합니다.' };
+    }
+    return null;
+}
+
+// 조건까지 충족하는 첫 규칙. 없으면 { rule: null, error } (같은 쌍의 규칙이 조건만 어긋난 경우 그 사유)
+function findTransition(from, to, context = {}) {
+    const candidates = TRANSITIONS.filter(t => t.from.includes(from) && t.to.includes(to));
+    const rule = candidates.find(t => !conditionError(t, context));
+    if (rule) return { rule, error: null };
+    return { rule: null, error: candidates.length ? conditionError(candidates[0], context) : null };
+}
+
+/**
+ * 상태 전환 검증.
+ * hasPermission: (permission) => boolean
+ * context: { amount: 입금액, isApprovalRequester: 승인대기로 올린 본인 여부 }
+ * 성공: { ok: true, inputs } (정의된 입력만 정리해 반환)
+ * 실패: { ok: false, status: 400|403, code, error }
+ */
+function checkTransition(from, to, hasPermission, rawInputs = {}, context = {}) {
+    if (!isValidStatus(to)) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: '유효하지 않은 상태값입니다.' };
+    if (isFinalStatus(from)) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `'${from}' 상태의 데이터는 수정할 수 없습니다.` };
+    const { rule, error } = findTransition(from, to, context);
+    if (error) return { ok: false, ...error };
+    if (!rule) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `'${from}' → '${to}' 상태 변경은 허용되지 않습니다.` };
+    if (!hasPermission(rule.permission)) return { ok: false, status: 403, code: 'FORBIDDEN', error: `'${to}' 처리 권한이 없습니다.` };
+
+    const inputs = {};
+    for (const def of rule.inputs || []) {
+        const value = typeof rawInputs?.[def.name] === 'string' ? rawInputs[def.name].trim() : '';
+        if (def.required && !value) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `${def.label} 항목을 입력해주세요.` };
+        if (def.maxLength && value.length > def.maxLength) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `${def.label} 항목은 ${def.maxLength}자 이내로 입력해주세요.` };
+        if (value) inputs[def.name] = value;
+    }
+    return { ok: true, inputs };
+}
+
+/**
+ * 재처리 요청 검증 (승인 단계의 요청자 ≠ 승인자 확인은 server.js에서 수행).
+ * 성공: { ok: true, reason } / 실패: { ok: false, status: 400|403, code, error }
+ */
+function checkReopen(from, to, hasPermission, rawReason) {
+    if (!REOPEN.from.includes(from)) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `'${from}' 상태는 재처리 대상이 아닙니다.` };
+    if (!REOPEN.to.includes(to)) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `'${to}' 상태로는 재처리할 수 없습니다.` };
+    if (!hasPermission(REOPEN.request)) return { ok: false, status: 403, code: 'FORBIDDEN', error: '재처리 요청 권한이 없습니다.' };
+    const reason = typeof rawReason === 'string' ? rawReason.trim() : '';
+    if (!reason) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `${REOPEN.reason.label} 항목을 입력해주세요.` };
+    if (reason.length > REOPEN.reason.maxLength) return { ok: false, status: 400, code: 'VALIDATION_ERROR', error: `${REOPEN.reason.label} 항목은 ${REOPEN.reason.maxLength}자 이내로 입력해주세요.` };
+    return { ok: true, reason };
+}
+
+/**
+ * 신청인용 진행 타임라인.
+ * events: 상태가 바뀐 기록 [{ status, at }] (시간순), createdAt: 제출 일시
+ * 단계별로 가장 최근에 들어온 일시를 표시하고, 현재 단계 이후는 pending (재처리로 되돌아간 경우 이후 단계 일시는 숨김)
+ * 반환: [{ stage, label, state: 'done' | 'current' | 'pending', at }]
+ */
+function publicTimeline(currentStatus, createdAt, events = []) {
+    const stageIndex = (code) => PUBLIC_STAGES.findIndex(st => st.key === STATUS_MAP.get(code)?.stage);
+    const current = Math.max(stageIndex(currentStatus), 0);
+    const enteredAt = new Array(PUBLIC_STAGES.length).fill(null);
+    enteredAt[0] = createdAt;
+    let prev = 0;
+    for (const e of events) {
+        const idx = stageIndex(e.status);
+        if (idx > 0 && idx !== prev) enteredAt[idx] = e.at;   // 같은 단계 안의 이동(처리중 → 승인대기)은 처음 진입 일시 유지
+        if (idx >= 0) prev = idx;
+    }
+    return PUBLIC_STAGES.map((st, idx) => ({
+        stage: st.key,
+        label: st.key === 'closed' && idx === current ? currentStatus : st.label,
+        state: idx < current ? 'done' : idx === current ? (st.key === 'closed' ? 'done' : 'current') : 'pending',
+        at: idx <= current ? enteredAt[idx] : null
+    }));
+}
+
+// 관리자 화면용 정의 (권한 판정은 화면에서 permissions로 수행, 실제 검증은 서버)
+function toClientConfig() {
+    return {
+        statuses: STATUSES.map(({ code, color, initial, open, final, approval, supplement, withdrawn }) => ({ code, color, initial: !!initial, open: !!open, final: !!final, approval: !!approval, supplement: !!supplement, withdrawn: !!withdrawn })),
+        transitions: TRANSITIONS.map(({ from, to, permission, inputs, amount, secondApprover }) => ({ from, to, permission, inputs: inputs || [], amount: amount || null, secondApprover: !!secondApprover })),
+        approvalThreshold: APPROVAL_THRESHOLD,
+        reopen: REOPEN
+    };
+}
+
+module.exports = {
+    STATUSES,
+    REOPEN,
+    INITIAL_STATUS,
+    APPROVAL_STATUS,
+    APPROVAL_THRESHOLD,
+    WITHDRAWN_STATUS,
+    isValidStatus,
+    isFinalStatus,
+    openStatuses,
+    acceptsSupplement,
+    isWithdrawable,
+    publicTimeline,
+    publicStatus,
+    isHighValue,
+    checkTransition,
+    checkReopen,
+    toClientConfig
+};